@@ -0,0 +1,183 @@
+// Semantic answer cache for /api/ask (see migration 031).
+//
+// A standalone question (no conversation history) whose embedding is close
+// enough to an already answered one — same embedding model, answer locale,
+// town filter and tier model settings (migration 041) — gets the stored
+// answer back instead of a new retrieval and model call. Database triggers
+// drop entries when the documents behind them are re-uploaded. Offline mode (no Supabase) keeps the cache in memory.
+//
+// Cache failures are logged and treated as misses: they never fail a question.
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+// Environment variables
+const CACHE_ENABLED = process.env.ASK_CACHE_ENABLED !== 'false';
+// Cosine similarity a cached question needs to be reused (1 = identical wording)
+const CACHE_MIN_SIMILARITY = Number(process.env.ASK_CACHE_MIN_SIMILARITY) || 0.95;
+const CACHE_TTL_HOURS = Number(process.env.ASK_CACHE_TTL_HOURS) || 168;
+
+// Types
+export interface AnswerCacheKey {
+  embedding: number[];
+  embeddingModel: string;
+  locale: string;
+  townId: string | null;
+  /** Generation model and answer length, which differ between tiers */
+  model: string;
+  maxTokens: number;
+}
+
+export interface CachedAnswer {
+  id: string;
+  /** Question the answer was generated for */
+  question: string;
+  answer: string;
+  quotes: any[];
+  confidence: string;
+  /** Follow-up questions suggested with the answer */
+  suggestions: string[];
+  similarity: number;
+  created_at: string;
+}
+
+export interface AnswerCacheEntry {
+  question: string;
+  answer: string;
+  quotes: any[];
+  confidence: string;
+  suggestions: string[];
+  /** Documents the answer was built from, for invalidation on re-upload */
+  documentIds: string[];
+  /** Date (YYYY-MM-DD) the answer stops being valid, before the TTL if earlier */
+  validUntil?: string | null;
+}
+
+interface MemoryCacheRow extends AnswerCacheKey, AnswerCacheEntry {
+  id: string;
+  created_at: string;
+  expires_at: number;
+}
+
+const memoryCache: MemoryCacheRow[] = [];
+
+export function isAnswerCacheEnabled(): boolean {
+  return CACHE_ENABLED;
+}
+
+function cosineSimilarity(a: number[], b: number[]): number {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function findInMemory(key: AnswerCacheKey): CachedAnswer | null {
+  const now = Date.now();
+  let best: { row: MemoryCacheRow; similarity: number } | null = null;
+
+  for (const row of memoryCache) {
+    if (row.expires_at <= now || row.embeddingModel !== key.embeddingModel
+      || row.locale !== key.locale || row.townId !== key.townId
+      || row.model !== key.model || row.maxTokens !== key.maxTokens) {
+      continue;
+    }
+    const similarity = cosineSimilarity(row.embedding, key.embedding);
+    if (!best || similarity > best.similarity) best = { row, similarity };
+  }
+
+  if (!best || best.similarity < CACHE_MIN_SIMILARITY) return null;
+  const { row, similarity } = best;
+  return {
+    id: row.id,
+    question: row.question,
+    answer: row.answer,
+    quotes: row.quotes,
+    confidence: row.confidence,
+    suggestions: row.suggestions,
+    similarity,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Closest cached answer for the key, or null on a miss
+ */
+export async function findCachedAnswer(
+  client: SupabaseClient | null,
+  key: AnswerCacheKey
+): Promise<CachedAnswer | null> {
+  if (!client) return findInMemory(key);
+
+  try {
+    const { data, error } = await client.rpc('use_answer_cache', {
+      query_embedding: key.embedding,
+      p_embedding_model: key.embeddingModel,
+      p_locale: key.locale,
+      p_town_id: key.townId,
+      p_model: key.model,
+      p_max_tokens: key.maxTokens,
+      min_similarity: CACHE_MIN_SIMILARITY
+    });
+
+    if (error) throw error;
+    return (data as CachedAnswer[] | null)?.[0] ?? null;
+  } catch (error) {
+    console.error('Answer cache lookup failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a freshly generated answer under the key
+ */
+export async function storeCachedAnswer(
+  client: SupabaseClient | null,
+  key: AnswerCacheKey,
+  entry: AnswerCacheEntry
+): Promise<void> {
+  const createdAt = new Date();
+  let expiresAt = new Date(createdAt.getTime() + CACHE_TTL_HOURS * 60 * 60 * 1000);
+  if (entry.validUntil && new Date(`${entry.validUntil}T00:00:00Z`) < expiresAt) {
+    expiresAt = new Date(`${entry.validUntil}T00:00:00Z`);
+  }
+
+  if (!client) {
+    memoryCache.push({
+      ...key,
+      ...entry,
+      id: `memory-${memoryCache.length + 1}`,
+      created_at: createdAt.toISOString(),
+      expires_at: expiresAt.getTime()
+    });
+    return;
+  }
+
+  try {
+    const { error } = await client.from('answer_cache').insert({
+      question: entry.question.substring(0, 500),
+      question_embedding: key.embedding,
+      embedding_model: key.embeddingModel,
+      locale: key.locale,
+      town_id: key.townId,
+      model: key.model,
+      max_tokens: key.maxTokens,
+      answer: entry.answer,
+      quotes: entry.quotes,
+      confidence: entry.confidence,
+      suggestions: entry.suggestions,
+      document_ids: entry.documentIds,
+      created_at: createdAt.toISOString(),
+      expires_at: expiresAt.toISOString()
+    });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Failed to store cached answer:', error);
+  }
+}
@@ -0,0 +1,257 @@
+// Answer verification for the ask pipeline.
+//
+// The prompt asks the model to cite every statement with a fragment marker
+// ([n]) and to copy normative text verbatim, but nothing guarantees it. After
+// generation these helpers:
+//   - check every quoted passage (markdown blockquotes and text between «»,
+//     “” or "") against the retrieved chunks, the cited fragments first,
+//   - measure citation coverage: the share of statements that carry a marker
+//     pointing at a real context fragment,
+//   - drop markers that point at fragments that do not exist, and
+//   - compute the confidence from retrieval similarity, citation coverage and
+//     the quote check instead of trusting the model's own assessment.
+
+export type Confidence = 'High' | 'Medium' | 'Low';
+
+export interface QuoteCheck {
+  /** Quoted passage as written in the answer (shortened) */
+  text: string;
+  /** Fragment numbers the answer cites for the passage */
+  fragments: number[];
+  /** verified: found verbatim; partial: mostly found (OCR or small edits); unverified: not found */
+  status: 'verified' | 'partial' | 'unverified';
+  /** Fragment the passage was found in, which may differ from the cited one */
+  matched_fragment: number | null;
+}
+
+export interface AnswerVerification {
+  confidence: Confidence;
+  /** Best vector similarity among the retrieved chunks */
+  retrieval_similarity: number;
+  /** Share of statements (0-1) that cite a context fragment */
+  citation_coverage: number;
+  statements: number;
+  cited_statements: number;
+  quotes: QuoteCheck[];
+  /** Markers removed from the answer because no fragment has that number */
+  removed_citations: number[];
+}
+
+const CITATION_REGEX = /\[(\d{1,2})\]/g;
+// Retrieval similarity thresholds (same as the previous similarity-only confidence)
+const HIGH_SIMILARITY = 0.7;
+const MEDIUM_SIMILARITY = 0.5;
+// Below these coverages the confidence is capped at Medium / Low
+const FULL_COVERAGE = 0.6;
+const PARTIAL_COVERAGE = 0.3;
+// Share of a passage's word trigrams that must appear in a chunk for a partial match
+const PARTIAL_MATCH_RATIO = 0.8;
+// Shorter quoted text is a term or a title, not a passage worth checking
+const MIN_PASSAGE_WORDS = 4;
+// Shorter sentences are labels or connectors, not statements
+const MIN_STATEMENT_WORDS = 5;
+const MAX_QUOTE_TEXT = 300;
+
+const CONFIDENCE_LEVELS: Confidence[] = ['Low', 'Medium', 'High'];
+
+/**
+ * Lower-case words only: punctuation, markdown, quote styles, citation
+ * markers and PDF line-break hyphenation do not affect matching
+ */
+function normalizeText(text: string): string {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(CITATION_REGEX, ' ')
+    .replace(/(\p{L})[-\u00AD]\s*\n\s*(\p{L})/gu, '$1$2')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function wordCount(text: string): number {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ').length : 0;
+}
+
+function citedFragments(text: string, fragmentCount: number): number[] {
+  const ids: number[] = [];
+  for (const match of text.matchAll(CITATION_REGEX)) {
+    const id = Number(match[1]);
+    if (id >= 1 && id <= fragmentCount && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+function trigrams(normalized: string): string[] {
+  const words = normalized.split(' ');
+  const grams: string[] = [];
+  for (let i = 0; i + 2 < words.length; i++) {
+    grams.push(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  }
+  return grams;
+}
+
+/**
+ * Quoted passages of the answer with the markers that cite them:
+ * blockquote paragraphs, and «…», “…” or "…" spans in the other lines
+ */
+function extractQuotedPassages(answer: string): Array<{ text: string; citations: string }> {
+  const passages: Array<{ text: string; citations: string }> = [];
+  let blockquote: string[] = [];
+
+  const flushBlockquote = () => {
+    if (blockquote.length > 0) {
+      const text = blockquote.join(' ');
+      passages.push({ text, citations: text });
+      blockquote = [];
+    }
+  };
+
+  for (const line of answer.split('\n')) {
+    const quoted = line.match(/^\s*>\s?(.*)$/);
+    if (quoted) {
+      blockquote.push(quoted[1]);
+      continue;
+    }
+    flushBlockquote();
+
+    for (const match of line.matchAll(/«([^»]+)»|“([^”]+)”|"([^"\n]+)"/g)) {
+      const text = match[1] ?? match[2] ?? match[3];
+      // Markers right after the closing quote, otherwise any on the rest of the line
+      const after = line.substring((match.index ?? 0) + match[0].length);
+      const following = after.match(/^\s*((?:\[\d{1,2}\]\s*)+)/);
+      passages.push({ text, citations: `${text} ${following ? following[1] : after}` });
+    }
+  }
+  flushBlockquote();
+
+  return passages.filter(passage => wordCount(passage.text) >= MIN_PASSAGE_WORDS);
+}
+
+/**
+ * Look for a passage in the chunks, cited fragments first. Text elided with
+ * "..." or "[...]" only needs each remaining part to appear in the same chunk.
+ */
+function checkPassage(passage: string, fragments: number[], chunkTexts: string[]): Pick<QuoteCheck, 'status' | 'matched_fragment'> {
+  const segments = passage
+    .split(/\[\s*(?:\.{3}|…)\s*\]|\(\s*(?:\.{3}|…)\s*\)|\.{3}|…/)
+    .map(normalizeText)
+    .filter(segment => segment.split(' ').length >= 2);
+  if (segments.length === 0) return { status: 'verified', matched_fragment: fragments[0] ?? null };
+
+  const order = [
+    ...fragments,
+    ...chunkTexts.map((_, index) => index + 1).filter(id => !fragments.includes(id))
+  ];
+
+  for (const id of order) {
+    const chunkText = ` ${chunkTexts[id - 1]} `;
+    if (segments.every(segment => chunkText.includes(` ${segment} `))) {
+      return { status: 'verified', matched_fragment: id };
+    }
+  }
+
+  const passageGrams = trigrams(segments.join(' '));
+  if (passageGrams.length > 0) {
+    for (const id of order) {
+      const chunkGrams = new Set(trigrams(chunkTexts[id - 1]));
+      const found = passageGrams.filter(gram => chunkGrams.has(gram)).length;
+      if (found / passageGrams.length >= PARTIAL_MATCH_RATIO) {
+        return { status: 'partial', matched_fragment: id };
+      }
+    }
+  }
+
+  return { status: 'unverified', matched_fragment: null };
+}
+
+/**
+ * Statements of the answer outside quoted passages, headings and tables (rows
+ * restate values that the surrounding text cites). Markers written after the
+ * full stop ("... m. [1]") stay with their sentence.
+ */
+function extractStatements(answer: string): string[] {
+  const statements: string[] = [];
+
+  for (const rawLine of answer.split('\n')) {
+    if (/^\s*(>|#|\||:?-{3,})/.test(rawLine)) continue;
+
+    const line = rawLine
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+      .replace(/^\s*\*\*[^*]+\*\*\s*:?\s*/, '')
+      .replace(/([.!?])\s*((?:\[\d{1,2}\]\s*)+)/g, '$2$1 ');
+
+    // Only before a capital, so abbreviations ("pàg. 12", "art. 4") do not split
+    for (const sentence of line.split(/(?<=[.!?])\s+(?=[\p{Lu}«"“¿¡(])/u)) {
+      if (wordCount(sentence) >= MIN_STATEMENT_WORDS) statements.push(sentence);
+    }
+  }
+
+  return statements;
+}
+
+function downgrade(confidence: Confidence): Confidence {
+  return CONFIDENCE_LEVELS[Math.max(CONFIDENCE_LEVELS.indexOf(confidence) - 1, 0)];
+}
+
+/**
+ * Verify a generated answer against the chunks it was given
+ * (fragment n of the prompt is chunks[n - 1]).
+ * @returns The answer without markers to missing fragments, and the verification result
+ */
+export function verifyAnswer(answer: string, chunks: any[]): { answer: string; verification: AnswerVerification } {
+  const fragmentCount = chunks.length;
+
+  const removed = new Set<number>();
+  const cleanedAnswer = answer.replace(/\s*\[(\d{1,2})\]/g, (marker, id) => {
+    const fragment = Number(id);
+    if (fragment >= 1 && fragment <= fragmentCount) return marker;
+    removed.add(fragment);
+    return '';
+  });
+
+  const chunkTexts = chunks.map(chunk => normalizeText(chunk.content || ''));
+  const quotes: QuoteCheck[] = extractQuotedPassages(cleanedAnswer).map(passage => {
+    const fragments = citedFragments(passage.citations, fragmentCount);
+    return {
+      text: passage.text.replace(CITATION_REGEX, '').trim().substring(0, MAX_QUOTE_TEXT),
+      fragments,
+      ...checkPassage(passage.text, fragments, chunkTexts)
+    };
+  });
+
+  const statements = extractStatements(cleanedAnswer);
+  const citedStatements = statements.filter(statement => citedFragments(statement, fragmentCount).length > 0).length;
+  const coverage = statements.length > 0
+    ? citedStatements / statements.length
+    : quotes.length > 0 ? 1 : 0;
+
+  // Reranking may put a keyword-only hit (similarity 0) first
+  const retrievalSimilarity = fragmentCount > 0
+    ? Math.max(...chunks.map(chunk => chunk.similarity || 0))
+    : 0;
+
+  let confidence: Confidence = 'Low';
+  if (fragmentCount > 0) {
+    if (retrievalSimilarity > HIGH_SIMILARITY) confidence = 'High';
+    else if (retrievalSimilarity > MEDIUM_SIMILARITY) confidence = 'Medium';
+
+    if (coverage < PARTIAL_COVERAGE) confidence = 'Low';
+    else if (coverage < FULL_COVERAGE && confidence === 'High') confidence = 'Medium';
+
+    if (quotes.some(quote => quote.status === 'unverified')) confidence = downgrade(confidence);
+  }
+
+  return {
+    answer: cleanedAnswer,
+    verification: {
+      confidence,
+      retrieval_similarity: retrievalSimilarity,
+      citation_coverage: Math.round(coverage * 100) / 100,
+      statements: statements.length,
+      cited_statements: citedStatements,
+      quotes,
+      removed_citations: [...removed].sort((a, b) => a - b)
+    }
+  };
+}
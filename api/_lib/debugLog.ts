@@ -0,0 +1,12 @@
+// Debug logging for the ask pipeline.
+//
+// Per-request details (question excerpts, retrieval counts, models, cache
+// hits) are only written with ASK_DEBUG=true, so serverless logs do not
+// collect question text by default. Warnings and errors always go through
+// console.warn / console.error.
+
+const DEBUG = process.env.ASK_DEBUG === 'true';
+
+export function debugLog(...args: unknown[]): void {
+  if (DEBUG) console.log(...args);
+}
@@ -0,0 +1,323 @@
+// Table of contents of the indexed documents (see migration 040).
+//
+// Chunks only carry their text and page number, so the outline is derived
+// from heading lines in the chunk content: "Sección SUA 1 ...", "Capítulo 2",
+// "Artículo 12. ...", "Anejo A ..." and numbered headings such as
+// "4.1 Generalidades". Numbered headings restart in each section of a DB, so
+// they are kept under the last section, chapter or annex heading seen, and a
+// numbered line is only taken as a heading when its number follows the
+// previous one (this filters out list items and table rows).
+//
+// Each section covers the pages from its heading to the next heading at the
+// same or a higher level. Headings can start mid-page, so boundary pages
+// belong to both sections. The outline is cached in document_outlines and
+// rebuilt when the document is re-indexed.
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { debugLog } from './debugLog.js';
+
+export type OutlineSectionKind = 'section' | 'article' | 'annex';
+
+export interface OutlineSection {
+  /** Id of the section within its document, used in deep links ("sec-sua-1/2.1", "art-12", "annex-a") */
+  path: string;
+  kind: OutlineSectionKind;
+  /** Number as written in the document ("2.1", "12", "A") */
+  number: string;
+  /** Short label shown before the title ("Secció SUA 1", "Article 12", "2.1") */
+  label: string;
+  title: string;
+  /** 1 for top-level entries */
+  level: number;
+  /** Path of the enclosing section, null at the top level */
+  parent: string | null;
+  page_start: number;
+  page_end: number;
+}
+
+export interface ResolvedSectionScope {
+  document_id: string;
+  document_title: string;
+  section: OutlineSection;
+  /** Labels from the top-level section down to this one ("Secció SUA 1 › 2.1") */
+  trail: string;
+}
+
+// Bump when the heading detection changes, so cached outlines are rebuilt
+export const OUTLINE_PARSER_VERSION = 1;
+
+const MAX_HEADING_LENGTH = 160;
+const MAX_TITLE_LENGTH = 140;
+const MAX_TITLE_WORDS = 16;
+const MAX_SECTIONS = 2000;
+const CHUNK_PAGE_SIZE = 500;
+
+const CTE_CODES = 'SI|SUA|HE|HS|HR|SE|SE-AE|SE-C|SE-A|SE-F|SE-M';
+
+// Top-level headings: their own numbering, numbered headings restart under them
+const CONTAINER_PATTERNS: Array<{ prefix: string; label: string; pattern: RegExp }> = [
+  {
+    prefix: 'sec',
+    label: 'Secció',
+    pattern: new RegExp(`^(?:Secció|Seccio|Sección|Seccion|Section|SECCIÓN|SECCIÓ)\\s+(?:(${CTE_CODES})\\s*-?\\s*)?(\\d{1,2})(?![\\d.])\\s*[.:\\-–]?\\s*(.*)$`, 'u')
+  },
+  {
+    prefix: 'cap',
+    label: 'Capítol',
+    pattern: /^(?:Capítol|Capitol|Capítulo|Capitulo|Chapter|CAPÍTOL|CAPÍTULO)\s+()([IVXLC]+|\d{1,2})(?![\p{L}\d.])\s*[.:\-–]?\s*(.*)$/u
+  },
+  {
+    prefix: 'annex',
+    label: 'Annex',
+    pattern: /^(?:Annex|Anejo|Anexo|Appendix|ANNEX|ANEJO|ANEXO)\s+()([A-Z]|[IVX]+|\d{1,2})(?![\p{L}\d])\s*[.:\-–]?\s*(.*)$/u
+  }
+];
+
+const ARTICLE_PATTERN = /^(?:Article|Artículo|Articulo|Art\.|ARTICLE|ARTÍCULO)\s*(\d{1,3}(?:\.\d{1,2})*)(?![\d])\s*(?:bis|ter)?\s*[.:\-–º°]?\s*(.*)$/u;
+const NUMBERED_PATTERN = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(\p{Lu}.*)$/u;
+
+interface HeadingCandidate {
+  kind: OutlineSectionKind | 'container';
+  prefix?: string;
+  label: string;
+  number: string;
+  title: string;
+  page: number;
+}
+
+/**
+ * Whether a heading title looks like a title rather than a sentence
+ */
+function isTitleLike(title: string): boolean {
+  return title.length <= MAX_TITLE_LENGTH
+    && title.split(/\s+/).length <= MAX_TITLE_WORDS
+    && !/[.;,:]$/.test(title);
+}
+
+/**
+ * Heading candidates in the text of a chunk, in order
+ */
+export function extractHeadings(content: string, page: number): HeadingCandidate[] {
+  const headings: HeadingCandidate[] = [];
+
+  for (const rawLine of (content || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line || line.length > MAX_HEADING_LENGTH) continue;
+
+    const container = CONTAINER_PATTERNS
+      .map(({ prefix, label, pattern }) => ({ prefix, label, match: line.match(pattern) }))
+      .find(({ match }) => match);
+    if (container?.match) {
+      const [, code, number, title = ''] = container.match;
+      if (title && !isTitleLike(title)) continue;
+      headings.push({
+        kind: 'container',
+        prefix: container.prefix,
+        label: `${container.label} ${code ? `${code.toUpperCase()} ` : ''}${number}`,
+        number: code ? `${code.toUpperCase()} ${number}` : number,
+        title,
+        page
+      });
+      continue;
+    }
+
+    const article = line.match(ARTICLE_PATTERN);
+    if (article) {
+      const [, number, title = ''] = article;
+      // "Article 12 del Reglament..." in running text: title starts in lower case
+      if (title && (!/^\p{Lu}/u.test(title) || title.length > MAX_TITLE_LENGTH)) continue;
+      headings.push({ kind: 'article', label: `Article ${number}`, number, title: title.replace(/\.$/, ''), page });
+      continue;
+    }
+
+    const numbered = line.match(NUMBERED_PATTERN);
+    if (numbered && isTitleLike(numbered[2])) {
+      headings.push({ kind: 'section', label: numbered[1], number: numbered[1], title: numbered[2], page });
+    }
+  }
+
+  return headings;
+}
+
+/**
+ * Whether a heading number can follow the previous one in the same
+ * container: a first child (4 → 4.1), the next sibling (4.1 → 4.2) or the
+ * next entry of an ancestor (4.2.3 → 5), possibly through skipped first
+ * children (1.3 → 2.1).
+ */
+function followsNumber(previous: number[] | null, next: number[]): boolean {
+  if (!previous) return next.every(part => part <= 1);
+
+  for (let depth = 1; depth <= next.length; depth++) {
+    const head = next.slice(0, depth);
+    const rest = next.slice(depth);
+    if (!rest.every(part => part === 1)) continue;
+
+    const samePrefix = head.slice(0, -1).every((part, i) => part === previous[i]);
+    if (depth === previous.length && rest.length > 0 && samePrefix && head[depth - 1] === previous[depth - 1]) return true;
+    if (depth <= previous.length && samePrefix && head[depth - 1] === previous[depth - 1] + 1) return true;
+  }
+  return false;
+}
+
+/**
+ * Build the outline of a document from its chunks
+ * @param chunks - { content, page_number }, in page order
+ */
+export function buildOutline(chunks: Array<{ content: string | null; page_number: number | null }>): OutlineSection[] {
+  const sections: OutlineSection[] = [];
+  const seen = new Set<string>();
+  const stack: OutlineSection[] = [];
+  let container: OutlineSection | null = null;
+  let previousNumber: number[] | null = null;
+  let lastPage = 1;
+
+  const add = (section: Omit<OutlineSection, 'parent' | 'page_end'>) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= section.level) stack.pop();
+    const entry: OutlineSection = { ...section, parent: stack[stack.length - 1]?.path ?? null, page_end: section.page_start };
+    sections.push(entry);
+    stack.push(entry);
+    seen.add(entry.path);
+    return entry;
+  };
+
+  for (const chunk of chunks) {
+    const page = chunk.page_number || lastPage;
+    lastPage = Math.max(lastPage, page);
+
+    for (const heading of extractHeadings(chunk.content || '', page)) {
+      if (sections.length >= MAX_SECTIONS) break;
+
+      if (heading.kind === 'container') {
+        const path = `${heading.prefix}-${heading.number.toLowerCase().replace(/\s+/g, '-')}`;
+        if (seen.has(path)) continue;
+        container = add({ path, kind: heading.prefix === 'annex' ? 'annex' : 'section', number: heading.number, label: heading.label, title: heading.title, level: 1, page_start: page });
+        previousNumber = null;
+        continue;
+      }
+
+      const base = container ? 1 : 0;
+
+      if (heading.kind === 'article') {
+        const path = `art-${heading.number}`;
+        if (seen.has(path)) continue;
+        add({ path, kind: 'article', number: heading.number, label: heading.label, title: heading.title, level: base + 1, page_start: page });
+        continue;
+      }
+
+      const path = container ? `${container.path}/${heading.number}` : heading.number;
+      if (seen.has(path)) continue;
+      const parts = heading.number.split('.').map(Number);
+      if (!followsNumber(previousNumber, parts)) continue;
+      previousNumber = parts;
+      add({ path, kind: 'section', number: heading.number, label: heading.label, title: heading.title, level: base + parts.length, page_start: page });
+    }
+  }
+
+  // A section ends where the next one at the same or a higher level starts
+  sections.forEach((section, i) => {
+    const next = sections.slice(i + 1).find(other => other.level <= section.level);
+    section.page_end = Math.max(section.page_start, next ? next.page_start : lastPage);
+  });
+
+  return sections;
+}
+
+/**
+ * Find a section of an outline by its path
+ */
+export function findOutlineSection(sections: OutlineSection[], path: string): OutlineSection | null {
+  return sections.find(section => section.path === path) ?? null;
+}
+
+/**
+ * Read every chunk of a document, in page order
+ */
+async function loadDocumentChunks(client: SupabaseClient, documentId: string) {
+  const chunks: Array<{ content: string | null; page_number: number | null }> = [];
+  for (let from = 0; ; from += CHUNK_PAGE_SIZE) {
+    const { data, error } = await client
+      .from('document_chunks')
+      .select('content, page_number')
+      .eq('document_id', documentId)
+      .order('page_number', { ascending: true })
+      .range(from, from + CHUNK_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    chunks.push(...(data || []));
+    if (!data || data.length < CHUNK_PAGE_SIZE) return chunks;
+  }
+}
+
+/**
+ * Outline of a document, from document_outlines when it is up to date,
+ * otherwise rebuilt from the chunks and stored
+ */
+export async function loadDocumentOutline(client: SupabaseClient, documentId: string): Promise<OutlineSection[]> {
+  const [{ data: cached, error: cacheError }, { count, error: countError }] = await Promise.all([
+    client
+      .from('document_outlines')
+      .select('sections, chunk_count, parser_version')
+      .eq('document_id', documentId)
+      .maybeSingle(),
+    client
+      .from('document_chunks')
+      .select('id', { count: 'exact', head: true })
+      .eq('document_id', documentId)
+  ]);
+
+  if (countError) throw countError;
+  if (cacheError) {
+    console.error('[OUTLINE] Could not read the cached outline (rebuilding):', cacheError.message);
+  }
+  if (cached && cached.chunk_count === count && cached.parser_version === OUTLINE_PARSER_VERSION) {
+    return cached.sections as OutlineSection[];
+  }
+
+  const sections = buildOutline(await loadDocumentChunks(client, documentId));
+  const { error: storeError } = await client
+    .from('document_outlines')
+    .upsert({
+      document_id: documentId,
+      sections,
+      chunk_count: count ?? 0,
+      parser_version: OUTLINE_PARSER_VERSION,
+      built_at: new Date().toISOString()
+    }, { onConflict: 'document_id' });
+
+  // The outline is still usable; it is rebuilt on the next read
+  if (storeError) {
+    console.error('[OUTLINE] Could not cache the outline:', storeError.message);
+  }
+  debugLog(`[OUTLINE] Built outline of document ${documentId}: ${sections.length} sections`);
+  return sections;
+}
+
+/**
+ * Resolve the section a question is scoped to
+ * @returns The document and section, or null when either does not exist
+ */
+export async function resolveSectionScope(
+  client: SupabaseClient,
+  documentId: string,
+  path: string
+): Promise<ResolvedSectionScope | null> {
+  const { data: document, error } = await client
+    .from('documents')
+    .select('id, title')
+    .eq('id', documentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!document) return null;
+
+  const sections = await loadDocumentOutline(client, documentId);
+  const section = findOutlineSection(sections, path);
+  if (!section) return null;
+
+  const labels: string[] = [];
+  for (let current: OutlineSection | null = section; current; current = current.parent ? findOutlineSection(sections, current.parent) : null) {
+    labels.unshift(current.label);
+  }
+  return { document_id: document.id, document_title: document.title || 'Document', section, trail: labels.join(' › ') };
+}
@@ -0,0 +1,159 @@
+// Document validity for the ask pipeline (see migration 036).
+//
+// Documents carry an effective period and may supersede an older version.
+// Chunks from documents that are not in force at the reference date (today,
+// or the as_of_date of the question) are demoted in the ranking rather than
+// dropped, so a derogated text can still answer a question nothing in force
+// covers, and they are labelled for the prompt and the quotes.
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { debugLog } from './debugLog.js';
+
+export type ValidityStatus = 'in_force' | 'derogated' | 'not_yet_in_force';
+
+export interface DocumentValidity {
+  status: ValidityStatus;
+  /** Reference date the status applies to */
+  as_of: string;
+  effective_from: string | null;
+  /** First day the document no longer applies, its own or its replacement's start */
+  effective_to: string | null;
+  /** Title of the newer version that replaces the document at the reference date */
+  superseded_by: string | null;
+  /** Next date after the reference date on which the status changes */
+  next_change: string | null;
+}
+
+interface DocumentRow {
+  id: string;
+  title: string | null;
+  effective_from: string | null;
+  effective_to: string | null;
+  supersedes_document_id: string | null;
+}
+
+const DOCUMENT_COLUMNS = 'id, title, effective_from, effective_to, supersedes_document_id';
+// Rerank score multiplier for chunks of documents not in force: below any
+// chunk in force unless it matched an identifier of the question
+const OUT_OF_FORCE_PENALTY = 0.5;
+
+/**
+ * Whether a value is a calendar date written as YYYY-MM-DD
+ */
+export function isValidDate(value: unknown): value is string {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Today's date (UTC) as YYYY-MM-DD
+ */
+export function todayDate(): string {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Validity of a document at a date, given the documents that supersede it.
+ * Dates are compared as YYYY-MM-DD strings.
+ */
+export function getDocumentValidity(document: DocumentRow, successors: DocumentRow[], asOf: string): DocumentValidity {
+  let effectiveTo = document.effective_to;
+  let supersededBy: DocumentRow | null = null;
+  const changes = [document.effective_from, document.effective_to];
+
+  for (const successor of successors) {
+    changes.push(successor.effective_from);
+    if (successor.effective_from && successor.effective_from > asOf) continue;
+    supersededBy = successor;
+    if (successor.effective_from && (!effectiveTo || successor.effective_from < effectiveTo)) {
+      effectiveTo = successor.effective_from;
+    }
+  }
+
+  let status: ValidityStatus = 'in_force';
+  if (document.effective_from && asOf < document.effective_from) {
+    status = 'not_yet_in_force';
+  } else if (supersededBy || (effectiveTo && asOf >= effectiveTo)) {
+    status = 'derogated';
+  }
+
+  const upcoming = changes.filter((date): date is string => Boolean(date) && date! > asOf).sort();
+
+  return {
+    status,
+    as_of: asOf,
+    effective_from: document.effective_from,
+    effective_to: effectiveTo,
+    superseded_by: status === 'derogated' ? supersededBy?.title || null : null,
+    next_change: upcoming[0] ?? null
+  };
+}
+
+/**
+ * Label of a chunk that is not in force, for the prompt context
+ * (null for chunks in force or without validity information)
+ */
+export function describeValidity(validity: DocumentValidity | undefined): string | null {
+  if (!validity || validity.status === 'in_force') return null;
+  if (validity.status === 'not_yet_in_force') {
+    return `NO VIGENT a ${validity.as_of}: vigent des del ${validity.effective_from}`;
+  }
+  const since = validity.effective_to ? ` el ${validity.effective_to}` : '';
+  const replacement = validity.superseded_by ? `, substituït per "${validity.superseded_by}"` : '';
+  return `DEROGAT a ${validity.as_of}: derogat${since}${replacement}`;
+}
+
+/**
+ * Annotate ranked chunks with the validity of their document at `asOf`
+ * (`chunk.validity`) and demote those not in force.
+ * Lookup failures are logged and leave the ranking unchanged.
+ */
+export async function applyDocumentValidity(
+  client: SupabaseClient | null,
+  chunks: any[],
+  asOf: string
+): Promise<any[]> {
+  const documentIds = [...new Set(chunks.map(chunk => chunk.document_id).filter(Boolean))] as string[];
+  if (!client || documentIds.length === 0) return chunks;
+
+  let rows: DocumentRow[];
+  try {
+    const idList = documentIds.join(',');
+    const { data, error } = await client
+      .from('documents')
+      .select(DOCUMENT_COLUMNS)
+      .or(`id.in.(${idList}),supersedes_document_id.in.(${idList})`);
+
+    if (error) throw error;
+    rows = (data || []) as DocumentRow[];
+  } catch (error: any) {
+    console.error('[SEARCH] Document validity lookup failed (ranking unchanged):', error.message || error);
+    return chunks;
+  }
+
+  const validityById = new Map<string, DocumentValidity>();
+  for (const row of rows) {
+    if (!documentIds.includes(row.id)) continue;
+    const successors = rows.filter(other => other.supersedes_document_id === row.id);
+    validityById.set(row.id, getDocumentValidity(row, successors, asOf));
+  }
+
+  const annotated = chunks.map(chunk => {
+    const validity = validityById.get(chunk.document_id);
+    if (!validity) return chunk;
+    const inForce = validity.status === 'in_force';
+    return {
+      ...chunk,
+      validity,
+      rerank_score: (chunk.rerank_score || 0) * (inForce ? 1 : OUT_OF_FORCE_PENALTY)
+    };
+  });
+
+  const demoted = annotated.filter(chunk => chunk.validity && chunk.validity.status !== 'in_force').length;
+  if (demoted > 0) {
+    debugLog(`[SEARCH] ${demoted} chunks from documents not in force at ${asOf} demoted`);
+  }
+
+  return annotated.sort((a, b) => (b.rerank_score || 0) - (a.rerank_score || 0));
+}
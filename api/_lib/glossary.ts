@@ -0,0 +1,109 @@
+// Glossary query expansion for the ask pipeline (see migration 037).
+//
+// Architects write abbreviations ("DB-SI", "SUA-1", "PEU", "ITE") and
+// colloquial Catalan or Spanish words ("barandilla") that the documents spell
+// out differently. The glossary terms found in a question are expanded with
+// their definition and synonyms before embedding and keyword search.
+//
+// The glossary is read with the service role and kept in memory for a few
+// minutes. Lookup failures are logged and leave the question unexpanded.
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+export interface GlossaryTerm {
+  term: string;
+  definition: string;
+  synonyms: string[];
+  case_sensitive: boolean;
+}
+
+export interface QueryExpansion {
+  /** Question followed by the expansions (the question alone when nothing matched) */
+  text: string;
+  /** Glossary terms found in the question */
+  terms: string[];
+}
+
+const GLOSSARY_TTL_MS = 5 * 60 * 1000;
+// More expansions than this drown the question in the embedding
+const MAX_EXPANDED_TERMS = 6;
+
+let glossaryCache: { terms: GlossaryTerm[]; loadedAt: number } | null = null;
+
+/**
+ * Lower-case text without accents, for accent-insensitive matching
+ */
+function foldText(text: string): string {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for one glossary form: whole words only, hyphens and spaces optional
+ * ("SUA-1" matches "SUA 1" and "SUA1")
+ */
+function formPattern(form: string, caseSensitive: boolean): RegExp {
+  const source = (caseSensitive ? form : foldText(form))
+    .trim()
+    .split(/[-\s]+/)
+    .map(escapeRegExp)
+    .join('[-\\s]?');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'u');
+}
+
+/**
+ * Active glossary terms, from memory when loaded recently
+ */
+export async function loadGlossary(client: SupabaseClient | null): Promise<GlossaryTerm[]> {
+  if (!client) return [];
+  if (glossaryCache && Date.now() - glossaryCache.loadedAt < GLOSSARY_TTL_MS) {
+    return glossaryCache.terms;
+  }
+
+  try {
+    const { data, error } = await client
+      .from('glossary_terms')
+      .select('term, definition, synonyms, case_sensitive')
+      .eq('active', true);
+
+    if (error) throw error;
+    glossaryCache = { terms: (data || []) as GlossaryTerm[], loadedAt: Date.now() };
+    return glossaryCache.terms;
+  } catch (error: any) {
+    console.error('[GLOSSARY] Could not load the glossary (queries not expanded):', error.message || error);
+    return glossaryCache?.terms || [];
+  }
+}
+
+/**
+ * Expand the glossary terms found in a question with their definition and
+ * synonyms. Forms already present in the question are not repeated.
+ */
+export function expandQuery(question: string, glossary: GlossaryTerm[]): QueryExpansion {
+  const folded = foldText(question);
+  const terms: string[] = [];
+  const additions: string[] = [];
+
+  for (const entry of glossary) {
+    if (terms.length >= MAX_EXPANDED_TERMS) break;
+
+    const forms = [entry.term, ...(entry.synonyms || [])];
+    const matches = forms.some(form => formPattern(form, entry.case_sensitive).test(entry.case_sensitive ? question : folded));
+    if (!matches) continue;
+
+    terms.push(entry.term);
+    for (const form of [entry.definition, ...forms]) {
+      const alreadyPresent = formPattern(form, false).test(folded)
+        || additions.some(addition => foldText(addition) === foldText(form));
+      if (!alreadyPresent) additions.push(form);
+    }
+  }
+
+  return {
+    text: additions.length > 0 ? `${question}\n(${additions.join('; ')})` : question,
+    terms
+  };
+}
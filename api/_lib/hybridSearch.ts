@@ -0,0 +1,152 @@
+// Hybrid retrieval helpers for the ask pipeline.
+//
+// Vector search alone misses exact lookups such as "DB-SI 3 taula 4.1" or
+// "article 12.3": the embedding of a short identifier says little about the
+// chunk that contains it. These helpers detect section/article identifiers in
+// the question, build the full-text query for search_document_chunks_text and
+// merge both result lists with reciprocal rank fusion plus an identifier boost.
+
+export interface SectionIdentifier {
+  kind: 'document' | 'article' | 'table' | 'section' | 'annex';
+  label: string;
+  /** Matches the identifier in chunk content, in any of the corpus languages */
+  pattern: RegExp;
+}
+
+// Reciprocal rank fusion constant (standard value from the RRF paper)
+const RRF_K = 60;
+// Added per identifier found in a chunk — large enough to outrank pure RRF
+const IDENTIFIER_BOOST = 0.05;
+
+const CTE_DOCUMENTS = 'SI|SUA|HE|HS|HR|SE|SE-AE|SE-C|SE-A|SE-F|SE-M';
+
+const STOPWORDS = new Set([
+  // ca
+  'que', 'els', 'les', 'per', 'amb', 'una', 'uns', 'unes', 'del', 'dels', 'com', 'quin', 'quina', 'quins', 'quines',
+  'són', 'son', 'hi', 'ha', 'cal', 'pel', 'pels', 'sobre', 'segons', 'han', 'has', 'seu', 'seva', 'aquest', 'aquesta',
+  // es
+  'los', 'las', 'con', 'por', 'para', 'uno', 'unos', 'cual', 'cuál', 'qué', 'cómo', 'como', 'hay', 'según', 'este', 'esta',
+  // en
+  'the', 'and', 'for', 'what', 'which', 'how', 'does', 'are', 'with', 'from', 'this', 'that'
+]);
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Detect CTE document codes, articles, tables, sections and annexes in a question
+ */
+export function detectSectionIdentifiers(question: string): SectionIdentifier[] {
+  const found = new Map<string, SectionIdentifier>();
+  const add = (identifier: SectionIdentifier) => {
+    if (!found.has(identifier.label)) found.set(identifier.label, identifier);
+  };
+
+  // "DB-SI 3", "DB SUA-1", "DB-HE" (any case)
+  for (const match of question.matchAll(new RegExp(`\\bDB[-\\s]?(${CTE_DOCUMENTS})(?:\\s*-?\\s*(\\d{1,2}))?\\b`, 'gi'))) {
+    const code = match[1].toUpperCase();
+    add({ kind: 'document', label: `DB-${code}`, pattern: new RegExp(`\\bDB[-\\s]?${escapeRegExp(code)}\\b`, 'i') });
+    if (match[2]) {
+      add({ kind: 'section', label: `${code} ${match[2]}`, pattern: new RegExp(`\\b${escapeRegExp(code)}\\s*-?\\s*${match[2]}\\b`, 'i') });
+    }
+  }
+
+  // Bare codes must be upper case ("SUA-1", "HE0"): "si" is also a common word
+  for (const match of question.matchAll(new RegExp(`\\b(${CTE_DOCUMENTS})\\s*-?\\s*(\\d{1,2})\\b`, 'g'))) {
+    add({ kind: 'section', label: `${match[1]} ${match[2]}`, pattern: new RegExp(`\\b${escapeRegExp(match[1])}\\s*-?\\s*${match[2]}\\b`, 'i') });
+  }
+
+  const numbered: Array<{ kind: SectionIdentifier['kind']; words: string }> = [
+    { kind: 'article', words: 'article|artículo|articulo|art\\.' },
+    { kind: 'table', words: 'taula|tabla|table' },
+    { kind: 'section', words: 'secció|seccio|sección|seccion|section|apartat|apartado|§' },
+    { kind: 'annex', words: 'annex|anejo|anexo' }
+  ];
+
+  for (const { kind, words } of numbered) {
+    const number = kind === 'annex' ? '([A-Z]|\\d+)(?![\\p{L}\\d])' : '(\\d+(?:\\.\\d+)*(?:\\.?[a-z](?!\\p{L}))?)(?!\\d)';
+    for (const match of question.matchAll(new RegExp(`(?:^|[^\\p{L}])(?:${words})\\s*${number}`, 'giu'))) {
+      const value = match[1];
+      add({
+        kind,
+        label: `${kind} ${value}`,
+        pattern: new RegExp(`(?:${words})\\s*${escapeRegExp(value)}(?![\\d])`, 'iu')
+      });
+    }
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Build an OR tsquery ('simple' configuration) from the question terms and
+ * identifier numbers. Only safe lexeme characters are kept.
+ */
+export function buildKeywordQuery(question: string, identifiers: SectionIdentifier[]): string | null {
+  const terms = new Set<string>();
+
+  for (const raw of question.toLowerCase().split(/[^\p{L}\p{N}.]+/u)) {
+    const term = raw.replace(/^\.+|\.+$/g, '');
+    if (term.length < 3) continue;
+    if (STOPWORDS.has(term)) continue;
+    terms.add(term);
+  }
+
+  for (const identifier of identifiers) {
+    const number = identifier.label.split(' ').pop();
+    if (number && identifier.kind !== 'document') terms.add(number.toLowerCase());
+  }
+
+  const lexemes = [...terms]
+    .map(term => term.replace(/[^\p{L}\p{N}.]/gu, ''))
+    .filter(Boolean);
+
+  return lexemes.length > 0 ? lexemes.join(' | ') : null;
+}
+
+function chunkKey(chunk: any): string {
+  return String(chunk.id ?? `${chunk.document_title}:${chunk.page_number}:${(chunk.content || '').slice(0, 50)}`);
+}
+
+/**
+ * Merge vector and keyword results with reciprocal rank fusion, boost chunks
+ * that contain the identifiers asked about, and keep the best `limit`.
+ * Each chunk gets `rerank_score` and `matched_identifiers`; `similarity` is
+ * kept from the vector search (0 for keyword-only hits).
+ */
+export function rerankChunks(
+  vectorChunks: any[],
+  keywordChunks: any[],
+  identifiers: SectionIdentifier[],
+  limit: number
+): any[] {
+  const merged = new Map<string, any>();
+
+  vectorChunks.forEach((chunk, rank) => {
+    merged.set(chunkKey(chunk), { ...chunk, rerank_score: 1 / (RRF_K + rank + 1) });
+  });
+
+  keywordChunks.forEach((chunk, rank) => {
+    const key = chunkKey(chunk);
+    const existing = merged.get(key);
+    const score = 1 / (RRF_K + rank + 1);
+    if (existing) {
+      existing.rerank_score += score;
+    } else {
+      merged.set(key, { ...chunk, similarity: chunk.similarity || 0, rerank_score: score });
+    }
+  });
+
+  for (const chunk of merged.values()) {
+    const content = chunk.content || '';
+    chunk.matched_identifiers = identifiers
+      .filter(identifier => identifier.pattern.test(content) || identifier.pattern.test(chunk.document_title || ''))
+      .map(identifier => identifier.label);
+    chunk.rerank_score += chunk.matched_identifiers.length * IDENTIFIER_BOOST;
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.rerank_score - a.rerank_score)
+    .slice(0, limit);
+}
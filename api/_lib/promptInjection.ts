@@ -0,0 +1,194 @@
+// Prompt-injection defences for retrieved chunks (see migration 038).
+//
+// Chunk text comes from documents, and since private documents any user on
+// the Pro (20 a month), Studio or Beta plan can put a PDF in the corpus. The
+// ask pipeline therefore treats chunk content as data:
+// - Each chunk is wrapped in a <document> block whose attributes are escaped,
+//   and the system prompt says text inside those blocks is never an instruction.
+// - Invisible characters are removed and fake <document> delimiters defused.
+// - Sentences that read like instructions to the model are replaced with a
+//   marker before the prompt is built.
+// Neutralised chunks are recorded for staff review, one row per chunk.
+
+import { createHash } from 'node:crypto';
+import type { SupabaseClient } from '@supabase/supabase-js';
+
+export type InjectionSignal =
+  | 'override_instructions'
+  | 'role_impersonation'
+  | 'prompt_exfiltration'
+  | 'answer_manipulation'
+  | 'link_injection'
+  | 'delimiter_spoofing'
+  | 'hidden_text';
+
+export interface InjectionFinding {
+  /** Fragment number in the prompt */
+  fragment: number;
+  /** Stable key of the chunk (its id when the RPC exposes it) */
+  chunk_key: string;
+  document_id: string | null;
+  document_title: string;
+  page_number: number | null;
+  signals: InjectionSignal[];
+  /** First neutralised sentence, as found in the document */
+  excerpt: string;
+}
+
+/** Replaces each neutralised sentence in the prompt (the system prompt explains it) */
+export const NEUTRALISED_MARKER = '[text omès: possible instrucció dins del document]';
+
+// Patterns run on accent-folded, lower-case sentences (Catalan, Spanish, English).
+// Regulations themselves talk about rules, omissions and what a solution must
+// answer to, so the patterns need the model to be addressed: "previous" or
+// "your" instructions, an imperative at the start of the sentence, sources.
+const SENTENCE_PATTERNS: Array<{ signal: InjectionSignal; pattern: RegExp }> = [
+  {
+    signal: 'override_instructions',
+    pattern: /\b(?:ignore|disregard|forget|override)\b.{0,30}\b(?:previous|prior|above|earlier|all|your|system)\b.{0,20}\b(?:instructions?|rules|prompts?|guidelines)\b|\b(?:ignore|disregard|forget|override)\b.{0,30}\b(?:instructions?|rules|prompts?|guidelines) (?:above|before)\b|\b(?:ignora|oblida|obvia|omet)\b.{0,30}\b(?:instruccions|normes|regles|indicacions)\b.{0,10}\b(?:anteriors|previes|precedents|del sistema)\b|\b(?:ignora|oblida|obvia|omet)\b (?:totes )?les teves (?:instruccions|normes|regles|indicacions)\b|\b(?:ignora|olvida|omite)\b.{0,30}\b(?:instrucciones|reglas|indicaciones)\b.{0,10}\b(?:anteriores|previas|precedentes|del sistema)\b|\b(?:ignora|olvida|omite)\b (?:todas )?tus (?:instrucciones|reglas|indicaciones)\b|\bhaz caso omiso\b/
+  },
+  {
+    signal: 'role_impersonation',
+    pattern: /^\s*(?:#+\s*)?(?:system|assistant|developer|assistent|asistente)\s*:|\[\/?inst\]|<\|im_(?:start|end)\|>|<\/?(?:system|assistant|instructions?)>|\byou are now\b|\bara ets\b|\bahora eres\b|\b(?:act|behave) as (?:an? )?(?:ai|assistant|chatbot)\b/
+  },
+  {
+    signal: 'prompt_exfiltration',
+    pattern: /\bsystem prompt\b|\b(?:reveal|print|repeat|show)\b.{0,30}\b(?:your|the) (?:instructions|prompt)\b|\b(?:prompt|instruccions|instrucciones) del sistema\b/
+  },
+  {
+    signal: 'answer_manipulation',
+    pattern: /\b(?:the|this) (?:ai|assistant|chatbot|language model)\b.{0,40}\b(?:must|should|will|has to)\b|\b(?:l'assistent|la ia)\b.{0,40}\b(?:ha de|haura de|hauria de)\b|\b(?:el asistente|la ia)\b.{0,40}\b(?:debe|debera|tiene que)\b|(?:^\s*|\byou (?:must|should) )(?:always|only) (?:answer|respond|reply)\b|^\s*(?:respon|contesta) (?:sempre|nomes)\b|^\s*(?:responde|contesta) (?:siempre|solo|solamente)\b|\b(?:do not|don't|never) cite\b|\bno (?:citis|cites)\b.{0,20}\b(?:fonts?|documents?|fragments?|pagines|referencies|fuentes|documentos?|fragmentos?|paginas|referencias)\b/
+  },
+  {
+    signal: 'link_injection',
+    pattern: /!\[[^\]]*\]\(\s*https?:|\[[^\]]+\]\(\s*(?:https?|javascript|data):/
+  }
+];
+
+// Zero-width, bidirectional control and BOM characters hide text from readers of the PDF
+const INVISIBLE_CHARACTERS = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+// Unicode tag characters spell out ASCII that only the model "sees"
+const TAG_CHARACTERS = /[\u{E0000}-\u{E007F}]/gu;
+const DOCUMENT_DELIMITER = /<\s*\/?\s*document\b/gi;
+
+function foldText(text: string): string {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Lines, then sentences within each line, keeping the separators so the
+ * content can be put back together unchanged
+ */
+function splitSentences(text: string): string[] {
+  return text.split(/(?<=[.!?;]\s+|\n)/);
+}
+
+/**
+ * Escape a value for an attribute of the <document> block
+ */
+export function escapePromptAttribute(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Remove hidden text, defuse fake delimiters and replace instruction-like
+ * sentences with NEUTRALISED_MARKER
+ */
+export function neutraliseChunkContent(content: string): { content: string; signals: InjectionSignal[]; excerpt: string } {
+  const signals = new Set<InjectionSignal>();
+  let excerpt = '';
+
+  let cleaned = content.replace(TAG_CHARACTERS, '');
+  if (cleaned.length !== content.length) signals.add('hidden_text');
+  cleaned = cleaned.replace(INVISIBLE_CHARACTERS, '');
+
+  cleaned = cleaned.replace(DOCUMENT_DELIMITER, match => {
+    signals.add('delimiter_spoofing');
+    return match.replace('<', '\u2039');
+  });
+
+  const sentences = splitSentences(cleaned).map(sentence => {
+    const folded = foldText(sentence);
+    const matched = SENTENCE_PATTERNS.filter(({ pattern }) => pattern.test(folded));
+    if (matched.length === 0) return sentence;
+
+    matched.forEach(({ signal }) => signals.add(signal));
+    if (!excerpt) excerpt = sentence.trim().substring(0, 300);
+    const trailing = sentence.match(/\s*$/)?.[0] ?? '';
+    return `${NEUTRALISED_MARKER}${trailing}`;
+  });
+
+  return { content: sentences.join(''), signals: [...signals], excerpt };
+}
+
+function getChunkKey(chunk: any): string {
+  if (chunk.id !== undefined && chunk.id !== null) return String(chunk.id);
+  return createHash('sha256')
+    .update(`${chunk.document_title || ''}\n${chunk.page_number ?? ''}\n${chunk.content || ''}`)
+    .digest('hex')
+    .substring(0, 32);
+}
+
+/**
+ * Neutralise every retrieved chunk. Chunks keep their position (fragment
+ * numbers are unchanged); flagged ones carry `injection_signals`.
+ */
+export function neutraliseChunks(chunks: any[]): { chunks: any[]; findings: InjectionFinding[] } {
+  const findings: InjectionFinding[] = [];
+
+  const neutralised = chunks.map((chunk, i) => {
+    const result = neutraliseChunkContent(chunk.content || '');
+    if (result.signals.length === 0) {
+      return result.content === (chunk.content || '') ? chunk : { ...chunk, content: result.content };
+    }
+
+    findings.push({
+      fragment: i + 1,
+      chunk_key: getChunkKey(chunk),
+      document_id: chunk.document_id ?? null,
+      document_title: chunk.document_title || 'Document',
+      page_number: chunk.page_number ?? null,
+      signals: result.signals,
+      excerpt: result.excerpt || (chunk.content || '').substring(0, 300)
+    });
+    return { ...chunk, content: result.content, injection_signals: result.signals };
+  });
+
+  return { chunks: neutralised, findings };
+}
+
+/**
+ * Record neutralised chunks for staff review. Failures are logged and never
+ * fail the question.
+ */
+export async function recordInjectionFindings(
+  client: SupabaseClient | null,
+  findings: InjectionFinding[],
+  { userId, question }: { userId: string | null; question: string }
+): Promise<void> {
+  if (!client || findings.length === 0) return;
+
+  console.warn('[INJECTION] Neutralised instruction-like text in fragments:',
+    findings.map(finding => `${finding.fragment} (${finding.signals.join(', ')})`));
+
+  const results = await Promise.all(findings.map(finding => client.rpc('record_prompt_injection_event', {
+    p_chunk_key: finding.chunk_key,
+    p_document_id: finding.document_id,
+    p_document_title: finding.document_title,
+    p_page_number: finding.page_number,
+    p_signals: finding.signals,
+    p_excerpt: finding.excerpt,
+    p_user_id: userId,
+    p_question: question.substring(0, 500)
+  })));
+
+  for (const { error } of results) {
+    if (error) console.error('[INJECTION] Failed to record event:', error.message);
+  }
+}
@@ -0,0 +1,441 @@
+// Provider layer for the ask pipeline.
+//
+// Embeddings and LLM completions go through small provider interfaces so the
+// model (and vendor) can change per environment or subscription tier, and so
+// the whole /api/ask flow can run offline with the deterministic fake
+// providers (ASK_PROVIDER=fake) — no Voyage, Anthropic or Supabase keys needed.
+
+import { resolveTierId } from '../../src/config/subscriptionTiers.js';
+import { debugLog } from './debugLog.js';
+
+// Environment variables
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const VOYAGE_API_KEY = process.env.VOYAGE_API_KEY;
+const ASK_PROVIDER = process.env.ASK_PROVIDER || '';
+const LLM_PROVIDER = process.env.ASK_LLM_PROVIDER || ASK_PROVIDER || 'anthropic';
+const EMBEDDING_PROVIDER = process.env.ASK_EMBEDDING_PROVIDER || ASK_PROVIDER || 'voyage';
+const VOYAGE_EMBEDDING_MODEL = process.env.ASK_EMBEDDING_MODEL || 'voyage-law-2';
+
+// Types
+export interface ChatTurn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+export interface ModelSettings {
+  model: string;
+  temperature: number;
+  maxTokens: number;
+}
+
+export interface CompletionRequest {
+  system: string;
+  messages: ChatTurn[];
+  settings: ModelSettings;
+  signal?: AbortSignal;
+}
+
+export interface EmbeddingProvider {
+  name: string;
+  /** Embedding model id — vectors from different models are not comparable */
+  model: string;
+  embed(text: string): Promise<number[]>;
+}
+
+export interface LLMProvider {
+  name: string;
+  complete(request: CompletionRequest): Promise<string>;
+  /** Streams text fragments through onDelta and resolves with the full text (partial if aborted) */
+  stream(request: CompletionRequest, onDelta: (text: string) => void): Promise<string>;
+}
+
+// Model settings per subscription tier (ids from src/config/subscriptionTiers.js;
+// legacy levels are resolved first). Unknown tiers use `default`.
+// Override with ASK_TIER_MODEL_SETTINGS, e.g.
+//   {"studio":{"model":"claude-3-5-sonnet-latest","maxTokens":4096}}
+const DEFAULT_MODEL = process.env.ASK_LLM_MODEL || 'claude-3-haiku-20240307';
+
+const TIER_MODEL_SETTINGS: Record<string, Partial<ModelSettings>> = {
+  default: { model: DEFAULT_MODEL, temperature: 0.3, maxTokens: 2048 },
+  anonymous: { maxTokens: 1024 },
+  free: { maxTokens: 1536 },
+  basic: { maxTokens: 2048 },
+  pro: { maxTokens: 2048 },
+  studio: { maxTokens: 4096 },
+  beta: { maxTokens: 4096 }
+};
+
+function parseTierOverrides(): Record<string, Partial<ModelSettings>> {
+  if (!process.env.ASK_TIER_MODEL_SETTINGS) return {};
+  try {
+    return JSON.parse(process.env.ASK_TIER_MODEL_SETTINGS);
+  } catch (error) {
+    console.error('[PROVIDERS] Invalid ASK_TIER_MODEL_SETTINGS, ignoring:', error);
+    return {};
+  }
+}
+
+const TIER_OVERRIDES = parseTierOverrides();
+
+/**
+ * Resolve model, temperature and max tokens for a subscription tier
+ */
+export function getModelSettings(level: string): ModelSettings {
+  const tier = resolveTierId(level);
+  return {
+    ...TIER_MODEL_SETTINGS.default,
+    ...TIER_OVERRIDES.default,
+    ...TIER_MODEL_SETTINGS[tier],
+    ...TIER_OVERRIDES[tier]
+  } as ModelSettings;
+}
+
+/**
+ * Voyage AI embeddings (voyage-law-2 by default)
+ */
+const voyageEmbeddingProvider: EmbeddingProvider = {
+  name: 'voyage',
+  model: VOYAGE_EMBEDDING_MODEL,
+  async embed(text) {
+    if (!VOYAGE_API_KEY) {
+      throw new Error('VOYAGE_API_KEY not configured');
+    }
+
+    debugLog('[VOYAGE] Generating embedding for question');
+
+    const response = await fetch('https://api.voyageai.com/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${VOYAGE_API_KEY}`
+      },
+      body: JSON.stringify({
+        input: [text],
+        model: VOYAGE_EMBEDDING_MODEL,
+        input_type: 'query'
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      console.error('[VOYAGE] Error:', error);
+      throw new Error(`Voyage AI error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    debugLog('[VOYAGE] ✅ Embedding generated');
+    return data.data[0].embedding;
+  }
+};
+
+/**
+ * Call the Anthropic Messages API
+ */
+async function callAnthropic(request: CompletionRequest, stream: boolean): Promise<Response> {
+  if (!ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY not configured');
+  }
+
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: request.settings.model,
+      max_tokens: request.settings.maxTokens,
+      temperature: request.settings.temperature,
+      stream,
+      system: request.system,
+      messages: request.messages
+    }),
+    signal: request.signal
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    console.error('[CLAUDE] Error:', error);
+    throw new Error(`Claude API error: ${response.status}`);
+  }
+
+  return response;
+}
+
+/**
+ * Anthropic Claude completions
+ */
+const anthropicLLMProvider: LLMProvider = {
+  name: 'anthropic',
+  async complete(request) {
+    const response = await callAnthropic(request, false);
+    const data = await response.json();
+    return data.content?.[0]?.text || '';
+  },
+  async stream(request, onDelta) {
+    const response = await callAnthropic(request, true);
+
+    if (!response.body) {
+      throw new Error('Claude API returned an empty stream');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Anthropic sends server-sent events separated by a blank line
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const rawEvent = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+
+          const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+          if (!dataLine) continue;
+
+          const event = JSON.parse(dataLine.slice(5).trim());
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onDelta(event.delta.text);
+          } else if (event.type === 'error') {
+            throw new Error(`Claude stream error: ${event.error?.message || 'unknown'}`);
+          }
+        }
+      }
+    } catch (error) {
+      if (request.signal?.aborted) {
+        debugLog('[CLAUDE] Stream aborted by client');
+        return text;
+      }
+      throw error;
+    }
+
+    return text;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Fake providers — deterministic, offline, for tests and local development
+// ---------------------------------------------------------------------------
+
+const FAKE_EMBEDDING_DIMENSIONS = 1024;
+
+function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 2);
+}
+
+function hashToken(token: string): number {
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hashed bag-of-words vector: same text → same vector, shared words → higher cosine
+ */
+function fakeEmbed(text: string): number[] {
+  const vector = new Array(FAKE_EMBEDDING_DIMENSIONS).fill(0);
+  for (const token of tokenize(text)) {
+    vector[hashToken(token) % FAKE_EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+const fakeEmbeddingProvider: EmbeddingProvider = {
+  name: 'fake',
+  model: 'fake',
+  async embed(text) {
+    return fakeEmbed(text);
+  }
+};
+
+/**
+ * Build a deterministic answer from the prompt: echoes the rewrite target,
+ * follow-up suggestions, the no-information message, or a summary of the
+ * supplied fragments that quotes the first one verbatim.
+ */
+function fakeAnswer(request: CompletionRequest): string {
+  const prompt = request.messages[request.messages.length - 1]?.content || '';
+
+  const followUp = prompt.match(/Follow-up question:\n([\s\S]*)$/);
+  if (followUp) {
+    return followUp[1].trim();
+  }
+
+  const suggestionsFor = prompt.match(/^Question:\n([\s\S]*?)\n\nAnswer:\n[\s\S]*\n\nSuggested follow-up questions:$/);
+  if (suggestionsFor) {
+    const topic = suggestionsFor[1].trim().replace(/[?.]+$/, '');
+    return [
+      `- Hi ha excepcions a "${topic}"?`,
+      `- Com canvia "${topic}" en un edifici existent?`,
+      `- Quina normativa municipal complementa "${topic}"?`
+    ].join('\n');
+  }
+
+  if (prompt.includes('[NO DOCUMENT CONTEXT AVAILABLE')) {
+    const noInfo = prompt.match(/EXACTLY this message: "([^"]+)"/);
+    return noInfo ? noInfo[1] : 'No information.';
+  }
+
+  const fragments = prompt.match(/^<document index="\d+" .*>$/gm) || [];
+  const firstContent = prompt.match(/^<document index="1" .*>\n(.+)$/m)?.[1] || '';
+  const firstSentence = firstContent.split(/(?<=\.)\s/)[0].trim();
+  return [
+    `[${request.settings.model}] Resposta simulada a partir de ${fragments.length} fragments.`,
+    ...fragments.map(header => {
+      const [, id, scope, title] = header.match(/^<document index="(\d+)" scope="([^"]*)" title="([^"]*)"/) || [];
+      return `- ${scope} - ${title} [${id}]`;
+    }),
+    ...(firstSentence ? ['', `> ${firstSentence} [1]`] : [])
+  ].join('\n');
+}
+
+const fakeLLMProvider: LLMProvider = {
+  name: 'fake',
+  async complete(request) {
+    return fakeAnswer(request);
+  },
+  async stream(request, onDelta) {
+    let text = '';
+    for (const word of fakeAnswer(request).split(/(?<=\s)/)) {
+      if (request.signal?.aborted) break;
+      text += word;
+      onDelta(word);
+    }
+    return text;
+  }
+};
+
+// Small fixed corpus searched when running with fake providers and no database
+const FAKE_CHUNKS = [
+  {
+    id: 'fake-sua-1',
+    document_title: 'CTE DB-SUA Seguretat d\'utilització i accessibilitat',
+    page_number: 12,
+    document_url: '#',
+    town_id: null,
+    content: 'Les barreres de protecció tindran, com a mínim, una alçada de 0,90 m quan la diferència de cota que protegeixen no excedeixi de 6 m i de 1,10 m en la resta dels casos.'
+  },
+  {
+    id: 'fake-sua-2',
+    document_title: 'CTE DB-SUA Seguretat d\'utilització i accessibilitat',
+    page_number: 15,
+    document_url: '#',
+    town_id: null,
+    content: 'L\'amplada útil dels trams d\'escala d\'ús general es determinarà d\'acord amb les exigències d\'evacuació i serà, com a mínim, de 1,00 m en ús residencial.'
+  },
+  {
+    id: 'fake-si-1',
+    document_title: 'CTE DB-SI Seguretat en cas d\'incendi',
+    page_number: 34,
+    document_url: '#',
+    town_id: null,
+    content: 'Taula 4.1 Dimensionament dels elements d\'evacuació: portes i passos A ≥ P / 200 ≥ 0,80 m; passadissos i rampes A ≥ P / 200 ≥ 1,00 m.'
+  },
+  {
+    id: 'fake-he-1',
+    document_title: 'CTE DB-HE Estalvi d\'energia',
+    page_number: 8,
+    document_url: '#',
+    town_id: null,
+    content: 'El consum d\'energia primària no renovable dels espais continguts a l\'interior de l\'envolupant tèrmica de l\'edifici no superarà el valor límit establert a la taula 3.1.a-HE0.'
+  }
+];
+
+/**
+ * Rank the fake corpus by cosine similarity against a (fake) embedding
+ */
+export function searchFakeChunks(embedding: number[], limit: number = 8): any[] {
+  return FAKE_CHUNKS
+    .map(chunk => {
+      const vector = fakeEmbed(`${chunk.document_title} ${chunk.content}`);
+      const similarity = vector.reduce((sum, v, i) => sum + v * (embedding[i] || 0), 0);
+      return { ...chunk, similarity };
+    })
+    .filter(chunk => chunk.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Offline stand-in for search_document_chunks_text: ranks fixture chunks by
+ * how many of the OR-ed tsquery lexemes they contain.
+ */
+export function searchFakeChunksByText(queryText: string, limit: number = 8): any[] {
+  const lexemes = queryText.split('|').map(term => term.trim().toLowerCase()).filter(Boolean);
+  return FAKE_CHUNKS
+    .map(chunk => {
+      const text = `${chunk.document_title} ${chunk.content}`.toLowerCase();
+      const keyword_rank = lexemes.filter(lexeme => text.includes(lexeme)).length;
+      return { ...chunk, keyword_rank };
+    })
+    .filter(chunk => chunk.keyword_rank > 0)
+    .sort((a, b) => b.keyword_rank - a.keyword_rank)
+    .slice(0, limit);
+}
+
+// ---------------------------------------------------------------------------
+// Provider registry
+// ---------------------------------------------------------------------------
+
+const EMBEDDING_PROVIDERS: Record<string, EmbeddingProvider> = {
+  voyage: voyageEmbeddingProvider,
+  fake: fakeEmbeddingProvider
+};
+
+const LLM_PROVIDERS: Record<string, LLMProvider> = {
+  anthropic: anthropicLLMProvider,
+  fake: fakeLLMProvider
+};
+
+export function getEmbeddingProvider(): EmbeddingProvider {
+  const provider = EMBEDDING_PROVIDERS[EMBEDDING_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown embedding provider: ${EMBEDDING_PROVIDER}`);
+  }
+  return provider;
+}
+
+export function getLLMProvider(): LLMProvider {
+  const provider = LLM_PROVIDERS[LLM_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${LLM_PROVIDER}`);
+  }
+  return provider;
+}
+
+/**
+ * True when both providers run locally (no external API keys required)
+ */
+export function isOfflineMode(): boolean {
+  return LLM_PROVIDER === 'fake' && EMBEDDING_PROVIDER === 'fake';
+}
+
+/**
+ * Check that the configured providers have the API keys they need
+ */
+export function getMissingProviderKeys(): string[] {
+  const missing: string[] = [];
+  if (LLM_PROVIDER === 'anthropic' && !ANTHROPIC_API_KEY) missing.push('ANTHROPIC_API_KEY');
+  if (EMBEDDING_PROVIDER === 'voyage' && !VOYAGE_API_KEY) missing.push('VOYAGE_API_KEY');
+  return missing;
+}
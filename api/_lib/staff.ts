@@ -0,0 +1,95 @@
+// Shared plumbing for the staff-only serverless functions under api/admin/.
+//
+// Staff pages must not use the service role key in the browser (see
+// src/services/adminSupabaseClient.js), so they call these functions with the
+// user's Supabase access token. The token is verified and the caller's role
+// is read from profiles before any service-role query runs.
+
+import { createClient, type SupabaseClient } from '@supabase/supabase-js';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+
+// Same roles as src/components/StaffRoute.jsx
+export const STAFF_ROLES = ['staff', 'admin', 'super_admin'];
+
+const ALLOWED_ORIGINS = [
+  'https://www.arquinorma.cat',
+  'https://arquinorma.cat',
+  'https://arquinorma-frontend.vercel.app'
+];
+
+export const supabaseAdmin: SupabaseClient | null = SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false }
+    })
+  : null;
+
+export interface StaffUser {
+  id: string;
+  email: string | null;
+  role: string;
+}
+
+/**
+ * Set CORS headers for a staff endpoint.
+ * Returns true when the request was a preflight and has been answered.
+ */
+export function handleStaffCors(req: VercelRequest, res: VercelResponse, methods: string[]): boolean {
+  const origin = req.headers.origin || '';
+  const isAllowedOrigin = ALLOWED_ORIGINS.includes(origin) ||
+    origin.startsWith('http://localhost') ||
+    origin.startsWith('http://127.0.0.1');
+
+  if (isAllowedOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(','));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).json({ success: true });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Verify the Bearer token and the caller's staff role.
+ * Answers 401/403/500 itself and returns null when the caller is not staff.
+ */
+export async function requireStaff(req: VercelRequest, res: VercelResponse): Promise<StaffUser | null> {
+  if (!supabaseAdmin) {
+    console.error('Supabase not initialized');
+    res.status(500).json({ error: 'Server configuration error' });
+    return null;
+  }
+
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token) {
+    res.status(401).json({ error: 'Missing access token' });
+    return null;
+  }
+
+  const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+  if (error || !user) {
+    res.status(401).json({ error: 'Invalid access token' });
+    return null;
+  }
+
+  const { data: profile } = await supabaseAdmin
+    .from('profiles')
+    .select('role')
+    .eq('id', user.id)
+    .single();
+
+  const role = profile?.role?.toLowerCase() || '';
+  if (!STAFF_ROLES.includes(role)) {
+    res.status(403).json({ error: 'Staff role required' });
+    return null;
+  }
+
+  return { id: user.id, email: user.email ?? null, role };
+}
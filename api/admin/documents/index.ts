@@ -0,0 +1,135 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { handleStaffCors, requireStaff, supabaseAdmin } from '../../_lib/staff.js';
+import { isValidDate } from '../../_lib/documentValidity.js';
+
+// Staff editing of document validity (see migration 036).
+//
+//   GET   /api/admin/documents
+//         → { documents: [{ id, title, town_id, effective_from, effective_to, supersedes_document_id }] }
+//   PATCH /api/admin/documents  { id, effective_from?, effective_to?, supersedes_document_id? }
+//         → { document }
+//
+// Dates are YYYY-MM-DD or null. Upload and indexing stay on the backend
+// (/api/admin/upload); this only edits the validity fields.
+
+const DOCUMENT_COLUMNS = 'id, title, town_id, effective_from, effective_to, supersedes_document_id';
+const VALIDITY_FIELDS = ['effective_from', 'effective_to', 'supersedes_document_id'];
+
+type DocumentRow = { id: string; supersedes_document_id: string | null; effective_from: string | null; effective_to: string | null };
+
+/**
+ * List documents with their validity
+ */
+async function listDocuments(res: VercelResponse) {
+  const { data, error } = await supabaseAdmin!
+    .from('documents')
+    .select(DOCUMENT_COLUMNS)
+    .order('title', { ascending: true });
+
+  if (error) throw error;
+  return res.status(200).json({ documents: data || [] });
+}
+
+/**
+ * Validate the validity fields of a PATCH body against the current row
+ * @returns Status and error message, or null when the changes are valid
+ */
+async function validateChanges(id: string, changes: Record<string, any>): Promise<{ status: number; error: string } | null> {
+  for (const field of ['effective_from', 'effective_to']) {
+    if (field in changes && changes[field] !== null && !isValidDate(changes[field])) {
+      return { status: 400, error: `${field} must be a date (YYYY-MM-DD) or null` };
+    }
+  }
+
+  const { data: current, error } = await supabaseAdmin!
+    .from('documents')
+    .select('id, supersedes_document_id, effective_from, effective_to')
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!current) return { status: 404, error: 'Document not found' };
+
+  const merged = { ...(current as DocumentRow), ...changes } as DocumentRow;
+  if (merged.effective_from && merged.effective_to && merged.effective_to <= merged.effective_from) {
+    return { status: 400, error: 'effective_to must be later than effective_from' };
+  }
+
+  // The previous version must exist and must not (indirectly) supersede this document
+  let previousId = changes.supersedes_document_id;
+  const visited = new Set<string>([id]);
+  while (previousId) {
+    if (visited.has(previousId)) {
+      return { status: 400, error: 'A document cannot supersede itself or a newer version of itself' };
+    }
+    visited.add(previousId);
+
+    const { data: previous, error: previousError } = await supabaseAdmin!
+      .from('documents')
+      .select('id, supersedes_document_id')
+      .eq('id', previousId)
+      .maybeSingle();
+    if (previousError) throw previousError;
+    if (!previous) return { status: 400, error: 'Superseded document not found' };
+    previousId = previous.supersedes_document_id;
+  }
+
+  return null;
+}
+
+/**
+ * Update the validity of a document
+ */
+async function updateDocument(req: VercelRequest, res: VercelResponse) {
+  const { id, ...body } = req.body || {};
+  const changes = Object.fromEntries(
+    Object.entries(body)
+      .filter(([field]) => VALIDITY_FIELDS.includes(field))
+      .map(([field, value]) => [field, value === '' ? null : value])
+  );
+
+  if (!id || Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'id and at least one of effective_from, effective_to or supersedes_document_id are required' });
+  }
+
+  const invalid = await validateChanges(id, changes);
+  if (invalid) {
+    return res.status(invalid.status).json({ error: invalid.error });
+  }
+
+  const { data, error } = await supabaseAdmin!
+    .from('documents')
+    .update(changes)
+    .eq('id', id)
+    .select(DOCUMENT_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json({ document: data });
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  try {
+    if (handleStaffCors(req, res, ['GET', 'PATCH'])) return;
+
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const staffUser = await requireStaff(req, res);
+    if (!staffUser) return;
+
+    if (req.method === 'GET') {
+      return await listDocuments(res);
+    }
+    return await updateDocument(req, res);
+  } catch (error: any) {
+    console.error('Error in admin documents endpoint:', error);
+    return res.status(500).json({
+      error: 'Failed to process documents request',
+      message: error.message || 'Unknown error'
+    });
+  }
+}
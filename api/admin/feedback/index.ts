@@ -0,0 +1,108 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { handleStaffCors, requireStaff, supabaseAdmin } from '../../_lib/staff.js';
+
+// Staff review queue for answer feedback (see migration 030).
+//
+//   GET   /api/admin/feedback?status=open|resolved|all&rating=up|down&reason=…&limit=100
+//         → { feedback: [...with query_log and user_email], counts: { open, resolved } }
+//   PATCH /api/admin/feedback  { id, status: 'open' | 'resolved', staff_note? }
+//         → { feedback }
+
+const FEEDBACK_STATUSES = ['open', 'resolved'];
+const FEEDBACK_REASONS = ['wrong_article', 'outdated_norm', 'missing_source', 'hallucination'];
+const MAX_LIMIT = 200;
+
+/**
+ * List feedback with the logged query (answer, quotes, retrieved chunks)
+ */
+async function listFeedback(req: VercelRequest, res: VercelResponse) {
+  const status = String(req.query.status || 'open');
+  const rating = String(req.query.rating || '');
+  const reason = String(req.query.reason || '');
+  const limit = Math.min(Number(req.query.limit) || 100, MAX_LIMIT);
+
+  let query = supabaseAdmin!
+    .from('answer_feedback')
+    .select('*, query_log:query_logs(id, question, answer, confidence, quotes, verification, retrieved_chunks, created_at)')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (FEEDBACK_STATUSES.includes(status)) query = query.eq('status', status);
+  if (rating === 'up' || rating === 'down') query = query.eq('rating', rating);
+  if (FEEDBACK_REASONS.includes(reason)) query = query.eq('reason', reason);
+
+  const [{ data, error }, openCount, resolvedCount] = await Promise.all([
+    query,
+    supabaseAdmin!.from('answer_feedback').select('id', { count: 'exact', head: true }).eq('status', 'open'),
+    supabaseAdmin!.from('answer_feedback').select('id', { count: 'exact', head: true }).eq('status', 'resolved')
+  ]);
+
+  if (error) throw error;
+
+  // answer_feedback.user_id points at auth.users, so emails come from profiles separately
+  const userIds = [...new Set((data || []).map(item => item.user_id))];
+  const { data: profiles } = userIds.length > 0
+    ? await supabaseAdmin!.from('profiles').select('id, email').in('id', userIds)
+    : { data: [] as Array<{ id: string; email: string }> };
+  const emails = new Map((profiles || []).map(profile => [profile.id, profile.email]));
+
+  return res.status(200).json({
+    feedback: (data || []).map(item => ({ ...item, user_email: emails.get(item.user_id) || null })),
+    counts: { open: openCount.count ?? 0, resolved: resolvedCount.count ?? 0 }
+  });
+}
+
+/**
+ * Resolve or reopen a feedback item
+ */
+async function updateFeedback(req: VercelRequest, res: VercelResponse, staffUserId: string) {
+  const { id, status, staff_note } = req.body || {};
+
+  if (!id || !FEEDBACK_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'id and a valid status are required' });
+  }
+
+  const resolved = status === 'resolved';
+  const { data, error } = await supabaseAdmin!
+    .from('answer_feedback')
+    .update({
+      status,
+      ...(typeof staff_note === 'string' && { staff_note: staff_note.trim() || null }),
+      resolved_by: resolved ? staffUserId : null,
+      resolved_at: resolved ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json({ feedback: data });
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  try {
+    if (handleStaffCors(req, res, ['GET', 'PATCH'])) return;
+
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const staffUser = await requireStaff(req, res);
+    if (!staffUser) return;
+
+    if (req.method === 'GET') {
+      return await listFeedback(req, res);
+    }
+    return await updateFeedback(req, res, staffUser.id);
+  } catch (error: any) {
+    console.error('Error in admin feedback endpoint:', error);
+    return res.status(500).json({
+      error: 'Failed to process feedback request',
+      message: error.message || 'Unknown error'
+    });
+  }
+}
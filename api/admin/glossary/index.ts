@@ -0,0 +1,163 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { handleStaffCors, requireStaff, supabaseAdmin } from '../../_lib/staff.js';
+
+// Staff editing of the glossary used for query expansion (see migration 037).
+//
+//   GET    /api/admin/glossary
+//          → { terms: [...] } (inactive ones included)
+//   POST   /api/admin/glossary  { term, definition, synonyms?, description?, category?, case_sensitive?, active? }
+//          → { term }
+//   PATCH  /api/admin/glossary  { id, ...same fields }
+//          → { term }
+//   DELETE /api/admin/glossary?id=…
+//          → { success: true }
+//
+// /api/ask keeps the glossary in memory for a few minutes, so changes apply
+// to new questions shortly after.
+
+const CATEGORIES = ['cte', 'planning', 'regulation', 'construction'];
+const MAX_SYNONYMS = 20;
+
+/**
+ * Validate the editable fields of a request body.
+ * Returns the columns to write, or an error message.
+ */
+function parseTermFields(body: any, partial: boolean): { fields: Record<string, unknown> } | { error: string } {
+  const fields: Record<string, unknown> = {};
+
+  if ('term' in body || !partial) {
+    const term = typeof body.term === 'string' ? body.term.trim() : '';
+    if (term.length < 2 || term.length > 80) return { error: 'term must be between 2 and 80 characters' };
+    fields.term = term;
+  }
+  if ('definition' in body || !partial) {
+    const definition = typeof body.definition === 'string' ? body.definition.trim() : '';
+    if (definition.length < 2 || definition.length > 300) {
+      return { error: 'definition must be between 2 and 300 characters' };
+    }
+    fields.definition = definition;
+  }
+  if ('synonyms' in body) {
+    if (!Array.isArray(body.synonyms) || body.synonyms.some((synonym: unknown) => typeof synonym !== 'string')) {
+      return { error: 'synonyms must be an array of strings' };
+    }
+    const synonyms = [...new Set<string>(body.synonyms.map((synonym: string) => synonym.trim()).filter(Boolean))];
+    if (synonyms.length > MAX_SYNONYMS) return { error: `At most ${MAX_SYNONYMS} synonyms` };
+    fields.synonyms = synonyms;
+  }
+  if ('description' in body) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > 2000) return { error: 'description must be at most 2000 characters' };
+    fields.description = description || null;
+  }
+  if ('category' in body) {
+    if (!CATEGORIES.includes(body.category)) return { error: 'Invalid category' };
+    fields.category = body.category;
+  }
+  if ('case_sensitive' in body) {
+    fields.case_sensitive = Boolean(body.case_sensitive);
+  }
+  if ('active' in body) {
+    fields.active = Boolean(body.active);
+  }
+
+  return { fields };
+}
+
+/**
+ * Unique index violations (a term that already exists) are a client error
+ */
+function isDuplicateTerm(error: any): boolean {
+  return error?.code === '23505';
+}
+
+async function listTerms(res: VercelResponse) {
+  const { data, error } = await supabaseAdmin!
+    .from('glossary_terms')
+    .select('*')
+    .order('term', { ascending: true });
+
+  if (error) throw error;
+  return res.status(200).json({ terms: data || [] });
+}
+
+async function createTerm(req: VercelRequest, res: VercelResponse, staffUserId: string) {
+  const parsed = parseTermFields(req.body || {}, false);
+  if ('error' in parsed) return res.status(400).json({ error: parsed.error });
+
+  const { data, error } = await supabaseAdmin!
+    .from('glossary_terms')
+    .insert({ ...parsed.fields, created_by: staffUserId })
+    .select()
+    .single();
+
+  if (isDuplicateTerm(error)) return res.status(409).json({ error: 'This term is already in the glossary' });
+  if (error) throw error;
+  return res.status(201).json({ term: data });
+}
+
+async function updateTerm(req: VercelRequest, res: VercelResponse) {
+  const { id, ...body } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'id is required' });
+
+  const parsed = parseTermFields(body, true);
+  if ('error' in parsed) return res.status(400).json({ error: parsed.error });
+
+  const { data, error } = await supabaseAdmin!
+    .from('glossary_terms')
+    .update({ ...parsed.fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (isDuplicateTerm(error)) return res.status(409).json({ error: 'This term is already in the glossary' });
+  if (error) throw error;
+  return res.status(200).json({ term: data });
+}
+
+async function deleteTerm(req: VercelRequest, res: VercelResponse) {
+  const id = String(req.query.id || '');
+  if (!id) return res.status(400).json({ error: 'id is required' });
+
+  const { error } = await supabaseAdmin!
+    .from('glossary_terms')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const methods = ['GET', 'POST', 'PATCH', 'DELETE'];
+  try {
+    if (handleStaffCors(req, res, methods)) return;
+
+    if (!methods.includes(req.method || '')) {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const staffUser = await requireStaff(req, res);
+    if (!staffUser) return;
+
+    switch (req.method) {
+      case 'GET':
+        return await listTerms(res);
+      case 'POST':
+        return await createTerm(req, res, staffUser.id);
+      case 'PATCH':
+        return await updateTerm(req, res);
+      default:
+        return await deleteTerm(req, res);
+    }
+  } catch (error: any) {
+    console.error('Error in admin glossary endpoint:', error);
+    return res.status(500).json({
+      error: 'Failed to process glossary request',
+      message: error.message || 'Unknown error'
+    });
+  }
+}
@@ -0,0 +1,91 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { handleStaffCors, requireStaff, supabaseAdmin } from '../../_lib/staff.js';
+
+// Staff review of suspected prompt injections found in retrieved chunks
+// (see migration 038 and api/_lib/promptInjection.ts).
+//
+//   GET   /api/admin/injection-events?status=open|confirmed|false_positive|all
+//         → { events: [...], counts: { open, confirmed, false_positive } }
+//   PATCH /api/admin/injection-events  { id, status }
+//         → { event }
+
+const STATUSES = ['open', 'confirmed', 'false_positive'];
+const MAX_EVENTS = 200;
+
+async function listEvents(req: VercelRequest, res: VercelResponse) {
+  const status = String(req.query.status || 'open');
+  if (status !== 'all' && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  let query = supabaseAdmin!
+    .from('prompt_injection_events')
+    .select('*')
+    .order('last_seen_at', { ascending: false })
+    .limit(MAX_EVENTS);
+  if (status !== 'all') query = query.eq('status', status);
+
+  const [{ data, error }, ...countResults] = await Promise.all([
+    query,
+    ...STATUSES.map(value => supabaseAdmin!
+      .from('prompt_injection_events')
+      .select('id', { count: 'exact', head: true })
+      .eq('status', value))
+  ]);
+
+  if (error) throw error;
+  const countError = countResults.find(result => result.error)?.error;
+  if (countError) throw countError;
+
+  const counts = Object.fromEntries(STATUSES.map((value, i) => [value, countResults[i].count || 0]));
+  return res.status(200).json({ events: data || [], counts });
+}
+
+async function reviewEvent(req: VercelRequest, res: VercelResponse, staffUserId: string) {
+  const { id, status } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'id is required' });
+  if (!STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+
+  const reviewed = status !== 'open';
+  const { data, error } = await supabaseAdmin!
+    .from('prompt_injection_events')
+    .update({
+      status,
+      reviewed_by: reviewed ? staffUserId : null,
+      reviewed_at: reviewed ? new Date().toISOString() : null
+    })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json({ event: data });
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const methods = ['GET', 'PATCH'];
+  try {
+    if (handleStaffCors(req, res, methods)) return;
+
+    if (!methods.includes(req.method || '')) {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const staffUser = await requireStaff(req, res);
+    if (!staffUser) return;
+
+    if (req.method === 'GET') {
+      return await listEvents(req, res);
+    }
+    return await reviewEvent(req, res, staffUser.id);
+  } catch (error: any) {
+    console.error('Error in admin injection events endpoint:', error);
+    return res.status(500).json({
+      error: 'Failed to process injection events request',
+      message: error.message || 'Unknown error'
+    });
+  }
+}
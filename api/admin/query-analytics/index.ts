@@ -0,0 +1,73 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { handleStaffCors, requireStaff, supabaseAdmin } from '../../_lib/staff.js';
+import { resolveTierId } from '../../../src/config/subscriptionTiers.js';
+
+// Staff analytics over query_logs (see migration 035).
+//
+//   GET /api/admin/query-analytics?days=30
+//       → { range: { since, until, days }, totals, daily, tiers, documents, topics,
+//           keywords, similarity_buckets, no_info_questions }
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+/**
+ * Merge tier rows that resolve to the same tier (legacy subscription levels)
+ */
+function mergeTiers(tiers: Array<{ tier: string; questions: number; users: number }>) {
+  const merged = new Map<string, { tier: string; questions: number; users: number }>();
+  for (const row of tiers) {
+    const tier = resolveTierId(row.tier);
+    const current = merged.get(tier) || { tier, questions: 0, users: 0 };
+    current.questions += row.questions;
+    current.users += row.users;
+    merged.set(tier, current);
+  }
+  return [...merged.values()].sort((a, b) => b.questions - a.questions);
+}
+
+/**
+ * Aggregate the logged questions of the last `days` days
+ */
+async function getAnalytics(req: VercelRequest, res: VercelResponse) {
+  const days = Math.min(Math.max(Math.floor(Number(req.query.days)) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const until = new Date();
+  const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabaseAdmin!.rpc('query_log_analytics', {
+    p_since: since.toISOString(),
+    p_until: until.toISOString()
+  });
+
+  if (error) throw error;
+
+  return res.status(200).json({
+    range: { since: since.toISOString(), until: until.toISOString(), days },
+    ...data,
+    tiers: mergeTiers(data?.tiers || [])
+  });
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  try {
+    if (handleStaffCors(req, res, ['GET'])) return;
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const staffUser = await requireStaff(req, res);
+    if (!staffUser) return;
+
+    return await getAnalytics(req, res);
+  } catch (error: any) {
+    console.error('Error in admin query analytics endpoint:', error);
+    return res.status(500).json({
+      error: 'Failed to load query analytics',
+      message: error.message || 'Unknown error'
+    });
+  }
+}
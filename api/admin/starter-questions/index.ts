@@ -0,0 +1,149 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { handleStaffCors, requireStaff, supabaseAdmin } from '../../_lib/staff.js';
+
+// Staff editing of the starter questions library (see migration 033).
+//
+//   GET    /api/admin/starter-questions
+//          → { questions: [...] } (inactive ones included)
+//   POST   /api/admin/starter-questions  { project_type?, cte_document?, question, position?, active? }
+//          → { question }
+//   PATCH  /api/admin/starter-questions  { id, ...same fields }
+//          → { question }
+//   DELETE /api/admin/starter-questions?id=…
+//          → { success: true }
+
+// Same values as the project type select in NewProjectModal
+const PROJECT_TYPES = ['Habitatge', 'Equipament', 'Unifamiliar', 'Paisatge', 'Comercial', 'Oficines', 'Urbà', 'Rehabilitació'];
+const CTE_DOCUMENTS = ['DB-SI', 'DB-SUA', 'DB-HE', 'DB-HS', 'DB-HR', 'DB-SE'];
+
+/**
+ * Validate the editable fields of a request body.
+ * Returns the columns to write, or an error message.
+ */
+function parseQuestionFields(body: any, partial: boolean): { fields: Record<string, unknown> } | { error: string } {
+  const fields: Record<string, unknown> = {};
+
+  if ('project_type' in body) {
+    if (body.project_type !== null && !PROJECT_TYPES.includes(body.project_type)) {
+      return { error: 'Invalid project_type' };
+    }
+    fields.project_type = body.project_type;
+  }
+  if ('cte_document' in body) {
+    if (body.cte_document !== null && !CTE_DOCUMENTS.includes(body.cte_document)) {
+      return { error: 'Invalid cte_document' };
+    }
+    fields.cte_document = body.cte_document;
+  }
+  if ('question' in body || !partial) {
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+    if (question.length < 5 || question.length > 500) {
+      return { error: 'question must be between 5 and 500 characters' };
+    }
+    fields.question = question;
+  }
+  if ('position' in body) {
+    if (!Number.isInteger(body.position)) return { error: 'position must be an integer' };
+    fields.position = body.position;
+  }
+  if ('active' in body) {
+    fields.active = Boolean(body.active);
+  }
+
+  if (!partial && !fields.project_type && !fields.cte_document) {
+    return { error: 'project_type or cte_document is required' };
+  }
+  return { fields };
+}
+
+async function listQuestions(res: VercelResponse) {
+  const { data, error } = await supabaseAdmin!
+    .from('starter_questions')
+    .select('*')
+    .order('project_type', { ascending: true, nullsFirst: false })
+    .order('cte_document', { ascending: true })
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+  return res.status(200).json({ questions: data || [] });
+}
+
+async function createQuestion(req: VercelRequest, res: VercelResponse, staffUserId: string) {
+  const parsed = parseQuestionFields(req.body || {}, false);
+  if ('error' in parsed) return res.status(400).json({ error: parsed.error });
+
+  const { data, error } = await supabaseAdmin!
+    .from('starter_questions')
+    .insert({ ...parsed.fields, created_by: staffUserId })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return res.status(201).json({ question: data });
+}
+
+async function updateQuestion(req: VercelRequest, res: VercelResponse) {
+  const { id, ...body } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'id is required' });
+
+  const parsed = parseQuestionFields(body, true);
+  if ('error' in parsed) return res.status(400).json({ error: parsed.error });
+
+  // The table check keeps at least one of project_type / cte_document set
+  const { data, error } = await supabaseAdmin!
+    .from('starter_questions')
+    .update({ ...parsed.fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return res.status(200).json({ question: data });
+}
+
+async function deleteQuestion(req: VercelRequest, res: VercelResponse) {
+  const id = String(req.query.id || '');
+  if (!id) return res.status(400).json({ error: 'id is required' });
+
+  const { error } = await supabaseAdmin!
+    .from('starter_questions')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * Main handler
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const methods = ['GET', 'POST', 'PATCH', 'DELETE'];
+  try {
+    if (handleStaffCors(req, res, methods)) return;
+
+    if (!methods.includes(req.method || '')) {
+      return res.status(405).json({ error: 'Method Not Allowed' });
+    }
+
+    const staffUser = await requireStaff(req, res);
+    if (!staffUser) return;
+
+    switch (req.method) {
+      case 'GET':
+        return await listQuestions(res);
+      case 'POST':
+        return await createQuestion(req, res, staffUser.id);
+      case 'PATCH':
+        return await updateQuestion(req, res);
+      default:
+        return await deleteQuestion(req, res);
+    }
+  } catch (error: any) {
+    console.error('Error in admin starter questions endpoint:', error);
+    return res.status(500).json({
+      error: 'Failed to process starter questions request',
+      message: error.message || 'Unknown error'
+    });
+  }
+}
@@ -0,0 +1,108 @@
+import { createClient } from '@supabase/supabase-js';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getDocumentValidity, todayDate } from '../_lib/documentValidity.js';
+import { loadDocumentOutline } from '../_lib/documentOutline.js';
+
+// Table of contents of the indexed normative documents (see migration 040).
+//
+//   GET /api/outline
+//       → { documents: [{ id, title, town_id, url, validity }] }
+//   GET /api/outline?document_id=…
+//       → { document: { id, title, town_id, url, validity }, sections: [{ path, kind, number, label, title, level, parent, page_start, page_end }] }
+//
+// validity is the status of the document today (see migration 036). Section
+// paths are what /api/ask accepts in section_scope.
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_KEY;
+
+const ALLOWED_ORIGINS = [
+  'https://www.arquinorma.cat',
+  'https://arquinorma.cat',
+  'https://arquinorma-frontend.vercel.app'
+];
+
+const DOCUMENT_COLUMNS = 'id, title, town_id, file_url, effective_from, effective_to, supersedes_document_id';
+
+const supabaseAdmin = SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false }
+    })
+  : null;
+
+type DocumentRow = {
+  id: string;
+  title: string | null;
+  town_id: string | null;
+  file_url: string | null;
+  effective_from: string | null;
+  effective_to: string | null;
+  supersedes_document_id: string | null;
+};
+
+/**
+ * Public fields of a document, with its validity today
+ */
+function toDocument(row: DocumentRow, all: DocumentRow[]) {
+  const { status, as_of, effective_from, effective_to, superseded_by } = getDocumentValidity(
+    row,
+    all.filter(other => other.supersedes_document_id === row.id),
+    todayDate()
+  );
+  return {
+    id: row.id,
+    title: row.title || 'Document',
+    town_id: row.town_id,
+    url: row.file_url,
+    validity: { status, as_of, effective_from, effective_to, superseded_by }
+  };
+}
+
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const origin = req.headers.origin || '';
+  if (ALLOWED_ORIGINS.includes(origin) || origin.startsWith('http://localhost') || origin.startsWith('http://127.0.0.1')) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ success: true });
+  }
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!supabaseAdmin) {
+    console.error('Supabase not initialized');
+    return res.status(500).json({ error: 'Server configuration error' });
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('documents')
+      .select(DOCUMENT_COLUMNS)
+      .order('title', { ascending: true });
+    if (error) throw error;
+    const rows = (data || []) as DocumentRow[];
+
+    const documentId = typeof req.query.document_id === 'string' ? req.query.document_id : null;
+    if (!documentId) {
+      return res.status(200).json({ documents: rows.map(row => toDocument(row, rows)) });
+    }
+
+    const row = rows.find(candidate => candidate.id === documentId);
+    if (!row) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const sections = await loadDocumentOutline(supabaseAdmin, documentId);
+    return res.status(200).json({ document: toDocument(row, rows), sections });
+  } catch (error: any) {
+    console.error('Error loading document outline:', error);
+    return res.status(500).json({
+      error: 'Failed to load the document outline',
+      message: error.message || 'Unknown error'
+    });
+  }
+}
@@ -0,0 +1,57 @@
+-- migration: 025_create_document_chunks_fulltext_search.sql
+-- Description: Full-text search over document chunks for hybrid retrieval in /api/ask
+-- Adds a generated tsvector column + GIN index on document_chunks.content and an RPC
+-- returning the same columns as the vector search (match_document_chunks_with_documents,
+-- migration 036), ranked by ts_rank_cd.
+-- Uses the 'simple' configuration: the corpus mixes Catalan and Spanish, and
+-- identifiers such as "4.1" or "HE0" must not be stemmed away.
+
+BEGIN;
+
+ALTER TABLE public.document_chunks
+  ADD COLUMN IF NOT EXISTS content_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('simple', coalesce(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_content_tsv
+  ON public.document_chunks USING gin (content_tsv);
+
+-- query_text is an OR tsquery built by the ask pipeline, e.g. 'taula | 4.1 | evacuació'
+CREATE OR REPLACE FUNCTION public.search_document_chunks_text(
+  query_text TEXT,
+  match_count INT DEFAULT 8,
+  filter_town_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  content TEXT,
+  page_number INT,
+  document_title TEXT,
+  document_url TEXT,
+  town_id UUID,
+  keyword_rank REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    c.id,
+    c.document_id,
+    c.content,
+    c.page_number,
+    d.title AS document_title,
+    d.file_url AS document_url,
+    d.town_id,
+    ts_rank_cd(c.content_tsv, to_tsquery('simple', query_text)) AS keyword_rank
+  FROM public.document_chunks c
+  JOIN public.documents d ON d.id = c.document_id
+  WHERE c.content_tsv @@ to_tsquery('simple', query_text)
+    AND (filter_town_id IS NULL OR d.town_id = filter_town_id)
+  ORDER BY keyword_rank DESC
+  LIMIT match_count;
+$$;
+
+-- Only the serverless ask function (service role) calls this
+GRANT EXECUTE ON FUNCTION public.search_document_chunks_text(TEXT, INT, UUID) TO service_role;
+
+COMMIT;
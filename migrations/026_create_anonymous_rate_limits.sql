@@ -0,0 +1,57 @@
+-- migration: 026_create_anonymous_rate_limits.sql
+-- Description: Daily request counters for anonymous /api/ask callers.
+-- Callers are identified by hashed keys ("ip:<sha256>" and "client:<sha256>"),
+-- never by raw IP addresses. Only the service role (serverless functions)
+-- reads or writes these counters.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.anonymous_rate_limits (
+    client_key TEXT NOT NULL,
+    window_start TIMESTAMPTZ NOT NULL,
+    request_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (client_key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_anonymous_rate_limits_window_start
+    ON public.anonymous_rate_limits (window_start);
+
+-- No policies: anon/authenticated roles have no access, service_role bypasses RLS
+ALTER TABLE public.anonymous_rate_limits ENABLE ROW LEVEL SECURITY;
+
+-- Atomically count one request for a key in a window and return the new total
+CREATE OR REPLACE FUNCTION public.increment_anonymous_rate_limit(
+    p_client_key TEXT,
+    p_window_start TIMESTAMPTZ
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    INSERT INTO public.anonymous_rate_limits (client_key, window_start, request_count)
+    VALUES (p_client_key, p_window_start, 1)
+    ON CONFLICT (client_key, window_start)
+    DO UPDATE SET
+        request_count = public.anonymous_rate_limits.request_count + 1,
+        updated_at = NOW()
+    RETURNING request_count INTO v_count;
+
+    -- Drop counters from windows that ended more than a week ago
+    DELETE FROM public.anonymous_rate_limits
+    WHERE window_start < p_window_start - INTERVAL '7 days';
+
+    RETURN v_count;
+END;
+$$;
+
+REVOKE ALL ON public.anonymous_rate_limits FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.increment_anonymous_rate_limit(TEXT, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT ALL ON public.anonymous_rate_limits TO service_role;
+GRANT EXECUTE ON FUNCTION public.increment_anonymous_rate_limit(TEXT, TIMESTAMPTZ) TO service_role;
+
+COMMIT;
@@ -0,0 +1,115 @@
+-- migration: 027_create_subscription_tier_quotas.sql
+-- Description: Per-tier quotas for questions, projects and private documents,
+-- enforced in the database.
+-- Values mirror src/config/subscriptionTiers.js (the definition the frontend
+-- and /api/ask read); update both together, tests/subscriptionTiers.test.ts
+-- fails when they differ. NULL means unlimited.
+--
+-- Projects: a trigger rejects inserts beyond the tier's max_projects, since
+-- the frontend inserts projects directly through Supabase. The private
+-- document quota is enforced by migration 042 on the uploads the document
+-- backend records.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.subscription_tier_quotas (
+    tier_id TEXT PRIMARY KEY,
+    questions_per_day INTEGER,
+    max_projects INTEGER,
+    private_documents_per_month INTEGER
+);
+
+INSERT INTO public.subscription_tier_quotas (tier_id, questions_per_day, max_projects, private_documents_per_month)
+VALUES
+    ('anonymous', 3, 0, 0),
+    ('free', 5, 1, 0),
+    ('basic', NULL, 5, 0),
+    ('pro', NULL, NULL, 20),
+    ('studio', NULL, NULL, NULL),
+    ('beta', NULL, NULL, NULL)
+ON CONFLICT (tier_id) DO UPDATE SET
+    questions_per_day = EXCLUDED.questions_per_day,
+    max_projects = EXCLUDED.max_projects,
+    private_documents_per_month = EXCLUDED.private_documents_per_month;
+
+ALTER TABLE public.subscription_tier_quotas ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read tier quotas" ON public.subscription_tier_quotas;
+CREATE POLICY "Anyone can read tier quotas"
+    ON public.subscription_tier_quotas
+    FOR SELECT
+    USING (true);
+
+-- Map a profile's subscription_level to a tier id (legacy levels included)
+CREATE OR REPLACE FUNCTION public.resolve_subscription_tier(p_level TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN p_level = 'personal' THEN 'basic'
+        WHEN p_level = 'corporate' THEN 'studio'
+        WHEN EXISTS (SELECT 1 FROM public.subscription_tier_quotas WHERE tier_id = p_level) THEN p_level
+        ELSE 'free'
+    END;
+$$;
+
+-- Quotas of a user's current tier
+CREATE OR REPLACE FUNCTION public.get_user_tier_quotas(p_user_id UUID)
+RETURNS public.subscription_tier_quotas
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT q.*
+    FROM public.subscription_tier_quotas q
+    WHERE q.tier_id = public.resolve_subscription_tier(
+        (SELECT p.subscription_level FROM public.profiles p WHERE p.id = p_user_id)
+    );
+$$;
+
+-- Reject new projects beyond the tier's max_projects
+CREATE OR REPLACE FUNCTION public.enforce_project_quota()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_max_projects INTEGER;
+    v_project_count INTEGER;
+BEGIN
+    SELECT max_projects INTO v_max_projects
+    FROM public.get_user_tier_quotas(NEW.user_id);
+
+    IF v_max_projects IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT COUNT(*) INTO v_project_count
+    FROM public.projects
+    WHERE user_id = NEW.user_id;
+
+    IF v_project_count >= v_max_projects THEN
+        RAISE EXCEPTION 'PROJECT_QUOTA_EXCEEDED: limit of % projects reached', v_max_projects
+            USING ERRCODE = 'P0001';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_project_quota ON public.projects;
+CREATE TRIGGER enforce_project_quota
+    BEFORE INSERT ON public.projects
+    FOR EACH ROW
+    EXECUTE FUNCTION public.enforce_project_quota();
+
+GRANT SELECT ON public.subscription_tier_quotas TO anon, authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION public.get_user_tier_quotas(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_subscription_tier(TEXT) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION public.get_user_tier_quotas(UUID) TO service_role;
+
+COMMIT;
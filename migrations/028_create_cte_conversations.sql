@@ -0,0 +1,85 @@
+-- migration: 028_create_cte_conversations.sql
+-- Description: Named CTE chat conversations and their messages.
+-- Replaces the single flat history served by /api/cte/messages: the CTE chat
+-- reads and writes these tables directly through Supabase (RLS scopes every
+-- row to its owner). The old history is imported into one conversation the
+-- first time a user opens the chat.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.cte_conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    title TEXT,
+    archived_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cte_conversations_user_updated
+    ON public.cte_conversations (user_id, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.cte_conversation_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES public.cte_conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    quotes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    confidence TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cte_conversation_messages_conversation
+    ON public.cte_conversation_messages (conversation_id, created_at);
+
+-- Keep conversations sorted by last activity
+CREATE OR REPLACE FUNCTION public.touch_cte_conversation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE public.cte_conversations
+    SET updated_at = GREATEST(updated_at, NEW.created_at)
+    WHERE id = NEW.conversation_id;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS touch_cte_conversation ON public.cte_conversation_messages;
+CREATE TRIGGER touch_cte_conversation
+    AFTER INSERT ON public.cte_conversation_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION public.touch_cte_conversation();
+
+ALTER TABLE public.cte_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.cte_conversation_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage their own CTE conversations" ON public.cte_conversations;
+CREATE POLICY "Users manage their own CTE conversations"
+    ON public.cte_conversations
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users manage messages of their own CTE conversations" ON public.cte_conversation_messages;
+CREATE POLICY "Users manage messages of their own CTE conversations"
+    ON public.cte_conversation_messages
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (
+            SELECT 1 FROM public.cte_conversations c
+            WHERE c.id = conversation_id AND c.user_id = auth.uid()
+        )
+    );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.cte_conversations TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.cte_conversation_messages TO authenticated;
+GRANT ALL ON public.cte_conversations TO service_role;
+GRANT ALL ON public.cte_conversation_messages TO service_role;
+
+COMMIT;
@@ -0,0 +1,122 @@
+-- migration: 029_create_chat_history_search.sql
+-- Description: Full-text search across a user's CTE conversations and project chats.
+-- Expression GIN indexes on both message tables plus an RPC that unions them,
+-- returning ts_headline snippets (matches wrapped in <mark>…</mark>) and the
+-- documents each message cites. Runs as the caller (SECURITY INVOKER), so the
+-- existing RLS policies limit results to the user's own messages.
+-- Uses the 'simple' configuration, like search_document_chunks_text (025).
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_cte_conversation_messages_content_tsv
+  ON public.cte_conversation_messages USING gin (to_tsvector('simple', content));
+
+CREATE INDEX IF NOT EXISTS idx_messages_content_tsv
+  ON public.messages USING gin (to_tsvector('simple', content));
+
+-- search_query accepts web-search syntax: "frase exacta", OR, -exclusió
+-- filter_source: 'cte' | 'project' | NULL (both); filter_project_id implies 'project'
+CREATE OR REPLACE FUNCTION public.search_chat_history(
+  search_query TEXT,
+  filter_source TEXT DEFAULT NULL,
+  filter_project_id UUID DEFAULT NULL,
+  date_from TIMESTAMPTZ DEFAULT NULL,
+  date_to TIMESTAMPTZ DEFAULT NULL,
+  cited_document TEXT DEFAULT NULL,
+  match_count INT DEFAULT 50
+)
+RETURNS TABLE (
+  source TEXT,
+  message_id UUID,
+  conversation_id UUID,
+  project_id UUID,
+  container_title TEXT,
+  role TEXT,
+  snippet TEXT,
+  cited_documents TEXT[],
+  created_at TIMESTAMPTZ,
+  rank REAL
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('simple', search_query) AS q
+  ),
+  hits AS (
+    SELECT
+      'cte'::TEXT AS source,
+      m.id AS message_id,
+      m.conversation_id,
+      NULL::UUID AS project_id,
+      c.title AS container_title,
+      m.role,
+      m.content,
+      m.quotes AS cited,
+      m.created_at,
+      ts_rank_cd(to_tsvector('simple', m.content), query.q) AS rank
+    FROM public.cte_conversation_messages m
+    JOIN public.cte_conversations c ON c.id = m.conversation_id
+    CROSS JOIN query
+    WHERE to_tsvector('simple', m.content) @@ query.q
+      AND (filter_source IS NULL OR filter_source = 'cte')
+      AND filter_project_id IS NULL
+
+    UNION ALL
+
+    SELECT
+      'project'::TEXT,
+      m.id,
+      NULL::UUID,
+      m.project_id,
+      p.title,
+      m.role,
+      m.content,
+      coalesce(m.metadata->'quotes', '[]'::jsonb),
+      m.created_at,
+      ts_rank_cd(to_tsvector('simple', m.content), query.q)
+    FROM public.messages m
+    JOIN public.projects p ON p.id = m.project_id
+    CROSS JOIN query
+    WHERE to_tsvector('simple', m.content) @@ query.q
+      AND (filter_source IS NULL OR filter_source = 'project')
+      AND (filter_project_id IS NULL OR m.project_id = filter_project_id)
+  )
+  SELECT
+    h.source,
+    h.message_id,
+    h.conversation_id,
+    h.project_id,
+    h.container_title,
+    h.role,
+    ts_headline(
+      'simple', h.content, query.q,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "'
+    ) AS snippet,
+    ARRAY(
+      SELECT DISTINCT quote->>'document_title'
+      FROM jsonb_array_elements(CASE WHEN jsonb_typeof(h.cited) = 'array' THEN h.cited ELSE '[]'::jsonb END) AS quote
+      WHERE quote->>'document_title' IS NOT NULL
+    ) AS cited_documents,
+    h.created_at,
+    h.rank
+  FROM hits h
+  CROSS JOIN query
+  WHERE (date_from IS NULL OR h.created_at >= date_from)
+    AND (date_to IS NULL OR h.created_at < date_to)
+    AND (
+      cited_document IS NULL
+      OR EXISTS (
+        SELECT 1
+        FROM jsonb_array_elements(CASE WHEN jsonb_typeof(h.cited) = 'array' THEN h.cited ELSE '[]'::jsonb END) AS quote
+        WHERE quote->>'document_title' ILIKE '%' || cited_document || '%'
+      )
+    )
+  ORDER BY h.rank DESC, h.created_at DESC
+  LIMIT match_count;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_chat_history(TEXT, TEXT, UUID, TIMESTAMPTZ, TIMESTAMPTZ, TEXT, INT) TO authenticated;
+
+COMMIT;
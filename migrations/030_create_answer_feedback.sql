@@ -0,0 +1,64 @@
+-- migration: 030_create_answer_feedback.sql
+-- Description: Thumbs up/down feedback on assistant answers, stored next to
+-- query_logs, and a staff triage status.
+--
+-- - query_logs now keeps the full answer, its confidence, the quotes and a
+--   snapshot of the retrieved chunks, so staff can see what the model was given.
+-- - answer_feedback holds one vote per user and message. Users write their
+--   own rows (rating, reason, correction only); staff triage through the
+--   /api/admin/feedback serverless function (service role).
+-- - cte_conversation_messages keeps the query_logs id of each answer so
+--   feedback given after a reload is still linked to its query.
+
+BEGIN;
+
+ALTER TABLE public.query_logs
+    ADD COLUMN IF NOT EXISTS answer TEXT,
+    ADD COLUMN IF NOT EXISTS confidence TEXT,
+    ADD COLUMN IF NOT EXISTS quotes JSONB,
+    ADD COLUMN IF NOT EXISTS retrieved_chunks JSONB;
+
+ALTER TABLE public.cte_conversation_messages
+    ADD COLUMN IF NOT EXISTS query_log_id UUID REFERENCES public.query_logs(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS public.answer_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    query_log_id UUID REFERENCES public.query_logs(id) ON DELETE SET NULL,
+    source TEXT NOT NULL CHECK (source IN ('cte', 'project')),
+    message_id UUID NOT NULL,
+    question TEXT,
+    answer TEXT,
+    rating TEXT NOT NULL CHECK (rating IN ('up', 'down')),
+    reason TEXT CHECK (reason IN ('wrong_article', 'outdated_norm', 'missing_source', 'hallucination')),
+    correction TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    staff_note TEXT,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, source, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_feedback_status_created
+    ON public.answer_feedback (status, created_at DESC);
+
+ALTER TABLE public.answer_feedback ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage their own answer feedback" ON public.answer_feedback;
+CREATE POLICY "Users manage their own answer feedback"
+    ON public.answer_feedback
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Users can vote and change their vote, but not touch the triage columns
+GRANT SELECT, DELETE ON public.answer_feedback TO authenticated;
+GRANT INSERT (user_id, query_log_id, source, message_id, question, answer, rating, reason, correction, updated_at)
+    ON public.answer_feedback TO authenticated;
+GRANT UPDATE (user_id, query_log_id, source, message_id, question, answer, rating, reason, correction, updated_at)
+    ON public.answer_feedback TO authenticated;
+GRANT ALL ON public.answer_feedback TO service_role;
+
+COMMIT;
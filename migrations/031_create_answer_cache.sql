@@ -0,0 +1,166 @@
+-- migration: 031_create_answer_cache.sql
+-- Description: Semantic answer cache for /api/ask.
+-- A new question with no conversation history reuses a stored answer when a
+-- cached question embedding is close enough, for the same embedding model,
+-- answer locale and town filter. Entries expire after a TTL set by the API.
+--
+-- Invalidation: re-uploading documents through /api/admin/upload rewrites
+-- documents / document_chunks, and triggers here drop every cached answer
+-- that could depend on them:
+--   - answers that cite the document, and
+--   - for state documents (town_id IS NULL) every answer, for municipal
+--     documents every answer scoped to that town (a new document can change
+--     answers that did not cite it yet).
+--
+-- Only the serverless ask function (service role) reads or writes the cache.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.answer_cache (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    question TEXT NOT NULL,
+    -- No fixed dimension: entries are only compared within one embedding_model
+    question_embedding vector NOT NULL,
+    embedding_model TEXT NOT NULL,
+    locale TEXT NOT NULL,
+    town_id UUID,
+    answer TEXT NOT NULL,
+    quotes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    confidence TEXT,
+    document_ids UUID[] NOT NULL DEFAULT '{}',
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_cache_key
+    ON public.answer_cache (embedding_model, locale, town_id, expires_at);
+
+CREATE INDEX IF NOT EXISTS idx_answer_cache_document_ids
+    ON public.answer_cache USING gin (document_ids);
+
+-- No policies: anon/authenticated roles have no access, service_role bypasses RLS
+ALTER TABLE public.answer_cache ENABLE ROW LEVEL SECURITY;
+
+-- Closest unexpired entry above min_similarity; counts the hit
+CREATE OR REPLACE FUNCTION public.use_answer_cache(
+    query_embedding vector,
+    p_embedding_model TEXT,
+    p_locale TEXT,
+    p_town_id UUID,
+    min_similarity FLOAT
+)
+RETURNS TABLE (
+    id UUID,
+    question TEXT,
+    answer TEXT,
+    quotes JSONB,
+    confidence TEXT,
+    similarity FLOAT,
+    created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+SET search_path = public, extensions
+AS $$
+    WITH best AS (
+        SELECT c.id, 1 - (c.question_embedding <=> query_embedding) AS similarity
+        FROM public.answer_cache c
+        WHERE c.embedding_model = p_embedding_model
+          AND c.locale = p_locale
+          AND c.town_id IS NOT DISTINCT FROM p_town_id
+          AND c.expires_at > NOW()
+        ORDER BY c.question_embedding <=> query_embedding
+        LIMIT 1
+    )
+    UPDATE public.answer_cache c
+    SET hit_count = c.hit_count + 1,
+        last_hit_at = NOW()
+    FROM best
+    WHERE c.id = best.id
+      AND best.similarity >= min_similarity
+    RETURNING c.id, c.question, c.answer, c.quotes, c.confidence, best.similarity, c.created_at;
+$$;
+
+-- Drop cached answers affected by a change to one document
+CREATE OR REPLACE FUNCTION public.invalidate_answer_cache_for_document(p_document_id UUID, p_town_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    DELETE FROM public.answer_cache c
+    WHERE p_document_id = ANY(c.document_ids)
+       OR p_town_id IS NULL
+       OR c.town_id = p_town_id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.invalidate_answer_cache_on_document_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM public.invalidate_answer_cache_for_document(OLD.id, OLD.town_id);
+    ELSE
+        PERFORM public.invalidate_answer_cache_for_document(NEW.id, NEW.town_id);
+        IF TG_OP = 'UPDATE' AND OLD.town_id IS DISTINCT FROM NEW.town_id THEN
+            PERFORM public.invalidate_answer_cache_for_document(OLD.id, OLD.town_id);
+        END IF;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS invalidate_answer_cache ON public.documents;
+CREATE TRIGGER invalidate_answer_cache
+    AFTER INSERT OR DELETE OR UPDATE OF file_url, title, town_id ON public.documents
+    FOR EACH ROW
+    EXECUTE FUNCTION public.invalidate_answer_cache_on_document_change();
+
+-- Chunks are re-written in bulk on re-upload: one invalidation per statement
+CREATE OR REPLACE FUNCTION public.invalidate_answer_cache_on_chunks_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_document RECORD;
+BEGIN
+    FOR v_document IN
+        SELECT DISTINCT changed.document_id, d.town_id
+        FROM (
+            SELECT document_id FROM changed_chunks
+        ) changed
+        LEFT JOIN public.documents d ON d.id = changed.document_id
+    LOOP
+        PERFORM public.invalidate_answer_cache_for_document(v_document.document_id, v_document.town_id);
+    END LOOP;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS invalidate_answer_cache_on_insert ON public.document_chunks;
+CREATE TRIGGER invalidate_answer_cache_on_insert
+    AFTER INSERT ON public.document_chunks
+    REFERENCING NEW TABLE AS changed_chunks
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION public.invalidate_answer_cache_on_chunks_change();
+
+DROP TRIGGER IF EXISTS invalidate_answer_cache_on_delete ON public.document_chunks;
+CREATE TRIGGER invalidate_answer_cache_on_delete
+    AFTER DELETE ON public.document_chunks
+    REFERENCING OLD TABLE AS changed_chunks
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION public.invalidate_answer_cache_on_chunks_change();
+
+GRANT ALL ON public.answer_cache TO service_role;
+REVOKE EXECUTE ON FUNCTION public.use_answer_cache(vector, TEXT, TEXT, UUID, FLOAT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.invalidate_answer_cache_for_document(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.use_answer_cache(vector, TEXT, TEXT, UUID, FLOAT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.invalidate_answer_cache_for_document(UUID, UUID) TO service_role;
+
+COMMIT;
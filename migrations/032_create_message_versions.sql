@@ -0,0 +1,69 @@
+-- migration: 032_create_message_versions.sql
+-- Description: Alternative versions of an assistant answer.
+-- "Regenerate" and "edit question" in the CTE chat and the project chat keep
+-- earlier answers as selectable versions of the same turn. Version 1 is the
+-- original message row (cte_conversation_messages or messages, with the
+-- question of the preceding user message); versions 2+ are stored here,
+-- keyed by that original assistant message id.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.message_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    source TEXT NOT NULL CHECK (source IN ('cte', 'project')),
+    -- Assistant message of the turn (cte_conversation_messages.id or messages.id)
+    message_id UUID NOT NULL,
+    version INTEGER NOT NULL CHECK (version >= 2),
+    -- Question the version answers (differs from the user message after an edit)
+    question TEXT NOT NULL,
+    content TEXT NOT NULL,
+    quotes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    confidence TEXT,
+    query_log_id UUID REFERENCES public.query_logs(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, source, message_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_versions_message
+    ON public.message_versions (source, message_id, version);
+
+-- Versions go away with the message they belong to
+CREATE OR REPLACE FUNCTION public.delete_message_versions()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    DELETE FROM public.message_versions
+    WHERE source = TG_ARGV[0] AND message_id = OLD.id;
+    RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS delete_message_versions ON public.cte_conversation_messages;
+CREATE TRIGGER delete_message_versions
+    AFTER DELETE ON public.cte_conversation_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION public.delete_message_versions('cte');
+
+DROP TRIGGER IF EXISTS delete_message_versions ON public.messages;
+CREATE TRIGGER delete_message_versions
+    AFTER DELETE ON public.messages
+    FOR EACH ROW
+    EXECUTE FUNCTION public.delete_message_versions('project');
+
+ALTER TABLE public.message_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage their own message versions" ON public.message_versions;
+CREATE POLICY "Users manage their own message versions"
+    ON public.message_versions
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+GRANT SELECT, INSERT, DELETE ON public.message_versions TO authenticated;
+GRANT ALL ON public.message_versions TO service_role;
+
+COMMIT;
@@ -0,0 +1,142 @@
+-- migration: 033_create_starter_questions.sql
+-- Description: Curated starter questions for the chats, and follow-up
+-- suggestions kept with cached answers.
+--
+-- - starter_questions holds the question templates shown in an empty chat,
+--   either for a project type (same values as NewProjectModal) or for a CTE
+--   document. Everyone can read the active ones; staff edit them through the
+--   /api/admin/starter-questions serverless function (service role).
+-- - answer_cache keeps the follow-up suggestions generated with the answer,
+--   so a cache hit returns them too. use_answer_cache changes its return type
+--   and has to be dropped first.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.starter_questions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_type TEXT CHECK (project_type IN (
+        'Habitatge', 'Equipament', 'Unifamiliar', 'Paisatge',
+        'Comercial', 'Oficines', 'Urbà', 'Rehabilitació'
+    )),
+    cte_document TEXT CHECK (cte_document IN ('DB-SI', 'DB-SUA', 'DB-HE', 'DB-HS', 'DB-HR', 'DB-SE')),
+    question TEXT NOT NULL CHECK (char_length(question) BETWEEN 5 AND 500),
+    position INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (project_type IS NOT NULL OR cte_document IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_starter_questions_project_type
+    ON public.starter_questions (project_type, position) WHERE active;
+
+CREATE INDEX IF NOT EXISTS idx_starter_questions_cte_document
+    ON public.starter_questions (cte_document, position) WHERE active;
+
+ALTER TABLE public.starter_questions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read active starter questions" ON public.starter_questions;
+CREATE POLICY "Anyone can read active starter questions"
+    ON public.starter_questions
+    FOR SELECT
+    USING (active);
+
+GRANT SELECT ON public.starter_questions TO anon, authenticated;
+GRANT ALL ON public.starter_questions TO service_role;
+
+-- Initial library (staff can edit or deactivate these)
+INSERT INTO public.starter_questions (project_type, cte_document, question, position) VALUES
+    ('Habitatge', NULL, 'Quina és l''amplada mínima d''un passadís d''evacuació en un edifici d''habitatges plurifamiliar?', 1),
+    ('Habitatge', NULL, 'Quan cal instal·lar un ascensor accessible en un edifici d''habitatges?', 2),
+    ('Habitatge', NULL, 'Quina alçada han de tenir les baranes dels balcons i terrasses?', 3),
+    ('Habitatge', NULL, 'Quin aïllament acústic a soroll aeri cal entre habitatges contigus?', 4),
+    ('Equipament', NULL, 'Com es calcula l''ocupació d''un equipament públic segons l''ús dels espais?', 1),
+    ('Equipament', NULL, 'Quantes sortides de planta calen en un equipament docent?', 2),
+    ('Equipament', NULL, 'Quins requisits de lavabos accessibles té un equipament d''ús públic?', 3),
+    ('Unifamiliar', NULL, 'Quines exigències d''estalvi d''energia ha de complir un habitatge unifamiliar de nova construcció?', 1),
+    ('Unifamiliar', NULL, 'Quina amplada mínima ha de tenir l''escala interior d''un habitatge unifamiliar?', 2),
+    ('Unifamiliar', NULL, 'Cal una contribució mínima d''energia renovable per a l''ACS en un habitatge unifamiliar?', 3),
+    ('Paisatge', NULL, 'Quins requisits d''accessibilitat ha de complir un itinerari de vianants en un parc?', 1),
+    ('Paisatge', NULL, 'Quin pendent màxim pot tenir una rampa en un espai lliure públic?', 2),
+    ('Paisatge', NULL, 'Quan cal protegir un desnivell amb una barrera de protecció en un espai exterior?', 3),
+    ('Comercial', NULL, 'Quina densitat d''ocupació s''aplica a les zones de venda d''un local comercial?', 1),
+    ('Comercial', NULL, 'Quins sectors d''incendi cal establir en un establiment comercial?', 2),
+    ('Comercial', NULL, 'Quins requisits de ventilació té un local comercial amb zona de magatzem?', 3),
+    ('Oficines', NULL, 'Quina densitat d''ocupació s''aplica a una planta d''oficines?', 1),
+    ('Oficines', NULL, 'Quina longitud màxima poden tenir els recorreguts d''evacuació en un edifici d''oficines?', 2),
+    ('Oficines', NULL, 'Quins valors límit d''eficiència energètica de la il·luminació s''apliquen a oficines?', 3),
+    ('Urbà', NULL, 'Quines condicions d''aproximació i entorn per als bombers ha de complir un edifici?', 1),
+    ('Urbà', NULL, 'Quina amplada lliure mínima ha de tenir un itinerari de vianants accessible?', 2),
+    ('Urbà', NULL, 'Quins paràmetres d''edificació regula el planejament municipal per a una parcel·la?', 3),
+    ('Rehabilitació', NULL, 'Quins documents del CTE s''apliquen en una intervenció en un edifici existent?', 1),
+    ('Rehabilitació', NULL, 'Què implica el criteri de no empitjorament en una reforma?', 2),
+    ('Rehabilitació', NULL, 'Quan cal millorar l''aïllament tèrmic de l''envolupant en una rehabilitació?', 3),
+    (NULL, 'DB-SI', 'Com es determina el nombre de sortides i la longitud dels recorreguts d''evacuació?', 1),
+    (NULL, 'DB-SI', 'Quina resistència al foc han de tenir els elements estructurals segons l''ús i l''alçada?', 2),
+    (NULL, 'DB-SI', 'Quan cal una instal·lació d''extinció automàtica?', 3),
+    (NULL, 'DB-SUA', 'Quina alçada mínima han de tenir les barreres de protecció?', 1),
+    (NULL, 'DB-SUA', 'Quines dimensions han de tenir els trams i replans d''una escala d''ús general?', 2),
+    (NULL, 'DB-SUA', 'Quines condicions ha de complir un itinerari accessible?', 3),
+    (NULL, 'DB-HE', 'Quins són els valors límit de transmitància tèrmica de l''envolupant?', 1),
+    (NULL, 'DB-HE', 'Com es calcula el consum d''energia primària no renovable?', 2),
+    (NULL, 'DB-HE', 'Quina contribució mínima d''energia renovable cal per a l''ACS?', 3),
+    (NULL, 'DB-HS', 'Quins cabals mínims de ventilació cal garantir en un habitatge?', 1),
+    (NULL, 'DB-HS', 'Quin grau d''impermeabilitat han de tenir els murs i les façanes?', 2),
+    (NULL, 'DB-HS', 'Quin espai de reserva per a residus cal preveure en un edifici d''habitatges?', 3),
+    (NULL, 'DB-HR', 'Quin aïllament acústic a soroll aeri cal entre recintes protegits?', 1),
+    (NULL, 'DB-HR', 'Quins límits de soroll d''impacte s''apliquen als forjats?', 2),
+    (NULL, 'DB-HR', 'Com es justifica el compliment amb l''opció simplificada?', 3),
+    (NULL, 'DB-SE', 'Quines sobrecàrregues d''ús cal considerar en un forjat d''habitatge?', 1),
+    (NULL, 'DB-SE', 'Com es determina l''acció del vent sobre un edifici?', 2),
+    (NULL, 'DB-SE', 'Quins estats límit cal verificar en el càlcul d''una estructura?', 3);
+
+ALTER TABLE public.answer_cache
+    ADD COLUMN IF NOT EXISTS suggestions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+DROP FUNCTION IF EXISTS public.use_answer_cache(vector, TEXT, TEXT, UUID, FLOAT);
+
+-- Closest unexpired entry above min_similarity; counts the hit
+CREATE FUNCTION public.use_answer_cache(
+    query_embedding vector,
+    p_embedding_model TEXT,
+    p_locale TEXT,
+    p_town_id UUID,
+    min_similarity FLOAT
+)
+RETURNS TABLE (
+    id UUID,
+    question TEXT,
+    answer TEXT,
+    quotes JSONB,
+    confidence TEXT,
+    suggestions JSONB,
+    similarity FLOAT,
+    created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+SET search_path = public, extensions
+AS $$
+    WITH best AS (
+        SELECT c.id, 1 - (c.question_embedding <=> query_embedding) AS similarity
+        FROM public.answer_cache c
+        WHERE c.embedding_model = p_embedding_model
+          AND c.locale = p_locale
+          AND c.town_id IS NOT DISTINCT FROM p_town_id
+          AND c.expires_at > NOW()
+        ORDER BY c.question_embedding <=> query_embedding
+        LIMIT 1
+    )
+    UPDATE public.answer_cache c
+    SET hit_count = c.hit_count + 1,
+        last_hit_at = NOW()
+    FROM best
+    WHERE c.id = best.id
+      AND best.similarity >= min_similarity
+    RETURNING c.id, c.question, c.answer, c.quotes, c.confidence, c.suggestions, best.similarity, c.created_at;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.use_answer_cache(vector, TEXT, TEXT, UUID, FLOAT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.use_answer_cache(vector, TEXT, TEXT, UUID, FLOAT) TO service_role;
+
+COMMIT;
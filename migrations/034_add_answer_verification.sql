@@ -0,0 +1,22 @@
+-- migration: 034_add_answer_verification.sql
+-- Description: Keep the verification result of every answer from /api/ask.
+--
+-- The ask function checks the quoted passages of each answer against the
+-- retrieved chunks and computes the confidence from retrieval similarity and
+-- citation coverage (api/_lib/answerVerification.ts). The result is stored:
+-- - on query_logs, for staff reviewing feedback, and
+-- - on CTE chat messages and their versions, so the "quote not found in the
+--   source" warnings are still shown after a reload.
+
+BEGIN;
+
+ALTER TABLE public.query_logs
+    ADD COLUMN IF NOT EXISTS verification JSONB;
+
+ALTER TABLE public.cte_conversation_messages
+    ADD COLUMN IF NOT EXISTS verification JSONB;
+
+ALTER TABLE public.message_versions
+    ADD COLUMN IF NOT EXISTS verification JSONB;
+
+COMMIT;
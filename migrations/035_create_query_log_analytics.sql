@@ -0,0 +1,167 @@
+-- migration: 035_create_query_log_analytics.sql
+-- Description: Aggregates over query_logs for the staff analytics page
+-- (/api/admin/query-analytics), to see which regulations are asked about and
+-- which are missing from the corpus.
+--
+-- - query_logs keeps the subscription tier the question was asked with.
+--   Older rows fall back to the user's current tier (anonymous without user).
+-- - query_log_analytics(since, until) returns one JSON document: totals,
+--   daily volume, usage per tier, most cited documents, CTE documents and
+--   keywords asked about, distribution of the best retrieval similarity, and
+--   the questions answered with the "no information found" fallback.
+--
+-- Only the serverless analytics function (service role) calls it.
+
+BEGIN;
+
+ALTER TABLE public.query_logs
+    ADD COLUMN IF NOT EXISTS subscription_level TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_query_logs_created_at
+    ON public.query_logs (created_at DESC);
+
+CREATE OR REPLACE FUNCTION public.query_log_analytics(
+    p_since TIMESTAMPTZ,
+    p_until TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    WITH logs AS (
+        SELECT
+            q.id,
+            q.user_id,
+            q.question,
+            q.quotes,
+            q.created_at,
+            COALESCE(q.response_summary LIKE '%cached%', FALSE) AS cached,
+            COALESCE(
+                q.subscription_level,
+                CASE WHEN q.user_id IS NULL THEN 'anonymous' ELSE p.subscription_level END,
+                'free'
+            ) AS tier,
+            -- Fallback message of /api/ask in each answer locale
+            COALESCE(
+                q.answer ILIKE 'No he trobat informació%'
+                OR q.answer ILIKE 'No he encontrado información%'
+                OR q.answer ILIKE 'I could not find specific information%',
+                FALSE
+            ) AS no_info,
+            (
+                SELECT MAX((chunk->>'similarity')::FLOAT)
+                FROM jsonb_array_elements(COALESCE(q.retrieved_chunks, '[]'::jsonb)) chunk
+                WHERE jsonb_typeof(chunk->'similarity') = 'number'
+            ) AS top_similarity
+        FROM public.query_logs q
+        LEFT JOIN public.profiles p ON p.id = q.user_id
+        WHERE q.created_at >= p_since
+          AND q.created_at < p_until
+    ),
+    -- CTE documents asked about: named in the question or cited in the answer
+    topics AS (
+        SELECT DISTINCT l.id, 'DB-' || upper(m[1]) AS topic
+        FROM logs l,
+             regexp_matches(l.question, '\mDB[-\s]?(SUA|SI|HE|HS|HR|SE)\M', 'gi') m
+        UNION
+        SELECT DISTINCT l.id, 'DB-' || upper(m[1])
+        FROM logs l,
+             jsonb_array_elements(COALESCE(l.quotes, '[]'::jsonb)) quote,
+             regexp_matches(quote->>'document_title', '\mDB[-\s]?(SUA|SI|HE|HS|HR|SE)\M', 'gi') m
+    )
+    SELECT jsonb_build_object(
+        'totals', (
+            SELECT jsonb_build_object(
+                'questions', COUNT(*),
+                'users', COUNT(DISTINCT user_id),
+                'anonymous_questions', COUNT(*) FILTER (WHERE user_id IS NULL),
+                'no_info', COUNT(*) FILTER (WHERE no_info),
+                'cached', COUNT(*) FILTER (WHERE cached),
+                'avg_similarity', AVG(top_similarity)
+            )
+            FROM logs
+        ),
+        'daily', COALESCE((
+            SELECT jsonb_agg(day ORDER BY day.date)
+            FROM (
+                SELECT
+                    (created_at AT TIME ZONE 'UTC')::DATE AS date,
+                    COUNT(*) AS questions,
+                    COUNT(*) FILTER (WHERE no_info) AS no_info,
+                    AVG(top_similarity) AS avg_similarity
+                FROM logs
+                GROUP BY 1
+            ) day
+        ), '[]'::jsonb),
+        'tiers', COALESCE((
+            SELECT jsonb_agg(tier_usage ORDER BY tier_usage.questions DESC)
+            FROM (
+                SELECT tier, COUNT(*) AS questions, COUNT(DISTINCT user_id) AS users
+                FROM logs
+                GROUP BY tier
+            ) tier_usage
+        ), '[]'::jsonb),
+        'documents', COALESCE((
+            SELECT jsonb_agg(document ORDER BY document.questions DESC)
+            FROM (
+                SELECT quote->>'document_title' AS document_title, COUNT(DISTINCT l.id) AS questions
+                FROM logs l, jsonb_array_elements(COALESCE(l.quotes, '[]'::jsonb)) quote
+                WHERE quote->>'document_title' IS NOT NULL
+                GROUP BY 1
+                ORDER BY 2 DESC
+                LIMIT 15
+            ) document
+        ), '[]'::jsonb),
+        'topics', COALESCE((
+            SELECT jsonb_agg(topic_count ORDER BY topic_count.questions DESC)
+            FROM (
+                SELECT topic, COUNT(*) AS questions
+                FROM topics
+                GROUP BY topic
+            ) topic_count
+        ), '[]'::jsonb),
+        'keywords', COALESCE((
+            SELECT jsonb_agg(keyword ORDER BY keyword.questions DESC)
+            FROM (
+                SELECT word, COUNT(DISTINCT l.id) AS questions
+                FROM logs l,
+                     regexp_split_to_table(lower(l.question), '[^[:alnum:]·]+') word
+                -- Long words only: short ones are mostly articles and prepositions
+                WHERE char_length(word) >= 5
+                  AND word NOT IN ('quina', 'quines', 'quins', 'quant', 'quants', 'quantes', 'segons', 'sobre',
+                                   'aquest', 'aquesta', 'entre', 'tenir', 'poden', 'puede', 'pueden', 'cuál',
+                                   'cuáles', 'cuánto', 'según', 'which', 'there', 'about', 'should')
+                GROUP BY word
+                ORDER BY 2 DESC
+                LIMIT 20
+            ) keyword
+        ), '[]'::jsonb),
+        'similarity_buckets', (
+            SELECT jsonb_build_object(
+                'below_30', COUNT(*) FILTER (WHERE top_similarity < 0.3),
+                'from_30_to_50', COUNT(*) FILTER (WHERE top_similarity >= 0.3 AND top_similarity < 0.5),
+                'from_50_to_70', COUNT(*) FILTER (WHERE top_similarity >= 0.5 AND top_similarity < 0.7),
+                'above_70', COUNT(*) FILTER (WHERE top_similarity >= 0.7),
+                'unknown', COUNT(*) FILTER (WHERE top_similarity IS NULL)
+            )
+            FROM logs
+        ),
+        'no_info_questions', COALESCE((
+            SELECT jsonb_agg(unanswered ORDER BY unanswered.times DESC, unanswered.last_asked_at DESC)
+            FROM (
+                SELECT MIN(question) AS question, COUNT(*) AS times, MAX(created_at) AS last_asked_at
+                FROM logs
+                WHERE no_info
+                GROUP BY lower(btrim(question))
+                ORDER BY 2 DESC, 3 DESC
+                LIMIT 50
+            ) unanswered
+        ), '[]'::jsonb)
+    );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.query_log_analytics(TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.query_log_analytics(TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
+
+COMMIT;
@@ -0,0 +1,94 @@
+-- migration: 036_add_document_validity.sql
+-- Description: Validity period and "supersedes" link on documents, so /api/ask
+-- can prefer the version of a regulation in force (today, or at the as_of_date
+-- of the question) and flag quotes from derogated texts.
+--
+-- - effective_from: first day the document applies (NULL = always applied).
+-- - effective_to: first day the document no longer applies, i.e. the date it
+--   was derogated (NULL = still in force).
+-- - supersedes_document_id: previous version replaced by this document. The
+--   previous version stops applying when this one comes into force, even if
+--   its own effective_to is not set.
+--
+-- Staff edit these through /api/admin/documents (AdminUploadPage). Editing
+-- them invalidates the cached answers, like a title or file change.
+--
+-- Vector hits need document_id and town_id to get a validity status and to
+-- record the documents behind a cached answer. match_document_chunks is left
+-- as deployed (its definition is not in this repository); /api/ask calls
+-- match_document_chunks_with_documents instead, which has the same parameters
+-- and returns the columns of search_document_chunks_text (migration 025).
+
+BEGIN;
+
+ALTER TABLE public.documents
+    ADD COLUMN IF NOT EXISTS effective_from DATE,
+    ADD COLUMN IF NOT EXISTS effective_to DATE,
+    ADD COLUMN IF NOT EXISTS supersedes_document_id UUID REFERENCES public.documents(id) ON DELETE SET NULL;
+
+ALTER TABLE public.documents
+    DROP CONSTRAINT IF EXISTS documents_effective_period_check;
+ALTER TABLE public.documents
+    ADD CONSTRAINT documents_effective_period_check
+    CHECK (effective_from IS NULL OR effective_to IS NULL OR effective_to > effective_from);
+
+ALTER TABLE public.documents
+    DROP CONSTRAINT IF EXISTS documents_supersedes_self_check;
+ALTER TABLE public.documents
+    ADD CONSTRAINT documents_supersedes_self_check
+    CHECK (supersedes_document_id IS NULL OR supersedes_document_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_documents_supersedes_document_id
+    ON public.documents (supersedes_document_id)
+    WHERE supersedes_document_id IS NOT NULL;
+
+-- Answers quoting a document must be regenerated when its validity changes
+DROP TRIGGER IF EXISTS invalidate_answer_cache ON public.documents;
+CREATE TRIGGER invalidate_answer_cache
+    AFTER INSERT OR DELETE
+    OR UPDATE OF file_url, title, town_id, effective_from, effective_to, supersedes_document_id
+    ON public.documents
+    FOR EACH ROW
+    EXECUTE FUNCTION public.invalidate_answer_cache_on_document_change();
+
+CREATE OR REPLACE FUNCTION public.match_document_chunks_with_documents(
+  query_embedding vector,
+  match_threshold FLOAT,
+  match_count INT DEFAULT 8,
+  filter_town_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  content TEXT,
+  page_number INT,
+  document_title TEXT,
+  document_url TEXT,
+  town_id UUID,
+  similarity FLOAT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    c.id,
+    c.document_id,
+    c.content,
+    c.page_number,
+    d.title AS document_title,
+    d.file_url AS document_url,
+    d.town_id,
+    (1 - (c.embedding <=> query_embedding))::FLOAT AS similarity
+  FROM public.document_chunks c
+  JOIN public.documents d ON d.id = c.document_id
+  WHERE 1 - (c.embedding <=> query_embedding) > match_threshold
+    AND (filter_town_id IS NULL OR d.town_id = filter_town_id)
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+-- Called by the serverless ask function (service role)
+REVOKE EXECUTE ON FUNCTION public.match_document_chunks_with_documents(vector, FLOAT, INT, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.match_document_chunks_with_documents(vector, FLOAT, INT, UUID) TO service_role;
+
+COMMIT;
@@ -0,0 +1,102 @@
+-- migration: 037_create_glossary_terms.sql
+-- Description: Glossary of abbreviations and terms (CTE documents and
+-- sections, planning instruments, other regulations, colloquial building
+-- terms in Catalan and Spanish).
+--
+-- /api/ask expands the terms found in a question with their definition and
+-- synonyms before embedding and keyword search, so "PEU" or "barandilla"
+-- retrieve the chunks that say "Pla especial urbanístic" or "barana". The
+-- glossary page lists the active terms; staff edit them through the
+-- /api/admin/glossary serverless function (service role).
+--
+-- - term: abbreviation or word as shown in the glossary ("DB-SI", "barana").
+--   Hyphens and spaces are optional when matching ("SUA-1" = "SUA 1" = "SUA1").
+-- - synonyms: other names and spellings (both languages), matched too.
+-- - definition: full name or short meaning, added to the query.
+-- - case_sensitive: match the exact case only ("PEU" but not "peu", foot).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.glossary_terms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    term TEXT NOT NULL CHECK (char_length(term) BETWEEN 2 AND 80),
+    definition TEXT NOT NULL CHECK (char_length(definition) BETWEEN 2 AND 300),
+    synonyms TEXT[] NOT NULL DEFAULT '{}',
+    description TEXT CHECK (description IS NULL OR char_length(description) <= 2000),
+    category TEXT NOT NULL DEFAULT 'construction'
+        CHECK (category IN ('cte', 'planning', 'regulation', 'construction')),
+    case_sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_glossary_terms_term
+    ON public.glossary_terms (lower(term));
+
+ALTER TABLE public.glossary_terms ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can read active glossary terms" ON public.glossary_terms;
+CREATE POLICY "Anyone can read active glossary terms"
+    ON public.glossary_terms
+    FOR SELECT
+    USING (active);
+
+GRANT SELECT ON public.glossary_terms TO anon, authenticated;
+GRANT ALL ON public.glossary_terms TO service_role;
+
+-- Initial glossary (staff can edit or deactivate these)
+INSERT INTO public.glossary_terms (term, definition, synonyms, category, case_sensitive) VALUES
+    -- CTE documents and sections
+    ('CTE', 'Codi Tècnic de l''Edificació', ARRAY['Código Técnico de la Edificación'], 'cte', FALSE),
+    ('DB-SI', 'Document Bàsic de Seguretat en cas d''Incendi', ARRAY['Seguridad en caso de incendio'], 'cte', FALSE),
+    ('DB-SUA', 'Document Bàsic de Seguretat d''Utilització i Accessibilitat', ARRAY['Seguridad de utilización y accesibilidad', 'DB-SU'], 'cte', FALSE),
+    ('DB-HE', 'Document Bàsic d''Estalvi d''Energia', ARRAY['Ahorro de energía'], 'cte', FALSE),
+    ('DB-HS', 'Document Bàsic de Salubritat', ARRAY['Salubridad'], 'cte', FALSE),
+    ('DB-HR', 'Document Bàsic de Protecció davant el Soroll', ARRAY['Protección frente al ruido'], 'cte', FALSE),
+    ('DB-SE', 'Document Bàsic de Seguretat Estructural', ARRAY['Seguridad estructural'], 'cte', FALSE),
+    ('SI-1', 'Propagació interior', ARRAY['Propagación interior', 'sectors d''incendi', 'sectores de incendio'], 'cte', TRUE),
+    ('SI-3', 'Evacuació d''ocupants', ARRAY['Evacuación de ocupantes'], 'cte', TRUE),
+    ('SI-4', 'Instal·lacions de protecció contra incendis', ARRAY['Instalaciones de protección contra incendios'], 'cte', TRUE),
+    ('SUA-1', 'Seguretat enfront del risc de caigudes', ARRAY['Seguridad frente al riesgo de caídas'], 'cte', TRUE),
+    ('SUA-9', 'Accessibilitat', ARRAY['Accesibilidad'], 'cte', TRUE),
+    ('HE0', 'Limitació del consum d''energia', ARRAY['Limitación del consumo energético', 'consum d''energia primària'], 'cte', TRUE),
+    ('HE1', 'Condicions per al control de la demanda energètica', ARRAY['Control de la demanda energética', 'transmitància tèrmica', 'transmitancia térmica'], 'cte', TRUE),
+    ('HE4', 'Contribució mínima d''energia renovable per cobrir la demanda d''aigua calenta sanitària', ARRAY['Contribución mínima de energía renovable para cubrir la demanda de agua caliente sanitaria'], 'cte', TRUE),
+    ('HS3', 'Qualitat de l''aire interior', ARRAY['Calidad del aire interior', 'ventilació', 'ventilación'], 'cte', TRUE),
+    -- Planning instruments
+    ('POUM', 'Pla d''ordenació urbanística municipal', ARRAY['Plan de ordenación urbanística municipal'], 'planning', FALSE),
+    ('PGM', 'Pla general metropolità', ARRAY['Plan general metropolitano'], 'planning', TRUE),
+    ('PEU', 'Pla especial urbanístic', ARRAY['Plan especial urbanístico'], 'planning', TRUE),
+    ('PMU', 'Pla de millora urbana', ARRAY['Plan de mejora urbana'], 'planning', TRUE),
+    ('PAU', 'Polígon d''actuació urbanística', ARRAY['Polígono de actuación urbanística'], 'planning', TRUE),
+    ('PDU', 'Pla director urbanístic', ARRAY['Plan director urbanístico'], 'planning', TRUE),
+    ('NNSS', 'Normes subsidiàries de planejament', ARRAY['Normas subsidiarias'], 'planning', TRUE),
+    ('sòl no urbanitzable', 'Sòl no urbanitzable', ARRAY['suelo no urbanizable', 'sòl rústic', 'suelo rústico', 'SNU'], 'planning', FALSE),
+    -- Other regulations and procedures
+    ('LOE', 'Llei d''ordenació de l''edificació', ARRAY['Ley de Ordenación de la Edificación'], 'regulation', TRUE),
+    ('RITE', 'Reglament d''instal·lacions tèrmiques en els edificis', ARRAY['Reglamento de instalaciones térmicas en los edificios'], 'regulation', FALSE),
+    ('REBT', 'Reglament electrotècnic per a baixa tensió', ARRAY['Reglamento electrotécnico para baja tensión'], 'regulation', FALSE),
+    ('RSCIEI', 'Reglament de seguretat contra incendis en establiments industrials', ARRAY['Reglamento de seguridad contra incendios en los establecimientos industriales'], 'regulation', FALSE),
+    ('ITE', 'Inspecció tècnica de l''edifici', ARRAY['Inspección técnica de edificios', 'IITE'], 'regulation', TRUE),
+    ('CEE', 'Certificat d''eficiència energètica', ARRAY['Certificado de eficiencia energética'], 'regulation', TRUE),
+    ('ACS', 'Aigua calenta sanitària', ARRAY['Agua caliente sanitaria'], 'regulation', TRUE),
+    ('cèdula d''habitabilitat', 'Cèdula d''habitabilitat', ARRAY['cédula de habitabilidad'], 'regulation', FALSE),
+    -- Colloquial building terms
+    ('barana', 'Barrera de protecció en desnivells', ARRAY['baranda', 'barandilla', 'barrera de protecció', 'barrera de protección'], 'construction', FALSE),
+    ('graó', 'Graó d''escala', ARRAY['esglaó', 'peldaño', 'estesa', 'huella', 'contrapetja', 'tabica'], 'construction', FALSE),
+    ('replà', 'Replà d''escala', ARRAY['rellano', 'meseta'], 'construction', FALSE),
+    ('envà', 'Envà o partició interior', ARRAY['tabique', 'paret divisòria', 'partición interior'], 'construction', FALSE),
+    ('forjat', 'Forjat o sostre estructural', ARRAY['forjado'], 'construction', FALSE),
+    ('coberta', 'Coberta de l''edifici', ARRAY['cubierta', 'teulada', 'tejado', 'terrat', 'azotea'], 'construction', FALSE),
+    ('façana', 'Façana de l''edifici', ARRAY['fachada'], 'construction', FALSE),
+    ('mitgera', 'Paret mitgera', ARRAY['medianera', 'mitjanera'], 'construction', FALSE),
+    ('cel ras', 'Cel ras o fals sostre', ARRAY['fals sostre', 'falso techo'], 'construction', FALSE),
+    ('soterrani', 'Planta soterrani', ARRAY['sótano', 'planta sota rasant', 'planta bajo rasante'], 'construction', FALSE),
+    ('porta tallafoc', 'Porta resistent al foc', ARRAY['puerta cortafuegos', 'porta EI', 'puerta EI'], 'construction', FALSE),
+    ('lavabo adaptat', 'Serveis higiènics accessibles', ARRAY['lavabo accessible', 'aseo accesible', 'aseo adaptado', 'bany adaptat'], 'construction', FALSE),
+    ('aparcament', 'Aparcament o garatge', ARRAY['aparcamiento', 'garatge', 'garaje', 'pàrquing'], 'construction', FALSE)
+ON CONFLICT DO NOTHING;
+
+COMMIT;
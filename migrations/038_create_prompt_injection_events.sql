@@ -0,0 +1,73 @@
+-- migration: 038_create_prompt_injection_events.sql
+-- Description: Chunks in which /api/ask neutralised instruction-like text
+-- (suspected prompt injection, see api/_lib/promptInjection.ts).
+--
+-- One row per chunk: every question that retrieves the chunk again bumps
+-- occurrences and keeps the latest question, so a poisoned document does not
+-- flood the table. Staff review the rows through the /api/admin/injection-events
+-- serverless function (service role) and mark them as confirmed or as false
+-- positives; the status is kept when the chunk is retrieved again.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.prompt_injection_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- document_chunks id, or a hash of the chunk when the search RPC does not expose it
+    chunk_key TEXT NOT NULL UNIQUE,
+    document_id UUID REFERENCES public.documents(id) ON DELETE SET NULL,
+    document_title TEXT,
+    page_number INTEGER,
+    signals TEXT[] NOT NULL DEFAULT '{}',
+    excerpt TEXT,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    last_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    last_question TEXT,
+    status TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'confirmed', 'false_positive')),
+    reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_injection_events_status
+    ON public.prompt_injection_events (status, last_seen_at DESC);
+
+-- No policies: anon/authenticated roles have no access, service_role bypasses RLS
+ALTER TABLE public.prompt_injection_events ENABLE ROW LEVEL SECURITY;
+
+-- Record one neutralised chunk, or count it again
+CREATE OR REPLACE FUNCTION public.record_prompt_injection_event(
+    p_chunk_key TEXT,
+    p_document_id UUID,
+    p_document_title TEXT,
+    p_page_number INTEGER,
+    p_signals TEXT[],
+    p_excerpt TEXT,
+    p_user_id UUID,
+    p_question TEXT
+)
+RETURNS VOID
+LANGUAGE sql
+SET search_path = public
+AS $$
+    INSERT INTO public.prompt_injection_events AS e (
+        chunk_key, document_id, document_title, page_number, signals, excerpt, last_user_id, last_question
+    )
+    VALUES (
+        p_chunk_key, p_document_id, p_document_title, p_page_number, p_signals, p_excerpt, p_user_id, p_question
+    )
+    ON CONFLICT (chunk_key) DO UPDATE
+    SET occurrences = e.occurrences + 1,
+        signals = ARRAY(SELECT DISTINCT unnest(e.signals || EXCLUDED.signals) ORDER BY 1),
+        excerpt = EXCLUDED.excerpt,
+        last_user_id = EXCLUDED.last_user_id,
+        last_question = EXCLUDED.last_question,
+        last_seen_at = NOW();
+$$;
+
+GRANT ALL ON public.prompt_injection_events TO service_role;
+REVOKE EXECUTE ON FUNCTION public.record_prompt_injection_event(TEXT, UUID, TEXT, INTEGER, TEXT[], TEXT, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_prompt_injection_event(TEXT, UUID, TEXT, INTEGER, TEXT[], TEXT, UUID, TEXT) TO service_role;
+
+COMMIT;
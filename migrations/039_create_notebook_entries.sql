@@ -0,0 +1,84 @@
+-- migration: 039_create_notebook_entries.sql
+-- Description: Personal "norm notebook" of pinned answers and quotes.
+--
+-- From the CTE chat and the project chat a user pins a whole assistant
+-- answer or one of its cited sources, with tags and a note. Entries are
+-- snapshots: they keep the question, text and sources even if the message is
+-- deleted later. An entry can be attached to any of the user's projects and
+-- then shows up on that project's page.
+--
+-- - kind 'answer': content is the answer (markdown), quotes its sources.
+-- - kind 'quote': quote_id is the citation number in the answer, content the
+--   quoted text and quotes the single source.
+-- One entry per answer or quote of a message (pinning again is a no-op).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.notebook_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('answer', 'quote')),
+    source TEXT NOT NULL CHECK (source IN ('cte', 'project')),
+    -- Assistant message (cte_conversation_messages.id or messages.id), to link back to the chat
+    message_id UUID NOT NULL,
+    conversation_id UUID,
+    chat_project_id UUID,
+    quote_id INTEGER CHECK ((kind = 'quote') = (quote_id IS NOT NULL)),
+    question TEXT,
+    content TEXT NOT NULL,
+    quotes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    note TEXT CHECK (note IS NULL OR char_length(note) <= 4000),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notebook_entries_pin
+    ON public.notebook_entries (user_id, source, message_id, COALESCE(quote_id, 0));
+
+CREATE INDEX IF NOT EXISTS idx_notebook_entries_user
+    ON public.notebook_entries (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notebook_entries_tags
+    ON public.notebook_entries USING gin (tags);
+
+-- Entries attached to a project
+CREATE TABLE IF NOT EXISTS public.notebook_entry_projects (
+    entry_id UUID NOT NULL REFERENCES public.notebook_entries(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES public.projects(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (entry_id, project_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notebook_entry_projects_project
+    ON public.notebook_entry_projects (project_id);
+
+ALTER TABLE public.notebook_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notebook_entry_projects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users manage their own notebook entries" ON public.notebook_entries;
+CREATE POLICY "Users manage their own notebook entries"
+    ON public.notebook_entries
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Both the entry and the project must belong to the user
+DROP POLICY IF EXISTS "Users attach their own notebook entries to their projects" ON public.notebook_entry_projects;
+CREATE POLICY "Users attach their own notebook entries to their projects"
+    ON public.notebook_entry_projects
+    FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (SELECT 1 FROM public.notebook_entries e WHERE e.id = entry_id AND e.user_id = auth.uid())
+        AND EXISTS (SELECT 1 FROM public.projects p WHERE p.id = project_id AND p.user_id = auth.uid())
+    );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.notebook_entries TO authenticated;
+GRANT SELECT, INSERT, DELETE ON public.notebook_entry_projects TO authenticated;
+GRANT ALL ON public.notebook_entries TO service_role;
+GRANT ALL ON public.notebook_entry_projects TO service_role;
+
+COMMIT;
@@ -0,0 +1,84 @@
+-- migration: 040_create_document_outlines.sql
+-- Description: Table of contents of the indexed documents, and retrieval
+-- scoped to one of their sections.
+--
+-- The outline (sections, articles and annexes with their page range) is
+-- derived from the heading lines found in document_chunks by
+-- api/_lib/documentOutline.ts and cached here, one row per document. It is
+-- rebuilt on the next read when the number of chunks of the document changes
+-- (the document was re-indexed) or the parser version is bumped.
+--
+-- match_section_chunks is the retrieval used by /api/ask when a question is
+-- scoped to a section ("ask about this section"): the chunks of one document
+-- within a page range, ranked by vector similarity and by full-text rank.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.document_outlines (
+    document_id UUID PRIMARY KEY REFERENCES public.documents(id) ON DELETE CASCADE,
+    -- [{ path, kind, number, label, title, level, parent, page_start, page_end }] in document order
+    sections JSONB NOT NULL DEFAULT '[]'::jsonb,
+    chunk_count INTEGER NOT NULL,
+    parser_version INTEGER NOT NULL,
+    built_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Read and written by the serverless functions only (service role)
+ALTER TABLE public.document_outlines ENABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON public.document_outlines TO service_role;
+
+-- Same columns as search_document_chunks_text (migration 025), plus similarity.
+-- The best match_count chunks by similarity and by keyword rank are returned,
+-- so keyword hits are not lost in a long section.
+CREATE OR REPLACE FUNCTION public.match_section_chunks(
+  query_embedding vector,
+  query_text TEXT,
+  filter_document_id UUID,
+  page_from INT,
+  page_to INT,
+  match_count INT DEFAULT 16
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  content TEXT,
+  page_number INT,
+  document_title TEXT,
+  document_url TEXT,
+  town_id UUID,
+  similarity FLOAT,
+  keyword_rank REAL
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH section_chunks AS (
+    SELECT
+      c.id,
+      c.document_id,
+      c.content,
+      c.page_number,
+      d.title AS document_title,
+      d.file_url AS document_url,
+      d.town_id,
+      (1 - (c.embedding <=> query_embedding))::FLOAT AS similarity,
+      CASE
+        WHEN query_text IS NULL THEN 0::REAL
+        ELSE ts_rank_cd(c.content_tsv, to_tsquery('simple', query_text))
+      END AS keyword_rank
+    FROM public.document_chunks c
+    JOIN public.documents d ON d.id = c.document_id
+    WHERE c.document_id = filter_document_id
+      AND c.page_number BETWEEN page_from AND page_to
+  )
+  (SELECT * FROM section_chunks ORDER BY similarity DESC LIMIT match_count)
+  UNION
+  (SELECT * FROM section_chunks WHERE keyword_rank > 0 ORDER BY keyword_rank DESC LIMIT match_count);
+$$;
+
+-- Only the serverless ask function (service role) calls this
+REVOKE EXECUTE ON FUNCTION public.match_section_chunks(vector, TEXT, UUID, INT, INT, INT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.match_section_chunks(vector, TEXT, UUID, INT, INT, INT) TO service_role;
+
+COMMIT;
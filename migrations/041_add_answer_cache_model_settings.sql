@@ -0,0 +1,70 @@
+-- migration: 041_add_answer_cache_model_settings.sql
+-- Description: Key cached answers by the model settings they were generated
+-- with.
+--
+-- Tiers get different models and answer lengths (api/_lib/providers.ts), so a
+-- free-tier answer must not be served to a studio subscriber or the other way
+-- round. answer_cache records the model and max tokens of each answer and
+-- use_answer_cache only matches entries with the caller's settings. Existing
+-- entries have no settings, never match again and expire with their TTL.
+
+BEGIN;
+
+ALTER TABLE public.answer_cache
+    ADD COLUMN IF NOT EXISTS model TEXT,
+    ADD COLUMN IF NOT EXISTS max_tokens INTEGER;
+
+DROP INDEX IF EXISTS public.idx_answer_cache_key;
+CREATE INDEX IF NOT EXISTS idx_answer_cache_key
+    ON public.answer_cache (embedding_model, locale, model, max_tokens, town_id, expires_at);
+
+DROP FUNCTION IF EXISTS public.use_answer_cache(vector, TEXT, TEXT, UUID, FLOAT);
+
+-- Closest unexpired entry above min_similarity; counts the hit
+CREATE FUNCTION public.use_answer_cache(
+    query_embedding vector,
+    p_embedding_model TEXT,
+    p_locale TEXT,
+    p_town_id UUID,
+    p_model TEXT,
+    p_max_tokens INTEGER,
+    min_similarity FLOAT
+)
+RETURNS TABLE (
+    id UUID,
+    question TEXT,
+    answer TEXT,
+    quotes JSONB,
+    confidence TEXT,
+    suggestions JSONB,
+    similarity FLOAT,
+    created_at TIMESTAMPTZ
+)
+LANGUAGE sql
+SET search_path = public, extensions
+AS $$
+    WITH best AS (
+        SELECT c.id, 1 - (c.question_embedding <=> query_embedding) AS similarity
+        FROM public.answer_cache c
+        WHERE c.embedding_model = p_embedding_model
+          AND c.locale = p_locale
+          AND c.model = p_model
+          AND c.max_tokens = p_max_tokens
+          AND c.town_id IS NOT DISTINCT FROM p_town_id
+          AND c.expires_at > NOW()
+        ORDER BY c.question_embedding <=> query_embedding
+        LIMIT 1
+    )
+    UPDATE public.answer_cache c
+    SET hit_count = c.hit_count + 1,
+        last_hit_at = NOW()
+    FROM best
+    WHERE c.id = best.id
+      AND best.similarity >= min_similarity
+    RETURNING c.id, c.question, c.answer, c.quotes, c.confidence, c.suggestions, best.similarity, c.created_at;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.use_answer_cache(vector, TEXT, TEXT, UUID, TEXT, INTEGER, FLOAT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.use_answer_cache(vector, TEXT, TEXT, UUID, TEXT, INTEGER, FLOAT) TO service_role;
+
+COMMIT;
@@ -0,0 +1,78 @@
+-- migration: 042_enforce_private_document_quota.sql
+-- Description: Enforce the monthly private document quota in the database.
+--
+-- Private documents are uploaded through the document backend
+-- (/api/private-documents/upload), outside this repository. Before storing a
+-- file the backend records the upload in private_document_uploads with the
+-- service role; a trigger rejects the row once the user's tier has used its
+-- private_documents_per_month (migration 027) in the current calendar month,
+-- and the backend answers with the PRIVATE_DOCUMENT_QUOTA_EXCEEDED message.
+--
+-- Rows are kept when a document is deleted, so deleting and uploading again
+-- still counts against the month.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.private_document_uploads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    title TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_private_document_uploads_user
+    ON public.private_document_uploads (user_id, created_at DESC);
+
+ALTER TABLE public.private_document_uploads ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own uploads" ON public.private_document_uploads;
+CREATE POLICY "Users can view their own uploads"
+    ON public.private_document_uploads
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Reject uploads beyond the tier's private_documents_per_month
+CREATE OR REPLACE FUNCTION public.enforce_private_document_quota()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_max_documents INTEGER;
+    v_upload_count INTEGER;
+BEGIN
+    SELECT private_documents_per_month INTO v_max_documents
+    FROM public.get_user_tier_quotas(NEW.user_id);
+
+    IF v_max_documents IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    -- Files of one batch are uploaded back to back: count them one at a time
+    PERFORM pg_advisory_xact_lock(hashtext('private_document_uploads:' || NEW.user_id::text));
+
+    SELECT COUNT(*) INTO v_upload_count
+    FROM public.private_document_uploads
+    WHERE user_id = NEW.user_id
+      AND created_at >= date_trunc('month', NOW());
+
+    IF v_upload_count >= v_max_documents THEN
+        RAISE EXCEPTION 'PRIVATE_DOCUMENT_QUOTA_EXCEEDED: limit of % private documents per month reached', v_max_documents
+            USING ERRCODE = 'P0001';
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_private_document_quota ON public.private_document_uploads;
+CREATE TRIGGER enforce_private_document_quota
+    BEFORE INSERT ON public.private_document_uploads
+    FOR EACH ROW
+    EXECUTE FUNCTION public.enforce_private_document_quota();
+
+GRANT SELECT ON public.private_document_uploads TO authenticated;
+GRANT SELECT, INSERT, DELETE ON public.private_document_uploads TO service_role;
+
+COMMIT;
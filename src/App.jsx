@@ -7,6 +7,10 @@ import PricingPage from '/src/pages/PricingPage';
 import UserAccountPage from '/src/pages/UserAccountPage';
 import ProjectsPage from '/src/pages/ProjectsPage';
 import ProjectChatPage from '/src/pages/ProjectChatPage';
+import ChatHistorySearchPage from '/src/pages/ChatHistorySearchPage';
+import GlossaryPage from '/src/pages/GlossaryPage';
+import NotebookPage from '/src/pages/NotebookPage';
+import NormativeIndexPage from '/src/pages/NormativeIndexPage';
 import SubscriptionPage from '/src/pages/SubscriptionPage';
 import LandingPage from '/src/pages/LandingPage';
 import PrivacyPolicyPage from '/src/pages/PrivacyPolicyPage';
@@ -18,6 +22,11 @@ import './App.css';
 import StaffLoginPage from '/src/pages/StaffLoginPage';
 import AdminUploadPage from '/src/pages/AdminUploadPage';
 import AdminListPage from '/src/pages/AdminListPage';
+import AdminFeedbackPage from '/src/pages/AdminFeedbackPage';
+import AdminStarterQuestionsPage from '/src/pages/AdminStarterQuestionsPage';
+import AdminQueryAnalyticsPage from '/src/pages/AdminQueryAnalyticsPage';
+import AdminGlossaryPage from '/src/pages/AdminGlossaryPage';
+import AdminInjectionEventsPage from '/src/pages/AdminInjectionEventsPage';
 import AdminWaitingListPage from '/src/pages/AdminWaitingListPage';
 import AdminBetaConfirmedPage from '/src/pages/AdminBetaConfirmedPage';
 import AdminBetaCandidatesPage from '/src/pages/AdminBetaCandidatesPage';
@@ -125,6 +134,30 @@ const NavigationBar = ({ user, onLogout }) => {
                   </svg>
                   Xat CTE
                 </Link>
+                <Link to="/search" className={getLinkClasses('/search')}>
+                  <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+                  </svg>
+                  Cercar
+                </Link>
+                <Link to="/glossary" className={getLinkClasses('/glossary')}>
+                  <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"></path>
+                  </svg>
+                  Glossari
+                </Link>
+                <Link to="/documents" className={getLinkClasses('/documents')}>
+                  <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 10h16M4 14h10M4 18h10"></path>
+                  </svg>
+                  Normativa
+                </Link>
+                <Link to="/notebook" className={getLinkClasses('/notebook')}>
+                  <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"></path>
+                  </svg>
+                  Quadern
+                </Link>
                 {/* 
                   Subscription upgrades are now managed in User Preferences (UserAccountPage)
                   The Upgrade button has been removed from the header navigation
@@ -195,6 +228,30 @@ const NavigationBar = ({ user, onLogout }) => {
                 </svg>
                 Xat CTE
               </Link>
+              <Link to="/search" className="block px-3 py-2 rounded-md text-sm font-medium text-indigo-100 hover:bg-indigo-500 hover:text-white">
+                <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+                </svg>
+                Cercar
+              </Link>
+              <Link to="/glossary" className="block px-3 py-2 rounded-md text-sm font-medium text-indigo-100 hover:bg-indigo-500 hover:text-white">
+                <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"></path>
+                </svg>
+                Glossari
+              </Link>
+              <Link to="/documents" className="block px-3 py-2 rounded-md text-sm font-medium text-indigo-100 hover:bg-indigo-500 hover:text-white">
+                <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 10h16M4 14h10M4 18h10"></path>
+                </svg>
+                Normativa
+              </Link>
+              <Link to="/notebook" className="block px-3 py-2 rounded-md text-sm font-medium text-indigo-100 hover:bg-indigo-500 hover:text-white">
+                <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"></path>
+                </svg>
+                Quadern
+              </Link>
               {/* 
                 Subscription upgrades are now managed in User Preferences (UserAccountPage)
                 The Upgrade button has been removed from the mobile navigation
@@ -523,6 +580,71 @@ function App() {
               }
             />
 
+            {/* 
+              PROTECTED ROUTE: Chat history search
+              - Full-text search across the CTE chat and project chats
+              - Results link back to the message in its chat
+            */}
+            <Route
+              path="/search"
+              element={
+                <ProtectedRoute user={user}>
+                  <ErrorBoundary label="cerca a l'historial">
+                    <ChatHistorySearchPage />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
+
+            {/* 
+              PROTECTED ROUTE: Glossary
+              - CTE abbreviations and building terms, with their synonyms
+              - The same terms expand the questions sent to /api/ask
+            */}
+            <Route
+              path="/glossary"
+              element={
+                <ProtectedRoute user={user}>
+                  <ErrorBoundary label="glossari">
+                    <GlossaryPage />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
+
+            {/* 
+              PROTECTED ROUTE: Notebook
+              - Answers and quotes pinned from the CTE and project chats
+              - Tags, notes and the projects each entry is attached to
+            */}
+            <Route
+              path="/notebook"
+              element={
+                <ProtectedRoute user={user}>
+                  <ErrorBoundary label="quadern">
+                    <NotebookPage />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
+
+            {/* 
+              PROTECTED ROUTE: Normative documents index
+              - Table of contents of every indexed document, derived from its text
+              - /documents/:documentId?section=… and ?page=… are the deep links
+                used by chat citations; "Preguntar" opens /chat scoped to a section
+            */}
+            <Route
+              path="/documents/:documentId?"
+              element={
+                <ProtectedRoute user={user}>
+                  <ErrorBoundary label="normativa">
+                    <NormativeIndexPage />
+                  </ErrorBoundary>
+                </ProtectedRoute>
+              }
+            />
+
             {/* 
               LEGACY REDIRECT: /payment → /subscription
               PaymentPage was a stub with hardcoded old plans.
@@ -616,6 +738,31 @@ function App() {
               element={<StaffRoute><AdminListPage /></StaffRoute>} 
             />
 
+            <Route 
+              path="/admin/feedback" 
+              element={<StaffRoute><AdminFeedbackPage /></StaffRoute>} 
+            />
+
+            <Route 
+              path="/admin/starter-questions" 
+              element={<StaffRoute><AdminStarterQuestionsPage /></StaffRoute>} 
+            />
+
+            <Route 
+              path="/admin/analytics" 
+              element={<StaffRoute><AdminQueryAnalyticsPage /></StaffRoute>} 
+            />
+
+            <Route 
+              path="/admin/glossary" 
+              element={<StaffRoute><AdminGlossaryPage /></StaffRoute>} 
+            />
+
+            <Route 
+              path="/admin/security" 
+              element={<StaffRoute><AdminInjectionEventsPage /></StaffRoute>} 
+            />
+
             <Route 
               path="/admin/waiting-list" 
               element={<StaffRoute><AdminWaitingListPage /></StaffRoute>} 
@@ -7,7 +7,7 @@ import { env } from '../../config/env';
  * Shared Admin Header Component
  * 
  * Provides consistent navigation across all admin pages.
- * Includes tabs for: Pujar Documents, Gestionar Municipis, Llista d'Espera, Beta
+ * Includes tabs for: Pujar Documents, Gestionar Municipis, Valoracions, Preguntes inicials, Glossari, Analítica, Seguretat, Llista d'Espera, Beta
  */
 const AdminHeader = ({ user }) => {
   const navigate = useNavigate();
@@ -64,6 +64,36 @@ const AdminHeader = ({ user }) => {
               >
                 Gestionar Municipis
               </button>
+              <button
+                onClick={() => navigate('/admin/feedback')}
+                className={getTabClasses('/admin/feedback')}
+              >
+                Valoracions
+              </button>
+              <button
+                onClick={() => navigate('/admin/starter-questions')}
+                className={getTabClasses('/admin/starter-questions')}
+              >
+                Preguntes inicials
+              </button>
+              <button
+                onClick={() => navigate('/admin/glossary')}
+                className={getTabClasses('/admin/glossary')}
+              >
+                Glossari
+              </button>
+              <button
+                onClick={() => navigate('/admin/analytics')}
+                className={getTabClasses('/admin/analytics')}
+              >
+                Analítica
+              </button>
+              <button
+                onClick={() => navigate('/admin/security')}
+                className={getTabClasses('/admin/security')}
+              >
+                Seguretat
+              </button>
               <button
                 onClick={() => navigate('/admin/waiting-list')}
                 className={getTabClasses('/admin/waiting-list')}
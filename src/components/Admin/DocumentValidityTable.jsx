@@ -0,0 +1,152 @@
+import React, { useState, useMemo } from 'react';
+import { toast } from 'sonner';
+import { updateDocumentValidity } from '../../services/documentValidityService';
+
+/**
+ * DocumentValidityRow Component - Editable validity of one document
+ */
+const DocumentValidityRow = ({ document, documents, onUpdated }) => {
+  const [effectiveFrom, setEffectiveFrom] = useState(document.effective_from || '');
+  const [effectiveTo, setEffectiveTo] = useState(document.effective_to || '');
+  const [supersedes, setSupersedes] = useState(document.supersedes_document_id || '');
+  const [saving, setSaving] = useState(false);
+
+  const isDirty = effectiveFrom !== (document.effective_from || '')
+    || effectiveTo !== (document.effective_to || '')
+    || supersedes !== (document.supersedes_document_id || '');
+  const isInvalid = Boolean(effectiveFrom && effectiveTo && effectiveTo <= effectiveFrom);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const updated = await updateDocumentValidity(document.id, {
+        effective_from: effectiveFrom || null,
+        effective_to: effectiveTo || null,
+        supersedes_document_id: supersedes || null
+      });
+      onUpdated(updated);
+      toast.success('Vigència desada');
+    } catch (err) {
+      console.error('Error updating document validity:', err);
+      toast.error(`Error desant la vigència: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <tr className="border-b border-gray-100">
+      <td className="py-2 pr-3 text-gray-800">{document.title || 'Sense títol'}</td>
+      <td className="py-2 pr-3">
+        <input
+          type="date"
+          value={effectiveFrom}
+          onChange={(e) => setEffectiveFrom(e.target.value)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+        />
+      </td>
+      <td className="py-2 pr-3">
+        <input
+          type="date"
+          value={effectiveTo}
+          onChange={(e) => setEffectiveTo(e.target.value)}
+          className={`px-2 py-1 text-sm border rounded-md focus:ring-2 focus:ring-amber-400 ${isInvalid ? 'border-red-400' : 'border-gray-300'}`}
+        />
+      </td>
+      <td className="py-2 pr-3">
+        <select
+          value={supersedes}
+          onChange={(e) => setSupersedes(e.target.value)}
+          className="w-full max-w-xs px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+        >
+          <option value="">Cap</option>
+          {documents
+            .filter(other => other.id !== document.id)
+            .map(other => (
+              <option key={other.id} value={other.id}>{other.title || other.id}</option>
+            ))}
+        </select>
+      </td>
+      <td className="py-2 text-right">
+        <button
+          type="button"
+          onClick={save}
+          disabled={!isDirty || isInvalid || saving}
+          className="px-3 py-1 text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md disabled:opacity-40"
+        >
+          Desar
+        </button>
+      </td>
+    </tr>
+  );
+};
+
+/**
+ * DocumentValidityTable Component - Staff editing of the effective period and
+ * the previous version of each indexed document
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.documents - Documents from listDocumentValidity()
+ * @param {boolean} props.loading - Documents are loading
+ * @param {Function} props.onUpdated - Called with the updated document
+ */
+const DocumentValidityTable = ({ documents, loading, onUpdated }) => {
+  const [search, setSearch] = useState('');
+
+  const filtered = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return term
+      ? documents.filter(document => (document.title || '').toLowerCase().includes(term))
+      : documents;
+  }, [documents, search]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-500 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Cerca per títol"
+        className="w-full mb-4 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+      />
+
+      {filtered.length === 0 ? (
+        <p className="text-center text-sm text-gray-500 py-4">Cap document.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-3 font-medium">Document</th>
+                <th className="py-2 pr-3 font-medium">Vigent des de</th>
+                <th className="py-2 pr-3 font-medium">Derogat des de</th>
+                <th className="py-2 pr-3 font-medium">Substitueix</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(document => (
+                <DocumentValidityRow
+                  key={`${document.id}-${document.effective_from}-${document.effective_to}-${document.supersedes_document_id}`}
+                  document={document}
+                  documents={documents}
+                  onUpdated={onUpdated}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentValidityTable;
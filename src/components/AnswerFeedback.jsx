@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { FEEDBACK_REASONS } from '../services/feedbackService';
+
+/**
+ * AnswerFeedback Component
+ *
+ * Thumbs up/down under an assistant answer. Thumbs down asks for a reason
+ * and an optional correction. Clicking the active thumb again removes the vote.
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.feedback - Current vote: { rating, reason, correction }
+ * @param {Function} props.onSubmit - Called with { rating, reason, correction }; returns a promise
+ * @param {Function} props.onRemove - Called to remove the vote; returns a promise
+ */
+const AnswerFeedback = ({ feedback, onSubmit, onRemove }) => {
+  const [formOpen, setFormOpen] = useState(false);
+  const [reason, setReason] = useState(feedback?.reason || '');
+  const [correction, setCorrection] = useState(feedback?.correction || '');
+  const [saving, setSaving] = useState(false);
+
+  const rating = feedback?.rating || null;
+
+  /**
+   * Run a save/remove action with the saving flag
+   */
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleThumbUp = () => run(async () => {
+    setFormOpen(false);
+    if (rating === 'up') {
+      await onRemove();
+    } else {
+      await onSubmit({ rating: 'up', reason: null, correction: null });
+    }
+  });
+
+  const handleThumbDown = () => {
+    if (rating === 'down' && !formOpen) {
+      run(onRemove);
+      return;
+    }
+    setReason(feedback?.reason || '');
+    setCorrection(feedback?.correction || '');
+    setFormOpen(!formOpen);
+  };
+
+  const handleSubmitDown = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await onSubmit({ rating: 'down', reason, correction });
+      setFormOpen(false);
+    });
+  };
+
+  const thumbClasses = (active) => `p-1 rounded transition-colors disabled:opacity-50 ${
+    active ? 'text-cte-primary-dark bg-cte-primary bg-opacity-10' : 'text-gray-400 hover:text-gray-700'
+  }`;
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center space-x-1">
+        <button
+          type="button"
+          onClick={handleThumbUp}
+          disabled={saving}
+          className={thumbClasses(rating === 'up')}
+          title="Resposta útil"
+          aria-pressed={rating === 'up'}
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5"></path>
+          </svg>
+        </button>
+        <button
+          type="button"
+          onClick={handleThumbDown}
+          disabled={saving}
+          className={thumbClasses(rating === 'down')}
+          title="Resposta incorrecta"
+          aria-pressed={rating === 'down'}
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 14H5.236a2 2 0 01-1.789-2.894l3.5-7A2 2 0 018.736 3h4.018a2 2 0 01.485.06l3.76.94m-7 10v5a2 2 0 002 2h.096c.5 0 .905-.405.905-.904 0-.715.211-1.413.608-2.008L17 13V4m-7 10h2m5-10h2a2 2 0 012 2v6a2 2 0 01-2 2h-2.5"></path>
+          </svg>
+        </button>
+        {rating && !formOpen && (
+          <span className="text-[11px] text-gray-400">Gràcies pel comentari</span>
+        )}
+      </div>
+
+      {formOpen && (
+        <form onSubmit={handleSubmitDown} className="mt-2 p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-2 text-xs">
+          <div className="font-medium text-gray-700">Què falla en aquesta resposta?</div>
+          <div className="space-y-1">
+            {FEEDBACK_REASONS.map(option => (
+              <label key={option.id} className="flex items-center space-x-2 text-gray-700">
+                <input
+                  type="radio"
+                  name="feedback-reason"
+                  value={option.id}
+                  checked={reason === option.id}
+                  onChange={() => setReason(option.id)}
+                  className="text-cte-primary focus:ring-cte-primary"
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+          <textarea
+            value={correction}
+            onChange={(e) => setCorrection(e.target.value)}
+            placeholder="Correcció (opcional): quin és l'article o la resposta correcta?"
+            rows={3}
+            maxLength={2000}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-cte-primary"
+          />
+          <div className="flex items-center justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setFormOpen(false)}
+              className="px-3 py-1 text-gray-600 hover:text-gray-900 rounded-md"
+            >
+              Cancel·lar
+            </button>
+            <button
+              type="submit"
+              disabled={!reason || saving}
+              className="px-3 py-1 text-white bg-cte-primary hover:bg-cte-primary-dark rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Enviar
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AnswerFeedback;
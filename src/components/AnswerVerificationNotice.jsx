@@ -0,0 +1,65 @@
+import React from 'react';
+
+const CONFIDENCE_LABELS = {
+  High: { label: 'Alta', className: 'bg-green-100 text-green-800' },
+  Medium: { label: 'Mitjana', className: 'bg-amber-100 text-amber-800' },
+  Low: { label: 'Baixa', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * Shorten a quoted passage for the warning text
+ */
+const shortenPassage = (text, maxLength = 120) =>
+  text.length > maxLength ? `${text.substring(0, maxLength).trimEnd()}…` : text;
+
+/**
+ * AnswerVerificationNotice Component
+ *
+ * Result of the server-side check of an answer: the confidence computed from
+ * retrieval similarity and citation coverage, and a warning for every quoted
+ * passage that could not be matched to the source fragments.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.verification - Verification from /api/ask:
+ *   { confidence, retrieval_similarity, citation_coverage, quotes: [{ text, fragments, status, matched_fragment }] }
+ */
+const AnswerVerificationNotice = ({ verification }) => {
+  const confidence = CONFIDENCE_LABELS[verification.confidence] || CONFIDENCE_LABELS.Low;
+  const unverified = verification.quotes?.filter(quote => quote.status === 'unverified') || [];
+  const partial = verification.quotes?.filter(quote => quote.status === 'partial') || [];
+  const misattributed = verification.quotes?.filter(quote => (
+    quote.status === 'verified' && quote.fragments.length > 0 && !quote.fragments.includes(quote.matched_fragment)
+  )) || [];
+
+  return (
+    <div className="mt-2 space-y-1 text-xs">
+      <div
+        className="flex items-center space-x-2 text-gray-500"
+        title={`Similitud màxima dels fragments: ${Math.round(verification.retrieval_similarity * 100)}%`}
+      >
+        <span className={`px-1.5 py-0.5 rounded font-medium ${confidence.className}`}>
+          Confiança {confidence.label}
+        </span>
+        <span>{Math.round(verification.citation_coverage * 100)}% de les afirmacions citen una font</span>
+      </div>
+
+      {unverified.map((quote, index) => (
+        <div key={`unverified-${index}`} className="px-2 py-1 rounded bg-amber-50 border border-amber-200 text-amber-800">
+          ⚠️ Aquesta cita no s'ha pogut trobar a la font: «{shortenPassage(quote.text)}»
+        </div>
+      ))}
+      {partial.map((quote, index) => (
+        <div key={`partial-${index}`} className="px-2 py-1 rounded bg-gray-50 text-gray-600">
+          Cita aproximada: «{shortenPassage(quote.text)}» no coincideix literalment amb el fragment [{quote.matched_fragment}]
+        </div>
+      ))}
+      {misattributed.map((quote, index) => (
+        <div key={`misattributed-${index}`} className="px-2 py-1 rounded bg-gray-50 text-gray-600">
+          La cita «{shortenPassage(quote.text, 60)}» prové del fragment [{quote.matched_fragment}], no del citat
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AnswerVerificationNotice;
@@ -0,0 +1,74 @@
+import React from 'react';
+
+/**
+ * AnswerVersionControls Component
+ *
+ * Actions under an assistant answer: step through its versions (‹ 2/3 ›),
+ * regenerate it, and compare two versions.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.versionCount - Number of versions of the answer
+ * @param {number} props.activeIndex - Index of the version shown
+ * @param {Function} props.onSelect - Called with the index of the version to show
+ * @param {Function} props.onRegenerate - Called to generate a new version
+ * @param {Function} props.onCompare - Called to open the version comparison
+ * @param {boolean} [props.disabled] - Disable the actions (an answer is being generated)
+ */
+const AnswerVersionControls = ({ versionCount, activeIndex, onSelect, onRegenerate, onCompare, disabled = false }) => {
+  const buttonClasses = 'p-1 rounded text-gray-400 hover:text-gray-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors';
+
+  return (
+    <div className="mt-2 flex items-center space-x-1 text-[11px] text-gray-500">
+      {versionCount > 1 && (
+        <>
+          <button
+            type="button"
+            onClick={() => onSelect(activeIndex - 1)}
+            disabled={disabled || activeIndex === 0}
+            className={buttonClasses}
+            title="Versió anterior"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <span className="tabular-nums">{activeIndex + 1}/{versionCount}</span>
+          <button
+            type="button"
+            onClick={() => onSelect(activeIndex + 1)}
+            disabled={disabled || activeIndex === versionCount - 1}
+            className={buttonClasses}
+            title="Versió següent"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            onClick={onCompare}
+            disabled={disabled}
+            className={`${buttonClasses} px-1.5`}
+            title="Comparar versions"
+          >
+            Comparar
+          </button>
+        </>
+      )}
+      <button
+        type="button"
+        onClick={onRegenerate}
+        disabled={disabled}
+        className={`${buttonClasses} flex items-center space-x-1 px-1.5`}
+        title="Generar una altra resposta"
+      >
+        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+        </svg>
+        <span>Regenerar</span>
+      </button>
+    </div>
+  );
+};
+
+export default AnswerVersionControls;
@@ -0,0 +1,126 @@
+import React, { useMemo, useState } from 'react';
+import { diffAnswerTexts, diffCitations } from '../services/answerVersionsService';
+
+/**
+ * Sources of one side of the comparison; the ones the other side does not cite are highlighted
+ */
+const CitationList = ({ quotes, changed, changedClassName }) => {
+  if (quotes.length === 0) {
+    return <div className="text-xs text-gray-400 italic">Sense fonts</div>;
+  }
+
+  return (
+    <ul className="space-y-1 text-xs">
+      {quotes.map(quote => {
+        const isChanged = changed.includes(quote);
+        return (
+          <li
+            key={`${quote.id}-${quote.document_title}-${quote.page}`}
+            className={`px-1.5 py-0.5 rounded ${isChanged ? changedClassName : 'text-gray-600'}`}
+          >
+            <span className="font-semibold">[{quote.id}]</span>{' '}
+            {quote.document_title || 'Document desconegut'} · Pàg. {quote.page || 'N/A'}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+/**
+ * AnswerVersionDiff Component
+ *
+ * Side-by-side comparison of two versions of an answer: question (when it was
+ * edited), answer text with the differing words highlighted, and the cited
+ * sources that only one of them uses.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.versions - Versions: { version, question, text, quotes }
+ * @param {number} props.initialLeft - Index of the version on the left
+ * @param {number} props.initialRight - Index of the version on the right
+ * @param {Function} props.onClose - Close the comparison
+ */
+const AnswerVersionDiff = ({ versions, initialLeft, initialRight, onClose }) => {
+  const [leftIndex, setLeftIndex] = useState(initialLeft);
+  const [rightIndex, setRightIndex] = useState(initialRight);
+
+  const left = versions[leftIndex];
+  const right = versions[rightIndex];
+
+  const textDiff = useMemo(() => diffAnswerTexts(left.text, right.text), [left, right]);
+  const citationDiff = useMemo(() => diffCitations(left.quotes, right.quotes), [left, right]);
+
+  const renderSide = (version, index, setIndex, segments, changedQuotes, side) => (
+    <div className="flex-1 min-w-0 flex flex-col">
+      <select
+        value={index}
+        onChange={(e) => setIndex(Number(e.target.value))}
+        className="mb-3 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+      >
+        {versions.map((option, optionIndex) => (
+          <option key={option.version} value={optionIndex}>
+            Versió {option.version}
+          </option>
+        ))}
+      </select>
+
+      {left.question !== right.question && (
+        <div className="mb-3 text-xs">
+          <div className="font-medium text-gray-500 mb-0.5">Pregunta</div>
+          <div className="text-gray-800">{version.question}</div>
+        </div>
+      )}
+
+      <div className="flex-1 overflow-y-auto p-3 rounded-md border border-gray-200 bg-gray-50 text-sm text-gray-900 whitespace-pre-wrap break-words">
+        {segments.map((segment, segmentIndex) => (
+          <span
+            key={segmentIndex}
+            className={segment.changed
+              ? side === 'left' ? 'bg-red-100 text-red-800 line-through' : 'bg-green-100 text-green-800'
+              : undefined}
+          >
+            {segment.text}
+          </span>
+        ))}
+      </div>
+
+      <div className="mt-3">
+        <div className="text-xs font-medium text-gray-500 mb-1">Fonts</div>
+        <CitationList
+          quotes={version.quotes || []}
+          changed={changedQuotes}
+          changedClassName={side === 'left' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl p-6 w-full max-w-5xl mx-4 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Comparar versions</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-700"
+            title="Tancar"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <div className="flex-1 min-h-0 flex space-x-4">
+          {renderSide(left, leftIndex, setLeftIndex, textDiff.before, citationDiff.removed, 'left')}
+          {renderSide(right, rightIndex, setRightIndex, textDiff.after, citationDiff.added, 'right')}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnswerVersionDiff;
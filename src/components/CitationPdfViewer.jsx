@@ -0,0 +1,302 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isViewableQuote } from '../services/askService';
+import DocumentValidityBadge from './DocumentValidityBadge';
+
+/**
+ * Load pdf.js on first use so it stays out of the main bundle
+ */
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+};
+
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Find the text items of a page that contain the quoted passage.
+ * Quotes are 200-character excerpts ending in "...", and PDF text extraction
+ * may split words differently, so progressively shorter prefixes are tried.
+ *
+ * @param {Array} items - pdf.js text content items
+ * @param {string} quoteText - Quoted passage
+ * @returns {Array} Matching items (empty if the passage was not found)
+ */
+const findPassageItems = (items, quoteText) => {
+  let pageText = '';
+  const ranges = items.map((item) => {
+    const text = normalizeText(item.str || '');
+    const start = pageText.length;
+    pageText += text + ' ';
+    return { item, start, end: start + text.length };
+  });
+
+  const needle = normalizeText((quoteText || '').replace(/\.{3}$/, ''));
+  for (const length of [needle.length, 120, 60, 30]) {
+    if (length > needle.length || length < 20) continue;
+    const position = pageText.indexOf(needle.slice(0, length));
+    if (position !== -1) {
+      const end = position + needle.length;
+      return ranges
+        .filter(range => range.end > position && range.start < end && range.end > range.start)
+        .map(range => range.item);
+    }
+  }
+  return [];
+};
+
+/**
+ * CitationPdfViewer Component
+ *
+ * Side panel that opens a cited document at the cited page, highlights the
+ * quoted passage and steps between all citations of an answer.
+ *
+ * @param {Object} props
+ * @param {Array} props.quotes - Numbered quotes of the answer ({ id, url, page, text, document_title })
+ * @param {number} props.quoteId - Citation currently shown
+ * @param {Function} props.onQuoteChange - Called with the id of the citation to show
+ * @param {Function} props.onClose - Close handler
+ */
+const CitationPdfViewer = ({ quotes, quoteId, onQuoteChange, onClose }) => {
+  const [status, setStatus] = useState('loading'); // loading | ready | error
+  const [passageFound, setPassageFound] = useState(true);
+  const [pageCount, setPageCount] = useState(0);
+  const [highlights, setHighlights] = useState([]);
+  const canvasRef = useRef(null);
+  const documentsRef = useRef(new Map()); // url -> Promise<PDFDocumentProxy>
+
+  const index = Math.max(0, quotes.findIndex(quote => quote.id === quoteId));
+  const quote = quotes[index];
+  const { url, page: citedPage, text: quoteText } = quote || {};
+
+  /**
+   * Effect to close the viewer with Escape
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  /**
+   * Effect to release loaded documents when the viewer closes
+   */
+  useEffect(() => {
+    const documents = documentsRef.current;
+    return () => {
+      documents.forEach(promise => promise.then(pdf => pdf.destroy()).catch(() => {}));
+      documents.clear();
+    };
+  }, []);
+
+  /**
+   * Effect to render the cited page and locate the passage
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+
+    const renderCitation = async () => {
+      setStatus('loading');
+      setHighlights([]);
+      setPassageFound(true);
+
+      try {
+        if (!isViewableQuote({ url })) {
+          throw new Error('Document URL not available');
+        }
+
+        const pdfjs = await loadPdfjs();
+        if (!documentsRef.current.has(url)) {
+          documentsRef.current.set(url, pdfjs.getDocument({ url }).promise);
+        }
+        const pdf = await documentsRef.current.get(url);
+        if (cancelled) return;
+        setPageCount(pdf.numPages);
+
+        const pageNumber = Math.min(Math.max(Number(citedPage) || 1, 1), pdf.numPages);
+        const page = await pdf.getPage(pageNumber);
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+
+        // Fit the page to the panel width, rendered at device pixel ratio
+        const baseViewport = page.getViewport({ scale: 1 });
+        const scale = (canvas.parentElement.clientWidth || baseViewport.width) / baseViewport.width;
+        const viewport = page.getViewport({ scale });
+        const outputScale = window.devicePixelRatio || 1;
+
+        canvas.width = Math.floor(viewport.width * outputScale);
+        canvas.height = Math.floor(viewport.height * outputScale);
+        canvas.style.width = `${Math.floor(viewport.width)}px`;
+        canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+        renderTask = page.render({
+          canvasContext: canvas.getContext('2d'),
+          viewport,
+          transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+        });
+        await renderTask.promise;
+
+        const textContent = await page.getTextContent();
+        if (cancelled) return;
+
+        const boxes = findPassageItems(textContent.items, quoteText).map((item) => {
+          const [x, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+          const height = Math.hypot(item.transform[2], item.transform[3]) * scale;
+          return { left: x, top: y - height, width: item.width * scale, height };
+        });
+
+        setHighlights(boxes);
+        setPassageFound(boxes.length > 0);
+        setStatus('ready');
+
+        // Bring the first highlighted line into view
+        if (boxes.length > 0) {
+          canvas.parentElement.parentElement?.scrollTo({ top: Math.max(boxes[0].top - 80, 0), behavior: 'smooth' });
+        }
+      } catch (error) {
+        if (cancelled || error?.name === 'RenderingCancelledException') return;
+        console.error('Error rendering cited document:', error);
+        setStatus('error');
+      }
+    };
+
+    renderCitation();
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [url, citedPage, quoteText]);
+
+  if (!quote) return null;
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-50 flex w-full max-w-2xl flex-col bg-white shadow-2xl border-l border-gray-200">
+      {/* Header */}
+      <div className="flex items-start justify-between border-b border-gray-200 px-4 py-3">
+        <div className="min-w-0">
+          <div className="text-xs text-gray-500">
+            Cita [{quote.id}] · {index + 1} de {quotes.length}
+          </div>
+          <div className="flex items-center space-x-2 min-w-0">
+            <span className="truncate text-sm font-medium text-gray-900">{quote.document_title}</span>
+            <DocumentValidityBadge quote={quote} />
+          </div>
+          <div className="text-xs text-gray-500">
+            Pàg. {quote.page}{pageCount > 0 && ` de ${pageCount}`}
+          </div>
+        </div>
+        <button
+          onClick={onClose}
+          title="Tancar"
+          className="ml-3 text-gray-400 hover:text-gray-600"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Citation navigation */}
+      <div className="flex items-center justify-between border-b border-gray-100 bg-gray-50 px-4 py-2 text-xs">
+        <button
+          onClick={() => onQuoteChange(quotes[index - 1].id)}
+          disabled={index === 0}
+          className="px-2 py-1 rounded text-gray-700 hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-transparent"
+        >
+          ← Anterior
+        </button>
+        <div className="flex items-center space-x-1">
+          {quotes.map((item) => (
+            <button
+              key={item.id}
+              onClick={() => onQuoteChange(item.id)}
+              className={`px-1.5 py-0.5 rounded font-semibold ${
+                item.id === quote.id ? 'bg-cte-primary text-white' : 'text-cte-primary-dark hover:bg-gray-200'
+              }`}
+            >
+              {item.id}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => onQuoteChange(quotes[index + 1].id)}
+          disabled={index === quotes.length - 1}
+          className="px-2 py-1 rounded text-gray-700 hover:bg-gray-200 disabled:opacity-40 disabled:hover:bg-transparent"
+        >
+          Següent →
+        </button>
+      </div>
+
+      {/* Quoted passage */}
+      <div className="border-b border-gray-100 px-4 py-2 text-xs italic text-gray-600">
+        "{quote.text}"
+      </div>
+
+      {/* Page */}
+      <div className="relative flex-1 overflow-auto bg-gray-100 p-4">
+        {status === 'loading' && (
+          <div className="absolute inset-0 flex items-center justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-cte-primary"></div>
+          </div>
+        )}
+        {status === 'error' ? (
+          <div className="py-12 text-center text-sm text-gray-600">
+            <p className="mb-3">No s'ha pogut carregar el document.</p>
+            {isViewableQuote(quote) && (
+              <a
+                href={quote.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-cte-primary hover:text-cte-primary-dark underline"
+              >
+                Obrir en una pestanya nova
+              </a>
+            )}
+          </div>
+        ) : (
+          <div className="relative mx-auto bg-white shadow">
+            <canvas ref={canvasRef} className="block" />
+            {highlights.map((box, i) => (
+              <div
+                key={i}
+                className="absolute pointer-events-none rounded-sm bg-yellow-300 bg-opacity-40 mix-blend-multiply"
+                style={{ left: box.left, top: box.top, width: box.width, height: box.height }}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Footer */}
+      {status === 'ready' && (
+        <div className="flex items-center justify-between border-t border-gray-200 px-4 py-2 text-xs text-gray-500">
+          <span>
+            {passageFound ? 'Passatge ressaltat a la pàgina citada' : "No s'ha pogut localitzar el passatge exacte en aquesta pàgina"}
+          </span>
+          <a
+            href={`${quote.url}#page=${quote.page}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-cte-primary hover:text-cte-primary-dark underline"
+          >
+            Obrir en una pestanya nova
+          </a>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CitationPdfViewer;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { formatValidityDate, isOutdatedQuote } from '../services/documentValidityService';
+
+/**
+ * DocumentValidityBadge Component - Flags a quote from a document that was not
+ * in force at the date of the answer (nothing is shown for documents in force)
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.quote - Quote from /api/ask, with
+ *   validity: { status, as_of, effective_from, effective_to, superseded_by }
+ */
+const DocumentValidityBadge = ({ quote }) => {
+  if (!isOutdatedQuote(quote)) return null;
+
+  const { status, as_of, effective_from, effective_to, superseded_by } = quote.validity;
+  const title = status === 'derogated'
+    ? [
+      `Text derogat${effective_to ? ` des del ${formatValidityDate(effective_to)}` : ''}`,
+      superseded_by && `Substituït per: ${superseded_by}`
+    ].filter(Boolean).join('. ')
+    : `Text encara no vigent a ${formatValidityDate(as_of)} (vigent des del ${formatValidityDate(effective_from)})`;
+
+  return (
+    <span
+      title={title}
+      className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-red-100 text-red-800 whitespace-nowrap"
+    >
+      {status === 'derogated' ? 'Derogat' : 'No vigent'}
+    </span>
+  );
+};
+
+export default DocumentValidityBadge;
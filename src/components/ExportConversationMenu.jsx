@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'sonner';
+import { exportConversationPdf, exportConversationDocx } from '../services/conversationExportService';
+
+const EXPORT_FORMATS = [
+  { id: 'pdf', label: 'PDF', exporter: exportConversationPdf },
+  { id: 'docx', label: 'Word (DOCX)', exporter: exportConversationDocx }
+];
+
+/**
+ * ExportConversationMenu Component
+ *
+ * "Exportar" button with a PDF / DOCX menu, shared by the CTE chat and
+ * the project chat.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.getReport - Returns the report to export (see buildConversationReport)
+ * @param {boolean} props.disabled - Whether exporting is currently disabled
+ */
+const ExportConversationMenu = ({ getReport, disabled = false }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(null); // format id being generated
+  const menuRef = useRef(null);
+
+  // Close the menu on outside click
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  /**
+   * Generate and download the report in the chosen format
+   */
+  const handleExport = async ({ id, exporter }) => {
+    setOpen(false);
+    setExporting(id);
+    try {
+      await exporter(getReport());
+    } catch (error) {
+      console.error(`Error exporting conversation as ${id}:`, error);
+      toast.error('No s\'ha pogut exportar la conversa. Si us plau, torna-ho a provar.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={disabled || !!exporting}
+        className="px-3 py-1 text-xs font-medium text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-md transition-colors flex items-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+        title="Exportar la conversa amb les fonts citades"
+      >
+        {exporting ? (
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-600"></div>
+        ) : (
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
+          </svg>
+        )}
+        <span>{exporting ? 'Exportant...' : 'Exportar'}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-40 bg-white border border-gray-200 rounded-md shadow-lg py-1 z-30">
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              type="button"
+              onClick={() => handleExport(format)}
+              className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportConversationMenu;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * FollowUpSuggestions Component
+ *
+ * Follow-up questions proposed by /api/ask for an answer, shown as chips
+ * under it.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} [props.suggestions] - Suggested questions
+ * @param {Function} props.onSelect - Called with the chosen question
+ * @param {boolean} [props.disabled] - Disable the chips (an answer is being generated)
+ */
+const FollowUpSuggestions = ({ suggestions = [], onSelect, disabled = false }) => {
+  if (!suggestions?.length) return null;
+
+  return (
+    <div className="mt-2 flex flex-col items-start space-y-1">
+      <div className="text-[11px] text-gray-400">Preguntes relacionades</div>
+      {suggestions.map(suggestion => (
+        <button
+          key={suggestion}
+          type="button"
+          onClick={() => onSelect(suggestion)}
+          disabled={disabled}
+          className="px-3 py-1 text-left text-xs text-cte-primary-dark bg-white border border-gray-200 rounded-full hover:border-cte-primary hover:bg-cte-primary hover:bg-opacity-5 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {suggestion}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default FollowUpSuggestions;
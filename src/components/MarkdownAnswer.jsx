@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import SourceScopeBadge from './SourceScopeBadge';
+import DocumentValidityBadge from './DocumentValidityBadge';
+
+// Citation markers ([1], [2]...) in the answer text
+const CITATION_REGEX = /\[(\d{1,3})\]/g;
+
+// Nodes whose text is never turned into citations or line breaks
+const LITERAL_PARENTS = new Set(['link', 'linkReference', 'inlineCode', 'code']);
+
+/**
+ * Remark plugin: answers are written line by line, so single newlines become
+ * line breaks, and [n] markers with a matching quote become `cite-ref`
+ * elements (rendered as CitationMarker).
+ */
+const remarkAnswerText = ({ citationIds }) => (tree) => {
+  const splitText = (value) => {
+    const nodes = [];
+    let lastIndex = 0;
+    let match;
+
+    CITATION_REGEX.lastIndex = 0;
+    while ((match = CITATION_REGEX.exec(value)) !== null) {
+      const id = Number(match[1]);
+      if (!citationIds.has(id)) continue;
+
+      if (match.index > lastIndex) {
+        nodes.push({ type: 'text', value: value.substring(lastIndex, match.index) });
+      }
+      nodes.push({
+        type: 'citation',
+        data: { hName: 'cite-ref', hProperties: { dataCitation: id } },
+        children: [{ type: 'text', value: match[0] }]
+      });
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < value.length) {
+      nodes.push({ type: 'text', value: value.substring(lastIndex) });
+    }
+
+    // Soft line breaks inside a paragraph are kept as <br>
+    return nodes.flatMap(node => {
+      if (node.type !== 'text' || !node.value.includes('\n')) return [node];
+      return node.value.split('\n').flatMap((part, index) => (
+        index === 0 ? [{ type: 'text', value: part }] : [{ type: 'break' }, { type: 'text', value: part }]
+      ));
+    });
+  };
+
+  const walk = (node) => {
+    if (!node.children || LITERAL_PARENTS.has(node.type)) return;
+    node.children = node.children.flatMap(child => {
+      if (child.type === 'text') return splitText(child.value);
+      walk(child);
+      return [child];
+    });
+  };
+
+  walk(tree);
+};
+
+/**
+ * Plain text of a hast node (used to read table cells)
+ */
+const getNodeText = (node) => {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(getNodeText).join('');
+};
+
+/**
+ * Table rows of a hast <table> as arrays of cell texts
+ */
+const getTableRows = (tableNode) => {
+  const rows = [];
+  const collect = (node) => {
+    if (node.tagName === 'tr') {
+      rows.push(node.children
+        .filter(cell => cell.tagName === 'th' || cell.tagName === 'td')
+        .map(cell => getNodeText(cell).trim()));
+      return;
+    }
+    (node.children || []).forEach(collect);
+  };
+  collect(tableNode);
+  return rows;
+};
+
+/**
+ * Rows as CSV (RFC 4180 quoting)
+ * @param {Array<Array<string>>} rows - Cell texts
+ * @returns {string} CSV text
+ */
+const toCsv = (rows) => rows
+  .map(row => row.map(cell => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)).join(','))
+  .join('\n');
+
+/**
+ * CitationMarker Component - Inline footnote bound to a quote, with a hover preview
+ */
+const CitationMarker = ({ quote, onClick }) => (
+  <span className="relative inline-block group/citation align-super">
+    <button
+      type="button"
+      onClick={() => onClick?.(quote.id)}
+      className="mx-0.5 px-1 rounded text-[10px] font-semibold leading-none text-cte-primary-dark bg-cte-primary bg-opacity-10 hover:bg-opacity-25 transition-colors"
+      aria-label={`Font ${quote.id}: ${quote.document_title}, pàgina ${quote.page}`}
+    >
+      {quote.id}
+    </button>
+    <span className="pointer-events-none absolute left-0 bottom-full mb-1 z-20 hidden group-hover/citation:block w-72 rounded-lg border border-gray-200 bg-white p-3 text-left text-xs font-normal shadow-lg whitespace-normal">
+      <span className="flex items-center space-x-2 mb-1">
+        <SourceScopeBadge scope={quote.source_scope} />
+        <DocumentValidityBadge quote={quote} />
+        <span className="font-medium text-gray-800 truncate">{quote.document_title}</span>
+      </span>
+      <span className="block text-gray-500 mb-1">Pàg. {quote.page}</span>
+      <span className="block italic text-gray-700">"{quote.text}"</span>
+    </span>
+  </span>
+);
+
+/**
+ * Table with a horizontal scroll and a "copy as CSV" action
+ */
+const AnswerTable = ({ node, children }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCsv = async () => {
+    try {
+      await navigator.clipboard.writeText(toCsv(getTableRows(node)));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Could not copy table:', error);
+    }
+  };
+
+  return (
+    <div className="my-3">
+      <div className="overflow-x-auto rounded-md border border-gray-200">
+        <table className="min-w-full text-xs text-left border-collapse">{children}</table>
+      </div>
+      <button
+        type="button"
+        onClick={copyCsv}
+        className="mt-1 text-[11px] text-gray-500 hover:text-cte-primary-dark"
+      >
+        {copied ? 'Taula copiada' : 'Copiar taula (CSV)'}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * MarkdownAnswer Component
+ *
+ * Renders an assistant answer as GitHub-flavoured markdown: tables, ordered
+ * and nested lists, inline code and links. Raw HTML in the answer is dropped,
+ * link URLs are filtered (no javascript: and similar) and images are not
+ * rendered: loading one would send a request to any URL the answer contains.
+ * [n] markers that match a quote become clickable citation footnotes.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Answer markdown
+ * @param {Array} [props.quotes] - Numbered quotes ({ id, document_title, page, text, source_scope })
+ * @param {Function} [props.onCitationClick] - Called with the quote id of a clicked marker
+ */
+const MarkdownAnswer = ({ text, quotes = [], onCitationClick }) => {
+  if (!text) return null;
+
+  const quotesById = new Map(quotes.map(quote => [quote.id, quote]));
+
+  const components = {
+    'cite-ref': ({ node, children }) => {
+      const quote = quotesById.get(Number(node.properties.dataCitation));
+      return quote ? <CitationMarker quote={quote} onClick={onCitationClick} /> : children;
+    },
+    p: ({ children }) => <p className="mb-2 last:mb-0">{children}</p>,
+    h1: ({ children }) => <h3 className="font-semibold text-gray-900 mt-3 mb-1">{children}</h3>,
+    h2: ({ children }) => <h3 className="font-semibold text-gray-900 mt-3 mb-1">{children}</h3>,
+    h3: ({ children }) => <h4 className="font-semibold text-gray-900 mt-3 mb-1">{children}</h4>,
+    h4: ({ children }) => <h4 className="font-medium text-gray-800 mt-2 mb-1">{children}</h4>,
+    ul: ({ children }) => <ul className="list-disc pl-5 mb-2 space-y-0.5">{children}</ul>,
+    ol: ({ children, start }) => <ol start={start} className="list-decimal pl-5 mb-2 space-y-0.5">{children}</ol>,
+    blockquote: ({ children }) => (
+      <blockquote className="italic text-gray-700 bg-gray-50 border-l-2 border-gray-300 pl-3 py-1 my-2">{children}</blockquote>
+    ),
+    a: ({ href, children }) => (
+      <a href={href} target="_blank" rel="noopener noreferrer" className="text-cte-primary hover:text-cte-primary-dark underline break-words">
+        {children}
+      </a>
+    ),
+    code: ({ className, children }) => (
+      className
+        ? <code className={className}>{children}</code>
+        : <code className="px-1 py-0.5 rounded bg-gray-100 font-mono text-[0.85em]">{children}</code>
+    ),
+    pre: ({ children }) => (
+      <pre className="my-2 p-2 rounded bg-gray-100 font-mono text-xs overflow-x-auto">{children}</pre>
+    ),
+    hr: () => <hr className="my-3 border-gray-200" />,
+    table: AnswerTable,
+    thead: ({ children }) => <thead className="bg-gray-50">{children}</thead>,
+    th: ({ children, style }) => (
+      <th style={style} className="px-2 py-1 border-b border-gray-200 font-semibold text-gray-800">{children}</th>
+    ),
+    td: ({ children, style }) => (
+      <td style={style} className="px-2 py-1 border-b border-gray-100 align-top">{children}</td>
+    )
+  };
+
+  return (
+    <div className="break-words">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, [remarkAnswerText, { citationIds: new Set(quotesById.keys()) }]]}
+        components={components}
+        disallowedElements={['img']}
+        skipHtml
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MarkdownAnswer;
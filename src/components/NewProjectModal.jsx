@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
-import { env } from '../config/env';
+import { fetchAvailableTowns } from '../services/townsService';
 
 /**
  * NewProjectModal Component for ArquiNorma
@@ -86,45 +86,12 @@ const NewProjectModal = ({ isOpen, onClose, onProjectCreated, onError, onSuccess
 
   /**
    * Load towns from the API — only towns with real document chunks are shown.
-   *
-   * Render's free tier sleeps after ~15 min idle, so the first request after
-   * a cold-start can take 30–60 s. We:
-   *   1. Use a 75 s AbortController timeout (long enough for cold-start).
-   *   2. Retry once if the first attempt fails or returns no towns.
-   *   3. Surface a "warming up" hint after 4 s instead of a generic error.
+   * Cold-start retries are handled by fetchAvailableTowns.
    */
-  const fetchTownsOnce = async (timeoutMs) => {
-    const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
-    const ctl = new AbortController();
-    const timer = setTimeout(() => ctl.abort(), timeoutMs);
-    try {
-      const response = await fetch(`${baseUrl}/api/towns`, {
-        signal: ctl.signal,
-        cache: 'no-store',
-      });
-      if (!response.ok) {
-        throw new Error(`Failed to load towns: ${response.status} ${response.statusText}`);
-      }
-      const data = await response.json();
-      return (data.towns || [])
-        .filter(t => t.has_chunks === true)
-        .sort((a, b) => a.name.localeCompare(b.name, 'ca', { numeric: true }));
-    } finally {
-      clearTimeout(timer);
-    }
-  };
-
   const loadTowns = async () => {
     setLoadingTowns(true);
     try {
-      let available = [];
-      try {
-        available = await fetchTownsOnce(75000);
-      } catch (firstErr) {
-        console.warn('First towns fetch failed, retrying once:', firstErr?.message || firstErr);
-        available = await fetchTownsOnce(75000);
-      }
-      setTowns(available);
+      setTowns(await fetchAvailableTowns());
     } catch (error) {
       console.error('Error loading towns:', error);
       setTowns([]);
@@ -259,6 +226,10 @@ const NewProjectModal = ({ isOpen, onClose, onProjectCreated, onError, onSuccess
 
       if (insertError) {
         console.error('Supabase insert error:', insertError);
+        // Raised by the enforce_project_quota trigger (migration 027)
+        if (insertError.message?.includes('PROJECT_QUOTA_EXCEEDED')) {
+          throw new Error('Has arribat al límit de projectes del teu pla. Actualitza la subscripció per crear-ne més.');
+        }
         throw new Error(`Failed to create project: ${insertError.message}`);
       }
 
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getPinKey, parseTags } from '../services/notebookService';
+
+/**
+ * NotebookPinMenu Component
+ *
+ * Bookmark button under an assistant answer that pins the whole answer, or
+ * one of its numbered sources, to the user's notebook with tags and a note.
+ * Answers and sources already in the notebook are marked and cannot be
+ * pinned twice.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.quotes - Numbered sources of the answer ({ id, document_title, page, text })
+ * @param {Object} props.pinned - Entry ids of what is already pinned, keyed by getPinKey()
+ * @param {Function} props.onPin - Called with { quote, tags, note } (quote null for the whole answer); returns a promise
+ */
+const NotebookPinMenu = ({ quotes = [], pinned = {}, onPin }) => {
+  const [formOpen, setFormOpen] = useState(false);
+  const [target, setTarget] = useState(null);
+  const [tags, setTags] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const options = [
+    { key: getPinKey(null), label: 'Resposta sencera', quote: null },
+    ...quotes
+      .filter(quote => quote.text)
+      .map(quote => ({
+        key: getPinKey(quote.id),
+        label: `[${quote.id}] ${quote.document_title || 'Document'}${quote.page ? `, pàg. ${quote.page}` : ''}`,
+        quote
+      }))
+  ];
+  const pinnedCount = options.filter(option => pinned[option.key]).length;
+  const selected = options.find(option => option.key === target);
+
+  const openForm = () => {
+    setTarget(options.find(option => !pinned[option.key])?.key || null);
+    setTags('');
+    setNote('');
+    setFormOpen(!formOpen);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selected) return;
+    setSaving(true);
+    try {
+      await onPin({ quote: selected.quote, tags: parseTags(tags), note });
+      setFormOpen(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center space-x-1">
+        <button
+          type="button"
+          onClick={openForm}
+          className={`p-1 rounded transition-colors ${
+            pinnedCount > 0 ? 'text-cte-primary-dark bg-cte-primary bg-opacity-10' : 'text-gray-400 hover:text-gray-700'
+          }`}
+          title="Desar al quadern"
+          aria-expanded={formOpen}
+        >
+          <svg className="w-3.5 h-3.5" fill={pinnedCount > 0 ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"></path>
+          </svg>
+        </button>
+        {pinnedCount > 0 && !formOpen && (
+          <Link to="/notebook" className="text-[11px] text-gray-400 hover:text-gray-600 underline">
+            Al quadern ({pinnedCount})
+          </Link>
+        )}
+      </div>
+
+      {formOpen && (
+        <form onSubmit={handleSubmit} className="mt-2 p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-2 text-xs">
+          <div className="font-medium text-gray-700">Què vols desar al quadern?</div>
+          <div className="space-y-1 max-h-40 overflow-y-auto">
+            {options.map(option => (
+              <label key={option.key} className={`flex items-center space-x-2 ${pinned[option.key] ? 'text-gray-400' : 'text-gray-700'}`}>
+                <input
+                  type="radio"
+                  name="notebook-pin-target"
+                  value={option.key}
+                  checked={target === option.key}
+                  disabled={!!pinned[option.key]}
+                  onChange={() => setTarget(option.key)}
+                  className="text-cte-primary focus:ring-cte-primary"
+                />
+                <span className="truncate">{option.label}</span>
+                {pinned[option.key] && <span className="flex-shrink-0">· ja desat</span>}
+              </label>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Etiquetes, separades per comes (p. ex. barana, evacuació)"
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+          />
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Nota (opcional)"
+            rows={2}
+            maxLength={4000}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-cte-primary"
+          />
+          <div className="flex items-center justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setFormOpen(false)}
+              className="px-3 py-1 text-gray-600 hover:text-gray-900 rounded-md"
+            >
+              Cancel·lar
+            </button>
+            <button
+              type="submit"
+              disabled={!selected || saving}
+              className="px-3 py-1 text-white bg-cte-primary hover:bg-cte-primary-dark rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Desar
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default NotebookPinMenu;
@@ -158,6 +158,10 @@ const PrivateDocumentUpload = ({ onUploadComplete }) => {
           throw new Error('Accés denegat. Subscripció Studio requerida.');
         } else {
           const errorData = await response.json();
+          // Raised by the enforce_private_document_quota trigger (migration 042)
+          if (String(errorData.detail || '').includes('PRIVATE_DOCUMENT_QUOTA_EXCEEDED')) {
+            throw new Error('Has arribat al límit mensual de documents privats del teu pla.');
+          }
           throw new Error(errorData.detail || `Error ${response.status}`);
         }
       }
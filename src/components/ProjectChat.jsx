@@ -1,10 +1,93 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
 import AuthPrompt from './AuthPrompt';
+import ExportConversationMenu from './ExportConversationMenu';
+import AnswerFeedback from './AnswerFeedback';
+import MarkdownAnswer from './MarkdownAnswer';
+import AnswerVersionControls from './AnswerVersionControls';
+import AnswerVersionDiff from './AnswerVersionDiff';
+import StarterQuestions from './StarterQuestions';
+import NotebookPinMenu from './NotebookPinMenu';
+import CitationPdfViewer from './CitationPdfViewer';
+import { getMyFeedback, submitAnswerFeedback, deleteAnswerFeedback } from '../services/feedbackService';
+import { getAnswerVersions, saveAnswerVersion } from '../services/answerVersionsService';
+import { getPinnedEntries, getPinKey, pinToNotebook, attachEntryToProject } from '../services/notebookService';
+import { buildConversationReport } from '../services/conversationExportService';
+import { streamAsk, AskRequestError, isViewableQuote } from '../services/askService';
 import { env } from '../config/env';
 import { toast } from 'sonner';
 
-const ProjectChat = ({ projectId }) => {
+/**
+ * Quotes of an answer with their citation number ([n] in the answer text)
+ * @param {Array} quotes - Quotes from the message metadata
+ * @returns {Array} Quotes with id
+ */
+const getNumberedQuotes = (quotes = []) =>
+  quotes.map((quote, idx) => ({ ...quote, id: quote.id ?? idx + 1 }));
+
+/**
+ * Send a question to the project messages endpoint, which saves the question
+ * and the generated answer
+ * @returns {Promise<{user_message: Object, assistant_message: Object}>}
+ */
+const postProjectMessage = async (projectId, userId, content) => {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  // DEBUG: Log the URL being called
+  const apiUrl = `${env.api.baseUrl}/api/projects/${projectId}/messages`;
+  const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  console.log(`🔍 [${requestId}] Calling backend:`, apiUrl);
+  console.log(`🔍 [${requestId}] Content:`, content.substring(0, 50) + '...');
+  console.log(`🔍 [${requestId}] Timestamp:`, new Date().toISOString());
+
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session?.access_token || ''}`,
+    },
+    body: JSON.stringify({
+      content: content.trim(),
+      user_id: userId,
+      metadata: {}
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Backend error: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Earlier turns sent with a regenerated question, as in the CTE chat
+const CONVERSATION_HISTORY_LENGTH = 6;
+
+/**
+ * Turns before a question, in the /api/ask history format
+ * @param {Array} previousMessages - Project messages before the question
+ * @returns {Array<{role: string, content: string}>}
+ */
+const buildConversationHistory = (previousMessages) => (
+  previousMessages
+    .filter(msg => !msg.metadata?.is_fallback && !msg.id?.startsWith('temp-') && !msg.id?.startsWith('fallback-') && msg.content)
+    .slice(-CONVERSATION_HISTORY_LENGTH)
+    .map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content }))
+);
+
+/**
+ * Original version of an answer, answering the question before it
+ */
+const toOriginalVersion = (message, question) => ({
+  version: 1,
+  question,
+  text: message.content,
+  quotes: message.metadata?.quotes || [],
+  confidence: message.metadata?.confidence
+});
+
+const ProjectChat = ({ projectId, project }) => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -15,6 +98,16 @@ const ProjectChat = ({ projectId }) => {
   const [contextMenu, setContextMenu] = useState({ visible: false, x: 0, y: 0, messageId: null });
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [feedbackByMessage, setFeedbackByMessage] = useState({}); // message id -> { rating, reason, correction }
+  const [pinnedByMessage, setPinnedByMessage] = useState({}); // message id -> { pin key: notebook entry id }
+  const [versionsByMessage, setVersionsByMessage] = useState({}); // answer id -> all versions, once regenerated
+  const [activeVersionByMessage, setActiveVersionByMessage] = useState({}); // answer id -> version index shown
+  const [regeneratingMessageId, setRegeneratingMessageId] = useState(null);
+  const [editingQuestion, setEditingQuestion] = useState(null); // { messageId, text } while editing a sent question
+  const [comparingMessageId, setComparingMessageId] = useState(null);
+  const [viewerCitation, setViewerCitation] = useState(null); // { messageId, quoteId } open in the PDF viewer
+  const [searchParams] = useSearchParams();
+  const focusedMessageId = searchParams.get('message'); // set by links from the history search
 
   // Check authentication status
   useEffect(() => {
@@ -66,6 +159,13 @@ const ProjectChat = ({ projectId }) => {
     }
   }, [projectId, isAuthenticated, user]);
 
+  // Scroll to the message opened from the history search once it is loaded
+  useEffect(() => {
+    if (focusedMessageId && messages.some(m => m.id === focusedMessageId)) {
+      document.getElementById(`message-${focusedMessageId}`)?.scrollIntoView({ block: 'center' });
+    }
+  }, [focusedMessageId, messages]);
+
   const loadMessages = async () => {
     if (!projectId || !isAuthenticated || !user) return;
 
@@ -119,6 +219,25 @@ const ProjectChat = ({ projectId }) => {
       
       setMessages(uniqueMessages);
 
+      const answerIds = uniqueMessages.filter(msg => msg.role !== 'user').map(msg => msg.id);
+      getMyFeedback('project', answerIds)
+        .then(setFeedbackByMessage)
+        .catch(feedbackError => console.warn('Could not load answer feedback:', feedbackError?.message || feedbackError));
+
+      getPinnedEntries('project', answerIds)
+        .then(setPinnedByMessage)
+        .catch(pinnedError => console.warn('Could not load notebook pins:', pinnedError?.message || pinnedError));
+
+      getAnswerVersions('project', answerIds)
+        .then(storedByMessage => setVersionsByMessage(Object.fromEntries(
+          Object.entries(storedByMessage).map(([messageId, stored]) => {
+            const index = uniqueMessages.findIndex(msg => msg.id === messageId);
+            const question = uniqueMessages.slice(0, index).reverse().find(msg => msg.role === 'user')?.content || '';
+            return [messageId, [toOriginalVersion(uniqueMessages[index], question), ...stored]];
+          })
+        )))
+        .catch(versionsError => console.warn('Could not load answer versions:', versionsError?.message || versionsError));
+
     } catch (err) {
       console.error('Error loading messages:', err);
       setError(`Failed to load messages: ${err.message}`);
@@ -172,34 +291,7 @@ const ProjectChat = ({ projectId }) => {
 
       // Generate AI response via backend (backend will save user message)
       try {
-        // Get the current session for authentication
-        const { data: { session } } = await supabase.auth.getSession();
-        
-        // DEBUG: Log the URL being called
-        const apiUrl = `${env.api.baseUrl}/api/projects/${projectId}/messages`;
-        const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        console.log(`🔍 [${requestId}] Calling backend:`, apiUrl);
-        console.log(`🔍 [${requestId}] Content:`, content.substring(0, 50) + '...');
-        console.log(`🔍 [${requestId}] Timestamp:`, new Date().toISOString());
-        
-        const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${session?.access_token || ''}`,
-          },
-          body: JSON.stringify({
-            content: content.trim(),
-            user_id: user.id,
-            metadata: {}
-          })
-        });
-
-        if (!response.ok) {
-          throw new Error(`Backend error: ${response.status}`);
-        }
-
-        const result = await response.json();
+        const result = await postProjectMessage(projectId, user.id, content);
 
         if (result.user_message && result.assistant_message) {
           // Check if the assistant message is a fallback (AI service unavailable)
@@ -277,6 +369,79 @@ const ProjectChat = ({ projectId }) => {
     }
   }, [projectId, isAuthenticated, user, isSubmitting, isLoading]);
 
+  /**
+   * Versions of an answer; answers never regenerated only have the original one
+   */
+  const getMessageVersions = (message) => {
+    if (versionsByMessage[message.id]) return versionsByMessage[message.id];
+    const index = messages.findIndex(msg => msg.id === message.id);
+    const question = messages.slice(0, index).reverse().find(msg => msg.role === 'user')?.content || '';
+    return [toOriginalVersion(message, question)];
+  };
+
+  /**
+   * Ask a turn's question again (or an edited one) and keep the answer as a
+   * new version. The question goes to /api/ask with the earlier turns, so the
+   * project chat gets no new messages; only the version is stored.
+   */
+  const regenerateAnswer = async (message, question) => {
+    if (isLoading || isSubmitting) return;
+
+    setIsSubmitting(true);
+    setRegeneratingMessageId(message.id);
+    setEditingQuestion(null);
+
+    try {
+      const versions = getMessageVersions(message);
+      const index = messages.findIndex(msg => msg.id === message.id);
+      const answer = await streamAsk({
+        question,
+        history: buildConversationHistory(messages.slice(0, Math.max(index - 1, 0))),
+        skip_cache: true
+      });
+      if (!answer.answer) {
+        throw new Error('Empty answer');
+      }
+
+      const saved = await saveAnswerVersion({
+        source: 'project',
+        messageId: message.id,
+        version: Math.max(...versions.map(version => version.version)) + 1,
+        question,
+        text: answer.answer,
+        quotes: answer.quotes,
+        confidence: answer.confidence,
+        verification: answer.verification,
+        queryLogId: answer.queryLogId
+      });
+      setVersionsByMessage(prev => ({ ...prev, [message.id]: [...versions, saved] }));
+      setActiveVersionByMessage(prev => ({ ...prev, [message.id]: versions.length }));
+    } catch (err) {
+      console.error('Error regenerating answer:', err);
+      toast.error(err instanceof AskRequestError && err.status === 429
+        ? 'Has arribat al límit de preguntes d\'avui'
+        : 'No s\'ha pogut generar una altra resposta');
+    } finally {
+      setRegeneratingMessageId(null);
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Send an edited question: the answer below it gets a new version
+   */
+  const submitEditedQuestion = (index) => {
+    const question = editingQuestion?.text.trim();
+    const answer = displayedMessages[index + 1];
+    if (!question || !answer || answer.role === 'user') return;
+
+    if (question === displayedMessages[index].content) {
+      setEditingQuestion(null);
+      return;
+    }
+    regenerateAnswer(answer, question);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     e.stopPropagation(); // Prevent event bubbling
@@ -331,53 +496,6 @@ const ProjectChat = ({ projectId }) => {
     }
   }, [contextMenu.visible]);
 
-  // Render message content with markdown link parsing
-  const renderMessageContent = (content) => {
-    if (!content) return null;
-    
-    // Check if content contains markdown links [text](url)
-    const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-    const parts = [];
-    let lastIndex = 0;
-    let match;
-    let linkIndex = 0;
-    
-    // Find all markdown links in the content
-    while ((match = linkRegex.exec(content)) !== null) {
-      // Add text before the link
-      if (match.index > lastIndex) {
-        parts.push(content.substring(lastIndex, match.index));
-      }
-      
-      // Add the link as a clickable element
-      parts.push(
-        <a
-          key={`link-${linkIndex++}`}
-          href={match[2]}
-          target="_blank"
-          rel="noopener noreferrer"
-          className="text-blue-600 hover:text-blue-800 underline break-all"
-        >
-          {match[1]}
-        </a>
-      );
-      
-      lastIndex = match.index + match[0].length;
-    }
-    
-    // Add remaining text after last link
-    if (lastIndex < content.length) {
-      parts.push(content.substring(lastIndex));
-    }
-    
-    // If no links found, return original content
-    if (parts.length === 0) {
-      return content;
-    }
-    
-    return parts;
-  };
-
   const deleteMessage = async (messageId) => {
     if (!messageId || deleteLoading) return;
 
@@ -430,6 +548,59 @@ const ProjectChat = ({ projectId }) => {
     }
   };
 
+  // Messages as shown: regenerated answers and their questions follow the selected version
+  const displayedMessages = messages.map((message, index) => {
+    const answer = message.role === 'user' ? messages[index + 1] : message;
+    const versions = answer && answer.role !== 'user' ? versionsByMessage[answer.id] : null;
+    if (!versions) return message;
+
+    const version = versions[activeVersionByMessage[answer.id] ?? versions.length - 1];
+    return message.role === 'user'
+      ? { ...message, content: version.question }
+      : { ...message, content: version.text, metadata: { ...message.metadata, quotes: version.quotes, confidence: version.confidence } };
+  });
+
+  const comparingVersions = comparingMessageId && versionsByMessage[comparingMessageId];
+
+  /**
+   * Open a citation in the PDF viewer; citations without a viewable
+   * document keep only their hover card
+   */
+  const openCitation = (message, quoteId) => {
+    const quote = getNumberedQuotes(message.metadata?.quotes).find(q => q.id === quoteId);
+    if (isViewableQuote(quote)) {
+      setViewerCitation({ messageId: message.id, quoteId });
+    }
+  };
+
+  /**
+   * Render the PDF viewer for the open citation, stepping through the
+   * viewable citations of the same answer
+   */
+  const renderCitationViewer = () => {
+    if (!viewerCitation) return null;
+    const message = displayedMessages.find(m => m.id === viewerCitation.messageId);
+    const quotes = getNumberedQuotes(message?.metadata?.quotes).filter(isViewableQuote);
+    if (quotes.length === 0) return null;
+
+    return (
+      <CitationPdfViewer
+        quotes={quotes}
+        quoteId={viewerCitation.quoteId}
+        onQuoteChange={(quoteId) => setViewerCitation({ messageId: message.id, quoteId })}
+        onClose={() => setViewerCitation(null)}
+      />
+    );
+  };
+
+  // Questions with an answer below them can be edited from the context menu
+  const contextMenuIndex = displayedMessages.findIndex(msg => msg.id === contextMenu.messageId);
+  const contextMenuAnswer = displayedMessages[contextMenuIndex + 1];
+  const contextMenuQuestion = displayedMessages[contextMenuIndex]?.role === 'user'
+    && contextMenuAnswer && contextMenuAnswer.role !== 'user' && !contextMenuAnswer.metadata?.is_fallback
+    ? displayedMessages[contextMenuIndex]
+    : null;
+
   // Show loading state
   if (authLoading) {
     return (
@@ -465,25 +636,131 @@ const ProjectChat = ({ projectId }) => {
     );
   };
 
+  /**
+   * Save the user's thumbs up/down on an answer
+   */
+  const submitFeedback = async (message, { rating, reason, correction }) => {
+    const index = displayedMessages.findIndex(m => m.id === message.id);
+    const question = displayedMessages.slice(0, index).reverse().find(m => m.role === 'user')?.content;
+
+    try {
+      const saved = await submitAnswerFeedback({
+        source: 'project',
+        messageId: message.id,
+        question,
+        answer: message.content,
+        rating,
+        reason,
+        correction
+      });
+      setFeedbackByMessage(prev => ({ ...prev, [message.id]: saved }));
+    } catch (err) {
+      console.error('Error saving answer feedback:', err);
+      toast.error('No s\'ha pogut desar la valoració');
+    }
+  };
+
+  /**
+   * Remove the user's vote on an answer
+   */
+  const removeFeedback = async (messageId) => {
+    try {
+      await deleteAnswerFeedback('project', messageId);
+      setFeedbackByMessage(prev => {
+        const { [messageId]: _removed, ...rest } = prev;
+        return rest;
+      });
+    } catch (err) {
+      console.error('Error removing answer feedback:', err);
+      toast.error('No s\'ha pogut treure la valoració');
+    }
+  };
+
+  /**
+   * Pin an answer, or one of its sources, to the user's notebook, attached to
+   * this project
+   */
+  const pinAnswer = async (message, { quote, tags, note }) => {
+    const index = displayedMessages.findIndex(m => m.id === message.id);
+    const question = displayedMessages.slice(0, index).reverse().find(m => m.role === 'user')?.content;
+
+    try {
+      const entry = await pinToNotebook({
+        source: 'project',
+        messageId: message.id,
+        projectId,
+        question,
+        answer: message.content,
+        quotes: getNumberedQuotes(message.metadata?.quotes),
+        quote,
+        tags,
+        note
+      });
+      await attachEntryToProject(entry.id, projectId);
+      setPinnedByMessage(prev => ({
+        ...prev,
+        [message.id]: { ...prev[message.id], [getPinKey(entry.quote_id)]: entry.id }
+      }));
+      toast.success('Desat al quadern');
+    } catch (err) {
+      console.error('Error pinning answer to the notebook:', err);
+      toast.error('No s\'ha pogut desar al quadern');
+    }
+  };
+
+  /**
+   * Build the export report for this chat, with the project header
+   */
+  const getConversationReport = () => buildConversationReport({
+    title: project?.title || 'Xat del projecte',
+    project: project && {
+      title: project.title,
+      type: project.type,
+      town: project.location?.city,
+      province: project.location?.province,
+      address: [project.location?.street, project.location?.number].filter(Boolean).join(' ')
+    },
+    messages: displayedMessages
+      .filter(m => !m.id?.startsWith('temp-') && !m.id?.startsWith('fallback-') && !m.metadata?.is_fallback)
+      .map(m => ({
+        role: m.role === 'user' ? 'user' : 'assistant',
+        text: m.content,
+        quotes: m.metadata?.quotes,
+        confidence: m.metadata?.confidence
+      }))
+  });
+
   return (
     <div className="flex flex-col h-full max-w-4xl mx-auto px-4 w-full">
       {/* Error notification */}
       <ErrorNotification />
+
+      {/* Export conversation as PDF/DOCX */}
+      {messages.length > 0 && (
+        <div className="flex justify-end pt-3">
+          <ExportConversationMenu getReport={getConversationReport} disabled={isLoading} />
+        </div>
+      )}
       
       {/* Messages */}
       <div className="flex-1 overflow-y-auto py-4 space-y-4">
         {messages.length === 0 ? (
-          <div className="text-center text-gray-500 py-8">
-            No messages yet. Start a conversation!
-          </div>
+          <StarterQuestions
+            projectType={project?.type}
+            onSelect={sendMessage}
+            disabled={isLoading || isSubmitting}
+          />
         ) : (
-          messages.map((message) => (
+          displayedMessages.map((message, index) => (
             <div
               key={message.id}
+              id={`message-${message.id}`}
               className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}
             >
               <div
                 className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
+                  message.id === focusedMessageId ? 'ring-2 ring-yellow-400 ring-offset-2' : ''
+                } ${
                   // Only allow deletion of real messages (not temp or fallback)
                   message.id && !message.id.startsWith('temp-') && !message.id.startsWith('fallback-')
                     ? 'cursor-context-menu' 
@@ -502,9 +779,51 @@ const ProjectChat = ({ projectId }) => {
                     ⚠️ Avís del servei
                   </div>
                 )}
-                <div className="text-sm whitespace-pre-line">
-                  {renderMessageContent(message.content)}
-                </div>
+                {editingQuestion?.messageId === message.id ? (
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      submitEditedQuestion(index);
+                    }}
+                    className="space-y-2"
+                  >
+                    <textarea
+                      value={editingQuestion.text}
+                      onChange={(e) => setEditingQuestion({ ...editingQuestion, text: e.target.value })}
+                      rows={3}
+                      autoFocus
+                      className="w-full px-2 py-1.5 text-sm text-gray-900 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-white"
+                    />
+                    <div className="flex items-center justify-end space-x-2 text-xs">
+                      <button
+                        type="button"
+                        onClick={() => setEditingQuestion(null)}
+                        className="px-2 py-1 text-blue-100 hover:text-white"
+                      >
+                        Cancel·lar
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={!editingQuestion.text.trim() || isSubmitting}
+                        className="px-2 py-1 bg-white text-blue-600 rounded-md disabled:opacity-50"
+                      >
+                        Enviar
+                      </button>
+                    </div>
+                  </form>
+                ) : regeneratingMessageId === message.id ? (
+                  <div className="text-sm italic animate-pulse">Generant una altra resposta...</div>
+                ) : (
+                  <div className={`text-sm ${message.role === 'user' ? 'whitespace-pre-line' : ''}`}>
+                    {message.role === 'user' ? message.content : (
+                      <MarkdownAnswer
+                        text={message.content}
+                        quotes={getNumberedQuotes(message.metadata?.quotes)}
+                        onCitationClick={(quoteId) => openCitation(message, quoteId)}
+                      />
+                    )}
+                  </div>
+                )}
                 <div className={`text-xs mt-1 ${
                   message.role === 'user' 
                     ? 'text-blue-100' 
@@ -514,6 +833,34 @@ const ProjectChat = ({ projectId }) => {
                 }`}>
                   {new Date(message.created_at).toLocaleTimeString()}
                 </div>
+                {message.role !== 'user' && !message.metadata?.is_fallback &&
+                  !message.id?.startsWith('temp-') && !message.id?.startsWith('fallback-') &&
+                  displayedMessages[index - 1]?.role === 'user' && (
+                  <AnswerVersionControls
+                    versionCount={versionsByMessage[message.id]?.length || 1}
+                    activeIndex={activeVersionByMessage[message.id] ?? (versionsByMessage[message.id]?.length || 1) - 1}
+                    onSelect={(versionIndex) => setActiveVersionByMessage(prev => ({ ...prev, [message.id]: versionIndex }))}
+                    onRegenerate={() => regenerateAnswer(message, displayedMessages[index - 1].content)}
+                    onCompare={() => setComparingMessageId(message.id)}
+                    disabled={isLoading || isSubmitting}
+                  />
+                )}
+                {message.role !== 'user' && !message.metadata?.is_fallback &&
+                  !message.id?.startsWith('temp-') && !message.id?.startsWith('fallback-') && (
+                  <AnswerFeedback
+                    feedback={feedbackByMessage[message.id]}
+                    onSubmit={(values) => submitFeedback(message, values)}
+                    onRemove={() => removeFeedback(message.id)}
+                  />
+                )}
+                {message.role !== 'user' && !message.metadata?.is_fallback &&
+                  !message.id?.startsWith('temp-') && !message.id?.startsWith('fallback-') && (
+                  <NotebookPinMenu
+                    quotes={getNumberedQuotes(message.metadata?.quotes)}
+                    pinned={pinnedByMessage[message.id]}
+                    onPin={(values) => pinAnswer(message, values)}
+                  />
+                )}
               </div>
             </div>
           ))
@@ -548,6 +895,17 @@ const ProjectChat = ({ projectId }) => {
         </form>
       </div>
 
+      {comparingVersions?.length > 1 && (
+        <AnswerVersionDiff
+          versions={comparingVersions}
+          initialLeft={Math.max((activeVersionByMessage[comparingMessageId] ?? comparingVersions.length - 1) - 1, 0)}
+          initialRight={activeVersionByMessage[comparingMessageId] ?? comparingVersions.length - 1}
+          onClose={() => setComparingMessageId(null)}
+        />
+      )}
+
+      {renderCitationViewer()}
+
       {/* Context Menu */}
       {contextMenu.visible && (
         <div
@@ -558,6 +916,21 @@ const ProjectChat = ({ projectId }) => {
           }}
           onClick={(e) => e.stopPropagation()}
         >
+          {contextMenuQuestion && (
+            <button
+              className="w-full px-3 py-2 text-left text-sm text-gray-700 hover:bg-gray-50 flex items-center disabled:opacity-50"
+              onClick={() => {
+                setEditingQuestion({ messageId: contextMenuQuestion.id, text: contextMenuQuestion.content });
+                setContextMenu({ visible: false, x: 0, y: 0, messageId: null });
+              }}
+              disabled={isLoading || isSubmitting}
+            >
+              <svg className="w-3 h-3 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
+              </svg>
+              Editar pregunta
+            </button>
+          )}
           <button
             className="w-full px-3 py-2 text-left text-sm text-red-600 hover:bg-red-50 flex items-center"
             onClick={() => deleteMessage(contextMenu.messageId)}
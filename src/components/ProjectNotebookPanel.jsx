@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import {
+  getEntrySourceLink,
+  listProjectNotebookEntries,
+  detachEntryFromProject
+} from '../services/notebookService';
+
+const EXCERPT_LENGTH = 280;
+
+/**
+ * ProjectNotebookPanel Component
+ *
+ * Notebook entries attached to a project, shown on the project page. Entries
+ * pinned from the project chat are attached automatically; others are
+ * attached from the notebook page.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.projectId - Project id
+ */
+const ProjectNotebookPanel = ({ projectId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        setLoading(true);
+        setEntries(await listProjectNotebookEntries(projectId));
+      } catch (err) {
+        console.error('Error loading project notebook entries:', err);
+        setError('No s\'han pogut carregar les entrades del quadern.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadEntries();
+  }, [projectId]);
+
+  const detach = async (entryId) => {
+    try {
+      await detachEntryFromProject(entryId, projectId);
+      setEntries(prev => prev.filter(entry => entry.id !== entryId));
+    } catch (err) {
+      console.error('Error detaching notebook entry:', err);
+      toast.error(`Error traient l'entrada del projecte: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 border-b border-gray-200">
+      <div className="max-w-4xl mx-auto px-4 py-4">
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-sm font-semibold text-gray-900">Quadern del projecte</h2>
+          <Link to="/notebook" className="text-xs text-cte-primary hover:text-cte-primary-dark underline">
+            Obrir el quadern
+          </Link>
+        </div>
+
+        {loading ? (
+          <p className="text-xs text-gray-500">Carregant...</p>
+        ) : error ? (
+          <p className="text-xs text-red-600">{error}</p>
+        ) : entries.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            Encara no hi ha cap entrada. Desa respostes o cites amb el botó de marcador sota les respostes del xat.
+          </p>
+        ) : (
+          <ul className="space-y-2 max-h-72 overflow-y-auto">
+            {entries.map(entry => {
+              const sourceLink = getEntrySourceLink(entry);
+              const excerpt = entry.content.length > EXCERPT_LENGTH
+                ? `${entry.content.substring(0, EXCERPT_LENGTH)}…`
+                : entry.content;
+
+              return (
+                <li key={entry.id} className="bg-white rounded-md border border-gray-200 p-3 text-xs">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      {entry.question && (
+                        <p className="font-medium text-gray-900 truncate">{entry.question}</p>
+                      )}
+                      <p className={`mt-1 text-gray-700 whitespace-pre-line ${entry.kind === 'quote' ? 'italic' : ''}`}>
+                        {excerpt}
+                      </p>
+                      {entry.kind === 'quote' && entry.quotes?.[0]?.document_title && (
+                        <p className="mt-1 text-gray-500">
+                          {entry.quotes[0].document_title}
+                          {entry.quotes[0].page && `, pàg. ${entry.quotes[0].page}`}
+                        </p>
+                      )}
+                      {entry.note && (
+                        <p className="mt-1 px-2 py-1 rounded bg-yellow-50 text-gray-700 whitespace-pre-line">{entry.note}</p>
+                      )}
+                      {entry.tags.length > 0 && (
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          {entry.tags.map(tag => (
+                            <span key={tag} className="px-1.5 py-0.5 rounded bg-gray-100 text-[11px] text-gray-600">#{tag}</span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex-shrink-0 flex flex-col items-end space-y-1">
+                      {sourceLink && (
+                        <Link to={sourceLink} className="text-cte-primary hover:text-cte-primary-dark underline">
+                          Obrir al xat
+                        </Link>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => detach(entry.id)}
+                        className="text-gray-500 hover:text-red-600"
+                        title="L'entrada continua al quadern"
+                      >
+                        Treure del projecte
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectNotebookPanel;
@@ -0,0 +1,21 @@
+import React from 'react';
+
+/**
+ * SourceScopeBadge Component - Labels a quote as state (CTE) or municipal normative
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.scope - 'state' or 'municipal'
+ */
+const SourceScopeBadge = ({ scope }) => (
+  scope === 'municipal' ? (
+    <span className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-emerald-100 text-emerald-800">
+      Municipal
+    </span>
+  ) : (
+    <span className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-blue-100 text-blue-800">
+      Estatal
+    </span>
+  )
+);
+
+export default SourceScopeBadge;
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { CTE_DOCUMENTS, getStarterQuestions } from '../services/starterQuestionsService';
+
+/**
+ * StarterQuestions Component
+ *
+ * Empty-chat suggestions: the curated questions for the project type, and
+ * a tab per CTE document. Picking one sends it as the first question.
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.projectType] - Project type (Habitatge, Equipament...)
+ * @param {Function} props.onSelect - Called with the chosen question
+ * @param {boolean} [props.disabled] - Disable the questions (one is being sent)
+ */
+const StarterQuestions = ({ projectType, onSelect, disabled = false }) => {
+  const [questions, setQuestions] = useState(null);
+  const [activeTab, setActiveTab] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getStarterQuestions()
+      .then(data => {
+        if (!cancelled) setQuestions(data);
+      })
+      .catch(error => {
+        console.error('Error loading starter questions:', error);
+        if (!cancelled) setQuestions({ byProjectType: {}, byDocument: {} });
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  if (!questions) {
+    return <div className="text-center text-gray-400 text-sm py-8">Carregant suggeriments...</div>;
+  }
+
+  const tabs = [
+    ...(questions.byProjectType[projectType]?.length
+      ? [{ id: 'project', label: projectType, items: questions.byProjectType[projectType] }]
+      : []),
+    ...CTE_DOCUMENTS
+      .filter(document => questions.byDocument[document.id]?.length)
+      .map(document => ({ id: document.id, label: document.id, title: document.label, items: questions.byDocument[document.id] }))
+  ];
+
+  if (tabs.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        Encara no hi ha missatges. Comenceu la conversa!
+      </div>
+    );
+  }
+
+  const currentTab = tabs.find(tab => tab.id === activeTab) || tabs[0];
+
+  return (
+    <div className="max-w-2xl mx-auto py-6">
+      <p className="text-center text-sm text-gray-500 mb-4">
+        Encara no hi ha missatges. Podeu començar amb una d'aquestes preguntes:
+      </p>
+
+      <div className="flex flex-wrap justify-center gap-1 mb-4">
+        {tabs.map(tab => (
+          <button
+            key={tab.id}
+            type="button"
+            onClick={() => setActiveTab(tab.id)}
+            title={tab.title}
+            className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+              tab.id === currentTab.id
+                ? 'bg-cte-primary text-white'
+                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <ul className="space-y-2">
+        {currentTab.items.map(item => (
+          <li key={item.id}>
+            <button
+              type="button"
+              onClick={() => onSelect(item.question)}
+              disabled={disabled}
+              className="w-full px-4 py-2 text-left text-sm text-gray-800 bg-white border border-gray-200 rounded-lg hover:border-cte-primary hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {item.question}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default StarterQuestions;
@@ -5,10 +5,21 @@
  * Import this wherever pricing data is displayed so changes
  * only need to happen in one place.
  *
+ * Quotas (questions, projects, private documents) come from the shared
+ * tier definition in ./subscriptionTiers.js, which /api/ask also enforces.
+ *
  * Must stay in sync with backend SUBSCRIPTION_TIERS in:
  *   backend/app/routes/stripe_elements.py
  */
 
+import { SUBSCRIPTION_TIERS, formatQuota } from './subscriptionTiers';
+
+const { basic, pro, studio } = SUBSCRIPTION_TIERS;
+
+const projectsLabel = (tier) => formatQuota(tier.quotas.maxProjects);
+const questionsLabel = (tier) => formatQuota(tier.quotas.questionsPerDay, { unlimited: 'Il·limitades', suffix: '/dia' });
+const documentsLabel = (tier) => formatQuota(tier.quotas.privateDocumentsPerMonth, { suffix: '/mes' });
+
 export const PRICING_TIERS = [
   {
     id: 'basic',
@@ -17,11 +28,11 @@ export const PRICING_TIERS = [
     description: 'Per a projectes individuals',
     popular: false,
     features: [
-      { name: 'Projectes actius',            value: '5',             included: true  },
-      { name: "Preguntes a l'IA",            value: "Il·limitades",  included: true  },
+      { name: 'Projectes actius',            value: projectsLabel(basic), included: true  },
+      { name: "Preguntes a l'IA",            value: questionsLabel(basic), included: true  },
       { name: 'Accés a tota la normativa',   value: true,            included: true  },
       { name: 'Suport per correu',           value: true,            included: true  },
-      { name: 'Documents personalitzats',    value: null,            included: false },
+      { name: 'Documents personalitzats',    value: documentsLabel(basic), included: false },
       { name: 'Assistent de concursos',      value: false,           included: false },
       { name: 'Comparació de documents',     value: false,           included: false },
       { name: "Àrea privada d'estudi",       value: null,            included: false },
@@ -35,11 +46,11 @@ export const PRICING_TIERS = [
     description: 'Per a professionals exigents',
     popular: true,
     features: [
-      { name: 'Projectes actius',            value: "Il·limitats",   included: true  },
-      { name: "Preguntes a l'IA",            value: "Il·limitades",  included: true  },
+      { name: 'Projectes actius',            value: projectsLabel(pro), included: true  },
+      { name: "Preguntes a l'IA",            value: questionsLabel(pro), included: true  },
       { name: 'Accés a tota la normativa',   value: true,            included: true  },
       { name: 'Suport prioritari',           value: true,            included: true  },
-      { name: 'Documents personalitzats',    value: '20/mes',        included: true  },
+      { name: 'Documents personalitzats',    value: documentsLabel(pro), included: true  },
       { name: 'Assistent de concursos',      value: true,            included: true  },
       { name: 'Comparació de documents',     value: true,            included: true  },
       { name: "Àrea privada d'estudi",       value: null,            included: false },
@@ -53,11 +64,11 @@ export const PRICING_TIERS = [
     description: "Per a equips i estudis d'arquitectura",
     popular: false,
     features: [
-      { name: 'Projectes actius',            value: "Il·limitats",       included: true },
-      { name: "Preguntes a l'IA",            value: "Il·limitades",      included: true },
+      { name: 'Projectes actius',            value: projectsLabel(studio), included: true },
+      { name: "Preguntes a l'IA",            value: questionsLabel(studio), included: true },
       { name: 'Accés a tota la normativa',   value: true,                included: true },
       { name: 'Suport dedicat',              value: true,                included: true },
-      { name: 'Documents personalitzats',    value: "Il·limitats",       included: true },
+      { name: 'Documents personalitzats',    value: documentsLabel(studio), included: true },
       { name: 'Gestió de concursos',         value: true,                included: true },
       { name: 'Comparació de documents',     value: true,                included: true },
       { name: "Àrea privada d'estudi",       value: true,                included: true },
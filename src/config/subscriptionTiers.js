@@ -0,0 +1,109 @@
+/**
+ * Subscription Tiers — Shared Quota Definition
+ * =============================================
+ * Tier ids, display names and usage quotas shared by the frontend
+ * (pricingConfig, useSubscription, ChatPage) and the serverless
+ * functions in api/ (question quotas in /api/ask).
+ *
+ * This file is imported from both sides, so it must stay plain data:
+ * no browser APIs, no Vite env and no imports.
+ *
+ * Project and private document quotas are also enforced in the database:
+ * migration 027_create_subscription_tier_quotas.sql seeds the same values
+ * (read by the triggers of migrations 027 and 042), and
+ * tests/subscriptionTiers.test.ts checks that the two agree.
+ *
+ * A quota of `null` means unlimited.
+ */
+
+export const SUBSCRIPTION_TIERS = {
+  anonymous: {
+    id: 'anonymous',
+    name: 'Anònim',
+    color: 'gray',
+    icon: '👤',
+    quotas: { questionsPerDay: 3, maxProjects: 0, privateDocumentsPerMonth: 0 },
+  },
+  free: {
+    id: 'free',
+    name: 'Gratuït',
+    color: 'gray',
+    icon: '🆓',
+    quotas: { questionsPerDay: 5, maxProjects: 1, privateDocumentsPerMonth: 0 },
+  },
+  basic: {
+    id: 'basic',
+    name: 'Bàsic',
+    color: 'blue',
+    icon: '📘',
+    quotas: { questionsPerDay: null, maxProjects: 5, privateDocumentsPerMonth: 0 },
+  },
+  pro: {
+    id: 'pro',
+    name: 'Professional',
+    color: 'purple',
+    icon: '⭐',
+    quotas: { questionsPerDay: null, maxProjects: null, privateDocumentsPerMonth: 20 },
+  },
+  studio: {
+    id: 'studio',
+    name: 'Estudi',
+    color: 'green',
+    icon: '🏢',
+    quotas: { questionsPerDay: null, maxProjects: null, privateDocumentsPerMonth: null },
+  },
+  beta: {
+    id: 'beta',
+    name: 'Beta Tester',
+    color: 'purple',
+    icon: '🧪',
+    quotas: { questionsPerDay: null, maxProjects: null, privateDocumentsPerMonth: null },
+  },
+};
+
+/**
+ * Subscription levels from before the basic/pro/studio plans,
+ * still present on older profiles
+ */
+export const LEGACY_TIER_ALIASES = {
+  personal: 'basic',
+  corporate: 'studio',
+};
+
+/**
+ * Map a profile's subscription level to a tier id (unknown levels get `free`)
+ * @param {string|null|undefined} level - subscription_level / tier value
+ * @returns {string} Tier id
+ */
+export const resolveTierId = (level) => {
+  const id = LEGACY_TIER_ALIASES[level] || level;
+  return SUBSCRIPTION_TIERS[id] ? id : 'free';
+};
+
+/**
+ * Get the tier definition for a subscription level
+ * @param {string|null|undefined} level - subscription_level / tier value
+ * @returns {Object} Tier ({ id, name, color, icon, quotas })
+ */
+export const getTier = (level) => SUBSCRIPTION_TIERS[resolveTierId(level)];
+
+/**
+ * Get the quotas for a subscription level
+ * @param {string|null|undefined} level - subscription_level / tier value
+ * @returns {{questionsPerDay: number|null, maxProjects: number|null, privateDocumentsPerMonth: number|null}}
+ */
+export const getTierQuotas = (level) => getTier(level).quotas;
+
+/**
+ * Format a quota for display ("Il·limitades", "5", "20/mes")
+ * @param {number|null} value - Quota value
+ * @param {Object} [options]
+ * @param {string} [options.unlimited] - Label for unlimited quotas
+ * @param {string} [options.suffix] - Appended to numeric quotas
+ * @returns {string|null} Label, or null when the quota is 0 (not included)
+ */
+export const formatQuota = (value, { unlimited = 'Il·limitats', suffix = '' } = {}) => {
+  if (value === null) return unlimited;
+  if (value === 0) return null;
+  return `${value}${suffix}`;
+};
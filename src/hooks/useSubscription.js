@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../supabaseClient';
 import env from '../config/env';
+import { getTier, getTierQuotas } from '../config/subscriptionTiers';
 
 /**
  * Custom hook for managing subscription state
@@ -166,15 +167,17 @@ export const useSubscription = () => {
   const getTierInfo = () => {
     if (!subscription) return null;
 
-    const tierInfo = {
-      free: { name: 'Gratuït', color: 'gray', icon: '🆓' },
-      basic: { name: 'Bàsic', color: 'blue', icon: '📘' },
-      pro: { name: 'Professional', color: 'purple', icon: '⭐' },
-      studio: { name: 'Estudi', color: 'green', icon: '🏢' },
-      beta: { name: 'Beta Tester', color: 'purple', icon: '🧪' }
-    };
+    const { name, color, icon } = getTier(subscription.tier);
+    return { name, color, icon };
+  };
 
-    return tierInfo[subscription.tier] || tierInfo.free;
+  /**
+   * Get the quotas of the current tier (shared with /api/ask)
+   * @returns {Object|null} { questionsPerDay, maxProjects, privateDocumentsPerMonth }, null = unlimited
+   */
+  const getQuotas = () => {
+    if (!subscription) return null;
+    return getTierQuotas(subscription.tier);
   };
 
   // Fetch subscription on mount
@@ -191,7 +194,8 @@ export const useSubscription = () => {
     getTrialDaysRemaining,
     isTrialExpiringSoon,
     getRecommendedUpgrade,
-    getTierInfo
+    getTierInfo,
+    getQuotas
   };
 };
 
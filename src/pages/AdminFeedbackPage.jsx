@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import AdminHeader from '../components/Admin/AdminHeader';
+import { toast } from 'sonner';
+import {
+  FEEDBACK_REASONS,
+  getReasonLabel,
+  listFeedbackForReview,
+  updateFeedbackStatus
+} from '../services/feedbackService';
+
+const STATUS_TABS = [
+  { id: 'open', label: 'Pendents' },
+  { id: 'resolved', label: 'Resolts' },
+  { id: 'all', label: 'Tots' }
+];
+
+/**
+ * RetrievedChunk Component - One chunk the model was given for the query
+ */
+const RetrievedChunk = ({ chunk, cited }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <li className={`rounded-md border p-2 ${cited ? 'border-amber-300 bg-amber-50' : 'border-gray-200 bg-white'}`}>
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between text-left text-xs"
+      >
+        <span className="flex items-center space-x-2 min-w-0">
+          <span className="font-semibold text-gray-700">[{chunk.fragment}]</span>
+          <span className="font-medium text-gray-800 truncate">{chunk.document_title}</span>
+          <span className="text-gray-500 whitespace-nowrap">pàg. {chunk.page ?? '—'}</span>
+          {chunk.source_scope === 'municipal' && (
+            <span className="px-1.5 rounded bg-emerald-100 text-emerald-800">Municipal</span>
+          )}
+          {cited && <span className="px-1.5 rounded bg-amber-200 text-amber-900">Citat</span>}
+        </span>
+        <span className="flex items-center space-x-2 text-gray-500 whitespace-nowrap ml-2">
+          {typeof chunk.similarity === 'number' && <span>sim. {chunk.similarity.toFixed(2)}</span>}
+          {typeof chunk.keyword_rank === 'number' && <span>text {chunk.keyword_rank.toFixed(2)}</span>}
+          <span>{expanded ? '▲' : '▼'}</span>
+        </span>
+      </button>
+      {expanded && (
+        <p className="mt-2 text-xs text-gray-700 whitespace-pre-line">{chunk.content}</p>
+      )}
+    </li>
+  );
+};
+
+/**
+ * FeedbackItem Component - One feedback entry with its query details
+ */
+const FeedbackItem = ({ item, onStatusChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [note, setNote] = useState(item.staff_note || '');
+  const [saving, setSaving] = useState(false);
+
+  const queryLog = item.query_log;
+  const citedFragments = new Set((queryLog?.quotes || []).map(quote => quote.id));
+  const question = item.question || queryLog?.question;
+  const answer = item.answer || queryLog?.answer;
+
+  const changeStatus = async (status) => {
+    setSaving(true);
+    try {
+      await onStatusChange(item.id, status, note);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <li className="bg-white rounded-lg border border-gray-200 shadow-sm">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="w-full text-left p-4 flex items-start justify-between"
+      >
+        <div className="min-w-0">
+          <div className="flex items-center space-x-2 mb-1 text-xs">
+            <span className={`px-2 py-0.5 rounded-full font-medium ${
+              item.rating === 'down' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+            }`}>
+              {item.rating === 'down' ? '👎 Negatiu' : '👍 Positiu'}
+            </span>
+            {item.reason && (
+              <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">{getReasonLabel(item.reason)}</span>
+            )}
+            <span className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">
+              {item.source === 'cte' ? 'Xat CTE' : 'Projecte'}
+            </span>
+            {item.status === 'resolved' && (
+              <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">Resolt</span>
+            )}
+          </div>
+          <p className="text-sm font-medium text-gray-900 truncate">{question || 'Pregunta no disponible'}</p>
+          <p className="text-xs text-gray-500 mt-0.5">
+            {item.user_email || item.user_id} · {new Date(item.created_at).toLocaleString('ca-ES')}
+          </p>
+        </div>
+        <span className="text-gray-400 ml-4">{expanded ? '▲' : '▼'}</span>
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-4 space-y-4 border-t border-gray-100 pt-4">
+          <section>
+            <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Resposta</h4>
+            <p className="text-sm text-gray-800 whitespace-pre-line bg-gray-50 rounded-md p-3 max-h-72 overflow-y-auto">
+              {answer || '—'}
+            </p>
+            {queryLog?.confidence && (
+              <p className="text-xs text-gray-500 mt-1">
+                Confiança: {queryLog.confidence}
+                {queryLog.verification && (
+                  <>
+                    {' · '}{Math.round(queryLog.verification.citation_coverage * 100)}% d'afirmacions citades
+                    {' · '}{queryLog.verification.quotes.filter(quote => quote.status === 'unverified').length} cites no trobades a la font
+                  </>
+                )}
+              </p>
+            )}
+          </section>
+
+          {item.correction && (
+            <section>
+              <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Correcció de l'usuari</h4>
+              <p className="text-sm text-gray-800 whitespace-pre-line bg-amber-50 border border-amber-200 rounded-md p-3">
+                {item.correction}
+              </p>
+            </section>
+          )}
+
+          <section>
+            <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Fragments recuperats</h4>
+            {queryLog?.retrieved_chunks?.length > 0 ? (
+              <ul className="space-y-1">
+                {queryLog.retrieved_chunks.map(chunk => (
+                  <RetrievedChunk key={chunk.fragment} chunk={chunk} cited={citedFragments.has(chunk.fragment)} />
+                ))}
+              </ul>
+            ) : (
+              <p className="text-xs text-gray-500">
+                No hi ha fragments registrats per a aquesta consulta (xat de projecte o consulta anterior al registre).
+              </p>
+            )}
+          </section>
+
+          <section>
+            <h4 className="text-xs font-semibold text-gray-500 uppercase mb-1">Nota interna</h4>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              rows={2}
+              placeholder="Què s'ha fet amb aquest comentari?"
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+            />
+            <div className="flex justify-end mt-2">
+              {item.status === 'resolved' ? (
+                <button
+                  type="button"
+                  onClick={() => changeStatus('open')}
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md disabled:opacity-50"
+                >
+                  Reobrir
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => changeStatus('resolved')}
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md disabled:opacity-50"
+                >
+                  Marcar com a resolt
+                </button>
+              )}
+            </div>
+          </section>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * AdminFeedbackPage Component - Staff review queue for answer feedback
+ *
+ * Features:
+ * - Pending / resolved / all tabs with counts
+ * - Filters by rating and reason
+ * - Answer, user correction and the chunks retrieved for the query
+ * - Resolve / reopen with an internal note
+ */
+const AdminFeedbackPage = () => {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [feedback, setFeedback] = useState([]);
+  const [counts, setCounts] = useState({ open: 0, resolved: 0 });
+  const [feedbackLoading, setFeedbackLoading] = useState(false);
+  const [filters, setFilters] = useState({ status: 'open', rating: 'down', reason: '' });
+
+  // Check authentication
+  useEffect(() => {
+    const checkAuth = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        navigate('/staff/login');
+        return;
+      }
+
+      // Verify staff role
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('role, email, full_name')
+        .eq('id', session.user.id)
+        .single();
+
+      if (profileError || !['staff', 'admin', 'super_admin'].includes(profile?.role?.toLowerCase())) {
+        console.error('Accés denegat. Es requereixen permisos de personal.');
+        setError('No tens permisos per accedir a aquesta secció. Es requereixen permisos de staff o admin.');
+        setLoading(false);
+        return;
+      }
+
+      setUser({ ...session.user, role: profile.role, full_name: profile.full_name, email: profile.email });
+      setLoading(false);
+    };
+
+    checkAuth();
+  }, [navigate]);
+
+  const loadFeedback = useCallback(async () => {
+    try {
+      setFeedbackLoading(true);
+      setError(null);
+      const data = await listFeedbackForReview(filters);
+      setFeedback(data.feedback || []);
+      setCounts(data.counts || { open: 0, resolved: 0 });
+    } catch (err) {
+      console.error('Error loading feedback:', err);
+      setError(`Error carregant les valoracions: ${err.message}`);
+    } finally {
+      setFeedbackLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    if (user) loadFeedback();
+  }, [user, loadFeedback]);
+
+  const handleStatusChange = async (id, status, note) => {
+    try {
+      await updateFeedbackStatus(id, status, note);
+      toast.success(status === 'resolved' ? 'Marcat com a resolt' : 'Reobert');
+      loadFeedback();
+    } catch (err) {
+      console.error('Error updating feedback:', err);
+      toast.error(`Error actualitzant la valoració: ${err.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Carregant...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminHeader user={user} />
+
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-2xl font-bold text-gray-900">Valoracions de respostes</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Revisa les respostes marcades pels usuaris i els fragments que es van recuperar per a cada consulta
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <div className="flex bg-white border border-gray-200 rounded-lg p-1">
+            {STATUS_TABS.map(tab => (
+              <button
+                key={tab.id}
+                type="button"
+                onClick={() => setFilters(prev => ({ ...prev, status: tab.id }))}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md transition ${
+                  filters.status === tab.id ? 'bg-amber-600 text-white' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {tab.label}
+                {tab.id !== 'all' && <span className="ml-1 opacity-75">({counts[tab.id] ?? 0})</span>}
+              </button>
+            ))}
+          </div>
+          <select
+            value={filters.rating}
+            onChange={(e) => setFilters(prev => ({ ...prev, rating: e.target.value }))}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-400"
+          >
+            <option value="">Totes les valoracions</option>
+            <option value="down">Negatives</option>
+            <option value="up">Positives</option>
+          </select>
+          <select
+            value={filters.reason}
+            onChange={(e) => setFilters(prev => ({ ...prev, reason: e.target.value }))}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-amber-400"
+          >
+            <option value="">Tots els motius</option>
+            {FEEDBACK_REASONS.map(reason => (
+              <option key={reason.id} value={reason.id}>{reason.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={loadFeedback}
+            className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Actualitzar
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {feedbackLoading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-500 mx-auto"></div>
+          </div>
+        ) : feedback.length === 0 ? (
+          <p className="text-center text-gray-500 py-12">No hi ha valoracions amb aquests filtres.</p>
+        ) : (
+          <ul className="space-y-3">
+            {feedback.map(item => (
+              <FeedbackItem key={item.id} item={item} onStatusChange={handleStatusChange} />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminFeedbackPage;
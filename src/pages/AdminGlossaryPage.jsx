@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import AdminHeader from '../components/Admin/AdminHeader';
+import { toast } from 'sonner';
+import {
+  GLOSSARY_CATEGORIES,
+  listAllGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm
+} from '../services/glossaryService';
+
+const EMPTY_TERM = { term: '', definition: '', synonyms: '', description: '', category: 'construction', case_sensitive: false };
+
+/**
+ * Form values of a glossary row (synonyms as comma-separated text)
+ * @param {Object} item - glossary_terms row
+ * @returns {Object}
+ */
+const toForm = (item) => ({
+  term: item.term,
+  definition: item.definition,
+  synonyms: (item.synonyms || []).join(', '),
+  description: item.description || '',
+  category: item.category,
+  case_sensitive: item.case_sensitive
+});
+
+/**
+ * Request body from the form values
+ * @param {Object} form
+ * @returns {Object}
+ */
+const fromForm = (form) => ({
+  term: form.term.trim(),
+  definition: form.definition.trim(),
+  synonyms: form.synonyms.split(',').map(synonym => synonym.trim()).filter(Boolean),
+  description: form.description.trim(),
+  category: form.category,
+  case_sensitive: form.case_sensitive
+});
+
+const isFormValid = (form) => form.term.trim().length >= 2 && form.definition.trim().length >= 2;
+
+/**
+ * GlossaryTermFields Component - Inputs shared by the row editor and the new term form
+ */
+const GlossaryTermFields = ({ form, onChange }) => {
+  const update = (key) => (e) => onChange({
+    ...form,
+    [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
+  });
+
+  return (
+    <div className="flex-1 grid grid-cols-1 md:grid-cols-6 gap-2 text-sm">
+      <input
+        type="text"
+        value={form.term}
+        onChange={update('term')}
+        placeholder="Terme (p. ex. DB-SI)"
+        maxLength={80}
+        className="md:col-span-2 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+      />
+      <input
+        type="text"
+        value={form.definition}
+        onChange={update('definition')}
+        placeholder="Definició o nom complet"
+        maxLength={300}
+        className="md:col-span-4 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+      />
+      <input
+        type="text"
+        value={form.synonyms}
+        onChange={update('synonyms')}
+        placeholder="Sinònims, separats per comes"
+        className="md:col-span-4 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+      />
+      <select
+        value={form.category}
+        onChange={update('category')}
+        className="md:col-span-2 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+      >
+        {GLOSSARY_CATEGORIES.map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      <textarea
+        value={form.description}
+        onChange={update('description')}
+        rows={2}
+        placeholder="Explicació per a la pàgina del glossari (opcional)"
+        className="md:col-span-5 px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+      />
+      <label className="md:col-span-1 flex items-center space-x-2 text-gray-600" title="Només coincideix amb les mateixes majúscules (PEU però no peu)">
+        <input
+          type="checkbox"
+          checked={form.case_sensitive}
+          onChange={update('case_sensitive')}
+          className="rounded border-gray-300 text-amber-600 focus:ring-amber-400"
+        />
+        <span>Majúscules</span>
+      </label>
+    </div>
+  );
+};
+
+/**
+ * GlossaryTermRow Component - One editable term of the glossary
+ */
+const GlossaryTermRow = ({ item, onSave, onDelete }) => {
+  const [form, setForm] = useState(() => toForm(item));
+  const [saving, setSaving] = useState(false);
+
+  const isDirty = JSON.stringify(fromForm(form)) !== JSON.stringify(fromForm(toForm(item)));
+
+  const save = async (changes) => {
+    setSaving(true);
+    try {
+      await onSave(item.id, changes);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <li className={`bg-white rounded-lg border p-3 flex items-start space-x-3 ${item.active ? 'border-gray-200' : 'border-dashed border-gray-300 opacity-60'}`}>
+      <GlossaryTermFields form={form} onChange={setForm} />
+      <div className="flex flex-col items-end space-y-1 text-sm">
+        <button
+          type="button"
+          onClick={() => save(fromForm(form))}
+          disabled={!isDirty || saving || !isFormValid(form)}
+          className="px-3 py-1 font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md disabled:opacity-40"
+        >
+          Desar
+        </button>
+        <button
+          type="button"
+          onClick={() => save({ active: !item.active })}
+          disabled={saving}
+          className="px-3 py-1 text-gray-600 hover:text-gray-900"
+        >
+          {item.active ? 'Desactivar' : 'Activar'}
+        </button>
+        <button
+          type="button"
+          onClick={() => onDelete(item.id)}
+          disabled={saving}
+          className="px-3 py-1 text-red-600 hover:text-red-800"
+        >
+          Eliminar
+        </button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * AdminGlossaryPage Component - Staff editing of the glossary used to expand questions
+ *
+ * Features:
+ * - Search and filter terms by category
+ * - Edit the term, definition, synonyms and description, activate or deactivate it
+ * - Add and delete terms
+ */
+const AdminGlossaryPage = () => {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [terms, setTerms] = useState([]);
+  const [termsLoading, setTermsLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState('');
+  const [newTerm, setNewTerm] = useState(EMPTY_TERM);
+
+  // Check authentication
+  useEffect(() => {
+    const checkAuth = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        navigate('/staff/login');
+        return;
+      }
+
+      // Verify staff role
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('role, email, full_name')
+        .eq('id', session.user.id)
+        .single();
+
+      if (profileError || !['staff', 'admin', 'super_admin'].includes(profile?.role?.toLowerCase())) {
+        console.error('Accés denegat. Es requereixen permisos de personal.');
+        setError('No tens permisos per accedir a aquesta secció. Es requereixen permisos de staff o admin.');
+        setLoading(false);
+        return;
+      }
+
+      setUser({ ...session.user, role: profile.role, full_name: profile.full_name, email: profile.email });
+      setLoading(false);
+    };
+
+    checkAuth();
+  }, [navigate]);
+
+  const loadTerms = useCallback(async () => {
+    try {
+      setTermsLoading(true);
+      setError(null);
+      setTerms(await listAllGlossaryTerms());
+    } catch (err) {
+      console.error('Error loading glossary:', err);
+      setError(`Error carregant el glossari: ${err.message}`);
+    } finally {
+      setTermsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) loadTerms();
+  }, [user, loadTerms]);
+
+  const filtered = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return terms.filter(item =>
+      (!category || item.category === category)
+      && (!query || [item.term, item.definition, ...(item.synonyms || [])].some(text => text.toLowerCase().includes(query)))
+    );
+  }, [terms, search, category]);
+
+  const handleSave = async (id, changes) => {
+    try {
+      const updated = await updateGlossaryTerm(id, changes);
+      setTerms(prev => prev.map(item => (item.id === id ? updated : item)));
+      toast.success('Terme desat');
+    } catch (err) {
+      console.error('Error updating glossary term:', err);
+      toast.error(`Error desant el terme: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm('Segur que vols eliminar aquest terme?')) return;
+    try {
+      await deleteGlossaryTerm(id);
+      setTerms(prev => prev.filter(item => item.id !== id));
+      toast.success('Terme eliminat');
+    } catch (err) {
+      console.error('Error deleting glossary term:', err);
+      toast.error(`Error eliminant el terme: ${err.message}`);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const created = await createGlossaryTerm(fromForm(newTerm));
+      setTerms(prev => [...prev, created].sort((a, b) => a.term.localeCompare(b.term, 'ca')));
+      setNewTerm(EMPTY_TERM);
+      toast.success('Terme afegit');
+    } catch (err) {
+      console.error('Error creating glossary term:', err);
+      toast.error(`Error afegint el terme: ${err.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Carregant...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminHeader user={user} />
+
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-2xl font-bold text-gray-900">Glossari</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Abreviatures i sinònims que amplien les preguntes abans de cercar als documents
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {/* New term */}
+        <form onSubmit={handleCreate} className="bg-white rounded-lg border border-amber-200 p-3 mb-6 flex items-start space-x-3">
+          <GlossaryTermFields form={newTerm} onChange={setNewTerm} />
+          <button
+            type="submit"
+            disabled={!isFormValid(newTerm)}
+            className="px-4 py-2 text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md disabled:opacity-50"
+          >
+            Afegir
+          </button>
+        </form>
+
+        {/* Filters */}
+        <div className="flex flex-col sm:flex-row gap-3 mb-4">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Cerca un terme o sinònim"
+            className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+          />
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-amber-500"
+          >
+            <option value="">Totes les categories</option>
+            {GLOSSARY_CATEGORIES.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {termsLoading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-500 mx-auto"></div>
+          </div>
+        ) : filtered.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">Cap terme.</p>
+        ) : (
+          <ul className="space-y-2">
+            {filtered.map(item => (
+              <GlossaryTermRow
+                key={`${item.id}-${item.updated_at}`}
+                item={item}
+                onSave={handleSave}
+                onDelete={handleDelete}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminGlossaryPage;
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import AdminHeader from '../components/Admin/AdminHeader';
+import { toast } from 'sonner';
+import {
+  INJECTION_STATUSES,
+  INJECTION_SIGNAL_LABELS,
+  listInjectionEvents,
+  reviewInjectionEvent
+} from '../services/injectionEventsService';
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('ca-ES', { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * InjectionEventCard Component - One chunk with neutralised text
+ */
+const InjectionEventCard = ({ event, onReview }) => {
+  const [saving, setSaving] = useState(false);
+
+  const review = async (status) => {
+    setSaving(true);
+    try {
+      await onReview(event.id, status);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <li className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <p className="font-medium text-gray-900 truncate">
+            {event.document_title || 'Document desconegut'}
+            {event.page_number && <span className="text-gray-500 font-normal">, pàg. {event.page_number}</span>}
+          </p>
+          <div className="mt-1 flex flex-wrap gap-1">
+            {event.signals.map(signal => (
+              <span key={signal} className="px-1.5 py-0.5 rounded bg-red-50 text-[11px] font-medium text-red-700">
+                {INJECTION_SIGNAL_LABELS[signal] || signal}
+              </span>
+            ))}
+          </div>
+        </div>
+        <div className="flex-shrink-0 text-right text-xs text-gray-500">
+          <p>{event.occurrences} {event.occurrences === 1 ? 'aparició' : 'aparicions'}</p>
+          <p>Última: {formatDateTime(event.last_seen_at)}</p>
+          <p>Primera: {formatDateTime(event.first_seen_at)}</p>
+        </div>
+      </div>
+
+      {event.excerpt && (
+        <pre className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded text-xs text-gray-800 whitespace-pre-wrap break-words font-mono">
+          {event.excerpt}
+        </pre>
+      )}
+
+      {event.last_question && (
+        <p className="mt-2 text-xs text-gray-500">
+          Última pregunta: <span className="text-gray-700">{event.last_question}</span>
+        </p>
+      )}
+
+      <div className="mt-3 flex items-center justify-end space-x-2 text-sm">
+        {event.status !== 'confirmed' && (
+          <button
+            type="button"
+            onClick={() => review('confirmed')}
+            disabled={saving}
+            className="px-3 py-1 font-medium text-white bg-red-600 hover:bg-red-700 rounded-md disabled:opacity-40"
+          >
+            Confirmar
+          </button>
+        )}
+        {event.status !== 'false_positive' && (
+          <button
+            type="button"
+            onClick={() => review('false_positive')}
+            disabled={saving}
+            className="px-3 py-1 font-medium text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 rounded-md disabled:opacity-40"
+          >
+            Fals positiu
+          </button>
+        )}
+        {event.status !== 'open' && (
+          <button
+            type="button"
+            onClick={() => review('open')}
+            disabled={saving}
+            className="px-3 py-1 text-gray-600 hover:text-gray-900"
+          >
+            Reobrir
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+/**
+ * AdminInjectionEventsPage Component - Staff review of suspected prompt injections
+ *
+ * Features:
+ * - Chunks in which the ask pipeline neutralised instruction-like text,
+ *   with the detected signals, the text found and the last question
+ * - Mark each one as confirmed or as a false positive
+ */
+const AdminInjectionEventsPage = () => {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('open');
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [eventsLoading, setEventsLoading] = useState(false);
+
+  // Check authentication
+  useEffect(() => {
+    const checkAuth = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        navigate('/staff/login');
+        return;
+      }
+
+      // Verify staff role
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('role, email, full_name')
+        .eq('id', session.user.id)
+        .single();
+
+      if (profileError || !['staff', 'admin', 'super_admin'].includes(profile?.role?.toLowerCase())) {
+        console.error('Accés denegat. Es requereixen permisos de personal.');
+        setError('No tens permisos per accedir a aquesta secció. Es requereixen permisos de staff o admin.');
+        setLoading(false);
+        return;
+      }
+
+      setUser({ ...session.user, role: profile.role, full_name: profile.full_name, email: profile.email });
+      setLoading(false);
+    };
+
+    checkAuth();
+  }, [navigate]);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setEventsLoading(true);
+      setError(null);
+      const result = await listInjectionEvents(status);
+      setEvents(result.events);
+      setCounts(result.counts);
+    } catch (err) {
+      console.error('Error loading injection events:', err);
+      setError(`Error carregant els avisos: ${err.message}`);
+    } finally {
+      setEventsLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    if (user) loadEvents();
+  }, [user, loadEvents]);
+
+  const handleReview = async (id, newStatus) => {
+    try {
+      await reviewInjectionEvent(id, newStatus);
+      toast.success(newStatus === 'open' ? 'Avís reobert' : 'Avís revisat');
+      await loadEvents();
+    } catch (err) {
+      console.error('Error reviewing injection event:', err);
+      toast.error(`Error desant la revisió: ${err.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Carregant...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminHeader user={user} />
+
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-2xl font-bold text-gray-900">Seguretat</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Fragments de documents amb text que semblava una instrucció per a l'assistent. Aquest text s'ha omès de les preguntes
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {/* Status */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {[...INJECTION_STATUSES, { id: 'all', label: 'Tots' }].map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setStatus(option.id)}
+              className={`px-3 py-1.5 text-sm font-medium rounded-md transition ${
+                option.id === status ? 'bg-amber-600 text-white' : 'bg-white border border-gray-200 text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {option.label}
+              {counts[option.id] !== undefined && <span className="ml-1 opacity-75">({counts[option.id]})</span>}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {eventsLoading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-500 mx-auto"></div>
+          </div>
+        ) : events.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">Cap avís.</p>
+        ) : (
+          <ul className="space-y-3">
+            {events.map(event => (
+              <InjectionEventCard
+                key={`${event.id}-${event.status}`}
+                event={event}
+                onReview={handleReview}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminInjectionEventsPage;
@@ -0,0 +1,406 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import AdminHeader from '../components/Admin/AdminHeader';
+import { getTier } from '../config/subscriptionTiers';
+import { CTE_DOCUMENTS } from '../services/starterQuestionsService';
+import { ANALYTICS_PERIODS, getQueryAnalytics } from '../services/queryAnalyticsService';
+
+const SIMILARITY_BUCKETS = [
+  { id: 'above_70', label: '≥ 70%', className: 'bg-green-500' },
+  { id: 'from_50_to_70', label: '50–70%', className: 'bg-amber-400' },
+  { id: 'from_30_to_50', label: '30–50%', className: 'bg-orange-500' },
+  { id: 'below_30', label: '< 30%', className: 'bg-red-500' },
+  { id: 'unknown', label: 'Sense fragments', className: 'bg-gray-300' }
+];
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('ca-ES', { day: 'numeric', month: 'short' });
+
+/**
+ * One entry per day of the period, including the days without questions
+ * (the database groups by UTC day)
+ */
+const fillDays = (daily, days) => {
+  const byDate = new Map(daily.map(day => [day.date, day]));
+  const result = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const key = new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    result.push(byDate.get(key) || { date: key, questions: 0, no_info: 0, avg_similarity: null });
+  }
+  return result;
+};
+
+/**
+ * StatCard Component - One headline figure
+ */
+const StatCard = ({ label, value, detail }) => (
+  <div className="bg-white rounded-lg border border-gray-200 p-4">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="mt-1 text-2xl font-bold text-gray-900">{value}</p>
+    {detail && <p className="mt-1 text-xs text-gray-500">{detail}</p>}
+  </div>
+);
+
+/**
+ * Panel Component - Titled section of the dashboard
+ */
+const Panel = ({ title, description, children }) => (
+  <section className="bg-white rounded-lg border border-gray-200 p-4">
+    <h2 className="text-lg font-semibold text-gray-900">{title}</h2>
+    {description && <p className="text-xs text-gray-500 mb-3">{description}</p>}
+    <div className={description ? '' : 'mt-3'}>{children}</div>
+  </section>
+);
+
+/**
+ * HorizontalBars Component - Ranked list with a bar proportional to the count
+ * @param {Array<{key: string, label: string, title?: string, value: number, detail?: string}>} props.items
+ */
+const HorizontalBars = ({ items, emptyText }) => {
+  if (items.length === 0) {
+    return <p className="text-sm text-gray-500">{emptyText}</p>;
+  }
+  const max = Math.max(...items.map(item => item.value), 1);
+
+  return (
+    <ul className="space-y-2">
+      {items.map(item => (
+        <li key={item.key} title={item.title}>
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-800 truncate mr-2">{item.label}</span>
+            <span className="text-gray-500 whitespace-nowrap">
+              {item.value}{item.detail && ` · ${item.detail}`}
+            </span>
+          </div>
+          <div className="mt-1 h-2 bg-gray-100 rounded">
+            <div className="h-2 bg-amber-500 rounded" style={{ width: `${(item.value / max) * 100}%` }} />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * DailyVolumeChart Component - Questions per day, the unanswered part in red
+ */
+const DailyVolumeChart = ({ days }) => {
+  const max = Math.max(...days.map(day => day.questions), 1);
+
+  return (
+    <div>
+      <div className="flex items-end h-40 gap-px">
+        {days.map(day => (
+          <div
+            key={day.date}
+            className="flex-1 flex flex-col justify-end h-full"
+            title={`${formatDay(day.date)}: ${day.questions} preguntes, ${day.no_info} sense resposta, similitud ${formatPercent(day.avg_similarity)}`}
+          >
+            <div className="bg-red-400" style={{ height: `${(day.no_info / max) * 100}%` }} />
+            <div className="bg-amber-500" style={{ height: `${((day.questions - day.no_info) / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-xs text-gray-500">
+        <span>{formatDay(days[0].date)}</span>
+        <span className="flex items-center space-x-3">
+          <span><span className="inline-block w-2 h-2 bg-amber-500 mr-1" />Respostes</span>
+          <span><span className="inline-block w-2 h-2 bg-red-400 mr-1" />Sense informació</span>
+          <span>màx. {max}/dia</span>
+        </span>
+        <span>{formatDay(days[days.length - 1].date)}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * SimilarityDistribution Component - Questions by best retrieval similarity
+ */
+const SimilarityDistribution = ({ buckets }) => {
+  const total = SIMILARITY_BUCKETS.reduce((sum, bucket) => sum + (buckets[bucket.id] || 0), 0);
+  if (total === 0) {
+    return <p className="text-sm text-gray-500">Encara no hi ha preguntes en aquest període.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex h-4 rounded overflow-hidden">
+        {SIMILARITY_BUCKETS.map(bucket => (
+          <div
+            key={bucket.id}
+            className={bucket.className}
+            style={{ width: `${((buckets[bucket.id] || 0) / total) * 100}%` }}
+            title={`${bucket.label}: ${buckets[bucket.id] || 0}`}
+          />
+        ))}
+      </div>
+      <ul className="mt-3 grid grid-cols-2 gap-1 text-xs text-gray-600">
+        {SIMILARITY_BUCKETS.map(bucket => (
+          <li key={bucket.id}>
+            <span className={`inline-block w-2 h-2 mr-1 ${bucket.className}`} />
+            {bucket.label}: {buckets[bucket.id] || 0} ({formatPercent((buckets[bucket.id] || 0) / total)})
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * AdminQueryAnalyticsPage Component - Staff analytics over the logged questions
+ *
+ * Features:
+ * - Question volume per day, with the questions answered with the
+ *   "No he trobat informació" fallback
+ * - Usage per subscription tier
+ * - Most cited documents, CTE documents and keywords asked about
+ * - Retrieval similarity: average and distribution of the best fragment
+ * - Unanswered questions, to find regulations missing from the corpus
+ */
+const AdminQueryAnalyticsPage = () => {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [days, setDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
+  const [analyticsLoading, setAnalyticsLoading] = useState(false);
+
+  // Check authentication
+  useEffect(() => {
+    const checkAuth = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        navigate('/staff/login');
+        return;
+      }
+
+      // Verify staff role
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('role, email, full_name')
+        .eq('id', session.user.id)
+        .single();
+
+      if (profileError || !['staff', 'admin', 'super_admin'].includes(profile?.role?.toLowerCase())) {
+        console.error('Accés denegat. Es requereixen permisos de personal.');
+        setError('No tens permisos per accedir a aquesta secció. Es requereixen permisos de staff o admin.');
+        setLoading(false);
+        return;
+      }
+
+      setUser({ ...session.user, role: profile.role, full_name: profile.full_name, email: profile.email });
+      setLoading(false);
+    };
+
+    checkAuth();
+  }, [navigate]);
+
+  const loadAnalytics = useCallback(async () => {
+    try {
+      setAnalyticsLoading(true);
+      setError(null);
+      setAnalytics(await getQueryAnalytics(days));
+    } catch (err) {
+      console.error('Error loading query analytics:', err);
+      setError(`Error carregant l'analítica: ${err.message}`);
+    } finally {
+      setAnalyticsLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    if (user) loadAnalytics();
+  }, [user, loadAnalytics]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Carregant...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  const totals = analytics?.totals || {};
+  const questions = totals.questions || 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminHeader user={user} />
+
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Analítica de consultes</h1>
+            <p className="text-sm text-gray-500 mt-1">
+              Què es pregunta a l'assistent i quines normatives falten al corpus
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            {ANALYTICS_PERIODS.map(period => (
+              <button
+                key={period.days}
+                type="button"
+                onClick={() => setDays(period.days)}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md transition ${
+                  period.days === days ? 'bg-amber-600 text-white' : 'bg-white border border-gray-200 text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {period.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {analyticsLoading || !analytics ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-500 mx-auto"></div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {/* Headline figures */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              <StatCard
+                label="Preguntes"
+                value={questions}
+                detail={`${totals.anonymous_questions || 0} anònimes`}
+              />
+              <StatCard label="Usuaris" value={totals.users || 0} detail="amb sessió iniciada" />
+              <StatCard
+                label="Sense informació"
+                value={totals.no_info || 0}
+                detail={questions > 0 ? `${formatPercent(totals.no_info / questions)} de les preguntes` : null}
+              />
+              <StatCard
+                label="Similitud mitjana"
+                value={formatPercent(totals.avg_similarity)}
+                detail="del millor fragment recuperat"
+              />
+              <StatCard
+                label="Des de la memòria cau"
+                value={totals.cached || 0}
+                detail={questions > 0 ? `${formatPercent(totals.cached / questions)} de les preguntes` : null}
+              />
+            </div>
+
+            <Panel title="Volum de preguntes" description="Preguntes per dia; en vermell, les respostes sense informació">
+              <DailyVolumeChart days={fillDays(analytics.daily || [], analytics.range.days)} />
+            </Panel>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Panel title="Ús per pla" description="Pla de subscripció en el moment de la pregunta">
+                <HorizontalBars
+                  items={(analytics.tiers || []).map(tier => ({
+                    key: tier.tier,
+                    label: getTier(tier.tier).name,
+                    value: tier.questions,
+                    detail: tier.tier === 'anonymous' ? null : `${tier.users} usuaris`
+                  }))}
+                  emptyText="Encara no hi ha preguntes en aquest període."
+                />
+              </Panel>
+
+              <Panel
+                title="Similitud de recuperació"
+                description="Preguntes segons la similitud del millor fragment: per sota del 50% el corpus no sol tenir la resposta"
+              >
+                <SimilarityDistribution buckets={analytics.similarity_buckets || {}} />
+              </Panel>
+
+              <Panel title="Documents del CTE" description="Esmentats a la pregunta o citats a la resposta">
+                <HorizontalBars
+                  items={(analytics.topics || []).map(topic => ({
+                    key: topic.topic,
+                    label: topic.topic,
+                    title: CTE_DOCUMENTS.find(document => document.id === topic.topic)?.label,
+                    value: topic.questions
+                  }))}
+                  emptyText="Cap pregunta sobre documents del CTE en aquest període."
+                />
+              </Panel>
+
+              <Panel title="Documents més citats" description="Nombre de preguntes que citen cada document">
+                <HorizontalBars
+                  items={(analytics.documents || []).map(document => ({
+                    key: document.document_title,
+                    label: document.document_title,
+                    value: document.questions
+                  }))}
+                  emptyText="Cap resposta amb cites en aquest període."
+                />
+              </Panel>
+            </div>
+
+            <Panel title="Paraules més preguntades" description="Nombre de preguntes que contenen cada paraula">
+              {(analytics.keywords || []).length === 0 ? (
+                <p className="text-sm text-gray-500">Encara no hi ha preguntes en aquest període.</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {analytics.keywords.map(keyword => (
+                    <span key={keyword.word} className="px-2 py-1 text-sm bg-amber-50 text-amber-800 rounded">
+                      {keyword.word} <span className="text-amber-600">{keyword.questions}</span>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </Panel>
+
+            <Panel
+              title="Preguntes sense informació"
+              description="Preguntes respostes amb «No he trobat informació»: indiquen normatives que falten al corpus"
+            >
+              {(analytics.no_info_questions || []).length === 0 ? (
+                <p className="text-sm text-gray-500">Totes les preguntes del període han trobat informació.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">Pregunta</th>
+                      <th className="py-2 pr-4 font-medium text-right">Vegades</th>
+                      <th className="py-2 font-medium text-right">Última</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analytics.no_info_questions.map(item => (
+                      <tr key={`${item.question}-${item.last_asked_at}`} className="border-b border-gray-100">
+                        <td className="py-2 pr-4 text-gray-800">{item.question}</td>
+                        <td className="py-2 pr-4 text-right text-gray-600">{item.times}</td>
+                        <td className="py-2 text-right text-gray-500 whitespace-nowrap">
+                          {new Date(item.last_asked_at).toLocaleDateString('ca-ES')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </Panel>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminQueryAnalyticsPage;
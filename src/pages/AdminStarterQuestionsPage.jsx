@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import AdminHeader from '../components/Admin/AdminHeader';
+import { toast } from 'sonner';
+import {
+  PROJECT_TYPES,
+  CTE_DOCUMENTS,
+  listAllStarterQuestions,
+  createStarterQuestion,
+  updateStarterQuestion,
+  deleteStarterQuestion
+} from '../services/starterQuestionsService';
+
+// One group per project type and per CTE document
+const GROUPS = [
+  ...PROJECT_TYPES.map(type => ({ id: `type:${type}`, label: type, field: 'project_type', value: type })),
+  ...CTE_DOCUMENTS.map(document => ({ id: `doc:${document.id}`, label: document.id, field: 'cte_document', value: document.id }))
+];
+
+/**
+ * StarterQuestionRow Component - One editable question of the library
+ */
+const StarterQuestionRow = ({ item, onSave, onDelete }) => {
+  const [text, setText] = useState(item.question);
+  const [position, setPosition] = useState(item.position);
+  const [saving, setSaving] = useState(false);
+
+  const isDirty = text.trim() !== item.question || Number(position) !== item.position;
+
+  const save = async (changes) => {
+    setSaving(true);
+    try {
+      await onSave(item.id, changes);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <li className={`bg-white rounded-lg border p-3 flex items-start space-x-3 ${item.active ? 'border-gray-200' : 'border-dashed border-gray-300 opacity-60'}`}>
+      <input
+        type="number"
+        value={position}
+        onChange={(e) => setPosition(e.target.value)}
+        className="w-16 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400"
+        title="Ordre"
+      />
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={2}
+        className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+      />
+      <div className="flex flex-col items-end space-y-1 text-sm">
+        <button
+          type="button"
+          onClick={() => save({ question: text.trim(), position: Number(position) })}
+          disabled={!isDirty || saving || text.trim().length < 5}
+          className="px-3 py-1 font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md disabled:opacity-40"
+        >
+          Desar
+        </button>
+        <button
+          type="button"
+          onClick={() => save({ active: !item.active })}
+          disabled={saving}
+          className="px-3 py-1 text-gray-600 hover:text-gray-900"
+        >
+          {item.active ? 'Desactivar' : 'Activar'}
+        </button>
+        <button
+          type="button"
+          onClick={() => onDelete(item.id)}
+          disabled={saving}
+          className="px-3 py-1 text-red-600 hover:text-red-800"
+        >
+          Eliminar
+        </button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * AdminStarterQuestionsPage Component - Staff editing of the starter questions library
+ *
+ * Features:
+ * - One list per project type and per CTE document
+ * - Edit the wording and order of a question, activate or deactivate it
+ * - Add and delete questions
+ */
+const AdminStarterQuestionsPage = () => {
+  const navigate = useNavigate();
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [questionsLoading, setQuestionsLoading] = useState(false);
+  const [groupId, setGroupId] = useState(GROUPS[0].id);
+  const [newQuestion, setNewQuestion] = useState('');
+
+  // Check authentication
+  useEffect(() => {
+    const checkAuth = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) {
+        navigate('/staff/login');
+        return;
+      }
+
+      // Verify staff role
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('role, email, full_name')
+        .eq('id', session.user.id)
+        .single();
+
+      if (profileError || !['staff', 'admin', 'super_admin'].includes(profile?.role?.toLowerCase())) {
+        console.error('Accés denegat. Es requereixen permisos de personal.');
+        setError('No tens permisos per accedir a aquesta secció. Es requereixen permisos de staff o admin.');
+        setLoading(false);
+        return;
+      }
+
+      setUser({ ...session.user, role: profile.role, full_name: profile.full_name, email: profile.email });
+      setLoading(false);
+    };
+
+    checkAuth();
+  }, [navigate]);
+
+  const loadQuestions = useCallback(async () => {
+    try {
+      setQuestionsLoading(true);
+      setError(null);
+      setQuestions(await listAllStarterQuestions());
+    } catch (err) {
+      console.error('Error loading starter questions:', err);
+      setError(`Error carregant les preguntes: ${err.message}`);
+    } finally {
+      setQuestionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) loadQuestions();
+  }, [user, loadQuestions]);
+
+  const group = GROUPS.find(g => g.id === groupId);
+  const groupQuestions = questions
+    .filter(item => item[group.field] === group.value)
+    .sort((a, b) => a.position - b.position);
+
+  const handleSave = async (id, changes) => {
+    try {
+      const updated = await updateStarterQuestion(id, changes);
+      setQuestions(prev => prev.map(item => (item.id === id ? updated : item)));
+      toast.success('Pregunta desada');
+    } catch (err) {
+      console.error('Error updating starter question:', err);
+      toast.error(`Error desant la pregunta: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!confirm('Segur que vols eliminar aquesta pregunta?')) return;
+    try {
+      await deleteStarterQuestion(id);
+      setQuestions(prev => prev.filter(item => item.id !== id));
+      toast.success('Pregunta eliminada');
+    } catch (err) {
+      console.error('Error deleting starter question:', err);
+      toast.error(`Error eliminant la pregunta: ${err.message}`);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const created = await createStarterQuestion({
+        [group.field]: group.value,
+        question: newQuestion.trim(),
+        position: Math.max(0, ...groupQuestions.map(item => item.position)) + 1
+      });
+      setQuestions(prev => [...prev, created]);
+      setNewQuestion('');
+      toast.success('Pregunta afegida');
+    } catch (err) {
+      console.error('Error creating starter question:', err);
+      toast.error(`Error afegint la pregunta: ${err.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Carregant...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <p className="text-red-600">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AdminHeader user={user} />
+
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <h1 className="text-2xl font-bold text-gray-900">Preguntes inicials</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Preguntes suggerides als xats buits, per tipus de projecte i per document del CTE
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {/* Groups */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {GROUPS.map(g => {
+            const count = questions.filter(item => item[g.field] === g.value && item.active).length;
+            return (
+              <button
+                key={g.id}
+                type="button"
+                onClick={() => setGroupId(g.id)}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md transition ${
+                  g.id === groupId ? 'bg-amber-600 text-white' : 'bg-white border border-gray-200 text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {g.label}
+                <span className="ml-1 opacity-75">({count})</span>
+              </button>
+            );
+          })}
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {questionsLoading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amber-500 mx-auto"></div>
+          </div>
+        ) : (
+          <>
+            {groupQuestions.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">Encara no hi ha preguntes per a {group.label}.</p>
+            ) : (
+              <ul className="space-y-2 mb-6">
+                {groupQuestions.map(item => (
+                  <StarterQuestionRow
+                    key={`${item.id}-${item.updated_at}`}
+                    item={item}
+                    onSave={handleSave}
+                    onDelete={handleDelete}
+                  />
+                ))}
+              </ul>
+            )}
+
+            <form onSubmit={handleCreate} className="flex items-start space-x-3">
+              <textarea
+                value={newQuestion}
+                onChange={(e) => setNewQuestion(e.target.value)}
+                rows={2}
+                placeholder={`Nova pregunta per a ${group.label}`}
+                className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-amber-400 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                disabled={newQuestion.trim().length < 5}
+                className="px-4 py-2 text-sm font-medium text-white bg-amber-600 hover:bg-amber-700 rounded-md disabled:opacity-50"
+              >
+                Afegir
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminStarterQuestionsPage;
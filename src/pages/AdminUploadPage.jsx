@@ -1,17 +1,28 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
 import { env } from '../config/env';
 import AdminHeader from '../components/Admin/AdminHeader';
+import DocumentValidityTable from '../components/Admin/DocumentValidityTable';
+import { listDocumentValidity, updateDocumentValidity } from '../services/documentValidityService';
 
 /**
  * AdminUploadPage Component - PDF upload interface for staff/admin users
+ *
+ * Also edits the validity of the documents (effective period and the
+ * previous version they supersede), used by /api/ask to prefer the
+ * versions in force.
  */
 const AdminUploadPage = () => {
   // Form state management
   const [file, setFile] = useState(null);
   const [title, setTitle] = useState('');
   const [category, setCategory] = useState('');
+  const [effectiveFrom, setEffectiveFrom] = useState('');
+  const [effectiveTo, setEffectiveTo] = useState('');
+  const [supersedesDocumentId, setSupersedesDocumentId] = useState('');
+  const [documents, setDocuments] = useState([]);
+  const [documentsLoading, setDocumentsLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -49,6 +60,26 @@ const AdminUploadPage = () => {
     checkAuth();
   }, [navigate]);
 
+  const loadDocuments = useCallback(async () => {
+    try {
+      setDocumentsLoading(true);
+      setDocuments(await listDocumentValidity());
+    } catch (err) {
+      console.error('Error loading documents:', err);
+      setError(`Error carregant els documents: ${err.message}`);
+    } finally {
+      setDocumentsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) loadDocuments();
+  }, [user, loadDocuments]);
+
+  const handleDocumentUpdated = (updated) => {
+    setDocuments(prev => prev.map(document => (document.id === updated.id ? { ...document, ...updated } : document)));
+  };
+
   // Clear messages after 5 seconds
   useEffect(() => {
     if (error || success) {
@@ -108,6 +139,11 @@ const AdminUploadPage = () => {
       return;
     }
 
+    if (effectiveFrom && effectiveTo && effectiveTo <= effectiveFrom) {
+      setError('La data de derogació ha de ser posterior a la data d\'entrada en vigor.');
+      return;
+    }
+
     if (!user) {
       setError('Es requereix autenticació. Si us plau, torna a iniciar sessió.');
       navigate('/staff/login');
@@ -155,19 +191,43 @@ const AdminUploadPage = () => {
         throw new Error(result.detail || `La pujada ha fallat: ${response.status}`);
       }
 
+      // Validity is stored next to the document once the backend has created it
+      let validityNote = '';
+      if (effectiveFrom || effectiveTo || supersedesDocumentId) {
+        if (result.document_id) {
+          try {
+            await updateDocumentValidity(result.document_id, {
+              effective_from: effectiveFrom || null,
+              effective_to: effectiveTo || null,
+              supersedes_document_id: supersedesDocumentId || null
+            });
+            validityNote = '\n        📅 Vigència desada';
+          } catch (validityError) {
+            console.error('Error saving document validity:', validityError);
+            validityNote = `\n        ⚠️ No s'ha pogut desar la vigència (${validityError.message}): indica-la a la llista de documents`;
+          }
+        } else {
+          validityNote = '\n        ⚠️ Indica la vigència del document a la llista de documents';
+        }
+      }
+
       // Success
       setSuccess(
         `✅ Upload successful! 
         📄 Document: ${result.document_title}
         📊 Pages processed: ${result.pages_processed}
         �� Embeddings generated: ${result.embeddings_generated}
-        ⏱️ Processing time: ${result.processing_time_seconds.toFixed(2)}s`
+        ⏱️ Processing time: ${result.processing_time_seconds.toFixed(2)}s${validityNote}`
       );
 
       // Reset form
       setFile(null);
       setTitle('');
       setCategory('');
+      setEffectiveFrom('');
+      setEffectiveTo('');
+      setSupersedesDocumentId('');
+      loadDocuments();
       
       // Reset file input
       const fileInput = document.getElementById('pdf-file');
@@ -329,6 +389,56 @@ const AdminUploadPage = () => {
               </select>
             </div>
 
+            {/* Validity */}
+            <div className="grid md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="effective-from" className="block text-sm font-medium text-gray-700 mb-2">
+                  Vigent des de
+                </label>
+                <input
+                  type="date"
+                  id="effective-from"
+                  value={effectiveFrom}
+                  onChange={(e) => setEffectiveFrom(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-amber-500 transition duration-200"
+                  disabled={uploading}
+                />
+              </div>
+              <div>
+                <label htmlFor="effective-to" className="block text-sm font-medium text-gray-700 mb-2">
+                  Derogat des de
+                </label>
+                <input
+                  type="date"
+                  id="effective-to"
+                  value={effectiveTo}
+                  onChange={(e) => setEffectiveTo(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-amber-500 transition duration-200"
+                  disabled={uploading}
+                />
+              </div>
+              <div>
+                <label htmlFor="supersedes" className="block text-sm font-medium text-gray-700 mb-2">
+                  Substitueix
+                </label>
+                <select
+                  id="supersedes"
+                  value={supersedesDocumentId}
+                  onChange={(e) => setSupersedesDocumentId(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-amber-500 transition duration-200"
+                  disabled={uploading}
+                >
+                  <option value="">Cap versió anterior</option>
+                  {documents.map(document => (
+                    <option key={document.id} value={document.id}>{document.title || document.id}</option>
+                  ))}
+                </select>
+              </div>
+              <p className="md:col-span-3 -mt-2 text-xs text-gray-500">
+                Opcional - les respostes prioritzen els documents vigents i marquen com a derogades les cites de versions substituïdes
+              </p>
+            </div>
+
             {/* Upload Button */}
             <div className="flex justify-end pt-4">
               <button
@@ -357,6 +467,24 @@ const AdminUploadPage = () => {
           </form>
         </div>
 
+        {/* Document validity */}
+        <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-gray-900">Vigència dels Documents</h2>
+            <p className="mt-1 text-sm text-gray-600">
+              Dates de vigència i versió anterior de cada document. Un document deixa d'estar vigent
+              quan arriba la seva data de derogació o quan entra en vigor el document que el substitueix.
+            </p>
+          </div>
+          <div className="p-6">
+            <DocumentValidityTable
+              documents={documents}
+              loading={documentsLoading}
+              onUpdated={handleDocumentUpdated}
+            />
+          </div>
+        </div>
+
         {/* Info Section */}
         <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-6">
           <h3 className="text-lg font-medium text-blue-900 mb-4">Com Funciona el Processament de Documents</h3>
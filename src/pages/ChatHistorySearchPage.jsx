@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { supabase } from '../supabaseClient';
+import { searchChatHistory, splitHighlightedSnippet, getResultLink } from '../services/chatHistorySearchService';
+
+// Filter keys kept in the URL so going back from a result restores the search
+const FILTER_KEYS = ['q', 'scope', 'from', 'to', 'document'];
+
+/**
+ * Read the search form values from the URL
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} Form values
+ */
+const readFilters = (searchParams) =>
+  Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+
+/**
+ * HighlightedSnippet Component - Snippet with the matched words marked
+ */
+const HighlightedSnippet = ({ snippet }) => (
+  <p className="text-sm text-gray-700 whitespace-pre-line">
+    {splitHighlightedSnippet(snippet).map((part, index) => (
+      part.match ? (
+        <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{part.text}</mark>
+      ) : (
+        <React.Fragment key={index}>{part.text}</React.Fragment>
+      )
+    ))}
+  </p>
+);
+
+/**
+ * ChatHistorySearchPage Component
+ *
+ * Global search across the user's CTE conversations and project chats.
+ * Features:
+ * - Full-text search with highlighted matches
+ * - Filters by chat (CTE or a project), date range and cited document
+ * - Each result opens its chat scrolled to the message
+ */
+const ChatHistorySearchPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [form, setForm] = useState(() => readFilters(searchParams));
+  const [projects, setProjects] = useState([]);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load projects for the chat filter
+  useEffect(() => {
+    const loadProjects = async () => {
+      const { data, error: projectsError } = await supabase
+        .from('projects')
+        .select('id, title')
+        .order('title', { ascending: true });
+
+      if (projectsError) {
+        console.error('Error loading projects:', projectsError);
+        return;
+      }
+      setProjects(data || []);
+    };
+
+    loadProjects();
+  }, []);
+
+  // Run the search whenever the URL filters change
+  useEffect(() => {
+    const filters = readFilters(searchParams);
+    setForm(filters);
+
+    if (!filters.q.trim()) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const runSearch = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const rows = await searchChatHistory({
+          query: filters.q,
+          source: filters.scope === 'cte' ? 'cte' : null,
+          projectId: filters.scope && filters.scope !== 'cte' ? filters.scope : null,
+          from: filters.from,
+          to: filters.to,
+          document: filters.document
+        });
+        if (!cancelled) setResults(rows);
+      } catch (err) {
+        console.error('Error searching chat history:', err);
+        if (!cancelled) {
+          setError('No s\'ha pogut fer la cerca. Si us plau, torna-ho a provar.');
+          setResults([]);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    runSearch();
+    return () => { cancelled = true; };
+  }, [searchParams]);
+
+  /**
+   * Update one form field
+   */
+  const updateField = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+  /**
+   * Push the form values to the URL, which triggers the search
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSearchParams(Object.fromEntries(
+      Object.entries(form).filter(([, value]) => value.trim() !== '')
+    ));
+  };
+
+  /**
+   * Reset filters but keep the search text
+   */
+  const clearFilters = () => {
+    setSearchParams(form.q.trim() ? { q: form.q.trim() } : {});
+  };
+
+  const hasFilters = ['scope', 'from', 'to', 'document'].some(key => form[key]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">
+            Cercar a l'historial
+          </h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Troba respostes anteriors del xat CTE i dels xats dels teus projectes.
+          </p>
+        </div>
+
+        {/* Search form */}
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 space-y-4">
+          <div className="flex space-x-2">
+            <input
+              type="search"
+              value={form.q}
+              onChange={updateField('q')}
+              placeholder='p. ex. pendent rampa, "DB-SUA 1"'
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cte-primary focus:border-cte-primary"
+              autoFocus
+            />
+            <button
+              type="submit"
+              disabled={!form.q.trim()}
+              className="px-5 py-2 bg-cte-primary text-white rounded-lg hover:bg-cte-primary-dark disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Cercar
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 text-sm">
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-600 mb-1">Xat</span>
+              <select
+                value={form.scope}
+                onChange={updateField('scope')}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+              >
+                <option value="">Tots</option>
+                <option value="cte">Xat CTE</option>
+                {projects.map(project => (
+                  <option key={project.id} value={project.id}>{project.title}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-600 mb-1">Des de</span>
+              <input
+                type="date"
+                value={form.from}
+                max={form.to || undefined}
+                onChange={updateField('from')}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+              />
+            </label>
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-600 mb-1">Fins a</span>
+              <input
+                type="date"
+                value={form.to}
+                min={form.from || undefined}
+                onChange={updateField('to')}
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+              />
+            </label>
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-600 mb-1">Document citat</span>
+              <input
+                type="text"
+                value={form.document}
+                onChange={updateField('document')}
+                placeholder="p. ex. DB-SI"
+                className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+              />
+            </label>
+          </div>
+
+          {hasFilters && (
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="text-xs text-gray-500 hover:text-gray-700 underline"
+            >
+              Treure els filtres
+            </button>
+          )}
+        </form>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Results */}
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-cte-primary mx-auto mb-3"></div>
+            <p className="text-sm text-gray-600">Cercant...</p>
+          </div>
+        ) : searchParams.get('q') && !error && results.length === 0 ? (
+          <p className="text-center text-sm text-gray-500 py-12">
+            No s'ha trobat cap missatge amb aquests criteris.
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {results.map(result => (
+              <li key={`${result.source}-${result.message_id}`}>
+                <Link
+                  to={getResultLink(result)}
+                  className="block bg-white rounded-lg border border-gray-200 p-4 hover:border-cte-primary hover:shadow-sm transition"
+                >
+                  <div className="flex items-center justify-between mb-2 text-xs text-gray-500">
+                    <div className="flex items-center space-x-2 min-w-0">
+                      <span className={`px-1.5 py-0.5 rounded font-medium ${
+                        result.source === 'cte' ? 'bg-orange-100 text-orange-800' : 'bg-blue-100 text-blue-800'
+                      }`}>
+                        {result.source === 'cte' ? 'Xat CTE' : 'Projecte'}
+                      </span>
+                      <span className="font-medium text-gray-700 truncate">
+                        {result.container_title || 'Conversa nova'}
+                      </span>
+                      <span>· {result.role === 'user' ? 'Pregunta' : 'Resposta'}</span>
+                    </div>
+                    <span className="flex-shrink-0 ml-2">
+                      {new Date(result.created_at).toLocaleString('ca-ES', { dateStyle: 'medium', timeStyle: 'short' })}
+                    </span>
+                  </div>
+
+                  <HighlightedSnippet snippet={result.snippet} />
+
+                  {result.cited_documents?.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-1">
+                      {result.cited_documents.map(title => (
+                        <span key={title} className="px-1.5 py-0.5 rounded bg-gray-100 text-[11px] text-gray-600">
+                          {title}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChatHistorySearchPage;
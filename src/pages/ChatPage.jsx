@@ -1,117 +1,112 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
 import { env } from '../config/env';
+import { streamAsk, AskRequestError, isViewableQuote } from '../services/askService';
+import { fetchAvailableTowns } from '../services/townsService';
+import { getAvailableLanguages, getCurrentLanguage, isLanguageSupported } from '../i18n';
+import CitationPdfViewer from '../components/CitationPdfViewer';
+import MarkdownAnswer from '../components/MarkdownAnswer';
+import SourceScopeBadge from '../components/SourceScopeBadge';
+import DocumentValidityBadge from '../components/DocumentValidityBadge';
+import ExportConversationMenu from '../components/ExportConversationMenu';
+import AnswerFeedback from '../components/AnswerFeedback';
+import AnswerVersionControls from '../components/AnswerVersionControls';
+import AnswerVersionDiff from '../components/AnswerVersionDiff';
+import FollowUpSuggestions from '../components/FollowUpSuggestions';
+import AnswerVerificationNotice from '../components/AnswerVerificationNotice';
+import NotebookPinMenu from '../components/NotebookPinMenu';
+import { getMyFeedback, submitAnswerFeedback, deleteAnswerFeedback } from '../services/feedbackService';
+import { getAnswerVersions, saveAnswerVersion } from '../services/answerVersionsService';
+import { getPinnedEntries, getPinKey, pinToNotebook } from '../services/notebookService';
+import { buildConversationReport } from '../services/conversationExportService';
+import { getDocumentOutline, describeSection, getSectionLink, getQuoteOutlineLink } from '../services/outlineService';
+import useSubscription from '../hooks/useSubscription';
+import { getTier } from '../config/subscriptionTiers';
+import {
+  buildConversationTitle,
+  listConversations,
+  createConversation,
+  renameConversation,
+  setConversationArchived,
+  deleteConversation,
+  listConversationMessages,
+  addConversationMessages,
+  deleteConversationMessage,
+  clearConversationMessages,
+  importLegacyMessages
+} from '../services/cteConversationsService';
 
 /**
- * FormattedResponse Component - Renders bot responses with markdown-like formatting
+ * Give every quote a citation number. Answers saved before structured
+ * citations have no ids, so they are numbered by position.
  */
-const FormattedResponse = ({ text }) => {
-  if (!text) return null;
+const getNumberedQuotes = (quotes = []) =>
+  quotes.map((quote, idx) => ({ ...quote, id: quote.id ?? idx + 1 }));
 
-  // Split text into lines and process each one
-  const lines = text.split('\n');
-  
-  return (
-    <div className="space-y-2">
-      {lines.map((line, index) => {
-        // Skip empty lines
-        if (!line.trim()) {
-          return <div key={index} className="h-2"></div>;
-        }
-
-        // Bold headers (lines starting with **)
-        if (line.startsWith('**') && line.endsWith('**')) {
-          const content = line.slice(2, -2);
-          return (
-            <div key={index} className="font-semibold text-gray-900 mt-3 mb-1">
-              {content}
-            </div>
-          );
-        }
-
-        // Section headers (lines ending with :)
-        if (line.trim().endsWith(':') && line.length < 50) {
-          return (
-            <div key={index} className="font-medium text-gray-800 mt-2">
-              {line}
-            </div>
-          );
-        }
+/**
+ * Versions of an answer (regenerated or asked again with an edited question).
+ * An answer that was never regenerated only has its original version.
+ */
+const listMessageVersions = (message, question) => message.versions || [{
+  version: 1,
+  question,
+  text: message.text,
+  quotes: message.quotes,
+  confidence: message.confidence,
+  verification: message.verification,
+  queryLogId: message.queryLogId,
+  cache: message.cache,
+  suggestions: message.suggestions,
+  stopped: message.stopped
+}];
 
-        // Quoted text (lines starting with ")
-        if (line.trim().startsWith('"')) {
-          return (
-            <div key={index} className="italic text-gray-700 bg-gray-50 border-l-2 border-gray-300 pl-3 py-1 my-2">
-              {line.trim()}
-            </div>
-          );
-        }
+/**
+ * Show one version of an answer: the bot message takes its answer and the
+ * preceding user message its question
+ */
+const withActiveVersion = (messages, botMessageId, versions, versionIndex) => {
+  const botIndex = messages.findIndex(msg => msg.id === botMessageId);
+  const version = versions[versionIndex];
+  return messages.map((msg, index) => {
+    if (index === botIndex) {
+      return {
+        ...msg,
+        versions,
+        activeVersion: versionIndex,
+        text: version.text,
+        quotes: version.quotes || [],
+        confidence: version.confidence,
+        verification: version.verification,
+        queryLogId: version.queryLogId,
+        cache: version.cache,
+        suggestions: version.suggestions,
+        stopped: version.stopped,
+        isStreaming: false
+      };
+    }
+    if (index === botIndex - 1 && msg.sender === 'user') {
+      return { ...msg, text: version.question };
+    }
+    return msg;
+  });
+};
 
-        // Links with emojis (📄, 📖, 🔗)
-        if (line.includes('📄') || line.includes('📖') || line.includes('🔗')) {
-          // Check if it contains a markdown link
-          const linkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-          const parts = [];
-          let lastIndex = 0;
-          let match;
-
-          while ((match = linkRegex.exec(line)) !== null) {
-            // Add text before the link
-            if (match.index > lastIndex) {
-              parts.push(line.substring(lastIndex, match.index));
-            }
-            
-            // Add the link
-            parts.push(
-              <a
-                key={match.index}
-                href={match[2]}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-cte-primary hover:text-cte-primary-dark underline"
-              >
-                {match[1]}
-              </a>
-            );
-            
-            lastIndex = match.index + match[0].length;
-          }
-          
-          // Add remaining text
-          if (lastIndex < line.length) {
-            parts.push(line.substring(lastIndex));
-          }
+// Number of previous messages sent as conversation context with each question
+const CONVERSATION_HISTORY_LENGTH = 6;
 
-          return (
-            <div key={index} className="text-gray-700 flex items-center space-x-1">
-              {parts.length > 0 ? parts : line}
-            </div>
-          );
-        }
+// localStorage flag (per user) set once the old single CTE history was imported
+const LEGACY_IMPORT_FLAG_PREFIX = 'arquinorma_cte_history_imported_';
 
-        // Bullet points (lines starting with -)
-        if (line.trim().startsWith('-')) {
-          return (
-            <div key={index} className="ml-4 text-gray-700">
-              {line}
-            </div>
-          );
-        }
-
-        // Horizontal rule (---)
-        if (line.trim() === '---') {
-          return <hr key={index} className="my-3 border-gray-200" />;
-        }
-
-        // Regular text
-        return (
-          <div key={index} className="text-gray-700">
-            {line}
-          </div>
-        );
-      })}
-    </div>
-  );
+/**
+ * Format a number of seconds as h:mm:ss (or m:ss under an hour)
+ */
+const formatCountdown = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
 };
 
 /**
@@ -120,10 +115,18 @@ const FormattedResponse = ({ text }) => {
  * This component provides a clean chat interface that integrates with the new /ask endpoint.
  * Features:
  * - Single-page chat interface with no upload functionality
- * - Integration with POST /ask endpoint
- * - Citation cards with clickable PDF links
+ * - Integration with POST /ask endpoint (streamed token-by-token, can be stopped)
+ * - Inline [n] citations with hover previews, bound to a numbered sources panel
+ * - Answers rendered as markdown (tables with CSV copy, nested lists, code, links)
+ * - Embedded PDF viewer that opens a citation at its page with the passage highlighted
  * - Loading states and error handling
- * - Locale selection (Catalan/Spanish)
+ * - Answer language selection (Catalan/Spanish/English)
+ * - Optional municipality scope (CTE + that town's local planning rules)
+ * - Multi-turn context: recent messages are sent so follow-up questions work
+ * - Named conversations in a sidebar (create, rename, archive, delete), titled after their first question
+ * - Links from the history search open a conversation scrolled to the matching message
+ * - PDF/DOCX export with a numbered bibliography of the cited sources
+ * - Regenerate an answer or edit its question; earlier answers stay as versions that can be compared
  * - Subscription status display
  * - Clean design with chat bubbles
  */
@@ -133,17 +136,43 @@ const ChatPage = () => {
   const [currentQuestion, setCurrentQuestion] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
-  const [locale, setLocale] = useState('ca'); // Default to Catalan
+  // Answer language — starts from the app language, defaults to Catalan
+  const [locale, setLocale] = useState(() => {
+    const current = getCurrentLanguage()?.split('-')[0];
+    return isLanguageSupported(current) ? current : 'ca';
+  });
   const [user, setUser] = useState(null);
   const [subscription, setSubscription] = useState(null);
-  const [rateLimitInfo, setRateLimitInfo] = useState(null);
+  const { subscription: accountSubscription } = useSubscription();
+  const [rateLimitInfo, setRateLimitInfo] = useState(null); // { limit, remaining, reset } from the last /api/ask response
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(null); // ms timestamp from Retry-After
+  const [countdownNow, setCountdownNow] = useState(() => Date.now());
   const [messagesLoaded, setMessagesLoaded] = useState(false);
   const [showClearConfirm, setShowClearConfirm] = useState(false);
+  const [towns, setTowns] = useState([]);
+  const [loadingTowns, setLoadingTowns] = useState(false);
+  const [townId, setTownId] = useState(''); // '' = CTE only, no municipal scope
+  const [asOfDate, setAsOfDate] = useState(''); // '' = rules in force today
+  const [sectionScope, setSectionScope] = useState(null); // { documentId, path, documentTitle, name } from the table of contents
+  const [activeCitation, setActiveCitation] = useState(null); // { messageId, quoteId }
+  const [viewerCitation, setViewerCitation] = useState(null); // { messageId, quoteId } open in the PDF viewer
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null); // null = new, not yet saved
+  const [showArchived, setShowArchived] = useState(false);
+  const [renaming, setRenaming] = useState(null); // { id, title } while editing a title
+  const [feedbackByMessage, setFeedbackByMessage] = useState({}); // db message id -> { rating, reason, correction }
+  const [pinnedByMessage, setPinnedByMessage] = useState({}); // db message id -> { pin key: notebook entry id }
+  const [editingQuestion, setEditingQuestion] = useState(null); // { messageId, text } while editing a sent question
+  const [comparingMessageId, setComparingMessageId] = useState(null); // bot message whose versions are compared
+  const [searchParams] = useSearchParams();
+  // Message opened from the history search (/chat?conversation=…&message=…)
+  const [focusedMessageId, setFocusedMessageId] = useState(() => searchParams.get('message'));
   
   // Reference to input field and messages container
   const inputRef = useRef(null);
   const messagesEndRef = useRef(null);
   const isSubmittingRef = useRef(false);
+  const abortControllerRef = useRef(null);
   
   // Backend API configuration
   const API_BASE_URL = env.api.baseUrl;
@@ -163,18 +192,47 @@ const ChatPage = () => {
    */
   useEffect(() => {
     loadUserData();
-    checkRateLimits();
+    loadTowns();
   }, []);
 
   /**
-   * Effect to load CTE messages when user is authenticated
+   * Effect to limit the questions to a section when opened from the table of
+   * contents (/chat?document=…&section=…)
+   */
+  useEffect(() => {
+    const documentId = searchParams.get('document');
+    const path = searchParams.get('section');
+    if (!documentId || !path) return;
+
+    getDocumentOutline(documentId)
+      .then(({ document, sections }) => {
+        if (!sections.some(section => section.path === path)) {
+          throw new Error(`Section ${path} not found`);
+        }
+        setSectionScope({ documentId, path, documentTitle: document.title, name: describeSection(sections, path) });
+      })
+      .catch(scopeError => {
+        console.error('Error loading section scope:', scopeError);
+        setError('No s\'ha trobat la secció de l\'índex. Les preguntes es faran sobre tota la normativa.');
+      });
+  }, [searchParams]);
+
+  /**
+   * Effect to load CTE conversations when user is authenticated
    */
   useEffect(() => {
     if (user && !messagesLoaded) {
-      loadCTEMessages();
+      loadConversations();
     }
   }, [user, messagesLoaded]);
 
+  /**
+   * Effect to abort any in-flight answer stream when leaving the page
+   */
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
   /**
    * Effect to focus input field when component mounts
    */
@@ -186,8 +244,37 @@ const ChatPage = () => {
    * Effect to scroll to bottom when new messages are added
    */
   useEffect(() => {
+    if (focusedMessageId && messages.some(m => m.id === focusedMessageId)) {
+      document.getElementById(`message-${focusedMessageId}`)?.scrollIntoView({ block: 'center' });
+      return;
+    }
     scrollToBottom();
-  }, [messages]);
+  }, [messages, focusedMessageId]);
+
+  /**
+   * Effect to clear the highlighted source after 2 seconds
+   */
+  useEffect(() => {
+    if (activeCitation) {
+      const timer = setTimeout(() => setActiveCitation(null), 2000);
+      return () => clearTimeout(timer);
+    }
+  }, [activeCitation]);
+
+  /**
+   * Effect to tick the rate limit countdown every second until it expires
+   */
+  useEffect(() => {
+    if (!rateLimitedUntil) return;
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setCountdownNow(now);
+      if (now >= rateLimitedUntil) {
+        setRateLimitedUntil(null);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [rateLimitedUntil]);
 
   /**
    * Effect to clear error messages after 5 seconds
@@ -221,76 +308,234 @@ const ChatPage = () => {
   };
 
   /**
-   * Load CTE chat messages from database.
+   * Load municipalities with indexed planning documents for the town selector
+   */
+  const loadTowns = async () => {
+    setLoadingTowns(true);
+    try {
+      setTowns(await fetchAvailableTowns());
+    } catch (error) {
+      console.error('Error loading towns:', error);
+      setTowns([]);
+    } finally {
+      setLoadingTowns(false);
+    }
+  };
+
+  /**
+   * Fetch the single pre-conversations history from GET /api/cte/messages,
+   * only used to import it into a conversation.
    *
    * Render free tier sleeps after ~15 min idle (cold-start ≈ 30–60 s),
    * so we use a long abort timeout and retry once before giving up.
    */
-  const loadCTEMessages = async () => {
-    try {
-      console.log('📖 Loading CTE messages from database...');
-      
-      const { data: { session } } = await supabase.auth.getSession();
-      if (!session) {
-        console.log('⚠️ No session, showing welcome message only');
-        setMessages([getWelcomeMessage()]);
-        setMessagesLoaded(true);
-        return;
+  const fetchLegacyCTEMessages = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) return [];
+
+    const baseUrl = API_BASE_URL?.endsWith('/') ? API_BASE_URL.slice(0, -1) : API_BASE_URL;
+    const fetchMessages = async (timeoutMs) => {
+      const ctl = new AbortController();
+      const timer = setTimeout(() => ctl.abort(), timeoutMs);
+      try {
+        return await fetch(`${baseUrl}/api/cte/messages`, {
+          headers: { 'Authorization': `Bearer ${session.access_token}` },
+          signal: ctl.signal,
+          cache: 'no-store',
+        });
+      } finally {
+        clearTimeout(timer);
       }
+    };
+
+    let response;
+    try {
+      response = await fetchMessages(75000);
+    } catch (firstErr) {
+      console.warn('First CTE messages fetch failed, retrying once:', firstErr?.message || firstErr);
+      response = await fetchMessages(75000);
+    }
 
-      const baseUrl = API_BASE_URL?.endsWith('/') ? API_BASE_URL.slice(0, -1) : API_BASE_URL;
-      const fetchMessages = async (timeoutMs) => {
-        const ctl = new AbortController();
-        const timer = setTimeout(() => ctl.abort(), timeoutMs);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return await response.json();
+  };
+
+  /**
+   * Load the user's conversations and open the most recent active one.
+   * The first time, the old single history is imported as a conversation.
+   */
+  const loadConversations = async () => {
+    try {
+      console.log('📖 Loading CTE conversations...');
+      let list = await listConversations();
+
+      const importFlagKey = `${LEGACY_IMPORT_FLAG_PREFIX}${user.id}`;
+      if (list.length === 0 && !localStorage.getItem(importFlagKey)) {
         try {
-          return await fetch(`${baseUrl}/api/cte/messages`, {
-            headers: { 'Authorization': `Bearer ${session.access_token}` },
-            signal: ctl.signal,
-            cache: 'no-store',
-          });
-        } finally {
-          clearTimeout(timer);
+          const imported = await importLegacyMessages(await fetchLegacyCTEMessages());
+          localStorage.setItem(importFlagKey, '1');
+          if (imported) {
+            console.log('✅ Imported previous CTE history into a conversation');
+            list = await listConversations();
+          }
+        } catch (importError) {
+          console.warn('Could not import previous CTE history:', importError?.message || importError);
         }
-      };
-
-      let response;
-      try {
-        response = await fetchMessages(75000);
-      } catch (firstErr) {
-        console.warn('First CTE messages fetch failed, retrying once:', firstErr?.message || firstErr);
-        response = await fetchMessages(75000);
       }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      setConversations(list);
+      const linked = list.find(conversation => conversation.id === searchParams.get('conversation'));
+      // Questions about a section of the table of contents start a new conversation
+      const latest = linked || (!searchParams.get('section') && list.find(conversation => !conversation.archived_at));
+      if (latest) {
+        await openConversation(latest.id);
+      } else {
+        startNewConversation();
       }
+    } catch (error) {
+      console.error('❌ Error loading CTE conversations:', error);
+      setMessages([getWelcomeMessage()]);
+    } finally {
+      setMessagesLoaded(true);
+    }
+  };
 
-      const data = await response.json();
-      console.log(`✅ Loaded ${data.length} CTE messages`);
-
-      // Convert database messages to UI format
-      const uiMessages = data.map(msg => ({
+  /**
+   * Open a conversation and load its messages
+   */
+  const openConversation = async (conversationId) => {
+    setActiveConversationId(conversationId);
+    setViewerCitation(null);
+    setEditingQuestion(null);
+    try {
+      const rows = await listConversationMessages(conversationId);
+      const uiMessages = rows.map(msg => ({
         id: msg.id,
         sender: msg.role === 'user' ? 'user' : 'bot',
         text: msg.content,
         timestamp: new Date(msg.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
         quotes: msg.quotes || [],
-        confidence: msg.confidence
+        confidence: msg.confidence,
+        verification: msg.verification,
+        queryLogId: msg.query_log_id
       }));
+      console.log(`✅ Loaded ${uiMessages.length} messages`);
+      setMessages(uiMessages.length > 0 ? uiMessages : [getWelcomeMessage()]);
+
+      const answerIds = rows.filter(msg => msg.role === 'assistant').map(msg => msg.id);
+      getMyFeedback('cte', answerIds)
+        .then(setFeedbackByMessage)
+        .catch(feedbackError => console.warn('Could not load answer feedback:', feedbackError?.message || feedbackError));
+
+      getPinnedEntries('cte', answerIds)
+        .then(setPinnedByMessage)
+        .catch(pinnedError => console.warn('Could not load notebook pins:', pinnedError?.message || pinnedError));
+
+      // Regenerated answers open on their latest version
+      getAnswerVersions('cte', answerIds)
+        .then(versionsByMessage => setMessages(prev => Object.entries(versionsByMessage).reduce((current, [messageId, stored]) => {
+          const botIndex = current.findIndex(msg => msg.id === messageId);
+          if (botIndex < 1) return current;
+          const versions = [...listMessageVersions(current[botIndex], current[botIndex - 1].text), ...stored];
+          return withActiveVersion(current, messageId, versions, versions.length - 1);
+        }, prev)))
+        .catch(versionsError => console.warn('Could not load answer versions:', versionsError?.message || versionsError));
+    } catch (error) {
+      console.error('❌ Error loading conversation messages:', error);
+      setMessages([getWelcomeMessage()]);
+      setError('Error carregant la conversa. Si us plau, torna-ho a provar.');
+    }
+  };
 
-      // If no messages, show welcome message
-      if (uiMessages.length === 0) {
-        setMessages([getWelcomeMessage()]);
-      } else {
-        setMessages(uiMessages);
+  /**
+   * Start an empty conversation; it is created on the first question
+   */
+  const startNewConversation = () => {
+    setActiveConversationId(null);
+    setViewerCitation(null);
+    setEditingQuestion(null);
+    setMessages([getWelcomeMessage()]);
+    inputRef.current?.focus();
+  };
+
+  /**
+   * Get the conversation a new question belongs to, creating it (titled
+   * after the question) when the chat is still a new conversation
+   */
+  const ensureConversation = async (question) => {
+    if (activeConversationId) return activeConversationId;
+
+    const conversation = await createConversation(buildConversationTitle(question));
+    setConversations(prev => [conversation, ...prev]);
+    setActiveConversationId(conversation.id);
+    return conversation.id;
+  };
+
+  /**
+   * Move a conversation to the top of the list after new activity
+   */
+  const touchConversation = (conversationId) => {
+    const now = new Date().toISOString();
+    setConversations(prev => {
+      const conversation = prev.find(c => c.id === conversationId);
+      if (!conversation) return prev;
+      return [{ ...conversation, updated_at: now }, ...prev.filter(c => c.id !== conversationId)];
+    });
+  };
+
+  /**
+   * Rename the conversation being edited in the sidebar
+   */
+  const submitRename = async () => {
+    const { id, title } = renaming || {};
+    setRenaming(null);
+    if (!id || !title?.trim()) return;
+
+    try {
+      const updated = await renameConversation(id, title);
+      setConversations(prev => prev.map(c => c.id === id ? updated : c));
+    } catch (error) {
+      console.error('❌ Error renaming conversation:', error);
+      setError('Error canviant el nom de la conversa.');
+    }
+  };
+
+  /**
+   * Archive or restore a conversation; archiving the open one starts a new chat
+   */
+  const toggleArchiveConversation = async (conversation) => {
+    try {
+      const updated = await setConversationArchived(conversation.id, !conversation.archived_at);
+      setConversations(prev => prev.map(c => c.id === conversation.id ? updated : c));
+      if (updated.archived_at && conversation.id === activeConversationId) {
+        startNewConversation();
       }
-      
-      setMessagesLoaded(true);
     } catch (error) {
-      console.error('❌ Error loading CTE messages:', error);
-      // On error, show welcome message
-      setMessages([getWelcomeMessage()]);
-      setMessagesLoaded(true);
+      console.error('❌ Error archiving conversation:', error);
+      setError('Error arxivant la conversa.');
+    }
+  };
+
+  /**
+   * Delete a conversation with all its messages
+   */
+  const removeConversation = async (conversation) => {
+    if (!confirm(`Vols esborrar la conversa "${conversation.title || 'Conversa nova'}"? Aquesta acció no es pot desfer.`)) {
+      return;
+    }
+
+    try {
+      await deleteConversation(conversation.id);
+      setConversations(prev => prev.filter(c => c.id !== conversation.id));
+      if (conversation.id === activeConversationId) {
+        startNewConversation();
+      }
+    } catch (error) {
+      console.error('❌ Error deleting conversation:', error);
+      setError('Error esborrant la conversa.');
     }
   };
 
@@ -315,33 +560,21 @@ const ChatPage = () => {
   };
 
   /**
-   * Save a message to the database and update state with the real DB id
+   * Save a message to its conversation and update state with the real DB id
    */
-  const saveCTEMessage = async (messageData) => {
-    try {
-      const { data: { session } } = await supabase.auth.getSession();
-      if (!session) return null;
-
-      const baseUrl = API_BASE_URL?.endsWith('/') ? API_BASE_URL.slice(0, -1) : API_BASE_URL;
-      const response = await fetch(`${baseUrl}/api/cte/messages`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${session.access_token}`
-        },
-        body: JSON.stringify({
-          role: messageData.sender === 'user' ? 'user' : 'assistant',
-          content: messageData.text,
-          quotes: messageData.quotes || [],
-          confidence: messageData.confidence || null
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  const saveCTEMessage = async (messageData, conversationId) => {
+    if (!conversationId) return null;
 
-      const saved = await response.json();
+    try {
+      const [saved] = await addConversationMessages(conversationId, [{
+        role: messageData.sender === 'user' ? 'user' : 'assistant',
+        content: messageData.text,
+        quotes: messageData.quotes || [],
+        confidence: messageData.confidence || null,
+        verification: messageData.verification || null,
+        query_log_id: messageData.queryLogId || null
+      }]);
+      touchConversation(conversationId);
 
       // Update the local message with the real DB id so delete works
       setMessages(prev =>
@@ -360,18 +593,7 @@ const ChatPage = () => {
    */
   const deleteCTEMessage = async (dbId, localId) => {
     try {
-      const { data: { session } } = await supabase.auth.getSession();
-      if (!session) return;
-
-      const baseUrl = API_BASE_URL?.endsWith('/') ? API_BASE_URL.slice(0, -1) : API_BASE_URL;
-      const response = await fetch(`${baseUrl}/api/cte/messages/${dbId}`, {
-        method: 'DELETE',
-        headers: { 'Authorization': `Bearer ${session.access_token}` }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      await deleteConversationMessage(dbId);
 
       // Remove the message from local state
       setMessages(prev => prev.filter(m => m.id !== localId));
@@ -382,33 +604,15 @@ const ChatPage = () => {
   };
 
   /**
-   * Clear all CTE chat messages
+   * Clear all messages of the open conversation
    */
   const clearCTEMessages = async () => {
     try {
-      console.log('🗑️  Clearing all CTE messages...');
-      
-      const { data: { session } } = await supabase.auth.getSession();
-      if (!session) {
-        console.log('⚠️ No session');
-        return;
-      }
-
-      const baseUrl = API_BASE_URL?.endsWith('/') ? API_BASE_URL.slice(0, -1) : API_BASE_URL;
-      const response = await fetch(`${baseUrl}/api/cte/messages`, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${session.access_token}`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      console.log('🗑️  Clearing conversation messages...');
+      if (activeConversationId) {
+        await clearConversationMessages(activeConversationId);
       }
 
-      const result = await response.json();
-      console.log('✅ Cleared messages:', result);
-
       // Reset to welcome message
       setMessages([getWelcomeMessage()]);
       setShowClearConfirm(false);
@@ -418,30 +622,6 @@ const ChatPage = () => {
     }
   };
 
-  /**
-   * Check current rate limits
-   */
-  const checkRateLimits = async () => {
-    try {
-      const { data: { user } } = await supabase.auth.getUser();
-      const userId = user?.id;
-      
-      // Ensure no double slashes
-      const baseUrl = API_BASE_URL?.endsWith('/') ? API_BASE_URL.slice(0, -1) : API_BASE_URL;
-      const url = userId 
-        ? `${baseUrl}/api/ask/limits?user_id=${userId}`
-        : `${baseUrl}/api/ask/limits`;
-      
-      const response = await fetch(url);
-      if (response.ok) {
-        const data = await response.json();
-        setRateLimitInfo(data);
-      }
-    } catch (error) {
-      console.error('Error checking rate limits:', error);
-    }
-  };
-
   /**
    * Scroll to bottom of messages
    */
@@ -450,9 +630,26 @@ const ChatPage = () => {
   };
 
   /**
-   * Send question to the new /ask endpoint
+   * Build the conversation history sent with each question so follow-ups
+   * ("i per a un edifici de 4 plantes?") keep the context of earlier turns.
+   * Welcome and fallback messages are UI-only and never sent.
+   */
+  const buildConversationHistory = (previousMessages = messages) => (
+    previousMessages
+      .filter(msg => msg.id !== 'welcome-bot-message' && !msg.is_fallback && !msg.isStreaming && msg.text)
+      .slice(-CONVERSATION_HISTORY_LENGTH)
+      .map(msg => ({
+        role: msg.sender === 'user' ? 'user' : 'assistant',
+        content: msg.text
+      }))
+  );
+
+  /**
+   * Send question to the /ask endpoint and stream the answer.
+   * onDelta receives the answer text accumulated so far. Regenerating passes
+   * the history before the turn and skips the answer cache.
    */
-  const sendQuestionToBackend = async (question) => {
+  const sendQuestionToBackend = async (question, { signal, onDelta, history = buildConversationHistory(), skipCache = false }) => {
     try {
       // Validate API base URL is configured
       if (!API_BASE_URL || API_BASE_URL.trim() === '') {
@@ -463,58 +660,38 @@ const ChatPage = () => {
         throw new Error(errorMsg);
       }
       
-      // Ensure no double slashes
-      const baseUrl = API_BASE_URL?.endsWith('/') ? API_BASE_URL.slice(0, -1) : API_BASE_URL;
-      const fullUrl = `${baseUrl}/api/ask`;
-      console.log(`Sending question to ${fullUrl}:`, question);
-      console.log('API_BASE_URL:', API_BASE_URL);
-      console.log('baseUrl (normalized):', baseUrl);
-      
-      const { data: { user } } = await supabase.auth.getUser();
-      
+      // The signed-in user is identified by the access token streamAsk sends
       const payload = {
         question: question.trim(),
         locale: locale,
-        user_id: user?.id || null
+        town_id: townId || null,
+        ...(asOfDate && { as_of_date: asOfDate }),
+        ...(sectionScope && { section_scope: { document_id: sectionScope.documentId, path: sectionScope.path } }),
+        history,
+        ...(skipCache && { skip_cache: true })
       };
       
-      const response = await fetch(fullUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-        credentials: 'include', // Include cookies for CORS
+      const data = await streamAsk(payload, {
+        signal,
+        onDelta: (_chunk, answerSoFar) => onDelta(answerSoFar)
       });
-
-      if (!response.ok) {
-        if (response.status === 429) {
-          const errorData = await response.json();
-          throw new Error(`Rate limit exceeded. ${errorData.detail?.upgrade_message || 'Please try again later.'}`);
-        }
-        
-        let errorMessage = `HTTP error! status: ${response.status}`;
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.detail || errorData.message || errorMessage;
-        } catch (parseError) {
-          errorMessage = response.statusText || errorMessage;
-        }
-        throw new Error(errorMessage);
-      }
-
-      const data = await response.json();
       console.log('Backend response:', data);
+      if (data.rateLimit) setRateLimitInfo(data.rateLimit);
       
-      // Validate response structure
-      if (!data.answer) {
+      // Validate response structure (an aborted stream may legitimately be empty)
+      if (!data.answer && !data.aborted) {
         throw new Error('Invalid response format: missing answer field');
       }
 
       return {
         answer: data.answer,
         quotes: data.quotes || [],
-        confidence: data.confidence || 'Medium'
+        confidence: data.confidence || 'Medium',
+        verification: data.verification,
+        queryLogId: data.queryLogId,
+        cache: data.cache,
+        suggestions: data.suggestions || [],
+        aborted: data.aborted
       };
       
     } catch (error) {
@@ -526,6 +703,12 @@ const ChatPage = () => {
         API_BASE_URL: API_BASE_URL,
         fullUrl: API_BASE_URL ? `${API_BASE_URL}/api/ask` : 'N/A'
       });
+
+      // Rate limited: keep status and Retry-After so the countdown can be shown
+      if (error instanceof AskRequestError && error.status === 429) {
+        if (error.rateLimit) setRateLimitInfo(error.rateLimit);
+        throw error;
+      }
       
       // Handle network/CORS errors
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
@@ -544,6 +727,13 @@ const ChatPage = () => {
     }
   };
 
+  /**
+   * Stop the answer currently being generated
+   */
+  const stopGenerating = () => {
+    abortControllerRef.current?.abort();
+  };
+
   /**
    * Handle question submission
    */
@@ -551,12 +741,13 @@ const ChatPage = () => {
     e.preventDefault();
     e.stopPropagation();
     
-    if (!currentQuestion.trim() || isLoading || isSubmittingRef.current) {
+    if (!currentQuestion.trim() || isLoading || isSubmittingRef.current || rateLimitedUntil) {
       return;
     }
     
     // Set submission guard
     isSubmittingRef.current = true;
+    setFocusedMessageId(null);
 
     const userQuestion = currentQuestion.trim();
     const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -576,33 +767,84 @@ const ChatPage = () => {
     setIsLoading(true);
     setError('');
 
-    // Save user message to database (async, don't wait)
-    saveCTEMessage(userMessage);
+    // Create the conversation on its first question, then save the message (async, don't wait)
+    let conversationId = activeConversationId;
+    if (user) {
+      try {
+        conversationId = await ensureConversation(userQuestion);
+      } catch (conversationError) {
+        console.error('❌ Error creating CTE conversation:', conversationError);
+      }
+    }
+    saveCTEMessage(userMessage, conversationId);
+
+    // Bot message is added on the first streamed fragment and filled in live
+    const botMessageId = `bot-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     try {
       // Send question to backend
-      const response = await sendQuestionToBackend(userQuestion);
+      const response = await sendQuestionToBackend(userQuestion, {
+        signal: controller.signal,
+        onDelta: (answerSoFar) => {
+          setMessages(prevMessages => {
+            if (prevMessages.some(msg => msg.id === botMessageId)) {
+              return prevMessages.map(msg => msg.id === botMessageId ? { ...msg, text: answerSoFar } : msg);
+            }
+            return [...prevMessages, {
+              id: botMessageId,
+              sender: 'bot',
+              text: answerSoFar,
+              timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+              quotes: [],
+              confidence: null,
+              isStreaming: true
+            }];
+          });
+        }
+      });
+
+      // Stopped before the first fragment arrived: nothing to keep
+      if (response.aborted && !response.answer) {
+        return;
+      }
       
-      // Add bot response to chat
+      // Finalise bot response in chat
       const botMessage = {
-        id: `bot-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        id: botMessageId,
         sender: 'bot',
         text: response.answer,
         timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
         quotes: response.quotes || [],
-        confidence: response.confidence
+        confidence: response.aborted ? null : response.confidence,
+        verification: response.aborted ? null : response.verification,
+        queryLogId: response.queryLogId,
+        cache: response.cache,
+        suggestions: response.suggestions,
+        stopped: response.aborted
       };
       
-      setMessages(prevMessages => [...prevMessages, botMessage]);
+      setMessages(prevMessages => [
+        ...prevMessages.filter(msg => msg.id !== botMessageId),
+        botMessage
+      ]);
       
       // Save bot message to database (async, don't wait)
-      saveCTEMessage(botMessage);
-      
-      // Update rate limit info
-      await checkRateLimits();
-      
+      saveCTEMessage(botMessage, conversationId);
     } catch (error) {
       console.error('Error in handleSubmitQuestion:', error);
+
+      // Drop any partially streamed answer
+      setMessages(prevMessages => prevMessages.filter(msg => msg.id !== botMessageId));
+
+      // Daily quota reached: the countdown above the input replaces the fallback message
+      if (error instanceof AskRequestError && error.status === 429) {
+        const retryAfter = error.retryAfter ?? 60;
+        setCountdownNow(Date.now());
+        setRateLimitedUntil(Date.now() + retryAfter * 1000);
+        return;
+      }
       
       // Don't show error state, just create a temporary fallback message
       const fallbackMessage = {
@@ -624,12 +866,128 @@ const ChatPage = () => {
         setMessages(prevMessages => prevMessages.filter(msg => msg.id !== fallbackMessage.id));
       }, 10000);
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
       isSubmittingRef.current = false;
       setTimeout(() => inputRef.current?.focus(), 100);
     }
   };
 
+  /**
+   * Database id of a message, or null while it is only local
+   */
+  const getMessageDbId = (message) => {
+    if (message.dbId) return message.dbId;
+    const isLocal = ['user-', 'bot-', 'welcome-', 'fallback-'].some(prefix => message.id.startsWith(prefix));
+    return isLocal ? null : message.id;
+  };
+
+  /**
+   * Answer a turn again (with its question, or an edited one) and keep the
+   * result as a new version of the answer. Versions are saved when the
+   * answer is, i.e. for signed-in users.
+   */
+  const regenerateAnswer = async (botMessage, question) => {
+    if (isLoading || isSubmittingRef.current || rateLimitedUntil) {
+      return;
+    }
+
+    const botIndex = messages.findIndex(msg => msg.id === botMessage.id);
+    const userMessage = messages[botIndex - 1];
+    if (botIndex < 1 || userMessage.sender !== 'user') {
+      return;
+    }
+
+    isSubmittingRef.current = true;
+    setIsLoading(true);
+    setError('');
+    setEditingQuestion(null);
+    setFocusedMessageId(null);
+
+    const versions = listMessageVersions(botMessage, userMessage.text);
+    const restoreActiveVersion = () => setMessages(prev =>
+      withActiveVersion(prev, botMessage.id, versions, botMessage.activeVersion ?? versions.length - 1)
+    );
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      const response = await sendQuestionToBackend(question, {
+        signal: controller.signal,
+        history: buildConversationHistory(messages.slice(0, botIndex - 1)),
+        skipCache: true,
+        onDelta: (answerSoFar) => {
+          setMessages(prevMessages => prevMessages.map((msg, index) => {
+            if (msg.id === botMessage.id) {
+              return { ...msg, text: answerSoFar, quotes: [], confidence: null, verification: null, cache: null, suggestions: [], stopped: false, isStreaming: true };
+            }
+            return index === botIndex - 1 ? { ...msg, text: question } : msg;
+          }));
+        }
+      });
+
+      // Stopped before the first fragment arrived: keep the version that was shown
+      if (response.aborted && !response.answer) {
+        restoreActiveVersion();
+        return;
+      }
+
+      const newVersion = {
+        version: Math.max(...versions.map(version => version.version)) + 1,
+        question,
+        text: response.answer,
+        quotes: response.quotes || [],
+        confidence: response.aborted ? null : response.confidence,
+        verification: response.aborted ? null : response.verification,
+        queryLogId: response.queryLogId,
+        cache: response.cache,
+        suggestions: response.suggestions,
+        stopped: response.aborted
+      };
+      const nextVersions = [...versions, newVersion];
+      setMessages(prev => withActiveVersion(prev, botMessage.id, nextVersions, nextVersions.length - 1));
+
+      const dbId = getMessageDbId(botMessage);
+      if (dbId) {
+        saveAnswerVersion({ source: 'cte', messageId: dbId, ...newVersion }).catch(saveError => {
+          console.error('❌ Error saving answer version:', saveError);
+          setError('No s\'ha pogut desar la nova versió de la resposta.');
+        });
+      }
+    } catch (error) {
+      console.error('Error regenerating answer:', error);
+      restoreActiveVersion();
+
+      if (error instanceof AskRequestError && error.status === 429) {
+        const retryAfter = error.retryAfter ?? 60;
+        setCountdownNow(Date.now());
+        setRateLimitedUntil(Date.now() + retryAfter * 1000);
+        return;
+      }
+
+      setError('No s\'ha pogut generar una altra resposta. Si us plau, torna-ho a provar.');
+    } finally {
+      abortControllerRef.current = null;
+      setIsLoading(false);
+      isSubmittingRef.current = false;
+    }
+  };
+
+  /**
+   * Send an edited question: the answer below it gets a new version
+   */
+  const submitEditedQuestion = (userMessage) => {
+    const question = editingQuestion?.text.trim();
+    const botMessage = messages[messages.findIndex(msg => msg.id === userMessage.id) + 1];
+    if (!question || !botMessage || botMessage.sender !== 'bot') return;
+
+    if (question === userMessage.text) {
+      setEditingQuestion(null);
+      return;
+    }
+    regenerateAnswer(botMessage, question);
+  };
+
   /**
    * Handle key down events
    */
@@ -674,53 +1032,62 @@ const ChatPage = () => {
   };
 
   /**
-   * Render citation card
+   * Scroll to a cited source in a message's sources panel and flash it
    */
-  const renderCitation = (quote, index) => (
-    <div key={index} className="bg-amber-300 border border-cte-primary border-opacity-30 rounded-lg p-3 mb-2">
-      <div className="flex items-start justify-between">
-        <div className="flex-1">
-          <p className="text-sm text-gray-700 mb-2 italic">"{quote.text}"</p>
-          <div className="flex items-center text-xs text-gray-500 space-x-4">
-            <span className="font-medium">{quote.document_title}</span>
-            <span>Pàg. {quote.page}</span>
-            <span className="bg-cte-primary bg-opacity-20 text-cte-primary-dark px-2 py-1 rounded">
-              Score: {(quote.score * 100).toFixed(0)}%
-            </span>
-          </div>
-        </div>
-        <a
-          href={quote.url}
-          target="_blank"
-          rel="noopener noreferrer"
-          className="ml-3 text-cte-primary hover:text-cte-primary-dark transition-colors"
-        >
-          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"></path>
-          </svg>
-        </a>
-      </div>
-    </div>
-  );
+  const focusCitation = (messageId, quoteId) => {
+    setActiveCitation({ messageId, quoteId });
+    document.getElementById(`source-${messageId}-${quoteId}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  /**
+   * Open a citation in the PDF viewer, or point at its source when the
+   * document cannot be displayed
+   */
+  const openCitation = (message, quoteId) => {
+    const quote = getNumberedQuotes(message.quotes).find(q => q.id === quoteId);
+    if (isViewableQuote(quote)) {
+      setViewerCitation({ messageId: message.id, quoteId });
+    } else {
+      focusCitation(message.id, quoteId);
+    }
+  };
+
+  /**
+   * Render the PDF viewer for the open citation, stepping through the
+   * viewable citations of the same answer
+   */
+  const renderCitationViewer = () => {
+    if (!viewerCitation) return null;
+    const message = messages.find(m => m.id === viewerCitation.messageId);
+    const quotes = getNumberedQuotes(message?.quotes).filter(isViewableQuote);
+    if (quotes.length === 0) return null;
+
+    return (
+      <CitationPdfViewer
+        quotes={quotes}
+        quoteId={viewerCitation.quoteId}
+        onQuoteChange={(quoteId) => setViewerCitation({ messageId: message.id, quoteId })}
+        onClose={() => setViewerCitation(null)}
+      />
+    );
+  };
 
   /**
    * Render subscription status
    */
   const renderSubscriptionStatus = () => {
-    const subscriptionInfo = {
-      free: { name: 'Gratuït', color: 'gray', limit: 5 },
-      personal: { name: 'Personal', color: 'blue', limit: 100 },
-      corporate: { name: 'Corporatiu', color: 'green', limit: 1000 },
-      beta: { name: 'Beta Tester', color: 'purple', limit: '∞' }
-    };
-
-    const info = subscriptionInfo[subscription?.level] || subscriptionInfo.free;
-    const remaining = rateLimitInfo?.requests_remaining || 0;
+    // Quotas come from the shared tier definition
+    const info = getTier(
+      accountSubscription?.tier ||
+      (user ? subscription?.level : 'anonymous')
+    );
+    const limit = info.quotas.questionsPerDay;
 
-    // Beta users have unlimited questions
-    const isBeta = subscription?.level === 'beta' || rateLimitInfo?.subscription_level === 'beta';
-    const displayRemaining = isBeta ? '∞' : remaining;
-    const displayLimit = isBeta ? '∞' : info.limit;
+    // Paid and beta plans have unlimited questions
+    const isUnlimited = limit === null;
+    // Remaining questions are known from the X-RateLimit headers of the last answer
+    const displayRemaining = isUnlimited ? '∞' : (rateLimitInfo?.remaining ?? limit);
+    const displayLimit = isUnlimited ? '∞' : limit;
 
     return (
       <div className={`flex items-center space-x-2 text-sm px-3 py-1 rounded-full ${
@@ -742,17 +1109,102 @@ const ChatPage = () => {
     );
   };
 
+  /**
+   * Save the user's thumbs up/down on an answer
+   */
+  const submitFeedback = async (message, dbId, { rating, reason, correction }) => {
+    const index = messages.findIndex(m => m.id === message.id);
+    const question = messages.slice(0, index).reverse().find(m => m.sender === 'user')?.text;
+
+    try {
+      const saved = await submitAnswerFeedback({
+        source: 'cte',
+        messageId: dbId,
+        queryLogId: message.queryLogId,
+        question,
+        answer: message.text,
+        rating,
+        reason,
+        correction
+      });
+      setFeedbackByMessage(prev => ({ ...prev, [dbId]: saved }));
+    } catch (error) {
+      console.error('❌ Error saving answer feedback:', error);
+      setError('No s\'ha pogut desar la valoració. Si us plau, torna-ho a provar.');
+    }
+  };
+
+  /**
+   * Remove the user's vote on an answer
+   */
+  const removeFeedback = async (dbId) => {
+    try {
+      await deleteAnswerFeedback('cte', dbId);
+      setFeedbackByMessage(prev => {
+        const { [dbId]: _removed, ...rest } = prev;
+        return rest;
+      });
+    } catch (error) {
+      console.error('❌ Error removing answer feedback:', error);
+      setError('No s\'ha pogut treure la valoració.');
+    }
+  };
+
+  /**
+   * Pin an answer, or one of its sources, to the user's notebook
+   */
+  const pinAnswer = async (message, dbId, { quote, tags, note }) => {
+    const index = messages.findIndex(m => m.id === message.id);
+    const question = messages.slice(0, index).reverse().find(m => m.sender === 'user')?.text;
+
+    try {
+      const entry = await pinToNotebook({
+        source: 'cte',
+        messageId: dbId,
+        conversationId: activeConversationId,
+        question,
+        answer: message.text,
+        quotes: getNumberedQuotes(message.quotes),
+        quote,
+        tags,
+        note
+      });
+      setPinnedByMessage(prev => ({
+        ...prev,
+        [dbId]: { ...prev[dbId], [getPinKey(entry.quote_id)]: entry.id }
+      }));
+    } catch (error) {
+      console.error('❌ Error pinning answer to the notebook:', error);
+      setError('No s\'ha pogut desar al quadern. Si us plau, torna-ho a provar.');
+    }
+  };
+
+  /**
+   * Put a suggested follow-up question in the input, ready to send or adjust
+   */
+  const fillSuggestedQuestion = (question) => {
+    setCurrentQuestion(question);
+    inputRef.current?.focus();
+  };
+
   /**
    * Render message bubble
    */
-  const renderMessage = (message) => {
+  const renderMessage = (message, index) => {
     // A message is deletable if it has a real DB id (uuid, not a local temp id)
-    const isDeletable = message.dbId || (!message.id.startsWith('user-') && !message.id.startsWith('bot-') && !message.id.startsWith('welcome-') && !message.id.startsWith('fallback-'));
-    const dbId = message.dbId || (isDeletable ? message.id : null);
+    const dbId = getMessageDbId(message);
+    const isDeletable = !!dbId;
+    const nextMessage = messages[index + 1];
+    const isAnsweredQuestion = message.sender === 'user' && nextMessage?.sender === 'bot' && !nextMessage.is_fallback;
+    const isEditing = editingQuestion?.messageId === message.id;
+    const hasVersions = message.sender === 'bot' && !message.is_fallback && !message.isStreaming
+      && !message.id.startsWith('welcome-') && messages[index - 1]?.sender === 'user';
 
     return (
-    <div key={message.id} className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'} mb-6 group`}>
-      <div className={`max-w-xs lg:max-w-md ${message.sender === 'user' ? 'order-2' : 'order-1'}`}>
+    <div key={message.id} id={`message-${message.id}`} className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'} mb-6 group`}>
+      <div className={`max-w-xs lg:max-w-md ${message.sender === 'user' ? 'order-2' : 'order-1'} ${
+        message.id === focusedMessageId ? 'ring-2 ring-yellow-400 ring-offset-4 rounded-2xl' : ''
+      }`}>
         {/* Message bubble */}
         <div className={`px-4 py-3 rounded-2xl shadow-sm ${
           message.sender === 'user'
@@ -771,38 +1223,157 @@ const ChatPage = () => {
           }`}>
             {message.sender === 'user' ? 'Tu' : 'ArquiNorma'}
           </div>
-          <div className="text-sm whitespace-pre-wrap break-words">
-            {message.sender === 'bot' ? (
-              <FormattedResponse text={message.text} />
-            ) : (
-              message.text
-            )}
-          </div>
+          {isEditing ? (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                submitEditedQuestion(message);
+              }}
+              className="space-y-2"
+            >
+              <textarea
+                value={editingQuestion.text}
+                onChange={(e) => setEditingQuestion({ ...editingQuestion, text: e.target.value })}
+                rows={3}
+                autoFocus
+                className="w-full px-2 py-1.5 text-sm text-gray-900 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-white"
+              />
+              <div className="flex items-center justify-end space-x-2 text-xs">
+                <button
+                  type="button"
+                  onClick={() => setEditingQuestion(null)}
+                  className="px-2 py-1 text-white text-opacity-80 hover:text-opacity-100"
+                >
+                  Cancel·lar
+                </button>
+                <button
+                  type="submit"
+                  disabled={!editingQuestion.text.trim() || isLoading}
+                  className="px-2 py-1 bg-white text-cte-primary-dark rounded-md disabled:opacity-50"
+                >
+                  Enviar
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className={`text-sm break-words ${message.sender === 'bot' ? '' : 'whitespace-pre-wrap'}`}>
+              {message.sender === 'bot' ? (
+                <MarkdownAnswer
+                  text={message.text}
+                  quotes={message.isStreaming ? [] : getNumberedQuotes(message.quotes)}
+                  onCitationClick={(quoteId) => openCitation(message, quoteId)}
+                />
+              ) : (
+                message.text
+              )}
+            </div>
+          )}
           
-          {/* Document sources footer (for bot messages) */}
+          {message.isStreaming && (
+            <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-cte-primary animate-pulse"></span>
+          )}
+          {message.stopped && (
+            <div className="mt-2 text-xs text-gray-400 italic">
+              Resposta aturada
+            </div>
+          )}
+          {message.verification && !message.isStreaming && (
+            <AnswerVerificationNotice verification={message.verification} />
+          )}
+          {message.cache && (
+            <div
+              className="mt-2 text-xs text-gray-400 italic"
+              title={`Pregunta original: ${message.cache.question} (${new Date(message.cache.cachedAt).toLocaleDateString('ca-ES')})`}
+            >
+              Resposta desada d'una pregunta similar ({Math.round(message.cache.similarity * 100)}% de coincidència)
+            </div>
+          )}
+
+          {hasVersions && (
+            <AnswerVersionControls
+              versionCount={message.versions?.length || 1}
+              activeIndex={message.activeVersion ?? 0}
+              onSelect={(versionIndex) => setMessages(prev => withActiveVersion(prev, message.id, message.versions, versionIndex))}
+              onRegenerate={() => regenerateAnswer(message, messages[index - 1].text)}
+              onCompare={() => setComparingMessageId(message.id)}
+              disabled={isLoading || !!rateLimitedUntil}
+            />
+          )}
+
+          {/* Thumbs up/down — only on saved answers */}
+          {message.sender === 'bot' && dbId && !message.is_fallback && (
+            <AnswerFeedback
+              key={dbId}
+              feedback={feedbackByMessage[dbId]}
+              onSubmit={(values) => submitFeedback(message, dbId, values)}
+              onRemove={() => removeFeedback(dbId)}
+            />
+          )}
+
+          {/* Pin to the notebook — only on saved answers */}
+          {message.sender === 'bot' && dbId && !message.is_fallback && !message.isStreaming && (
+            <NotebookPinMenu
+              quotes={getNumberedQuotes(message.quotes)}
+              pinned={pinnedByMessage[dbId]}
+              onPin={(values) => pinAnswer(message, dbId, values)}
+            />
+          )}
+
+          {/* Sources panel — numbered to match the [n] citations in the answer */}
           {message.sender === 'bot' && message.quotes && message.quotes.length > 0 && (
             <div className="mt-3 pt-2 border-t border-gray-200">
-              <div className="text-xs text-gray-500 space-y-1">
-                {message.quotes.map((quote, idx) => (
-                  <div key={idx} className="flex items-center justify-between">
-                    <div className="flex items-center space-x-2">
-                      <span className="font-medium">{quote.document_title || 'Document desconegut'}</span>
-                      <span>·</span>
-                      <span>Pàg. {quote.page || 'N/A'}</span>
-                    </div>
-                    {quote.url && (
-                      <a
-                        href={quote.url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="text-cte-primary hover:text-cte-primary-dark underline ml-2"
-                      >
-                        Veure
-                      </a>
-                    )}
-                  </div>
-                ))}
-              </div>
+              <div className="text-xs font-medium text-gray-500 mb-1">Fonts</div>
+              <ol className="text-xs text-gray-500 space-y-1">
+                {getNumberedQuotes(message.quotes).map((quote) => {
+                  const isActive = [activeCitation, viewerCitation].some(
+                    citation => citation?.messageId === message.id && citation?.quoteId === quote.id
+                  );
+                  return (
+                    <li
+                      key={quote.id}
+                      id={`source-${message.id}-${quote.id}`}
+                      title={quote.text}
+                      className={`flex items-center justify-between rounded px-1 py-0.5 transition-colors ${
+                        isActive ? 'bg-amber-100' : ''
+                      }`}
+                    >
+                      <div className="flex items-center space-x-2 min-w-0">
+                        <span className="font-semibold text-cte-primary-dark">[{quote.id}]</span>
+                        <SourceScopeBadge scope={quote.source_scope} />
+                        <DocumentValidityBadge quote={quote} />
+                        <span className="font-medium truncate">{quote.document_title || 'Document desconegut'}</span>
+                        <span>·</span>
+                        <span className="whitespace-nowrap">Pàg. {quote.page || 'N/A'}</span>
+                        {typeof quote.score === 'number' && quote.score > 0 && (
+                          <span className="bg-cte-primary bg-opacity-20 text-cte-primary-dark px-1.5 rounded whitespace-nowrap">
+                            {(quote.score * 100).toFixed(0)}%
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex items-center flex-shrink-0">
+                        {getQuoteOutlineLink(quote) && (
+                          <Link
+                            to={getQuoteOutlineLink(quote)}
+                            className="text-gray-500 hover:text-gray-800 underline ml-2"
+                            title="Veure la secció a l'índex de la normativa"
+                          >
+                            Índex
+                          </Link>
+                        )}
+                        {isViewableQuote(quote) && (
+                          <button
+                            type="button"
+                            onClick={() => openCitation(message, quote.id)}
+                            className="text-cte-primary hover:text-cte-primary-dark underline ml-2"
+                          >
+                            Veure
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
             </div>
           )}
           
@@ -813,32 +1384,212 @@ const ChatPage = () => {
             }`}>
               {message.timestamp}
             </div>
-            {/* Delete button — visible on hover, only for DB-persisted messages */}
-            {isDeletable && dbId && (
+            <div className="flex items-center">
+              {/* Edit question — asks again and keeps the previous answer as a version */}
+              {isAnsweredQuestion && !isEditing && (
+                <button
+                  onClick={() => setEditingQuestion({ messageId: message.id, text: message.text })}
+                  disabled={isLoading}
+                  title="Editar pregunta"
+                  className="opacity-0 group-hover:opacity-100 transition-opacity ml-2 text-white text-opacity-60 hover:text-opacity-100 disabled:hidden"
+                >
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                  </svg>
+                </button>
+              )}
+              {/* Delete button — visible on hover, only for DB-persisted messages */}
+              {isDeletable && dbId && (
+                <button
+                  onClick={() => deleteCTEMessage(dbId, message.id)}
+                  title="Esborrar missatge"
+                  className={`opacity-0 group-hover:opacity-100 transition-opacity ml-2 ${
+                    message.sender === 'user'
+                      ? 'text-white text-opacity-60 hover:text-opacity-100'
+                      : 'text-gray-400 hover:text-red-500'
+                  }`}
+                >
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Follow-up suggestions — only under the latest answer */}
+        {message.sender === 'bot' && index === messages.length - 1 && !message.isStreaming && (
+          <FollowUpSuggestions
+            suggestions={message.suggestions}
+            onSelect={fillSuggestedQuestion}
+            disabled={isLoading}
+          />
+        )}
+      </div>
+    </div>
+    );
+  };
+
+  /**
+   * Build the export report for the open conversation
+   */
+  const getConversationReport = () => {
+    const conversation = conversations.find(c => c.id === activeConversationId);
+    return buildConversationReport({
+      title: conversation?.title || 'Xat CTE',
+      messages: messages
+        .filter(m => !m.id.startsWith('welcome-') && !m.is_fallback && !m.isStreaming)
+        .map(m => ({
+          role: m.sender === 'user' ? 'user' : 'assistant',
+          text: m.text,
+          quotes: getNumberedQuotes(m.quotes),
+          confidence: m.confidence
+        }))
+    });
+  };
+
+  /**
+   * Render the conversation sidebar (signed-in users only)
+   */
+  const renderConversationSidebar = () => {
+    if (!user) return null;
+
+    const activeConversations = conversations.filter(c => !c.archived_at);
+    const archivedConversations = conversations.filter(c => c.archived_at);
+
+    const renderConversationItem = (conversation) => {
+      const isActive = conversation.id === activeConversationId;
+
+      if (renaming?.id === conversation.id) {
+        return (
+          <li key={conversation.id} className="px-2 py-1">
+            <input
+              type="text"
+              value={renaming.title}
+              onChange={(e) => setRenaming({ id: conversation.id, title: e.target.value })}
+              onBlur={submitRename}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitRename();
+                if (e.key === 'Escape') setRenaming(null);
+              }}
+              maxLength={120}
+              autoFocus
+              className="w-full px-2 py-1 text-sm border border-cte-primary rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+            />
+          </li>
+        );
+      }
+
+      return (
+        <li key={conversation.id} className="group relative">
+          <button
+            type="button"
+            onClick={() => openConversation(conversation.id)}
+            disabled={isLoading}
+            className={`w-full text-left pl-3 pr-20 py-2 text-sm rounded-md truncate transition-colors disabled:cursor-not-allowed ${
+              isActive
+                ? 'bg-cte-primary bg-opacity-10 text-cte-primary-dark font-medium'
+                : 'text-gray-700 hover:bg-gray-100'
+            }`}
+            title={conversation.title || 'Conversa nova'}
+          >
+            {conversation.title || 'Conversa nova'}
+          </button>
+          <div className="absolute right-1 top-1/2 -translate-y-1/2 hidden group-hover:flex items-center space-x-0.5 bg-white rounded-md shadow-sm">
+            <button
+              type="button"
+              onClick={() => setRenaming({ id: conversation.id, title: conversation.title || '' })}
+              className="p-1 text-gray-400 hover:text-gray-700"
+              title="Canviar el nom"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536M9 13l6.536-6.536a2.5 2.5 0 113.536 3.536L12.536 16.536 9 17l.464-3.536z"></path>
+              </svg>
+            </button>
+            <button
+              type="button"
+              onClick={() => toggleArchiveConversation(conversation)}
+              className="p-1 text-gray-400 hover:text-gray-700"
+              title={conversation.archived_at ? 'Restaurar' : 'Arxivar'}
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4"></path>
+              </svg>
+            </button>
+            <button
+              type="button"
+              onClick={() => removeConversation(conversation)}
+              className="p-1 text-gray-400 hover:text-red-600"
+              title="Esborrar la conversa"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+              </svg>
+            </button>
+          </div>
+        </li>
+      );
+    };
+
+    return (
+      <aside className="hidden md:flex flex-col w-64 flex-shrink-0 border-r border-gray-200 bg-white">
+        <div className="p-3 border-b border-gray-200">
+          <button
+            type="button"
+            onClick={startNewConversation}
+            disabled={isLoading}
+            className="w-full flex items-center justify-center px-3 py-2 text-sm font-medium text-white bg-cte-primary rounded-md hover:bg-cte-primary-dark disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4"></path>
+            </svg>
+            Nova conversa
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-2">
+          {!messagesLoaded ? (
+            <p className="px-3 py-2 text-xs text-gray-500">Carregant converses...</p>
+          ) : activeConversations.length === 0 ? (
+            <p className="px-3 py-2 text-xs text-gray-500">Encara no tens cap conversa.</p>
+          ) : (
+            <ul className="space-y-0.5">
+              {activeConversations.map(renderConversationItem)}
+            </ul>
+          )}
+
+          {archivedConversations.length > 0 && (
+            <div className="mt-4">
               <button
-                onClick={() => deleteCTEMessage(dbId, message.id)}
-                title="Esborrar missatge"
-                className={`opacity-0 group-hover:opacity-100 transition-opacity ml-2 ${
-                  message.sender === 'user'
-                    ? 'text-white text-opacity-60 hover:text-opacity-100'
-                    : 'text-gray-400 hover:text-red-500'
-                }`}
+                type="button"
+                onClick={() => setShowArchived(!showArchived)}
+                className="w-full flex items-center justify-between px-3 py-1 text-xs font-medium text-gray-500 hover:text-gray-700"
               >
-                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                <span>Arxivades ({archivedConversations.length})</span>
+                <svg className={`w-3 h-3 transition-transform ${showArchived ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path>
                 </svg>
               </button>
-            )}
-          </div>
+              {showArchived && (
+                <ul className="mt-1 space-y-0.5 opacity-75">
+                  {archivedConversations.map(renderConversationItem)}
+                </ul>
+              )}
+            </div>
+          )}
         </div>
-      </div>
-    </div>
+      </aside>
     );
   };
 
+  const comparingMessage = messages.find(msg => msg.id === comparingMessageId && msg.versions?.length > 1);
+
   return (
-    <div className="flex flex-col h-[calc(100vh-64px)] bg-gray-50">
-      <div className="max-w-4xl mx-auto w-full flex flex-col flex-1 bg-white shadow-lg">
+    <div className="flex h-[calc(100vh-64px)] bg-gray-50">
+      {renderConversationSidebar()}
+
+      <div className="max-w-4xl mx-auto w-full min-w-0 flex flex-col flex-1 bg-white shadow-lg">
         
         {/* Header with subscription status and locale selector */}
         <div className="flex-shrink-0 px-6 py-4 border-b border-gray-200 bg-white">
@@ -848,9 +1599,48 @@ const ChatPage = () => {
               <p className="text-sm text-gray-600">Assistent per al Codi Tècnic</p>
             </div>
             <div className="flex items-center space-x-4">
+              {/* Municipality scope selector */}
+              <select
+                value={townId}
+                onChange={(e) => setTownId(e.target.value)}
+                disabled={isLoading || loadingTowns || !!sectionScope}
+                title={sectionScope ? 'Les preguntes estan limitades a una secció' : 'Municipi per combinar el CTE amb el planejament local'}
+                className="px-2 py-1 text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary focus:border-cte-primary max-w-[12rem]"
+              >
+                <option value="">
+                  {loadingTowns ? 'Carregant municipis...' : 'Només CTE'}
+                </option>
+                {towns.map((town) => (
+                  <option key={town.id} value={town.id}>
+                    {town.name}
+                  </option>
+                ))}
+              </select>
+
+              {/* Reference date: rules in force today, or when a project was licensed */}
+              <label
+                className="flex items-center space-x-1 text-xs text-gray-600"
+                title="Respon amb la normativa vigent en aquesta data (projectes amb llicència anterior). Buit = normativa vigent avui"
+              >
+                <span>Vigent a</span>
+                <input
+                  type="date"
+                  value={asOfDate}
+                  max={new Date().toISOString().substring(0, 10)}
+                  onChange={(e) => setAsOfDate(e.target.value)}
+                  disabled={isLoading}
+                  className="px-1 py-0.5 text-xs border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary focus:border-cte-primary"
+                />
+              </label>
+
               {/* Subscription status */}
               {subscription && renderSubscriptionStatus()}
               
+              {/* Export conversation as PDF/DOCX */}
+              {messages.some(m => m.sender === 'user') && (
+                <ExportConversationMenu getReport={getConversationReport} disabled={isLoading} />
+              )}
+
               {/* Clear Chat button */}
               {user && messages.length > 1 && (
                 <button
@@ -865,27 +1655,38 @@ const ChatPage = () => {
                 </button>
               )}
               
-              {/* Locale selector - Hidden for now */}
-              {/* <div className="flex items-center space-x-1 bg-gray-100 rounded-lg p-1">
-                {['ca', 'es'].map((loc) => (
+              {/* Answer language selector */}
+              <div className="flex items-center space-x-1 bg-gray-100 rounded-lg p-1">
+                {getAvailableLanguages().map(({ code }) => (
                   <button
-                    key={loc}
-                    onClick={() => handleLocaleChange(loc)}
-                    className={`px-3 py-1 text-xs font-medium rounded-md transition-colors ${
-                      locale === loc
+                    key={code}
+                    onClick={() => handleLocaleChange(code)}
+                    disabled={isLoading}
+                    title="Idioma de les respostes"
+                    className={`px-2 py-1 text-xs font-medium rounded-md uppercase transition-colors ${
+                      locale === code
                         ? 'bg-white text-gray-900 shadow-sm'
                         : 'text-gray-600 hover:text-gray-900'
                     }`}
                   >
-                    {loc === 'ca' ? 'Català' : 'Español'}
+                    {code}
                   </button>
                 ))}
-              </div> */}
+              </div>
             </div>
           </div>
         </div>
 
         {/* Clear Chat Confirmation Dialog */}
+        {comparingMessage && (
+          <AnswerVersionDiff
+            versions={comparingMessage.versions}
+            initialLeft={Math.max((comparingMessage.activeVersion ?? 0) - 1, 0)}
+            initialRight={comparingMessage.activeVersion ?? 0}
+            onClose={() => setComparingMessageId(null)}
+          />
+        )}
+
         {showClearConfirm && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
             <div className="bg-white rounded-lg shadow-xl p-6 max-w-md mx-4">
@@ -893,7 +1694,7 @@ const ChatPage = () => {
                 Esborrar xat
               </h3>
               <p className="text-sm text-gray-600 mb-6">
-                Estàs segur que vols esborrar tot el xat del CTE? Aquesta acció no es pot desfer.
+                Estàs segur que vols esborrar tots els missatges d'aquesta conversa? Aquesta acció no es pot desfer.
               </p>
               <div className="flex items-center justify-end space-x-3">
                 <button
@@ -927,8 +1728,8 @@ const ChatPage = () => {
         <div className="flex-1 overflow-y-auto px-6 py-4">
           {messages.map(renderMessage)}
           
-          {/* Loading indicator */}
-          {isLoading && (
+          {/* Loading indicator (until the first streamed fragment arrives) */}
+          {isLoading && !messages.some(msg => msg.isStreaming) && (
             <div className="flex justify-start mb-4">
               <div className="max-w-xs lg:max-w-md px-4 py-3 rounded-2xl bg-gray-100 border-l-4 border-cte-primary border-gray-200 rounded-bl-md">
                 <div className="flex items-center space-x-2">
@@ -944,6 +1745,33 @@ const ChatPage = () => {
 
         {/* Message Input Area */}
         <div className="flex-shrink-0 p-4 border-t border-gray-200 bg-white">
+          {rateLimitedUntil && (
+            <div className="mb-3 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-2 rounded-md text-sm flex items-center justify-between">
+              <span>Has arribat al límit diari de preguntes.</span>
+              <span className="font-medium tabular-nums">
+                Torna-ho a provar d'aquí a {formatCountdown(Math.max(0, Math.ceil((rateLimitedUntil - countdownNow) / 1000)))}
+              </span>
+            </div>
+          )}
+          {sectionScope && (
+            <div className="mb-3 flex items-center justify-between bg-amber-50 border border-amber-200 text-amber-900 px-3 py-2 rounded-md text-xs">
+              <span className="min-w-0 truncate">
+                Preguntes limitades a{' '}
+                <Link to={getSectionLink(sectionScope.documentId, sectionScope.path)} className="font-medium underline">
+                  {sectionScope.documentTitle} · {sectionScope.name}
+                </Link>
+              </span>
+              <button
+                type="button"
+                onClick={() => setSectionScope(null)}
+                disabled={isLoading}
+                className="ml-3 flex-shrink-0 text-amber-700 hover:text-amber-900"
+                title="Preguntar sobre tota la normativa"
+              >
+                ✕
+              </button>
+            </div>
+          )}
           <form className="flex space-x-3">
             <div className="flex-1">
               <textarea
@@ -958,29 +1786,30 @@ const ChatPage = () => {
                 maxLength={500}
               />
             </div>
-            <button
-              type="button"
-              onClick={handleSubmitQuestion}
-              disabled={!currentQuestion.trim() || isLoading}
-              className="px-6 py-2 bg-cte-primary text-white rounded-lg hover:bg-cte-primary-dark focus:outline-none focus:ring-2 focus:ring-cte-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition duration-200 self-end flex items-center"
-            >
-              {isLoading ? (
-                <>
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Enviant...
-                </>
-              ) : (
-                <>
-                  <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"></path>
-                  </svg>
-                  Enviar
-                </>
-              )}
-            </button>
+            {isLoading ? (
+              <button
+                type="button"
+                onClick={stopGenerating}
+                className="px-6 py-2 bg-white text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-cte-primary focus:ring-offset-2 transition duration-200 self-end flex items-center"
+              >
+                <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 24 24">
+                  <rect x="6" y="6" width="12" height="12" rx="1"></rect>
+                </svg>
+                Aturar
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleSubmitQuestion}
+                disabled={!currentQuestion.trim() || !!rateLimitedUntil}
+                className="px-6 py-2 bg-cte-primary text-white rounded-lg hover:bg-cte-primary-dark focus:outline-none focus:ring-2 focus:ring-cte-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition duration-200 self-end flex items-center"
+              >
+                <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8"></path>
+                </svg>
+                Enviar
+              </button>
+            )}
           </form>
           
           {/* Helper text */}
@@ -990,6 +1819,8 @@ const ChatPage = () => {
           </div>
         </div>
       </div>
+
+      {renderCitationViewer()}
     </div>
   );
 };
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { GLOSSARY_CATEGORIES, getCategoryLabel, getGlossary } from '../services/glossaryService';
+
+/**
+ * Lower-case text without accents, so "cedula" finds "cèdula"
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) => (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * GlossaryPage Component
+ *
+ * Browsable glossary of CTE abbreviations, planning instruments and building
+ * terms. The same terms expand the questions asked to the assistant.
+ * Features:
+ * - Accent-insensitive search on the term, its synonyms and its definition
+ * - Filter by category
+ */
+const GlossaryPage = () => {
+  const [terms, setTerms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [category, setCategory] = useState('');
+
+  useEffect(() => {
+    const loadGlossary = async () => {
+      try {
+        setTerms(await getGlossary());
+      } catch (err) {
+        console.error('Error loading glossary:', err);
+        setError('No s\'ha pogut carregar el glossari. Si us plau, torna-ho a provar.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadGlossary();
+  }, []);
+
+  const filtered = useMemo(() => {
+    const query = foldText(search.trim());
+    return terms.filter(item =>
+      (!category || item.category === category)
+      && (!query || [item.term, item.definition, ...(item.synonyms || [])].some(text => foldText(text).includes(query)))
+    );
+  }, [terms, search, category]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">
+            Glossari
+          </h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Abreviatures i termes de la normativa. L'assistent també reconeix els sinònims en català i en castellà.
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 flex flex-col sm:flex-row gap-3">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="p. ex. PEU, barandilla, DB-SI"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cte-primary focus:border-cte-primary"
+            autoFocus
+          />
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cte-primary"
+          >
+            <option value="">Totes les categories</option>
+            {GLOSSARY_CATEGORIES.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Terms */}
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-cte-primary mx-auto mb-3"></div>
+            <p className="text-sm text-gray-600">Carregant...</p>
+          </div>
+        ) : !error && filtered.length === 0 ? (
+          <p className="text-center text-sm text-gray-500 py-12">
+            Cap terme coincideix amb la cerca.
+          </p>
+        ) : (
+          <dl className="space-y-3">
+            {filtered.map(item => (
+              <div key={item.id} className="bg-white rounded-lg border border-gray-200 p-4">
+                <div className="flex items-start justify-between gap-3">
+                  <dt className="text-lg font-semibold text-gray-900">{item.term}</dt>
+                  <span className="flex-shrink-0 px-1.5 py-0.5 rounded bg-gray-100 text-xs text-gray-600">
+                    {getCategoryLabel(item.category)}
+                  </span>
+                </div>
+                <dd className="mt-1 text-sm text-gray-800">{item.definition}</dd>
+                {item.description && (
+                  <dd className="mt-2 text-sm text-gray-600 whitespace-pre-line">{item.description}</dd>
+                )}
+                {item.synonyms?.length > 0 && (
+                  <dd className="mt-2 flex flex-wrap gap-1">
+                    {item.synonyms.map(synonym => (
+                      <span key={synonym} className="px-1.5 py-0.5 rounded bg-orange-50 text-[11px] text-orange-800">
+                        {synonym}
+                      </span>
+                    ))}
+                  </dd>
+                )}
+              </div>
+            ))}
+          </dl>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GlossaryPage;
@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import DocumentValidityBadge from '../components/DocumentValidityBadge';
+import { isViewableQuote } from '../services/askService';
+import {
+  listOutlineDocuments,
+  getDocumentOutline,
+  getSectionLink,
+  getAskAboutSectionLink,
+  findSectionAtPage,
+  getSectionTrail
+} from '../services/outlineService';
+
+/**
+ * Lower-case text without accents, so "evacuacio" finds "evacuació"
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) => (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const formatPages = ({ page_start, page_end }) =>
+  page_start === page_end ? `pàg. ${page_start}` : `pàg. ${page_start}–${page_end}`;
+
+/**
+ * OutlineNode Component - One section of the table of contents and its children
+ */
+const OutlineNode = ({ section, childrenByParent, expanded, onToggle, selectedPath, onSelect, documentId, documentUrl }) => {
+  const children = childrenByParent.get(section.path) || [];
+  const isOpen = expanded.has(section.path);
+  const isSelected = section.path === selectedPath;
+
+  return (
+    <li>
+      <div
+        id={`section-${section.path}`}
+        className={`group flex items-center justify-between rounded px-2 py-1 text-sm ${
+          isSelected ? 'bg-amber-100' : 'hover:bg-gray-50'
+        }`}
+      >
+        <div className="flex items-center min-w-0">
+          {children.length > 0 ? (
+            <button
+              type="button"
+              onClick={() => onToggle(section.path)}
+              className="w-5 flex-shrink-0 text-gray-400 hover:text-gray-700"
+              aria-expanded={isOpen}
+              title={isOpen ? 'Plegar' : 'Desplegar'}
+            >
+              {isOpen ? '▾' : '▸'}
+            </button>
+          ) : (
+            <span className="w-5 flex-shrink-0" />
+          )}
+          <button
+            type="button"
+            onClick={() => onSelect(section.path)}
+            className="text-left truncate"
+            title={`${section.label} ${section.title}`.trim()}
+          >
+            <span className={`font-medium ${section.level === 1 ? 'text-gray-900' : 'text-gray-700'}`}>{section.label}</span>
+            {section.title && <span className="ml-1.5 text-gray-600">{section.title}</span>}
+          </button>
+        </div>
+        <div className="flex-shrink-0 flex items-center space-x-3 ml-3 text-xs">
+          <span className="text-gray-400 whitespace-nowrap">{formatPages(section)}</span>
+          {documentUrl && (
+            <a
+              href={`${documentUrl}#page=${section.page_start}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-gray-500 hover:text-gray-800 underline"
+            >
+              PDF
+            </a>
+          )}
+          <Link
+            to={getAskAboutSectionLink(documentId, section.path)}
+            className={`text-cte-primary hover:text-cte-primary-dark underline whitespace-nowrap ${
+              isSelected ? '' : 'sm:opacity-0 sm:group-hover:opacity-100'
+            }`}
+          >
+            Preguntar
+          </Link>
+        </div>
+      </div>
+      {isOpen && children.length > 0 && (
+        <ul className="ml-4 border-l border-gray-100">
+          {children.map(child => (
+            <OutlineNode
+              key={child.path}
+              section={child}
+              childrenByParent={childrenByParent}
+              expanded={expanded}
+              onToggle={onToggle}
+              selectedPath={selectedPath}
+              onSelect={onSelect}
+              documentId={documentId}
+              documentUrl={documentUrl}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * NormativeIndexPage Component
+ *
+ * Browse the table of contents of every indexed normative document without
+ * asking a question.
+ * Features:
+ * - Documents grouped into state (CTE) and municipal regulations, with their validity
+ * - Sections, articles and annexes derived from the indexed text, with their pages
+ * - Deep links to a section (?section=) or to the sections of a cited page (?page=)
+ * - "Preguntar" opens the chat with the questions limited to that section
+ */
+const NormativeIndexPage = () => {
+  const { documentId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [documents, setDocuments] = useState([]);
+  const [documentsLoading, setDocumentsLoading] = useState(true);
+  const [documentFilter, setDocumentFilter] = useState('');
+  const [outline, setOutline] = useState(null); // { document, sections } of documentId
+  const [outlineLoading, setOutlineLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sectionFilter, setSectionFilter] = useState('');
+  const [expanded, setExpanded] = useState(new Set());
+  const scrolledTo = useRef(null);
+
+  useEffect(() => {
+    listOutlineDocuments()
+      .then(setDocuments)
+      .catch(err => {
+        console.error('Error loading documents:', err);
+        setError('No s\'han pogut carregar els documents. Si us plau, torna-ho a provar.');
+      })
+      .finally(() => setDocumentsLoading(false));
+  }, []);
+
+  useEffect(() => {
+    if (!documentId) {
+      setOutline(null);
+      return;
+    }
+
+    const loadOutline = async () => {
+      try {
+        setOutlineLoading(true);
+        setError(null);
+        setSectionFilter('');
+        setOutline(await getDocumentOutline(documentId));
+      } catch (err) {
+        console.error('Error loading document outline:', err);
+        setOutline(null);
+        setError('No s\'ha pogut carregar l\'índex del document.');
+      } finally {
+        setOutlineLoading(false);
+      }
+    };
+
+    loadOutline();
+  }, [documentId]);
+
+  const sections = useMemo(() => outline?.sections || [], [outline]);
+
+  // Section from the link: ?section=path, or the deepest section covering ?page=n
+  const selectedPath = useMemo(() => {
+    const path = searchParams.get('section');
+    if (path) return sections.some(section => section.path === path) ? path : null;
+    const page = Number(searchParams.get('page'));
+    return page ? findSectionAtPage(sections, page)?.path ?? null : null;
+  }, [sections, searchParams]);
+
+  // Each document opens collapsed, except for the selected section and its ancestors
+  useEffect(() => {
+    setExpanded(new Set());
+  }, [documentId]);
+
+  useEffect(() => {
+    if (!selectedPath) return;
+    setExpanded(prev => new Set([...prev, ...getSectionTrail(sections, selectedPath)]));
+  }, [sections, selectedPath]);
+
+  useEffect(() => {
+    if (!selectedPath || scrolledTo.current === `${documentId}:${selectedPath}`) return;
+    scrolledTo.current = `${documentId}:${selectedPath}`;
+    setTimeout(() => {
+      document.getElementById(`section-${selectedPath}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 0);
+  }, [documentId, selectedPath]);
+
+  // Tree, or the matches with their ancestors while filtering
+  const { childrenByParent, visibleExpanded } = useMemo(() => {
+    const query = foldText(sectionFilter.trim());
+    let visible = sections;
+    let open = expanded;
+    if (query) {
+      const keep = new Set();
+      sections
+        .filter(section => foldText(`${section.label} ${section.title}`).includes(query))
+        .forEach(section => getSectionTrail(sections, section.path).forEach(path => keep.add(path)));
+      visible = sections.filter(section => keep.has(section.path));
+      open = keep;
+    }
+    const byParent = new Map();
+    visible.forEach(section => {
+      const siblings = byParent.get(section.parent) || [];
+      siblings.push(section);
+      byParent.set(section.parent, siblings);
+    });
+    return { childrenByParent: byParent, visibleExpanded: open };
+  }, [sections, expanded, sectionFilter]);
+
+  const toggle = (path) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const select = (path) => {
+    setSearchParams({ section: path }, { replace: true });
+  };
+
+  const filteredDocuments = useMemo(() => {
+    const query = foldText(documentFilter.trim());
+    return documents.filter(doc => !query || foldText(doc.title).includes(query));
+  }, [documents, documentFilter]);
+
+  const documentGroups = [
+    { label: 'Normativa estatal', documents: filteredDocuments.filter(doc => !doc.town_id) },
+    { label: 'Normativa municipal', documents: filteredDocuments.filter(doc => doc.town_id) }
+  ].filter(group => group.documents.length > 0);
+
+  const currentDocument = outline?.document;
+  const documentUrl = isViewableQuote(currentDocument) ? currentDocument.url : null;
+  const topLevel = childrenByParent.get(null) || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">
+            Normativa
+          </h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Índex dels documents de la base de dades. Obre una secció per llegir-la o fes-hi preguntes limitades a aquella secció.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Documents */}
+          <aside className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 md:max-h-[calc(100vh-12rem)] md:overflow-y-auto">
+            <input
+              type="search"
+              value={documentFilter}
+              onChange={(e) => setDocumentFilter(e.target.value)}
+              placeholder="Filtrar documents"
+              className="w-full px-3 py-2 mb-3 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cte-primary focus:border-cte-primary"
+            />
+            {documentsLoading ? (
+              <p className="text-sm text-gray-500">Carregant...</p>
+            ) : documentGroups.length === 0 ? (
+              <p className="text-sm text-gray-500">Cap document.</p>
+            ) : (
+              documentGroups.map(group => (
+                <div key={group.label} className="mb-4 last:mb-0">
+                  <div className="text-xs font-medium uppercase tracking-wide text-gray-500 mb-1">{group.label}</div>
+                  <ul className="space-y-0.5">
+                    {group.documents.map(doc => (
+                      <li key={doc.id}>
+                        <Link
+                          to={getSectionLink(doc.id)}
+                          className={`flex items-center justify-between px-2 py-1.5 rounded text-sm ${
+                            doc.id === documentId ? 'bg-cte-primary text-white' : 'text-gray-700 hover:bg-gray-100'
+                          }`}
+                        >
+                          <span className="truncate">{doc.title}</span>
+                          <DocumentValidityBadge quote={doc} />
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))
+            )}
+          </aside>
+
+          {/* Table of contents */}
+          <section className="md:col-span-2 bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+            {!documentId ? (
+              <p className="text-center text-sm text-gray-500 py-12">
+                Tria un document per veure'n l'índex.
+              </p>
+            ) : outlineLoading ? (
+              <div className="text-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-cte-primary mx-auto mb-3"></div>
+                <p className="text-sm text-gray-600">Carregant l'índex...</p>
+              </div>
+            ) : currentDocument && (
+              <>
+                <div className="flex items-start justify-between gap-4 mb-3">
+                  <div className="min-w-0">
+                    <h2 className="text-lg font-semibold text-gray-900">{currentDocument.title}</h2>
+                    <div className="mt-1 flex items-center space-x-2 text-xs text-gray-500">
+                      <DocumentValidityBadge quote={currentDocument} />
+                      <span>{sections.length} {sections.length === 1 ? 'entrada' : 'entrades'}</span>
+                    </div>
+                  </div>
+                  {documentUrl && (
+                    <a
+                      href={documentUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex-shrink-0 text-sm text-cte-primary hover:text-cte-primary-dark underline"
+                    >
+                      Obrir el PDF
+                    </a>
+                  )}
+                </div>
+
+                {sections.length === 0 ? (
+                  <p className="text-sm text-gray-500 py-8 text-center">
+                    No s'han trobat seccions en el text d'aquest document.
+                  </p>
+                ) : (
+                  <>
+                    <input
+                      type="search"
+                      value={sectionFilter}
+                      onChange={(e) => setSectionFilter(e.target.value)}
+                      placeholder="p. ex. barreres de protecció, 4.1"
+                      className="w-full px-3 py-2 mb-3 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cte-primary focus:border-cte-primary"
+                    />
+                    {topLevel.length === 0 ? (
+                      <p className="text-sm text-gray-500 py-8 text-center">Cap secció coincideix amb el filtre.</p>
+                    ) : (
+                      <ul>
+                        {topLevel.map(section => (
+                          <OutlineNode
+                            key={section.path}
+                            section={section}
+                            childrenByParent={childrenByParent}
+                            expanded={visibleExpanded}
+                            onToggle={toggle}
+                            selectedPath={selectedPath}
+                            onSelect={select}
+                            documentId={documentId}
+                            documentUrl={documentUrl}
+                          />
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NormativeIndexPage;
@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { supabase } from '../supabaseClient';
+import MarkdownAnswer from '../components/MarkdownAnswer';
+import DocumentValidityBadge from '../components/DocumentValidityBadge';
+import {
+  parseTags,
+  getEntrySourceLink,
+  listNotebookEntries,
+  updateNotebookEntry,
+  deleteNotebookEntry,
+  attachEntryToProject,
+  detachEntryFromProject
+} from '../services/notebookService';
+
+/**
+ * Lower-case text without accents, so "evacuacio" finds "evacuació"
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) => (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Text of an entry searched by the search box
+ * @param {Object} entry - Notebook entry
+ * @returns {string}
+ */
+const getSearchableText = (entry) => foldText([
+  entry.question,
+  entry.content,
+  entry.note,
+  ...entry.tags,
+  ...(entry.quotes || []).map(quote => quote.document_title)
+].filter(Boolean).join('\n'));
+
+/**
+ * NotebookEntryCard Component - One pinned answer or quote, with its tags,
+ * note and projects
+ */
+const NotebookEntryCard = ({ entry, projects, onUpdated, onDeleted }) => {
+  const [editing, setEditing] = useState(false);
+  const [tags, setTags] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const sourceLink = getEntrySourceLink(entry);
+  const projectTitles = Object.fromEntries(projects.map(project => [project.id, project.title]));
+  const quote = entry.kind === 'quote' ? entry.quotes?.[0] : null;
+
+  const run = async (action, errorMessage) => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${errorMessage}:`, err);
+      toast.error(`${errorMessage}: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = () => {
+    setTags(entry.tags.join(', '));
+    setNote(entry.note || '');
+    setEditing(true);
+  };
+
+  const saveChanges = (e) => {
+    e.preventDefault();
+    run(async () => {
+      onUpdated(await updateNotebookEntry(entry.id, { tags: parseTags(tags), note }));
+      setEditing(false);
+    }, 'Error desant l\'entrada');
+  };
+
+  const attach = (projectId) => run(async () => {
+    await attachEntryToProject(entry.id, projectId);
+    onUpdated({ ...entry, projectIds: [...entry.projectIds, projectId] });
+  }, 'Error afegint l\'entrada al projecte');
+
+  const detach = (projectId) => run(async () => {
+    await detachEntryFromProject(entry.id, projectId);
+    onUpdated({ ...entry, projectIds: entry.projectIds.filter(id => id !== projectId) });
+  }, 'Error traient l\'entrada del projecte');
+
+  const remove = () => {
+    if (!confirm('Segur que vols treure aquesta entrada del quadern?')) return;
+    run(async () => {
+      await deleteNotebookEntry(entry.id);
+      onDeleted(entry.id);
+    }, 'Error eliminant l\'entrada');
+  };
+
+  return (
+    <li className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-2 text-xs text-gray-500">
+        <div className="flex items-center space-x-2 min-w-0">
+          <span className={`px-1.5 py-0.5 rounded font-medium ${
+            entry.kind === 'quote' ? 'bg-purple-100 text-purple-800' : 'bg-orange-100 text-orange-800'
+          }`}>
+            {entry.kind === 'quote' ? 'Cita' : 'Resposta'}
+          </span>
+          <span>{entry.source === 'cte' ? 'Xat CTE' : `Projecte ${projectTitles[entry.chat_project_id] || ''}`.trim()}</span>
+          <span>· {new Date(entry.created_at).toLocaleDateString('ca-ES', { dateStyle: 'medium' })}</span>
+        </div>
+        {sourceLink && (
+          <Link to={sourceLink} className="flex-shrink-0 ml-2 text-cte-primary hover:text-cte-primary-dark underline">
+            Obrir al xat
+          </Link>
+        )}
+      </div>
+
+      {entry.question && (
+        <p className="text-sm font-medium text-gray-900 mb-2">{entry.question}</p>
+      )}
+
+      {quote ? (
+        <div>
+          <blockquote className="border-l-4 border-purple-200 pl-3 text-sm text-gray-700 whitespace-pre-line">
+            {entry.content}
+          </blockquote>
+          <div className="mt-1 flex items-center space-x-2 text-xs text-gray-500">
+            <DocumentValidityBadge quote={quote} />
+            <span className="font-medium truncate">{quote.document_title || 'Document desconegut'}</span>
+            {quote.page && <span className="whitespace-nowrap">· Pàg. {quote.page}</span>}
+          </div>
+        </div>
+      ) : (
+        <div className="text-sm text-gray-800 max-h-96 overflow-y-auto">
+          <MarkdownAnswer text={entry.content} quotes={entry.quotes || []} />
+        </div>
+      )}
+
+      {editing ? (
+        <form onSubmit={saveChanges} className="mt-3 p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-2 text-xs">
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Etiquetes, separades per comes"
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+          />
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Nota"
+            rows={3}
+            maxLength={4000}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md resize-none focus:outline-none focus:ring-2 focus:ring-cte-primary"
+          />
+          <div className="flex items-center justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="px-3 py-1 text-gray-600 hover:text-gray-900 rounded-md"
+            >
+              Cancel·lar
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1 text-white bg-cte-primary hover:bg-cte-primary-dark rounded-md disabled:opacity-50"
+            >
+              Desar
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          {entry.note && (
+            <p className="mt-3 px-3 py-2 rounded bg-yellow-50 text-sm text-gray-700 whitespace-pre-line">{entry.note}</p>
+          )}
+          {entry.tags.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-1">
+              {entry.tags.map(tag => (
+                <span key={tag} className="px-1.5 py-0.5 rounded bg-gray-100 text-[11px] text-gray-600">#{tag}</span>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="mt-3 pt-3 border-t border-gray-100 flex flex-wrap items-center justify-between gap-2 text-xs">
+        <div className="flex flex-wrap items-center gap-1">
+          {entry.projectIds.map(projectId => (
+            <span key={projectId} className="inline-flex items-center px-1.5 py-0.5 rounded bg-blue-50 text-blue-800">
+              {projectTitles[projectId] || 'Projecte'}
+              <button
+                type="button"
+                onClick={() => detach(projectId)}
+                disabled={saving}
+                className="ml-1 text-blue-400 hover:text-blue-700"
+                title="Treure del projecte"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          {projects.some(project => !entry.projectIds.includes(project.id)) && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && attach(e.target.value)}
+              disabled={saving}
+              className="px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-600 focus:outline-none focus:ring-2 focus:ring-cte-primary"
+            >
+              <option value="">Afegir a un projecte…</option>
+              {projects
+                .filter(project => !entry.projectIds.includes(project.id))
+                .map(project => (
+                  <option key={project.id} value={project.id}>{project.title}</option>
+                ))}
+            </select>
+          )}
+        </div>
+        <div className="flex items-center space-x-3">
+          {!editing && (
+            <button type="button" onClick={startEditing} className="text-gray-600 hover:text-gray-900">
+              Editar etiquetes i nota
+            </button>
+          )}
+          <button type="button" onClick={remove} disabled={saving} className="text-red-600 hover:text-red-800">
+            Eliminar
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * NotebookPage Component
+ *
+ * The user's norm notebook: answers and cited sources pinned from the chats.
+ * Features:
+ * - Accent-insensitive search on the question, text, note, tags and documents
+ * - Filters by tag, by kind (answers or quotes) and by project
+ * - Edit tags and notes, attach entries to projects, open the original chat
+ */
+const NotebookPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [tag, setTag] = useState('');
+  const [kind, setKind] = useState('');
+  const [projectFilter, setProjectFilter] = useState('');
+
+  useEffect(() => {
+    const loadNotebook = async () => {
+      try {
+        const [loadedEntries, { data: projectRows, error: projectsError }] = await Promise.all([
+          listNotebookEntries(),
+          supabase.from('projects').select('id, title').order('title', { ascending: true })
+        ]);
+        if (projectsError) throw projectsError;
+        setEntries(loadedEntries);
+        setProjects(projectRows || []);
+      } catch (err) {
+        console.error('Error loading notebook:', err);
+        setError('No s\'ha pogut carregar el quadern. Si us plau, torna-ho a provar.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadNotebook();
+  }, []);
+
+  // Tags by number of entries
+  const tagCounts = useMemo(() => {
+    const counts = {};
+    entries.forEach(entry => entry.tags.forEach(entryTag => { counts[entryTag] = (counts[entryTag] || 0) + 1; }));
+    return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'ca'));
+  }, [entries]);
+
+  const filtered = useMemo(() => {
+    const query = foldText(search.trim());
+    return entries.filter(entry =>
+      (!tag || entry.tags.includes(tag))
+      && (!kind || entry.kind === kind)
+      && (!projectFilter
+        || (projectFilter === 'none' ? entry.projectIds.length === 0 : entry.projectIds.includes(projectFilter)))
+      && (!query || getSearchableText(entry).includes(query))
+    );
+  }, [entries, search, tag, kind, projectFilter]);
+
+  const handleUpdated = (updated) => {
+    setEntries(prev => prev.map(entry => (entry.id === updated.id ? updated : entry)));
+  };
+
+  const handleDeleted = (id) => {
+    setEntries(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+        {/* Header */}
+        <div className="mb-6">
+          <h1 className="text-3xl font-bold text-gray-900">
+            Quadern
+          </h1>
+          <p className="mt-2 text-sm text-gray-600">
+            Les respostes i cites que has desat des dels xats, amb les teves etiquetes i notes.
+          </p>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 space-y-3">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="p. ex. alçada barana, amplada evacuació"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cte-primary focus:border-cte-primary"
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+            <select
+              value={kind}
+              onChange={(e) => setKind(e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+            >
+              <option value="">Respostes i cites</option>
+              <option value="answer">Només respostes</option>
+              <option value="quote">Només cites</option>
+            </select>
+            <select
+              value={projectFilter}
+              onChange={(e) => setProjectFilter(e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-cte-primary"
+            >
+              <option value="">Tots els projectes</option>
+              <option value="none">Sense projecte</option>
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.title}</option>
+              ))}
+            </select>
+          </div>
+          {tagCounts.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {tagCounts.map(([entryTag, count]) => (
+                <button
+                  key={entryTag}
+                  type="button"
+                  onClick={() => setTag(tag === entryTag ? '' : entryTag)}
+                  className={`px-2 py-0.5 rounded-full text-xs transition ${
+                    tag === entryTag ? 'bg-cte-primary text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  #{entryTag} <span className="opacity-75">({count})</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        {/* Entries */}
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-cte-primary mx-auto mb-3"></div>
+            <p className="text-sm text-gray-600">Carregant...</p>
+          </div>
+        ) : !error && entries.length === 0 ? (
+          <p className="text-center text-sm text-gray-500 py-12">
+            El quadern és buit. Desa respostes i cites amb el botó de marcador sota cada resposta dels xats.
+          </p>
+        ) : !error && filtered.length === 0 ? (
+          <p className="text-center text-sm text-gray-500 py-12">
+            Cap entrada coincideix amb els filtres.
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {filtered.map(entry => (
+              <NotebookEntryCard
+                key={entry.id}
+                entry={entry}
+                projects={projects}
+                onUpdated={handleUpdated}
+                onDeleted={handleDeleted}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NotebookPage;
@@ -2,12 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { supabase } from '../supabaseClient';
 import ProjectChat from '../components/ProjectChat';
+import ProjectNotebookPanel from '../components/ProjectNotebookPanel';
 
 /**
  * ProjectChatPage Component for ArquiNorma
  * 
  * This page handles chat conversations within a specific project context.
  * Uses the ProjectChat component for persistent messaging with the backend.
+ * The notebook entries attached to the project open in a panel above the chat.
  */
 
 const ProjectChatPage = () => {
@@ -19,6 +21,7 @@ const ProjectChatPage = () => {
   const [project, setProject] = useState(null);
   const [isLoadingProject, setIsLoadingProject] = useState(true);
   const [error, setError] = useState(null);
+  const [showNotebook, setShowNotebook] = useState(false);
 
   /**
    * Load project data from Supabase
@@ -137,6 +140,18 @@ const ProjectChatPage = () => {
               <span className="text-xs text-gray-500">
                 {project?.status === 'active' ? 'Actiu' : project?.status}
               </span>
+              <button
+                onClick={() => setShowNotebook(!showNotebook)}
+                className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors duration-200 flex items-center ${
+                  showNotebook ? 'bg-cte-primary text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                }`}
+                aria-expanded={showNotebook}
+              >
+                <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"></path>
+                </svg>
+                Quadern
+              </button>
               <button
                 onClick={() => navigate('/projects')}
                 className="px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md text-sm font-medium transition-colors duration-200 flex items-center"
@@ -151,9 +166,12 @@ const ProjectChatPage = () => {
         </div>
       </div>
 
+      {/* Notebook entries attached to the project */}
+      {showNotebook && <ProjectNotebookPanel projectId={projectId} />}
+
       {/* Chat Container - Use the persistent ProjectChat component */}
       <div className="flex-1">
-        <ProjectChat projectId={projectId} />
+        <ProjectChat projectId={projectId} project={project} />
       </div>
     </div>
   );
@@ -0,0 +1,174 @@
+/**
+ * Answer Versions Service
+ *
+ * Regenerated and edited answers kept as versions of the same chat turn
+ * (message_versions table, see migration 032). Version 1 is the original
+ * assistant message; versions 2+ are stored here by the original message id.
+ * Also holds the word and citation diff used to compare two versions.
+ */
+
+import { supabase } from '../supabaseClient';
+
+// Word diffs above this many token comparisons fall back to a line diff
+const MAX_WORD_DIFF_CELLS = 1000000;
+
+/**
+ * Map a message_versions row to the version shape used by the chats
+ * @param {Object} row - message_versions row
+ * @returns {Object} { version, question, text, quotes, confidence, verification, queryLogId, createdAt }
+ */
+const toVersion = (row) => ({
+  version: row.version,
+  question: row.question,
+  text: row.content,
+  quotes: row.quotes || [],
+  confidence: row.confidence,
+  verification: row.verification,
+  queryLogId: row.query_log_id,
+  createdAt: row.created_at
+});
+
+/**
+ * Load the stored versions (2+) of a set of assistant messages
+ * @param {string} source - 'cte' or 'project'
+ * @param {Array<string>} messageIds - Assistant message ids
+ * @returns {Promise<Object>} Versions sorted by number, keyed by message id
+ */
+export const getAnswerVersions = async (source, messageIds) => {
+  if (!messageIds.length) return {};
+
+  const { data, error } = await supabase
+    .from('message_versions')
+    .select('*')
+    .eq('source', source)
+    .in('message_id', messageIds)
+    .order('version', { ascending: true });
+
+  if (error) throw error;
+
+  const versionsByMessage = {};
+  for (const row of data || []) {
+    (versionsByMessage[row.message_id] ||= []).push(toVersion(row));
+  }
+  return versionsByMessage;
+};
+
+/**
+ * Store a new version of an answer
+ * @param {Object} version
+ * @param {string} version.source - 'cte' or 'project'
+ * @param {string} version.messageId - Original assistant message id
+ * @param {number} version.version - Version number (2+)
+ * @param {string} version.question - Question this version answers
+ * @param {string} version.text - Answer text
+ * @param {Array} [version.quotes] - Cited sources
+ * @param {string} [version.confidence] - Confidence label
+ * @param {Object} [version.verification] - Quote check from /api/ask
+ * @param {string} [version.queryLogId] - query_logs id of the answer
+ * @returns {Promise<Object>} Saved version
+ */
+export const saveAnswerVersion = async ({ source, messageId, version, question, text, quotes, confidence, verification, queryLogId }) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('No autenticat');
+
+  const { data, error } = await supabase
+    .from('message_versions')
+    .insert({
+      user_id: user.id,
+      source,
+      message_id: messageId,
+      version,
+      question,
+      content: text,
+      quotes: quotes || [],
+      confidence: confidence || null,
+      verification: verification || null,
+      query_log_id: queryLogId || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return toVersion(data);
+};
+
+/**
+ * Longest-common-subsequence diff of two token lists
+ * @returns {{before: Array<{text: string, changed: boolean}>, after: Array<{text: string, changed: boolean}>}}
+ */
+const diffTokens = (beforeTokens, afterTokens) => {
+  const rows = beforeTokens.length;
+  const cols = afterTokens.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = beforeTokens[i] === afterTokens[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const before = [];
+  const after = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && beforeTokens[i] === afterTokens[j]) {
+      before.push({ text: beforeTokens[i++], changed: false });
+      after.push({ text: afterTokens[j++], changed: false });
+    } else if (j < cols && (i === rows || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      after.push({ text: afterTokens[j++], changed: true });
+    } else {
+      before.push({ text: beforeTokens[i++], changed: true });
+    }
+  }
+  return { before, after };
+};
+
+/**
+ * Word-level diff of two answers (line-level for very long answers)
+ * @param {string} beforeText - Older version
+ * @param {string} afterText - Newer version
+ * @returns {{before: Array<{text: string, changed: boolean}>, after: Array<{text: string, changed: boolean}>}}
+ *   Segments of each text; `changed` marks words missing from the other one
+ */
+export const diffAnswerTexts = (beforeText = '', afterText = '') => {
+  const splitWords = (text) => text.split(/(?<=\s)/);
+  let beforeTokens = splitWords(beforeText);
+  let afterTokens = splitWords(afterText);
+
+  if (beforeTokens.length * afterTokens.length > MAX_WORD_DIFF_CELLS) {
+    const splitLines = (text) => text.split(/(?<=\n)/);
+    beforeTokens = splitLines(beforeText);
+    afterTokens = splitLines(afterText);
+  }
+
+  return diffTokens(beforeTokens, afterTokens);
+};
+
+/**
+ * Compare the sources cited by two versions (by document and page, since
+ * citation numbers are renumbered in every answer)
+ * @param {Array} beforeQuotes - Quotes of the older version
+ * @param {Array} afterQuotes - Quotes of the newer version
+ * @returns {{removed: Array, added: Array, shared: Array}}
+ */
+export const diffCitations = (beforeQuotes = [], afterQuotes = []) => {
+  const citationKey = (quote) => `${quote.document_title || ''}#${quote.page || ''}`;
+  const beforeKeys = new Set(beforeQuotes.map(citationKey));
+  const afterKeys = new Set(afterQuotes.map(citationKey));
+
+  return {
+    removed: beforeQuotes.filter(quote => !afterKeys.has(citationKey(quote))),
+    added: afterQuotes.filter(quote => !beforeKeys.has(citationKey(quote))),
+    shared: afterQuotes.filter(quote => beforeKeys.has(citationKey(quote)))
+  };
+};
+
+export default {
+  getAnswerVersions,
+  saveAnswerVersion,
+  diffAnswerTexts,
+  diffCitations,
+};
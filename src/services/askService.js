@@ -0,0 +1,234 @@
+/**
+ * Ask Service
+ *
+ * Client for the streaming mode of POST /api/ask.
+ * The endpoint answers with newline-delimited JSON events
+ * ([cache →] delta → [answer →] quotes → confidence → verification → [suggestions →] query_log → done) that are parsed here
+ * so pages only deal with callbacks and the final result.
+ */
+
+import { supabase } from '../supabaseClient';
+import { env } from '../config/env';
+
+/**
+ * Get the normalized /api/ask URL (no double slashes)
+ * @returns {string} Full URL of the ask endpoint
+ */
+export const getAskUrl = () => {
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  return `${baseUrl}/api/ask`;
+};
+
+/**
+ * Whether a quote points to a document the in-app PDF viewer can load
+ * (answers without a stored document URL carry "#")
+ * @param {Object} quote - Quote returned by /api/ask
+ * @returns {boolean}
+ */
+export const isViewableQuote = (quote) => /^(https?:|blob:)/.test(quote?.url || '');
+
+const CLIENT_FINGERPRINT_KEY = 'arquinorma_client_fingerprint';
+
+/**
+ * Get a random identifier for this browser, created on first use.
+ * /api/ask uses it (with the IP) to apply anonymous quotas.
+ * @returns {string|null} Fingerprint, or null if storage is unavailable
+ */
+export const getClientFingerprint = () => {
+  try {
+    let fingerprint = localStorage.getItem(CLIENT_FINGERPRINT_KEY);
+    if (!fingerprint) {
+      fingerprint = crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      localStorage.setItem(CLIENT_FINGERPRINT_KEY, fingerprint);
+    }
+    return fingerprint;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the rate limit headers of an /api/ask response
+ * @param {Response} response - Fetch response
+ * @returns {{retryAfter: number|null, limit: number|null, remaining: number|null, reset: Date|null}}
+ */
+const parseRateLimitHeaders = (response) => {
+  const toNumber = (value) => (value === null || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+  // Retry-After is either a number of seconds or an HTTP date
+  const retryAfterHeader = response.headers.get('Retry-After');
+  let retryAfter = toNumber(retryAfterHeader);
+  if (retryAfter === null && retryAfterHeader) {
+    const retryDate = Date.parse(retryAfterHeader);
+    retryAfter = isNaN(retryDate) ? null : Math.max(0, Math.ceil((retryDate - Date.now()) / 1000));
+  }
+
+  const reset = toNumber(response.headers.get('X-RateLimit-Reset'));
+  return {
+    retryAfter,
+    limit: toNumber(response.headers.get('X-RateLimit-Limit')),
+    remaining: toNumber(response.headers.get('X-RateLimit-Remaining')),
+    reset: reset === null ? null : new Date(reset * 1000),
+  };
+};
+
+/**
+ * Error thrown when /api/ask answers with a non-2xx status
+ */
+export class AskRequestError extends Error {
+  constructor(message, status, data = null, rateLimit = null) {
+    super(message);
+    this.name = 'AskRequestError';
+    this.status = status;
+    this.data = data;
+    this.rateLimit = rateLimit;
+    // Seconds to wait before asking again (429/503), from Retry-After
+    this.retryAfter = rateLimit?.retryAfter ?? null;
+  }
+}
+
+/**
+ * Stream an answer from /api/ask
+ *
+ * Signed-in users are identified by their access token (quota and tier are
+ * resolved on the server); without a session the question is anonymous.
+ *
+ * @param {Object} payload - Request body (question, locale, town_id, ...)
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Aborts the request ("stop generating")
+ * @param {Function} [options.onDelta] - Called with (textChunk, fullTextSoFar)
+ * @returns {Promise<{answer: string, quotes: Array, confidence: string|null, verification: Object|null, suggestions: Array<string>, queryLogId: string|null, cache: Object|null, rateLimit: Object|null, aborted: boolean}>}
+ *   `verification` is the server-side quote check and confidence details.
+ *   `rateLimit` is the caller's daily quota after this question
+ *   ({ limit, remaining, reset }, null fields for unlimited plans).
+ *   `suggestions` are follow-up questions proposed for the answer.
+ *   `cache` is set when the answer was reused from a similar earlier question:
+ *   { similarity, question, cachedAt }
+ */
+export const streamAsk = async (payload, { signal, onDelta } = {}) => {
+  const result = { answer: '', quotes: [], confidence: null, verification: null, suggestions: [], queryLogId: null, cache: null, rateLimit: null, aborted: false };
+
+  const { data: { session } } = await supabase.auth.getSession();
+
+  let response;
+  try {
+    response = await fetch(getAskUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/x-ndjson',
+        ...(session?.access_token && { 'Authorization': `Bearer ${session.access_token}` }),
+      },
+      body: JSON.stringify({ client_fingerprint: getClientFingerprint(), ...payload, stream: true }),
+      credentials: 'include', // Include cookies for CORS
+      signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { ...result, aborted: true };
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    let data = null;
+    try {
+      data = await response.json();
+    } catch {
+      // Body is not JSON, keep status text only
+    }
+    const message = data?.detail?.upgrade_message || data?.upgrade_message || data?.message || data?.error || response.statusText;
+    throw new AskRequestError(
+      message || `HTTP error! status: ${response.status}`,
+      response.status,
+      data,
+      parseRateLimitHeaders(response)
+    );
+  }
+
+  result.rateLimit = parseRateLimitHeaders(response);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false; // set by the 'done' event
+
+  const handleEvent = (event) => {
+    switch (event.type) {
+      case 'cache':
+        result.cache = {
+          similarity: event.similarity,
+          question: event.question,
+          cachedAt: event.cached_at
+        };
+        break;
+      case 'delta':
+        result.answer += event.text;
+        onDelta?.(event.text, result.answer);
+        break;
+      case 'answer':
+        // Final text after verification removed citation markers to missing fragments
+        result.answer = event.text;
+        onDelta?.('', result.answer);
+        break;
+      case 'quotes':
+        result.quotes = event.quotes || [];
+        break;
+      case 'confidence':
+        result.confidence = event.confidence;
+        break;
+      case 'verification':
+        result.verification = event.verification || null;
+        break;
+      case 'suggestions':
+        result.suggestions = event.suggestions || [];
+        break;
+      case 'query_log':
+        result.queryLogId = event.id;
+        break;
+      case 'done':
+        finished = true;
+        break;
+      case 'error':
+        throw new AskRequestError(event.message || 'Stream error', 500, event);
+      default:
+        break;
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) handleEvent(JSON.parse(line));
+      }
+    }
+
+    if (buffer.trim()) handleEvent(JSON.parse(buffer));
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { ...result, aborted: true };
+    }
+    throw error;
+  }
+
+  // A connection cut mid-answer ends the body without 'done': the answer is incomplete
+  if (!finished) {
+    throw new AskRequestError('The answer stream ended before it was complete', 502, { answer: result.answer });
+  }
+
+  return result;
+};
+
+export default {
+  getAskUrl,
+  getClientFingerprint,
+  isViewableQuote,
+  streamAsk,
+};
@@ -0,0 +1,93 @@
+/**
+ * Chat History Search Service
+ *
+ * Full-text search over the user's CTE conversations and project chats
+ * through the search_chat_history RPC (see migration 029). RLS limits
+ * results to the signed-in user's messages.
+ */
+
+import { supabase } from '../supabaseClient';
+
+// Highlight markers returned by the RPC around matched words
+const HIGHLIGHT_REGEX = /<mark>(.*?)<\/mark>/g;
+
+/**
+ * Turn a YYYY-MM-DD date input value into a timestamp at local midnight
+ * @param {string} date - Date input value
+ * @param {number} dayOffset - Days to add (1 makes an inclusive end date exclusive)
+ * @returns {string|null} ISO timestamp
+ */
+const toTimestamp = (date, dayOffset = 0) => {
+  if (!date) return null;
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day + dayOffset).toISOString();
+};
+
+/**
+ * Search the user's chat history
+ * @param {Object} params
+ * @param {string} params.query - Search text ("frase exacta", OR and -exclusió are supported)
+ * @param {string} [params.source] - 'cte', 'project' or empty for both
+ * @param {string} [params.projectId] - Restrict to one project
+ * @param {string} [params.from] - First day (YYYY-MM-DD, inclusive)
+ * @param {string} [params.to] - Last day (YYYY-MM-DD, inclusive)
+ * @param {string} [params.document] - Part of the title of a cited document
+ * @param {number} [params.limit] - Maximum number of results
+ * @returns {Promise<Array>} Matching messages, best match first
+ */
+export const searchChatHistory = async ({ query, source, projectId, from, to, document, limit = 50 }) => {
+  if (!query?.trim()) return [];
+
+  const { data, error } = await supabase.rpc('search_chat_history', {
+    search_query: query.trim(),
+    filter_source: projectId ? 'project' : (source || null),
+    filter_project_id: projectId || null,
+    date_from: toTimestamp(from),
+    date_to: toTimestamp(to, 1),
+    cited_document: document?.trim() || null,
+    match_count: limit
+  });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Split a highlighted snippet into plain and matched parts
+ * @param {string} snippet - Snippet with <mark>…</mark> markers
+ * @returns {Array<{text: string, match: boolean}>} Parts in order
+ */
+export const splitHighlightedSnippet = (snippet = '') => {
+  const parts = [];
+  let lastIndex = 0;
+  let match;
+
+  HIGHLIGHT_REGEX.lastIndex = 0;
+  while ((match = HIGHLIGHT_REGEX.exec(snippet)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push({ text: snippet.substring(lastIndex, match.index), match: false });
+    }
+    parts.push({ text: match[1], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < snippet.length) {
+    parts.push({ text: snippet.substring(lastIndex), match: false });
+  }
+  return parts;
+};
+
+/**
+ * Link that opens a search result in its chat, scrolled to the message
+ * @param {Object} result - Row returned by searchChatHistory
+ * @returns {string} Route path
+ */
+export const getResultLink = (result) =>
+  result.source === 'cte'
+    ? `/chat?conversation=${result.conversation_id}&message=${result.message_id}`
+    : `/projects/${result.project_id}/chat?message=${result.message_id}`;
+
+export default {
+  searchChatHistory,
+  splitHighlightedSnippet,
+  getResultLink,
+};
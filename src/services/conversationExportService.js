@@ -0,0 +1,303 @@
+/**
+ * Conversation Export Service
+ *
+ * Builds a report from a chat conversation (CTE chat or project chat) and
+ * exports it as PDF or DOCX, to attach regulatory justification to a
+ * project memory. The [n] citations of every answer are renumbered into a
+ * single bibliography (document title, page, link) for the whole report.
+ *
+ * jspdf and docx are loaded on demand so they stay out of the main bundle.
+ */
+
+const CONFIDENCE_LABELS = {
+  High: 'Alta',
+  Medium: 'Mitjana',
+  Low: 'Baixa'
+};
+
+// Page layout for the PDF, in millimetres
+const PDF_MARGIN = 20;
+const PDF_LINE_HEIGHT = 5;
+
+/**
+ * Convert answer markdown into plain text lines for the report
+ * @param {string} text - Answer text
+ * @returns {string} Plain text
+ */
+const toPlainText = (text = '') =>
+  text
+    .replace(/\r\n/g, '\n')
+    .replace(/^#{1,6}\s*/gm, '')
+    .replace(/\*\*(.*?)\*\*/g, '$1')
+    .replace(/__(.*?)__/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/^\s*[-*]\s+/gm, '• ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * Build the report for a conversation
+ * @param {Object} params
+ * @param {string} params.title - Report title (conversation or project title)
+ * @param {Object} [params.project] - Project header: { title, type, town, province, address }
+ * @param {Array<{role: string, text: string, quotes?: Array, confidence?: string}>} params.messages
+ *   Messages in chronological order; role is 'user' or 'assistant'
+ * @returns {Object} Report: { title, project, generatedAt, entries, bibliography }
+ */
+export const buildConversationReport = ({ title, project = null, messages }) => {
+  const bibliography = [];
+  const bibliographyIndex = new Map(); // "title|page" -> bibliography number
+
+  const entries = messages
+    .filter(message => message.text?.trim())
+    .map(message => {
+      if (message.role === 'user') {
+        return { role: 'user', text: message.text.trim() };
+      }
+
+      // Map this answer's [n] markers to bibliography numbers
+      const localToGlobal = new Map();
+      (message.quotes || []).forEach((quote, idx) => {
+        const key = `${quote.document_title || ''}|${quote.page || ''}`;
+        if (!bibliographyIndex.has(key)) {
+          bibliography.push({
+            number: bibliography.length + 1,
+            title: quote.document_title || 'Document desconegut',
+            page: quote.page || null,
+            url: /^https?:\/\//i.test(quote.url || '') ? quote.url : null
+          });
+          bibliographyIndex.set(key, bibliography.length);
+        }
+        localToGlobal.set(quote.id ?? idx + 1, bibliographyIndex.get(key));
+      });
+
+      const text = toPlainText(message.text).replace(/\[(\d{1,2})\]/g, (marker, n) =>
+        localToGlobal.has(Number(n)) ? `[${localToGlobal.get(Number(n))}]` : marker
+      );
+
+      return {
+        role: 'assistant',
+        text,
+        confidence: CONFIDENCE_LABELS[message.confidence] || null
+      };
+    });
+
+  return {
+    title: title || 'Conversa',
+    project,
+    generatedAt: new Date(),
+    entries,
+    bibliography
+  };
+};
+
+/**
+ * Project header lines shown under the report title
+ * @param {Object|null} project - Project header
+ * @returns {Array<[string, string]>} Label/value pairs
+ */
+const getProjectLines = (project) => {
+  if (!project) return [];
+  return [
+    ['Projecte', project.title],
+    ['Tipus', project.type],
+    ['Municipi', [project.town, project.province].filter(Boolean).join(', ')],
+    ['Adreça', project.address]
+  ].filter(([, value]) => value);
+};
+
+/**
+ * File name for an exported report
+ * @param {Object} report - Report from buildConversationReport
+ * @param {string} extension - 'pdf' or 'docx'
+ * @returns {string} File name
+ */
+const getFileName = (report, extension) => {
+  const slug = report.title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60) || 'conversa';
+  const date = report.generatedAt.toISOString().slice(0, 10);
+  return `arquinorma-${slug}-${date}.${extension}`;
+};
+
+/**
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Download name
+ */
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Export a report as PDF
+ * @param {Object} report - Report from buildConversationReport
+ */
+export const exportConversationPdf = async (report) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const textWidth = pageWidth - PDF_MARGIN * 2;
+  let y = PDF_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PDF_MARGIN) {
+      doc.addPage();
+      y = PDF_MARGIN;
+    }
+  };
+
+  const writeText = (text, { size = 10, style = 'normal', color = 20, indent = 0 } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lineHeight = Math.max(PDF_LINE_HEIGHT, size * 0.45);
+    doc.splitTextToSize(text, textWidth - indent).forEach(line => {
+      ensureSpace(lineHeight);
+      doc.text(line, PDF_MARGIN + indent, y);
+      y += lineHeight;
+    });
+  };
+
+  // Header
+  writeText(report.title, { size: 16, style: 'bold' });
+  y += 1;
+  getProjectLines(report.project).forEach(([label, value]) => {
+    writeText(`${label}: ${value}`, { size: 10, color: 60 });
+  });
+  writeText(`Generat per ArquiNorma el ${report.generatedAt.toLocaleString('ca-ES')}`, { size: 8, color: 120 });
+  y += 2;
+  doc.setDrawColor(200);
+  doc.line(PDF_MARGIN, y, pageWidth - PDF_MARGIN, y);
+  y += 6;
+
+  // Questions and answers
+  report.entries.forEach(entry => {
+    ensureSpace(PDF_LINE_HEIGHT * 3);
+    if (entry.role === 'user') {
+      writeText('Pregunta', { size: 9, style: 'bold', color: 120 });
+      writeText(entry.text, { size: 11, style: 'bold' });
+    } else {
+      writeText('Resposta', { size: 9, style: 'bold', color: 120 });
+      writeText(entry.text, { size: 10 });
+      if (entry.confidence) {
+        writeText(`Nivell de confiança: ${entry.confidence}`, { size: 8, style: 'italic', color: 100 });
+      }
+    }
+    y += 4;
+  });
+
+  // Bibliography
+  if (report.bibliography.length > 0) {
+    ensureSpace(PDF_LINE_HEIGHT * 4);
+    y += 2;
+    writeText('Bibliografia', { size: 13, style: 'bold' });
+    y += 1;
+    report.bibliography.forEach(source => {
+      writeText(`[${source.number}] ${source.title}${source.page ? `, pàg. ${source.page}` : ''}`, { size: 9 });
+      if (source.url) {
+        doc.setFontSize(8);
+        doc.setTextColor(37, 99, 235);
+        doc.splitTextToSize(source.url, textWidth - 6).forEach(line => {
+          ensureSpace(PDF_LINE_HEIGHT);
+          doc.textWithLink(line, PDF_MARGIN + 6, y, { url: source.url });
+          y += PDF_LINE_HEIGHT - 1;
+        });
+      }
+      y += 1;
+    });
+  }
+
+  downloadBlob(doc.output('blob'), getFileName(report, 'pdf'));
+};
+
+/**
+ * Export a report as DOCX
+ * @param {Object} report - Report from buildConversationReport
+ */
+export const exportConversationDocx = async (report) => {
+  const {
+    Document, Packer, Paragraph, TextRun, HeadingLevel, ExternalHyperlink, BorderStyle
+  } = await import('docx');
+
+  // Keep paragraph breaks of the answer as separate paragraphs
+  const textParagraphs = (text, runOptions = {}) =>
+    text.split('\n').map(line => new Paragraph({
+      children: [new TextRun({ text: line, ...runOptions })],
+      spacing: { after: 60 }
+    }));
+
+  const label = (text) => new Paragraph({
+    children: [new TextRun({ text, bold: true, size: 18, color: '777777' })],
+    spacing: { before: 240, after: 60 }
+  });
+
+  const children = [
+    new Paragraph({ text: report.title, heading: HeadingLevel.TITLE }),
+    ...getProjectLines(report.project).map(([name, value]) => new Paragraph({
+      children: [new TextRun({ text: `${name}: `, bold: true }), new TextRun(value)]
+    })),
+    new Paragraph({
+      children: [new TextRun({
+        text: `Generat per ArquiNorma el ${report.generatedAt.toLocaleString('ca-ES')}`,
+        size: 16,
+        color: '888888'
+      })],
+      border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'CCCCCC', space: 4 } },
+      spacing: { after: 240 }
+    })
+  ];
+
+  report.entries.forEach(entry => {
+    if (entry.role === 'user') {
+      children.push(label('Pregunta'), ...textParagraphs(entry.text, { bold: true }));
+    } else {
+      children.push(label('Resposta'), ...textParagraphs(entry.text));
+      if (entry.confidence) {
+        children.push(new Paragraph({
+          children: [new TextRun({ text: `Nivell de confiança: ${entry.confidence}`, italics: true, size: 16, color: '666666' })]
+        }));
+      }
+    }
+  });
+
+  if (report.bibliography.length > 0) {
+    children.push(new Paragraph({ text: 'Bibliografia', heading: HeadingLevel.HEADING_1, spacing: { before: 360 } }));
+    report.bibliography.forEach(source => {
+      const runs = [new TextRun(`[${source.number}] ${source.title}${source.page ? `, pàg. ${source.page}` : ''}`)];
+      if (source.url) {
+        runs.push(
+          new TextRun(' — '),
+          new ExternalHyperlink({ link: source.url, children: [new TextRun({ text: source.url, style: 'Hyperlink' })] })
+        );
+      }
+      children.push(new Paragraph({ children: runs, spacing: { after: 80 } }));
+    });
+  }
+
+  const doc = new Document({
+    creator: 'ArquiNorma',
+    title: report.title,
+    sections: [{ children }]
+  });
+
+  downloadBlob(await Packer.toBlob(doc), getFileName(report, 'docx'));
+};
+
+export default {
+  buildConversationReport,
+  exportConversationPdf,
+  exportConversationDocx,
+};
@@ -0,0 +1,214 @@
+/**
+ * CTE Conversations Service
+ *
+ * Named CTE chat conversations and their messages, stored in the
+ * cte_conversations / cte_conversation_messages tables (see migration 028).
+ * RLS limits every query to the signed-in user's rows.
+ */
+
+import { supabase } from '../supabaseClient';
+
+// Longest auto-generated title, in characters
+const MAX_TITLE_LENGTH = 60;
+
+/**
+ * Build a conversation title from its first question
+ * ("Quina amplada mínima ha de tenir un passadís d'evacuació en una escola?"
+ * → "Quina amplada mínima ha de tenir un passadís d'evacuació en…")
+ * @param {string} question - First question of the conversation
+ * @returns {string} Title
+ */
+export const buildConversationTitle = (question) => {
+  const text = (question || '').replace(/\s+/g, ' ').trim().replace(/[?¿!¡.\s]+$/, '').replace(/^[¿¡]/, '');
+  if (text.length <= MAX_TITLE_LENGTH) return text || 'Conversa nova';
+
+  const cut = text.slice(0, MAX_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > MAX_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+/**
+ * List the user's conversations, most recently active first
+ * @returns {Promise<Array>} Conversations (archived ones included)
+ */
+export const listConversations = async () => {
+  const { data, error } = await supabase
+    .from('cte_conversations')
+    .select('*')
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Create a conversation
+ * @param {string} title - Conversation title
+ * @returns {Promise<Object>} Created conversation
+ */
+export const createConversation = async (title) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('No autenticat');
+
+  const { data, error } = await supabase
+    .from('cte_conversations')
+    .insert([{ user_id: user.id, title }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Update a conversation's title or archive state
+ * @param {string} conversationId - Conversation id
+ * @param {Object} changes - Columns to update (title, archived_at)
+ * @returns {Promise<Object>} Updated conversation
+ */
+const updateConversation = async (conversationId, changes) => {
+  const { data, error } = await supabase
+    .from('cte_conversations')
+    .update(changes)
+    .eq('id', conversationId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Rename a conversation
+ * @param {string} conversationId - Conversation id
+ * @param {string} title - New title
+ * @returns {Promise<Object>} Updated conversation
+ */
+export const renameConversation = (conversationId, title) =>
+  updateConversation(conversationId, { title: title.trim() });
+
+/**
+ * Archive or restore a conversation
+ * @param {string} conversationId - Conversation id
+ * @param {boolean} archived - Whether the conversation is archived
+ * @returns {Promise<Object>} Updated conversation
+ */
+export const setConversationArchived = (conversationId, archived) =>
+  updateConversation(conversationId, { archived_at: archived ? new Date().toISOString() : null });
+
+/**
+ * Delete a conversation and all its messages
+ * @param {string} conversationId - Conversation id
+ */
+export const deleteConversation = async (conversationId) => {
+  const { error } = await supabase
+    .from('cte_conversations')
+    .delete()
+    .eq('id', conversationId);
+
+  if (error) throw error;
+};
+
+/**
+ * List the messages of a conversation in chronological order
+ * @param {string} conversationId - Conversation id
+ * @returns {Promise<Array>} Messages
+ */
+export const listConversationMessages = async (conversationId) => {
+  const { data, error } = await supabase
+    .from('cte_conversation_messages')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Add messages to a conversation
+ * @param {string} conversationId - Conversation id
+ * @param {Array<{role: string, content: string, quotes?: Array, confidence?: string, verification?: Object, query_log_id?: string, created_at?: string}>} messages
+ * @returns {Promise<Array>} Saved messages
+ */
+export const addConversationMessages = async (conversationId, messages) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('No autenticat');
+
+  const { data, error } = await supabase
+    .from('cte_conversation_messages')
+    .insert(messages.map(message => ({
+      conversation_id: conversationId,
+      user_id: user.id,
+      role: message.role,
+      content: message.content,
+      quotes: message.quotes || [],
+      confidence: message.confidence || null,
+      verification: message.verification || null,
+      query_log_id: message.query_log_id || null,
+      ...(message.created_at && { created_at: message.created_at })
+    })))
+    .select();
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Delete a single message
+ * @param {string} messageId - Message id
+ */
+export const deleteConversationMessage = async (messageId) => {
+  const { error } = await supabase
+    .from('cte_conversation_messages')
+    .delete()
+    .eq('id', messageId);
+
+  if (error) throw error;
+};
+
+/**
+ * Delete every message of a conversation, keeping the conversation
+ * @param {string} conversationId - Conversation id
+ */
+export const clearConversationMessages = async (conversationId) => {
+  const { error } = await supabase
+    .from('cte_conversation_messages')
+    .delete()
+    .eq('conversation_id', conversationId);
+
+  if (error) throw error;
+};
+
+/**
+ * Move the single history from GET /api/cte/messages into a conversation
+ * @param {Array} legacyMessages - Messages as returned by /api/cte/messages
+ * @returns {Promise<Object|null>} Created conversation, or null if there was nothing to import
+ */
+export const importLegacyMessages = async (legacyMessages) => {
+  if (!legacyMessages?.length) return null;
+
+  const conversation = await createConversation('Historial anterior');
+  await addConversationMessages(conversation.id, legacyMessages.map(message => ({
+    role: message.role === 'user' ? 'user' : 'assistant',
+    content: message.content,
+    quotes: message.quotes,
+    confidence: message.confidence,
+    created_at: message.created_at
+  })));
+  return conversation;
+};
+
+export default {
+  buildConversationTitle,
+  listConversations,
+  createConversation,
+  renameConversation,
+  setConversationArchived,
+  deleteConversation,
+  listConversationMessages,
+  addConversationMessages,
+  deleteConversationMessage,
+  clearConversationMessages,
+  importLegacyMessages,
+};
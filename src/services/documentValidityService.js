@@ -0,0 +1,83 @@
+/**
+ * Document Validity Service
+ *
+ * Effective period and "supersedes" link of the indexed documents (see
+ * migration 036). /api/ask uses them to prefer the versions in force and to
+ * flag quotes from derogated texts; staff edit them through the
+ * /api/admin/documents serverless function.
+ */
+
+import { supabase } from '../supabaseClient';
+import { env } from '../config/env';
+
+/**
+ * Call the staff documents endpoint with the user's access token
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} JSON response
+ */
+const fetchAdminDocuments = async (options = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('No autenticat');
+
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const response = await fetch(`${baseUrl}/api/admin/documents`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * List the documents with their validity (staff)
+ * @returns {Promise<Array>} Documents ({ id, title, town_id, effective_from, effective_to, supersedes_document_id })
+ */
+export const listDocumentValidity = async () => {
+  const data = await fetchAdminDocuments();
+  return data.documents || [];
+};
+
+/**
+ * Update the validity of a document (staff)
+ * @param {string} id - Document id
+ * @param {Object} changes - { effective_from, effective_to, supersedes_document_id } (YYYY-MM-DD dates, null to clear)
+ * @returns {Promise<Object>} Updated document
+ */
+export const updateDocumentValidity = async (id, changes) => {
+  const data = await fetchAdminDocuments({
+    method: 'PATCH',
+    body: JSON.stringify({ id, ...changes })
+  });
+  return data.document;
+};
+
+/**
+ * Format a YYYY-MM-DD date for display
+ * @param {string|null} date - Date
+ * @returns {string|null} Localized date, or null
+ */
+export const formatValidityDate = (date) => (
+  date ? new Date(`${date}T00:00:00`).toLocaleDateString('ca-ES') : null
+);
+
+/**
+ * Whether a quote comes from a document that was not in force at the answer's date
+ * @param {Object} quote - Quote returned by /api/ask
+ * @returns {boolean}
+ */
+export const isOutdatedQuote = (quote) => Boolean(quote?.validity) && quote.validity.status !== 'in_force';
+
+export default {
+  listDocumentValidity,
+  updateDocumentValidity,
+  formatValidityDate,
+  isOutdatedQuote,
+};
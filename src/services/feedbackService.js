@@ -0,0 +1,161 @@
+/**
+ * Feedback Service
+ *
+ * Thumbs up/down feedback on assistant answers (answer_feedback table, see
+ * migration 030). Users write their own votes through Supabase; the staff
+ * review queue goes through the /api/admin/feedback serverless function.
+ */
+
+import { supabase } from '../supabaseClient';
+import { env } from '../config/env';
+
+export const FEEDBACK_REASONS = [
+  { id: 'wrong_article', label: 'Article incorrecte' },
+  { id: 'outdated_norm', label: 'Norma derogada o desactualitzada' },
+  { id: 'missing_source', label: 'Falta la font' },
+  { id: 'hallucination', label: 'Informació inventada' }
+];
+
+/**
+ * Label of a feedback reason
+ * @param {string} reasonId - Reason id
+ * @returns {string} Catalan label
+ */
+export const getReasonLabel = (reasonId) =>
+  FEEDBACK_REASONS.find(reason => reason.id === reasonId)?.label || reasonId;
+
+/**
+ * Load the user's feedback for a set of messages
+ * @param {string} source - 'cte' or 'project'
+ * @param {Array<string>} messageIds - Message ids
+ * @returns {Promise<Object>} Feedback rows keyed by message id
+ */
+export const getMyFeedback = async (source, messageIds) => {
+  if (!messageIds.length) return {};
+
+  const { data, error } = await supabase
+    .from('answer_feedback')
+    .select('message_id, rating, reason, correction')
+    .eq('source', source)
+    .in('message_id', messageIds);
+
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(row => [row.message_id, row]));
+};
+
+/**
+ * Save (or change) the user's vote on an answer
+ * @param {Object} feedback
+ * @param {string} feedback.source - 'cte' or 'project'
+ * @param {string} feedback.messageId - Assistant message id
+ * @param {string} [feedback.queryLogId] - query_logs id of the answer, when known
+ * @param {string} [feedback.question] - Question that was answered
+ * @param {string} feedback.answer - Answer text
+ * @param {string} feedback.rating - 'up' or 'down'
+ * @param {string} [feedback.reason] - One of FEEDBACK_REASONS (thumbs down only)
+ * @param {string} [feedback.correction] - Free-text correction
+ * @returns {Promise<Object>} Saved feedback
+ */
+export const submitAnswerFeedback = async ({ source, messageId, queryLogId, question, answer, rating, reason, correction }) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('No autenticat');
+
+  const { data, error } = await supabase
+    .from('answer_feedback')
+    .upsert({
+      user_id: user.id,
+      source,
+      message_id: messageId,
+      query_log_id: queryLogId || null,
+      question: question?.substring(0, 2000) || null,
+      answer: answer?.substring(0, 10000) || null,
+      rating,
+      reason: rating === 'down' ? reason || null : null,
+      correction: correction?.trim() || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id,source,message_id' })
+    .select('message_id, rating, reason, correction')
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Remove the user's vote on an answer
+ * @param {string} source - 'cte' or 'project'
+ * @param {string} messageId - Assistant message id
+ */
+export const deleteAnswerFeedback = async (source, messageId) => {
+  const { error } = await supabase
+    .from('answer_feedback')
+    .delete()
+    .eq('source', source)
+    .eq('message_id', messageId);
+
+  if (error) throw error;
+};
+
+/**
+ * Call the staff feedback endpoint with the user's access token
+ * @param {string} path - Path and query string after /api/admin/feedback
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} JSON response
+ */
+const fetchAdminFeedback = async (path, options = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('No autenticat');
+
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const response = await fetch(`${baseUrl}/api/admin/feedback${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * List feedback for staff review
+ * @param {Object} filters - { status: 'open'|'resolved'|'all', rating, reason }
+ * @returns {Promise<{feedback: Array, counts: {open: number, resolved: number}}>}
+ */
+export const listFeedbackForReview = (filters = {}) => {
+  const params = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value)
+  );
+  return fetchAdminFeedback(`?${params.toString()}`);
+};
+
+/**
+ * Resolve or reopen a feedback item (staff)
+ * @param {string} id - Feedback id
+ * @param {string} status - 'open' or 'resolved'
+ * @param {string} [staffNote] - Triage note
+ * @returns {Promise<Object>} Updated feedback
+ */
+export const updateFeedbackStatus = async (id, status, staffNote) => {
+  const data = await fetchAdminFeedback('', {
+    method: 'PATCH',
+    body: JSON.stringify({ id, status, staff_note: staffNote })
+  });
+  return data.feedback;
+};
+
+export default {
+  FEEDBACK_REASONS,
+  getReasonLabel,
+  getMyFeedback,
+  submitAnswerFeedback,
+  deleteAnswerFeedback,
+  listFeedbackForReview,
+  updateFeedbackStatus,
+};
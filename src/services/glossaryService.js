@@ -0,0 +1,123 @@
+/**
+ * Glossary Service
+ *
+ * Abbreviations and terms of the CTE, planning and building practice, with
+ * their definition and synonyms in Catalan and Spanish (glossary_terms table,
+ * see migration 037). /api/ask uses them to expand questions before
+ * retrieval. Everyone reads the active terms through Supabase; staff edit
+ * the glossary through the /api/admin/glossary serverless function.
+ */
+
+import { supabase } from '../supabaseClient';
+import { env } from '../config/env';
+
+export const GLOSSARY_CATEGORIES = [
+  { id: 'cte', label: 'Codi Tècnic' },
+  { id: 'planning', label: 'Planejament' },
+  { id: 'regulation', label: 'Altres normatives' },
+  { id: 'construction', label: 'Termes constructius' }
+];
+
+/**
+ * Get the label of a glossary category
+ * @param {string} categoryId - Category id
+ * @returns {string} Label
+ */
+export const getCategoryLabel = (categoryId) =>
+  GLOSSARY_CATEGORIES.find(category => category.id === categoryId)?.label || categoryId;
+
+/**
+ * Load the active glossary terms, alphabetically
+ * @returns {Promise<Array>} Terms ({ id, term, definition, synonyms, description, category })
+ */
+export const getGlossary = async () => {
+  const { data, error } = await supabase
+    .from('glossary_terms')
+    .select('id, term, definition, synonyms, description, category')
+    .eq('active', true)
+    .order('term', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Call the staff glossary endpoint with the user's access token
+ * @param {string} path - Path and query string after /api/admin/glossary
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} JSON response
+ */
+const fetchAdminGlossary = async (path, options = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('No autenticat');
+
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const response = await fetch(`${baseUrl}/api/admin/glossary${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * List every glossary term, inactive ones included (staff)
+ * @returns {Promise<Array>} glossary_terms rows
+ */
+export const listAllGlossaryTerms = async () => {
+  const data = await fetchAdminGlossary('');
+  return data.terms || [];
+};
+
+/**
+ * Add a glossary term (staff)
+ * @param {Object} term - { term, definition, synonyms?, description?, category?, case_sensitive?, active? }
+ * @returns {Promise<Object>} Created row
+ */
+export const createGlossaryTerm = async (term) => {
+  const data = await fetchAdminGlossary('', {
+    method: 'POST',
+    body: JSON.stringify(term)
+  });
+  return data.term;
+};
+
+/**
+ * Change a glossary term (staff)
+ * @param {string} id - Glossary term id
+ * @param {Object} changes - Any of term, definition, synonyms, description, category, case_sensitive, active
+ * @returns {Promise<Object>} Updated row
+ */
+export const updateGlossaryTerm = async (id, changes) => {
+  const data = await fetchAdminGlossary('', {
+    method: 'PATCH',
+    body: JSON.stringify({ id, ...changes })
+  });
+  return data.term;
+};
+
+/**
+ * Delete a glossary term (staff)
+ * @param {string} id - Glossary term id
+ */
+export const deleteGlossaryTerm = async (id) => {
+  await fetchAdminGlossary(`?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+export default {
+  GLOSSARY_CATEGORIES,
+  getCategoryLabel,
+  getGlossary,
+  listAllGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+};
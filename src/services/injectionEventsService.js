@@ -0,0 +1,86 @@
+/**
+ * Injection Events Service
+ *
+ * Chunks in which /api/ask neutralised instruction-like text (suspected
+ * prompt injection, prompt_injection_events table, see migration 038).
+ * Staff read and review them through the /api/admin/injection-events
+ * serverless function.
+ */
+
+import { supabase } from '../supabaseClient';
+import { env } from '../config/env';
+
+export const INJECTION_STATUSES = [
+  { id: 'open', label: 'Pendents' },
+  { id: 'confirmed', label: 'Confirmats' },
+  { id: 'false_positive', label: 'Falsos positius' }
+];
+
+// Labels of the signals detected by api/_lib/promptInjection.ts
+export const INJECTION_SIGNAL_LABELS = {
+  override_instructions: 'Ordre d\'ignorar instruccions',
+  role_impersonation: 'Suplantació de rol',
+  prompt_exfiltration: 'Petició del prompt',
+  answer_manipulation: 'Manipulació de la resposta',
+  link_injection: 'Enllaç injectat',
+  delimiter_spoofing: 'Delimitador fals',
+  hidden_text: 'Text ocult'
+};
+
+/**
+ * Call the staff injection events endpoint with the user's access token
+ * @param {string} path - Path and query string after /api/admin/injection-events
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} JSON response
+ */
+const fetchAdminInjectionEvents = async (path, options = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('No autenticat');
+
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const response = await fetch(`${baseUrl}/api/admin/injection-events${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * List suspected injections, most recently seen first
+ * @param {string} status - open, confirmed, false_positive or all
+ * @returns {Promise<{events: Array, counts: Object}>}
+ */
+export const listInjectionEvents = async (status = 'open') => {
+  const data = await fetchAdminInjectionEvents(`?status=${encodeURIComponent(status)}`);
+  return { events: data.events || [], counts: data.counts || {} };
+};
+
+/**
+ * Mark a suspected injection as confirmed, false positive or open again
+ * @param {string} id - prompt_injection_events id
+ * @param {string} status - open, confirmed or false_positive
+ * @returns {Promise<Object>} Updated row
+ */
+export const reviewInjectionEvent = async (id, status) => {
+  const data = await fetchAdminInjectionEvents('', {
+    method: 'PATCH',
+    body: JSON.stringify({ id, status })
+  });
+  return data.event;
+};
+
+export default {
+  INJECTION_STATUSES,
+  INJECTION_SIGNAL_LABELS,
+  listInjectionEvents,
+  reviewInjectionEvent,
+};
@@ -0,0 +1,246 @@
+/**
+ * Notebook Service
+ *
+ * Personal "norm notebook": assistant answers and single cited sources pinned
+ * from the CTE chat and the project chat, with tags and a note
+ * (notebook_entries table, see migration 039). Entries can be attached to the
+ * user's projects (notebook_entry_projects) and are then listed on the
+ * project page. Everything goes through Supabase with the user's session.
+ */
+
+import { supabase } from '../supabaseClient';
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+const ENTRY_COLUMNS = '*, notebook_entry_projects(project_id)';
+
+/**
+ * Flatten the attached projects of a notebook_entries row
+ * @param {Object} row - Row selected with ENTRY_COLUMNS
+ * @returns {Object} Entry with projectIds
+ */
+const toEntry = ({ notebook_entry_projects: attached, ...row }) => ({
+  ...row,
+  projectIds: (attached || []).map(link => link.project_id)
+});
+
+/**
+ * Parse comma-separated tags: trimmed, lower case, without duplicates
+ * @param {string} text - e.g. "barana, SUA-1"
+ * @returns {Array<string>} Tags
+ */
+export const parseTags = (text) => [...new Set(
+  (text || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase().replace(/^#/, '').substring(0, MAX_TAG_LENGTH))
+    .filter(Boolean)
+)].slice(0, MAX_TAGS);
+
+/**
+ * Key of a pinned answer or quote within its message
+ * @param {number|null} quoteId - Citation number, null for the whole answer
+ * @returns {string}
+ */
+export const getPinKey = (quoteId) => (quoteId ? `quote:${quoteId}` : 'answer');
+
+/**
+ * Link back to the chat message an entry was pinned from
+ * @param {Object} entry - Notebook entry
+ * @returns {string|null} Route, or null when the chat is unknown
+ */
+export const getEntrySourceLink = (entry) => {
+  if (entry.source === 'cte') {
+    return entry.conversation_id ? `/chat?conversation=${entry.conversation_id}&message=${entry.message_id}` : null;
+  }
+  return entry.chat_project_id ? `/projects/${entry.chat_project_id}/chat?message=${entry.message_id}` : null;
+};
+
+/**
+ * Load the user's notebook, newest first
+ * @returns {Promise<Array>} Entries with projectIds
+ */
+export const listNotebookEntries = async () => {
+  const { data, error } = await supabase
+    .from('notebook_entries')
+    .select(ENTRY_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toEntry);
+};
+
+/**
+ * Load the entries attached to a project, newest first
+ * @param {string} projectId - Project id
+ * @returns {Promise<Array>} Entries (projectIds only lists this project)
+ */
+export const listProjectNotebookEntries = async (projectId) => {
+  const { data, error } = await supabase
+    .from('notebook_entries')
+    .select('*, notebook_entry_projects!inner(project_id)')
+    .eq('notebook_entry_projects.project_id', projectId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toEntry);
+};
+
+/**
+ * Which answers and quotes of a set of messages are already pinned
+ * @param {string} source - 'cte' or 'project'
+ * @param {Array<string>} messageIds - Assistant message ids
+ * @returns {Promise<Object>} { [messageId]: { [pinKey]: entryId } }
+ */
+export const getPinnedEntries = async (source, messageIds) => {
+  if (!messageIds.length) return {};
+
+  const { data, error } = await supabase
+    .from('notebook_entries')
+    .select('id, message_id, quote_id')
+    .eq('source', source)
+    .in('message_id', messageIds);
+
+  if (error) throw error;
+
+  const pinned = {};
+  for (const row of data || []) {
+    (pinned[row.message_id] ||= {})[getPinKey(row.quote_id)] = row.id;
+  }
+  return pinned;
+};
+
+/**
+ * Pin an answer, or one of its cited sources, to the notebook
+ * @param {Object} pin
+ * @param {string} pin.source - 'cte' or 'project'
+ * @param {string} pin.messageId - Assistant message id
+ * @param {string} [pin.conversationId] - CTE conversation of the message
+ * @param {string} [pin.projectId] - Project of the project chat
+ * @param {string} [pin.question] - Question that was answered
+ * @param {string} pin.answer - Answer text
+ * @param {Array} [pin.quotes] - Numbered sources of the answer
+ * @param {Object} [pin.quote] - Source to pin instead of the whole answer
+ * @param {Array<string>} [pin.tags] - Tags
+ * @param {string} [pin.note] - Note
+ * @returns {Promise<Object>} Saved entry (the existing one when already pinned)
+ */
+export const pinToNotebook = async ({ source, messageId, conversationId, projectId, question, answer, quotes = [], quote, tags = [], note }) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('No autenticat');
+
+  const { data, error } = await supabase
+    .from('notebook_entries')
+    .insert({
+      user_id: user.id,
+      kind: quote ? 'quote' : 'answer',
+      source,
+      message_id: messageId,
+      conversation_id: conversationId || null,
+      chat_project_id: projectId || null,
+      quote_id: quote ? quote.id : null,
+      question: question || null,
+      content: quote ? quote.text || '' : answer,
+      quotes: quote ? [quote] : quotes,
+      tags,
+      note: note?.trim() || null
+    })
+    .select(ENTRY_COLUMNS)
+    .single();
+
+  // Already pinned: return the existing entry
+  if (error?.code === '23505') {
+    let query = supabase
+      .from('notebook_entries')
+      .select(ENTRY_COLUMNS)
+      .eq('source', source)
+      .eq('message_id', messageId);
+    query = quote ? query.eq('quote_id', quote.id) : query.is('quote_id', null);
+    const { data: existing, error: existingError } = await query.single();
+    if (existingError) throw existingError;
+    return toEntry(existing);
+  }
+  if (error) throw error;
+  return toEntry(data);
+};
+
+/**
+ * Change the tags or note of an entry
+ * @param {string} id - Entry id
+ * @param {Object} changes - { tags?, note? }
+ * @returns {Promise<Object>} Updated entry
+ */
+export const updateNotebookEntry = async (id, { tags, note }) => {
+  const changes = { updated_at: new Date().toISOString() };
+  if (tags !== undefined) changes.tags = tags;
+  if (note !== undefined) changes.note = note?.trim() || null;
+
+  const { data, error } = await supabase
+    .from('notebook_entries')
+    .update(changes)
+    .eq('id', id)
+    .select(ENTRY_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return toEntry(data);
+};
+
+/**
+ * Remove an entry from the notebook (and from the projects it is attached to)
+ * @param {string} id - Entry id
+ */
+export const deleteNotebookEntry = async (id) => {
+  const { error } = await supabase
+    .from('notebook_entries')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+};
+
+/**
+ * Attach an entry to one of the user's projects
+ * @param {string} entryId - Entry id
+ * @param {string} projectId - Project id
+ */
+export const attachEntryToProject = async (entryId, projectId) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('No autenticat');
+
+  const { error } = await supabase
+    .from('notebook_entry_projects')
+    .insert({ entry_id: entryId, project_id: projectId, user_id: user.id });
+
+  // Already attached
+  if (error && error.code !== '23505') throw error;
+};
+
+/**
+ * Detach an entry from a project (the entry stays in the notebook)
+ * @param {string} entryId - Entry id
+ * @param {string} projectId - Project id
+ */
+export const detachEntryFromProject = async (entryId, projectId) => {
+  const { error } = await supabase
+    .from('notebook_entry_projects')
+    .delete()
+    .eq('entry_id', entryId)
+    .eq('project_id', projectId);
+
+  if (error) throw error;
+};
+
+export default {
+  parseTags,
+  getPinKey,
+  getEntrySourceLink,
+  listNotebookEntries,
+  listProjectNotebookEntries,
+  getPinnedEntries,
+  pinToNotebook,
+  updateNotebookEntry,
+  deleteNotebookEntry,
+  attachEntryToProject,
+  detachEntryFromProject,
+};
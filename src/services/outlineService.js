@@ -0,0 +1,123 @@
+/**
+ * Outline Service
+ *
+ * Table of contents of the indexed normative documents (sections, articles
+ * and annexes with their pages), served by the /api/outline serverless
+ * function (see migration 040). Also builds the deep links used by the
+ * browser page, the chat citations and "ask about this section".
+ */
+
+import { env } from '../config/env';
+
+/**
+ * Call the outline endpoint
+ * @param {string} [query] - Query string, without "?"
+ * @returns {Promise<Object>} JSON response
+ */
+const fetchOutline = async (query = '') => {
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const response = await fetch(`${baseUrl}/api/outline${query ? `?${query}` : ''}`);
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * List the indexed documents, with their validity today
+ * @returns {Promise<Array>} Documents ({ id, title, town_id, url, validity })
+ */
+export const listOutlineDocuments = async () => {
+  const data = await fetchOutline();
+  return data.documents || [];
+};
+
+/**
+ * Load the table of contents of a document
+ * @param {string} documentId - Document id
+ * @returns {Promise<{document: Object, sections: Array}>} Sections in document order
+ *   ({ path, kind, number, label, title, level, parent, page_start, page_end })
+ */
+export const getDocumentOutline = async (documentId) => {
+  const data = await fetchOutline(`document_id=${encodeURIComponent(documentId)}`);
+  return { document: data.document, sections: data.sections || [] };
+};
+
+/**
+ * Link to a section in the table of contents
+ * @param {string} documentId - Document id
+ * @param {string} [path] - Section path, the whole document when omitted
+ * @returns {string} Route
+ */
+export const getSectionLink = (documentId, path) =>
+  `/documents/${documentId}${path ? `?section=${encodeURIComponent(path)}` : ''}`;
+
+/**
+ * Link from a chat citation to the sections covering its page
+ * @param {Object} quote - Quote returned by /api/ask
+ * @returns {string|null} Route, or null when the quote has no document id
+ */
+export const getQuoteOutlineLink = (quote) => {
+  if (!quote?.document_id) return null;
+  return `/documents/${quote.document_id}${quote.page ? `?page=${quote.page}` : ''}`;
+};
+
+/**
+ * Link to the CTE chat with questions scoped to a section
+ * @param {string} documentId - Document id
+ * @param {string} path - Section path
+ * @returns {string} Route
+ */
+export const getAskAboutSectionLink = (documentId, path) =>
+  `/chat?document=${encodeURIComponent(documentId)}&section=${encodeURIComponent(path)}`;
+
+/**
+ * Deepest section whose pages include a page
+ * @param {Array} sections - Outline sections
+ * @param {number} page - Page number
+ * @returns {Object|null} Section
+ */
+export const findSectionAtPage = (sections, page) => sections
+  .filter(section => section.page_start <= page && page <= section.page_end)
+  .reduce((deepest, section) => (!deepest || section.level > deepest.level ? section : deepest), null);
+
+/**
+ * Paths of a section and all its ancestors, top-level first
+ * @param {Array} sections - Outline sections
+ * @param {string} path - Section path
+ * @returns {Array<string>} Paths
+ */
+export const getSectionTrail = (sections, path) => {
+  const byPath = new Map(sections.map(section => [section.path, section]));
+  const trail = [];
+  for (let section = byPath.get(path); section; section = byPath.get(section.parent)) {
+    trail.unshift(section.path);
+  }
+  return trail;
+};
+
+/**
+ * Human-readable name of a section ("Secció SUA 1 › 3.2 Característiques...")
+ * @param {Array} sections - Outline sections
+ * @param {string} path - Section path
+ * @returns {string}
+ */
+export const describeSection = (sections, path) => {
+  const byPath = new Map(sections.map(section => [section.path, section]));
+  const labels = getSectionTrail(sections, path).map(sectionPath => byPath.get(sectionPath).label);
+  const title = byPath.get(path)?.title;
+  return `${labels.join(' › ')}${title ? ` ${title}` : ''}`;
+};
+
+export default {
+  listOutlineDocuments,
+  getDocumentOutline,
+  getSectionLink,
+  getQuoteOutlineLink,
+  getAskAboutSectionLink,
+  findSectionAtPage,
+  getSectionTrail,
+  describeSection,
+};
@@ -0,0 +1,54 @@
+/**
+ * Query Analytics Service
+ *
+ * Staff analytics over the logged questions (query_logs, see migration 035):
+ * volume over time, usage per tier, most asked documents and topics, and the
+ * questions the assistant could not answer. Served by the
+ * /api/admin/query-analytics serverless function.
+ */
+
+import { supabase } from '../supabaseClient';
+import { env } from '../config/env';
+
+export const ANALYTICS_PERIODS = [
+  { days: 7, label: '7 dies' },
+  { days: 30, label: '30 dies' },
+  { days: 90, label: '90 dies' },
+  { days: 365, label: '1 any' }
+];
+
+/**
+ * Call the staff analytics endpoint with the user's access token
+ * @param {string} path - Path and query string after /api/admin/query-analytics
+ * @returns {Promise<Object>} JSON response
+ */
+const fetchAdminQueryAnalytics = async (path) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('No autenticat');
+
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const response = await fetch(`${baseUrl}/api/admin/query-analytics${path}`, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * Load the analytics of a period (staff)
+ * @param {number} days - Number of days back from now
+ * @returns {Promise<Object>} { range, totals, daily, tiers, documents, topics, keywords, similarity_buckets, no_info_questions }
+ */
+export const getQueryAnalytics = (days) => fetchAdminQueryAnalytics(`?days=${days}`);
+
+export default {
+  ANALYTICS_PERIODS,
+  getQueryAnalytics,
+};
@@ -0,0 +1,136 @@
+/**
+ * Starter Questions Service
+ *
+ * Curated question templates shown in an empty chat, per project type and
+ * per CTE document (starter_questions table, see migration 033). Everyone
+ * reads the active ones through Supabase; staff edit the library through the
+ * /api/admin/starter-questions serverless function.
+ */
+
+import { supabase } from '../supabaseClient';
+import { env } from '../config/env';
+
+// Same values as the project type select in NewProjectModal
+export const PROJECT_TYPES = [
+  'Habitatge',
+  'Equipament',
+  'Unifamiliar',
+  'Paisatge',
+  'Comercial',
+  'Oficines',
+  'Urbà',
+  'Rehabilitació'
+];
+
+export const CTE_DOCUMENTS = [
+  { id: 'DB-SI', label: 'Seguretat en cas d\'incendi' },
+  { id: 'DB-SUA', label: 'Seguretat d\'utilització i accessibilitat' },
+  { id: 'DB-HE', label: 'Estalvi d\'energia' },
+  { id: 'DB-HS', label: 'Salubritat' },
+  { id: 'DB-HR', label: 'Protecció davant el soroll' },
+  { id: 'DB-SE', label: 'Seguretat estructural' }
+];
+
+/**
+ * Load the active starter questions
+ * @returns {Promise<{byProjectType: Object, byDocument: Object}>}
+ *   Questions sorted by position, keyed by project type and by CTE document
+ */
+export const getStarterQuestions = async () => {
+  const { data, error } = await supabase
+    .from('starter_questions')
+    .select('id, project_type, cte_document, question, position')
+    .eq('active', true)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+
+  const byProjectType = {};
+  const byDocument = {};
+  for (const row of data || []) {
+    if (row.project_type) (byProjectType[row.project_type] ||= []).push(row);
+    if (row.cte_document) (byDocument[row.cte_document] ||= []).push(row);
+  }
+  return { byProjectType, byDocument };
+};
+
+/**
+ * Call the staff starter questions endpoint with the user's access token
+ * @param {string} path - Path and query string after /api/admin/starter-questions
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} JSON response
+ */
+const fetchAdminStarterQuestions = async (path, options = {}) => {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) throw new Error('No autenticat');
+
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const response = await fetch(`${baseUrl}/api/admin/starter-questions${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${session.access_token}`,
+      ...options.headers
+    }
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP ${response.status}: ${response.statusText}`);
+  }
+  return data;
+};
+
+/**
+ * List every starter question, inactive ones included (staff)
+ * @returns {Promise<Array>} starter_questions rows
+ */
+export const listAllStarterQuestions = async () => {
+  const data = await fetchAdminStarterQuestions('');
+  return data.questions || [];
+};
+
+/**
+ * Add a starter question (staff)
+ * @param {Object} question - { project_type?, cte_document?, question, position?, active? }
+ * @returns {Promise<Object>} Created row
+ */
+export const createStarterQuestion = async (question) => {
+  const data = await fetchAdminStarterQuestions('', {
+    method: 'POST',
+    body: JSON.stringify(question)
+  });
+  return data.question;
+};
+
+/**
+ * Change a starter question (staff)
+ * @param {string} id - Starter question id
+ * @param {Object} changes - Any of project_type, cte_document, question, position, active
+ * @returns {Promise<Object>} Updated row
+ */
+export const updateStarterQuestion = async (id, changes) => {
+  const data = await fetchAdminStarterQuestions('', {
+    method: 'PATCH',
+    body: JSON.stringify({ id, ...changes })
+  });
+  return data.question;
+};
+
+/**
+ * Delete a starter question (staff)
+ * @param {string} id - Starter question id
+ */
+export const deleteStarterQuestion = async (id) => {
+  await fetchAdminStarterQuestions(`?id=${encodeURIComponent(id)}`, { method: 'DELETE' });
+};
+
+export default {
+  PROJECT_TYPES,
+  CTE_DOCUMENTS,
+  getStarterQuestions,
+  listAllStarterQuestions,
+  createStarterQuestion,
+  updateStarterQuestion,
+  deleteStarterQuestion,
+};
@@ -0,0 +1,58 @@
+/**
+ * Towns Service
+ *
+ * Loads the municipalities that have indexed normative content
+ * from GET /api/towns. Shared by the project creation modal and
+ * the CTE chat town selector.
+ */
+
+import { env } from '../config/env';
+
+/**
+ * Fetch towns once — only towns with real document chunks are returned,
+ * sorted alphabetically (Catalan collation).
+ * @param {number} timeoutMs - Abort timeout in milliseconds
+ * @returns {Promise<Array>} List of towns
+ */
+const fetchTownsOnce = async (timeoutMs) => {
+  const baseUrl = env.api.baseUrl?.endsWith('/') ? env.api.baseUrl.slice(0, -1) : env.api.baseUrl;
+  const ctl = new AbortController();
+  const timer = setTimeout(() => ctl.abort(), timeoutMs);
+  try {
+    const response = await fetch(`${baseUrl}/api/towns`, {
+      signal: ctl.signal,
+      cache: 'no-store',
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to load towns: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return (data.towns || [])
+      .filter(t => t.has_chunks === true)
+      .sort((a, b) => a.name.localeCompare(b.name, 'ca', { numeric: true }));
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Load towns with indexed normative content.
+ *
+ * Render's free tier sleeps after ~15 min idle, so the first request after
+ * a cold-start can take 30–60 s. We use a 75 s abort timeout (long enough
+ * for cold-start) and retry once if the first attempt fails.
+ *
+ * @returns {Promise<Array>} List of towns
+ */
+export const fetchAvailableTowns = async () => {
+  try {
+    return await fetchTownsOnce(75000);
+  } catch (firstErr) {
+    console.warn('First towns fetch failed, retrying once:', firstErr?.message || firstErr);
+    return await fetchTownsOnce(75000);
+  }
+};
+
+export default {
+  fetchAvailableTowns,
+};
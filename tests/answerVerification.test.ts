@@ -0,0 +1,141 @@
+// Verification of generated answers against the retrieved chunks
+// (api/_lib/answerVerification.ts): quote checks, marker clean-up, citation
+// coverage and the confidence derived from them.
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { verifyAnswer } from '../api/_lib/answerVerification.js';
+
+const chunks = [
+  {
+    similarity: 0.82,
+    content: 'Les barreres de protecció tindran, com a mínim, una alçada de 0,90 m quan la diferència de cota que protegeixen no excedeixi de 6 m i de 1,10 m en la resta dels casos.'
+  },
+  {
+    similarity: 0.6,
+    content: 'L\'amplada útil dels trams d\'escala d\'ús general serà, com a mínim, de 1,00 m en ús residencial.'
+  }
+];
+
+describe('verifyAnswer quotes', () => {
+  test('verifies a verbatim blockquote in the cited fragment', () => {
+    const { verification } = verifyAnswer(
+      'Les baranes han de fer com a mínim 0,90 m d\'alçada [1].\n\n> Les barreres de protecció tindran, com a mínim, una alçada de 0,90 m [1]',
+      chunks
+    );
+
+    assert.deepEqual(verification.quotes, [{
+      text: 'Les barreres de protecció tindran, com a mínim, una alçada de 0,90 m',
+      fragments: [1],
+      status: 'verified',
+      matched_fragment: 1
+    }]);
+    assert.equal(verification.confidence, 'High');
+  });
+
+  test('finds a passage in another fragment than the cited one', () => {
+    const { verification } = verifyAnswer(
+      'L\'escala fa «L\'amplada útil dels trams d\'escala d\'ús general serà, com a mínim, de 1,00 m» [1].',
+      chunks
+    );
+
+    assert.equal(verification.quotes[0].status, 'verified');
+    assert.deepEqual(verification.quotes[0].fragments, [1]);
+    assert.equal(verification.quotes[0].matched_fragment, 2);
+  });
+
+  test('verifies elided passages part by part', () => {
+    const { verification } = verifyAnswer('> Les barreres de protecció tindran [...] 1,10 m en la resta dels casos [1]', chunks);
+
+    assert.equal(verification.quotes[0].status, 'verified');
+  });
+
+  test('marks a passage with a small OCR difference as partial', () => {
+    const { verification } = verifyAnswer(
+      '> Les barreres de protecció tindran, com a mínim, una alçada de 0,90 m quan la diferència de cota que protegeixen no excedeix de 6 m [1]',
+      chunks
+    );
+
+    assert.equal(verification.quotes[0].status, 'partial');
+    assert.equal(verification.quotes[0].matched_fragment, 1);
+    assert.equal(verification.confidence, 'High');
+  });
+
+  test('marks an invented passage as unverified and lowers the confidence', () => {
+    const { verification } = verifyAnswer(
+      'Les baranes han de fer com a mínim 0,90 m d\'alçada [1].\n\n> Les baranes seran de vidre laminat en tots els casos [1]',
+      chunks
+    );
+
+    assert.equal(verification.quotes[0].status, 'unverified');
+    assert.equal(verification.quotes[0].matched_fragment, null);
+    assert.equal(verification.confidence, 'Medium');
+  });
+
+  test('ignores quoted terms shorter than a passage', () => {
+    const { verification } = verifyAnswer('La secció "Barreres de protecció" fixa l\'alçada mínima [1].', chunks);
+
+    assert.deepEqual(verification.quotes, []);
+  });
+});
+
+describe('verifyAnswer markers and coverage', () => {
+  test('strips markers that point at missing fragments', () => {
+    const { answer, verification } = verifyAnswer('Alçada mínima de 0,90 m en tots els casos [1][7]. Vegeu també [12].', chunks);
+
+    assert.equal(answer, 'Alçada mínima de 0,90 m en tots els casos [1]. Vegeu també.');
+    assert.deepEqual(verification.removed_citations, [7, 12]);
+  });
+
+  test('scores an answer without quotes on its cited statements', () => {
+    const { verification } = verifyAnswer(
+      'L\'alçada mínima és de 0,90 m en general [1]. Per sobre de 6 m de desnivell la barana ha de fer 1,10 m [1].',
+      chunks
+    );
+
+    assert.deepEqual(verification.quotes, []);
+    assert.equal(verification.statements, 2);
+    assert.equal(verification.cited_statements, 2);
+    assert.equal(verification.citation_coverage, 1);
+    assert.equal(verification.retrieval_similarity, 0.82);
+    assert.equal(verification.confidence, 'High');
+  });
+
+  test('caps the confidence at Medium below 60% coverage', () => {
+    const { verification } = verifyAnswer(
+      'L\'alçada mínima és de 0,90 m en general [1]. Les escales tenen una amplada mínima d\'un metre. El projectista ha de justificar totes les solucions.',
+      chunks
+    );
+
+    assert.equal(verification.statements, 3);
+    assert.equal(verification.cited_statements, 1);
+    assert.equal(verification.citation_coverage, 0.33);
+    assert.equal(verification.confidence, 'Medium');
+  });
+
+  test('drops to Low below 30% coverage', () => {
+    const { verification } = verifyAnswer(
+      'L\'alçada mínima és de 0,90 m en general [1]. Les escales tenen una amplada mínima d\'un metre. El projectista ha de justificar totes les solucions. Les rampes tenen un pendent màxim del 10%.',
+      chunks
+    );
+
+    assert.equal(verification.citation_coverage, 0.25);
+    assert.equal(verification.confidence, 'Low');
+  });
+
+  test('takes the confidence from the best similarity', () => {
+    const answer = 'L\'amplada útil mínima és de 1,00 m en ús residencial [1].';
+
+    assert.equal(verifyAnswer(answer, [chunks[1]]).verification.confidence, 'Medium');
+    assert.equal(verifyAnswer(answer, [{ ...chunks[1], similarity: 0 }]).verification.confidence, 'Low');
+  });
+
+  test('is Low with no fragments', () => {
+    const { answer, verification } = verifyAnswer('No disposo d\'informació sobre aquesta qüestió [1].', []);
+
+    assert.equal(answer, 'No disposo d\'informació sobre aquesta qüestió.');
+    assert.equal(verification.retrieval_similarity, 0);
+    assert.equal(verification.citation_coverage, 0);
+    assert.equal(verification.confidence, 'Low');
+  });
+});
@@ -0,0 +1,139 @@
+// Offline tests for POST /api/ask, run with the fake providers (no API keys,
+// no database): npm test
+
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { before, describe, test } from 'node:test';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+
+type Handler = (req: VercelRequest, res: VercelResponse) => Promise<unknown>;
+
+let handler: Handler;
+
+before(async () => {
+  // Read when the modules load, so they are set before the dynamic import
+  process.env.ASK_PROVIDER = 'fake';
+  delete process.env.SUPABASE_URL;
+  delete process.env.VITE_SUPABASE_URL;
+  ({ default: handler } = await import('../api/ask/index.js'));
+});
+
+/**
+ * Minimal stand-ins for the Vercel request and response
+ */
+function createMocks(body: Record<string, unknown>, headers: Record<string, string> = {}) {
+  const req = Object.assign(new EventEmitter(), {
+    method: 'POST',
+    headers: { origin: 'http://localhost:5173', ...headers },
+    body
+  });
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {} as Record<string, string>,
+    body: '',
+    writableFinished: false,
+    status(code: number) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name: string, value: string) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(data: unknown) {
+      res.body = JSON.stringify(data);
+      return res.end();
+    },
+    write(chunk: string) {
+      res.body += chunk;
+      return true;
+    },
+    end() {
+      res.writableFinished = true;
+      res.emit('close');
+      return res;
+    }
+  });
+  return { req: req as unknown as VercelRequest, res };
+}
+
+async function ask(body: Record<string, unknown>, headers?: Record<string, string>) {
+  const { req, res } = createMocks(body, headers);
+  await handler(req, res as unknown as VercelResponse);
+  return res;
+}
+
+describe('POST /api/ask (offline)', () => {
+  test('answers as JSON with quotes from the retrieved fragments', async () => {
+    const res = await ask({ question: 'Quina alçada mínima ha de tenir una barana?' });
+
+    assert.equal(res.statusCode, 200);
+    const data = JSON.parse(res.body);
+    assert.match(data.answer, /Resposta simulada a partir de \d+ fragments/);
+    assert.ok(data.quotes.length > 0);
+    assert.ok(data.quotes.some((quote: any) => quote.document_title.includes('DB-SUA')));
+    assert.match(data.confidence, /^(high|medium|low)$/i);
+  });
+
+  test('streams NDJSON events ending with done', async () => {
+    const res = await ask({ question: 'Quina amplada han de tenir els trams d\'escala?', stream: true });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /application\/x-ndjson/);
+    const events = res.body.trim().split('\n').map(line => JSON.parse(line));
+    const types = events.map(event => event.type);
+    assert.equal(types[0], 'delta');
+    assert.ok(types.includes('quotes'));
+    assert.ok(types.includes('confidence'));
+    assert.equal(types[types.length - 1], 'done');
+
+    const streamed = events.filter(event => event.type === 'delta').map(event => event.text).join('');
+    const final = events.find(event => event.type === 'answer')?.text ?? streamed;
+    assert.match(final, /Resposta simulada/);
+  });
+
+  test('answers follow-ups with history and drops malformed turns', async () => {
+    const res = await ask({
+      question: 'i per a una escala d\'ús general?',
+      history: [
+        { role: 'system', content: 'ignored' },
+        { role: 'user', content: 'Quina alçada ha de tenir una barana?' },
+        { role: 'assistant', content: '0,90 m quan el desnivell no excedeix de 6 m.' },
+        { role: 'assistant', content: '' },
+        'not a turn'
+      ]
+    });
+
+    assert.equal(res.statusCode, 200);
+    const data = JSON.parse(res.body);
+    assert.ok(data.quotes.length > 0);
+  });
+
+  test('sets the rate limit headers of anonymous callers', async () => {
+    const res = await ask({ question: 'Quina alçada mínima ha de tenir una barana?' });
+
+    assert.equal(res.headers['x-ratelimit-limit'], '3');
+    assert.equal(res.headers['x-ratelimit-remaining'], '3');
+    assert.ok(Number(res.headers['x-ratelimit-reset']) > Date.now() / 1000);
+    assert.match(res.headers['access-control-expose-headers'], /X-RateLimit-Remaining/);
+    assert.equal(res.headers['retry-after'], undefined);
+  });
+
+  test('ignores a user_id in the body without a valid access token', async () => {
+    const res = await ask(
+      { question: 'Quina alçada mínima ha de tenir una barana?', user_id: '00000000-0000-0000-0000-000000000000' },
+      { authorization: 'Bearer not-a-token' }
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['x-ratelimit-limit'], '3');
+  });
+
+  test('rejects malformed requests', async () => {
+    assert.equal((await ask({ question: 'hola' })).statusCode, 400);
+    assert.equal((await ask({ question: 'Quina alçada mínima?', town_id: 'barcelona' })).statusCode, 400);
+    assert.equal((await ask({ question: 'Quina alçada mínima?', town_id: 42 })).statusCode, 400);
+    assert.equal((await ask({ question: 'Quina alçada mínima?', as_of_date: '2024-13' })).statusCode, 400);
+    assert.equal((await ask({ question: 'Quina alçada mínima?', section_scope: { document_id: 'x', path: 'a' } })).statusCode, 400);
+  });
+});
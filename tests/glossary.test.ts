@@ -0,0 +1,83 @@
+// Glossary query expansion (api/_lib/glossary.ts): acronyms and synonyms
+// found in a question, case and accent handling, and questions left as they are.
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { expandQuery, loadGlossary } from '../api/_lib/glossary.js';
+import type { GlossaryTerm } from '../api/_lib/glossary.js';
+
+const term = (term: string, definition: string, synonyms: string[] = [], case_sensitive = false): GlossaryTerm =>
+  ({ term, definition, synonyms, case_sensitive });
+
+const glossary = [
+  term('DB-SI', 'Document bàsic de seguretat en cas d\'incendi', ['DBSI']),
+  term('SUA-1', 'Seguretat enfront del risc de caigudes'),
+  term('barana', 'barrera de protecció', ['barandilla', 'baranda']),
+  term('façana', 'envolupant exterior', ['fachada']),
+  term('PEU', 'Pla especial urbanístic', [], true)
+];
+
+describe('expandQuery', () => {
+  test('expands an acronym written with or without its hyphen', () => {
+    const question = 'Què diu el DB SI sobre l\'evacuació?';
+    const expansion = expandQuery(question, glossary);
+
+    assert.deepEqual(expansion.terms, ['DB-SI']);
+    assert.equal(expansion.text, `${question}\n(Document bàsic de seguretat en cas d'incendi; DBSI)`);
+    assert.deepEqual(expandQuery('Requisits del SUA1', glossary).terms, ['SUA-1']);
+    assert.deepEqual(expandQuery('Requisits del SUA-12', glossary).terms, []);
+  });
+
+  test('expands a synonym with the term, the other synonyms and the definition', () => {
+    const question = '¿Qué altura debe tener la barandilla?';
+    const expansion = expandQuery(question, glossary);
+
+    assert.deepEqual(expansion.terms, ['barana']);
+    assert.equal(expansion.text, `${question}\n(barrera de protecció; barana; baranda)`);
+  });
+
+  test('matches regardless of case and accents', () => {
+    assert.deepEqual(expandQuery('Aïllament de la FACANA ventilada', glossary).terms, ['façana']);
+    assert.deepEqual(expandQuery('Fachada ventilada', glossary).terms, ['façana']);
+    assert.deepEqual(expandQuery('db-si i BARANA', glossary).terms, ['DB-SI', 'barana']);
+  });
+
+  test('keeps case-sensitive terms to their exact spelling', () => {
+    const question = 'Què permet el PEU del nucli antic?';
+
+    assert.equal(expandQuery(question, glossary).text, `${question}\n(Pla especial urbanístic)`);
+    assert.deepEqual(expandQuery('Fonamentació al peu del mur', glossary).terms, []);
+  });
+
+  test('matches whole words only', () => {
+    assert.deepEqual(expandQuery('Baranes i barandillas de vidre', glossary).terms, []);
+  });
+
+  test('does not repeat forms already in the question or in another expansion', () => {
+    const expansion = expandQuery('Barana de la façana', [
+      ...glossary,
+      term('ampit', 'barrera de protecció', ['barana'])
+    ]);
+
+    assert.deepEqual(expansion.terms, ['barana', 'façana', 'ampit']);
+    assert.equal(expansion.text, 'Barana de la façana\n(barrera de protecció; barandilla; baranda; envolupant exterior; fachada; ampit)');
+  });
+
+  test('expands at most six terms', () => {
+    const many = ['a1', 'b2', 'c3', 'd4', 'e5', 'f6', 'g7'].map(code => term(code, `definició ${code}`));
+    const expansion = expandQuery('a1 b2 c3 d4 e5 f6 g7', many);
+
+    assert.deepEqual(expansion.terms, ['a1', 'b2', 'c3', 'd4', 'e5', 'f6']);
+  });
+
+  test('returns the question unchanged when nothing matches', () => {
+    const question = 'Quina alçada mínima han de tenir els sostres?';
+
+    assert.deepEqual(expandQuery(question, glossary), { text: question, terms: [] });
+    assert.deepEqual(expandQuery(question, []), { text: question, terms: [] });
+  });
+});
+
+test('loadGlossary is empty without a database client', async () => {
+  assert.deepEqual(await loadGlossary(null), []);
+});
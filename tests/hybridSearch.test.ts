@@ -0,0 +1,110 @@
+// Hybrid retrieval helpers (api/_lib/hybridSearch.ts): identifier detection,
+// the tsquery sent to search_document_chunks_text and the fused ranking.
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { buildKeywordQuery, detectSectionIdentifiers, rerankChunks } from '../api/_lib/hybridSearch.js';
+
+const labels = (question: string) => detectSectionIdentifiers(question).map(identifier => identifier.label);
+
+describe('detectSectionIdentifiers', () => {
+  test('finds document codes, sections, tables, articles and annexes', () => {
+    assert.deepEqual(labels('Què diu la taula 4.1 del DB-SI 3?'), ['DB-SI', 'SI 3', 'table 4.1']);
+    assert.deepEqual(labels('Límit del HE0 i de la SUA-1'), ['HE 0', 'SUA 1']);
+    assert.deepEqual(labels('Segons l\'article 12.3 i l\'annex B'), ['article 12.3', 'annex B']);
+    assert.deepEqual(labels('art. 5 i artículo 7 de la sección 2.1'), ['article 5', 'article 7', 'section 2.1']);
+  });
+
+  test('ignores lower-case words that look like bare codes', () => {
+    assert.deepEqual(labels('si he de posar barana, quina alçada cal?'), []);
+  });
+
+  test('matches identifiers in chunk text without matching longer numbers', () => {
+    const [table] = detectSectionIdentifiers('taula 4.1');
+
+    assert.ok(table.pattern.test('Taula 4.1 Dimensionament dels elements d\'evacuació'));
+    assert.ok(table.pattern.test('Tabla 4.1 Dimensionado de los elementos'));
+    assert.ok(!table.pattern.test('Taula 4.12 Amplades mínimes'));
+  });
+});
+
+describe('buildKeywordQuery', () => {
+  test('ORs the terms and drops short words and stopwords', () => {
+    assert.equal(buildKeywordQuery('Quina alçada ha de tenir una barana?', []), 'alçada | tenir | barana');
+  });
+
+  test('keeps only lexeme characters from quotes and tsquery operators', () => {
+    const query = buildKeywordQuery('l\'alçada "mínima" & barana | (escala) !important: a:*', []);
+
+    assert.equal(query, 'alçada | mínima | barana | escala | important');
+    assert.doesNotMatch(query!, /['"&!:()*]/);
+  });
+
+  test('adds the numbers of the identifiers asked about', () => {
+    const question = 'Dimensions de la taula 4.1. del DB-SI';
+    assert.equal(buildKeywordQuery(question, detectSectionIdentifiers(question)), 'dimensions | taula | 4.1');
+
+    const bareCode = 'Límit HE0';
+    assert.equal(buildKeywordQuery(bareCode, detectSectionIdentifiers(bareCode)), 'límit | he0 | 0');
+  });
+
+  test('returns null when nothing is left to search', () => {
+    assert.equal(buildKeywordQuery('', []), null);
+    assert.equal(buildKeywordQuery('&& || !! ()', []), null);
+    assert.equal(buildKeywordQuery('que per amb', []), null);
+  });
+});
+
+describe('rerankChunks', () => {
+  const chunk = (id: string, content = '', extra: Record<string, unknown> = {}) => ({
+    id,
+    document_title: 'CTE DB-SI',
+    page_number: 1,
+    content,
+    similarity: 0.5,
+    ...extra
+  });
+
+  test('fuses both lists with reciprocal rank fusion (K = 60)', () => {
+    const ranked = rerankChunks([chunk('a'), chunk('b')], [chunk('b'), chunk('c', '', { similarity: undefined })], [], 10);
+
+    assert.deepEqual(ranked.map(c => c.id), ['b', 'a', 'c']);
+    assert.equal(ranked[0].rerank_score, 1 / 62 + 1 / 61);
+    assert.equal(ranked[1].rerank_score, 1 / 61);
+    assert.equal(ranked[2].rerank_score, 1 / 62);
+    // Keyword-only hits have no vector similarity
+    assert.equal(ranked[2].similarity, 0);
+  });
+
+  test('merges a chunk found by both searches into one entry', () => {
+    const ranked = rerankChunks([chunk('a', 'text')], [chunk('a', 'text', { keyword_rank: 2 })], [], 10);
+
+    assert.equal(ranked.length, 1);
+    assert.equal(ranked[0].rerank_score, 2 / 61);
+  });
+
+  test('merges chunks without an id by title, page and content', () => {
+    const unnamed = { document_title: 'Ordenança', page_number: 4, content: 'Alçada reguladora màxima.' };
+    const ranked = rerankChunks([unnamed], [{ ...unnamed }, { ...unnamed, page_number: 5 }], [], 10);
+
+    assert.equal(ranked.length, 2);
+  });
+
+  test('boosts chunks containing the identifiers by 0.05 each', () => {
+    const identifiers = detectSectionIdentifiers('taula 4.1 del DB-SI');
+    const vector = [chunk('a', 'Evacuació en general.', { document_title: 'CTE DB-HE' }), chunk('b', 'Taula 4.1 Dimensionament.')];
+    const ranked = rerankChunks(vector, [], identifiers, 10);
+
+    assert.deepEqual(ranked.map(c => c.id), ['b', 'a']);
+    // The table in the content, the document code in the title
+    assert.deepEqual(ranked[0].matched_identifiers, ['DB-SI', 'table 4.1']);
+    assert.equal(ranked[0].rerank_score, 1 / 62 + 2 * 0.05);
+    assert.deepEqual(ranked[1].matched_identifiers, []);
+  });
+
+  test('keeps the best `limit` chunks', () => {
+    const ranked = rerankChunks([chunk('a'), chunk('b'), chunk('c')], [], [], 2);
+
+    assert.deepEqual(ranked.map(c => c.id), ['a', 'b']);
+  });
+});
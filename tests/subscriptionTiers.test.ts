@@ -0,0 +1,80 @@
+// The tier quotas are defined twice: in src/config/subscriptionTiers.js (read
+// by the frontend and /api/ask) and in the seed of migration 027 (read by the
+// database triggers). Both must list the same tiers with the same values, and
+// each trigger must apply the quota it is named after.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { SUBSCRIPTION_TIERS, getTierQuotas } from '../src/config/subscriptionTiers.js';
+
+const MIGRATION = new URL('../migrations/027_create_subscription_tier_quotas.sql', import.meta.url);
+const PRIVATE_DOCUMENT_MIGRATION = new URL('../migrations/042_enforce_private_document_quota.sql', import.meta.url);
+
+/**
+ * Rows of the subscription_tier_quotas seed, keyed by tier id
+ */
+function readSeededQuotas(): Record<string, Record<string, number | null>> {
+  const sql = readFileSync(MIGRATION, 'utf8');
+  const values = sql.match(/INSERT INTO public\.subscription_tier_quotas[^;]*?VALUES([\s\S]*?)ON CONFLICT/)?.[1];
+  assert.ok(values, 'subscription_tier_quotas seed not found in migration 027');
+
+  const toQuota = (value: string) => (value === 'NULL' ? null : Number(value));
+  return Object.fromEntries(
+    [...values.matchAll(/\('(\w+)',\s*(\w+),\s*(\w+),\s*(\w+)\)/g)].map(([, tierId, questions, projects, documents]) => [
+      tierId,
+      {
+        questionsPerDay: toQuota(questions),
+        maxProjects: toQuota(projects),
+        privateDocumentsPerMonth: toQuota(documents)
+      }
+    ])
+  );
+}
+
+test('migration 027 seeds the quotas of src/config/subscriptionTiers.js', () => {
+  const seeded = readSeededQuotas();
+  const configured = Object.fromEntries(
+    Object.keys(SUBSCRIPTION_TIERS).map(tierId => [tierId, getTierQuotas(tierId)])
+  );
+
+  assert.deepEqual(seeded, configured);
+});
+
+/**
+ * Body of a trigger function and the CREATE TRIGGER statement that runs it
+ */
+function readQuotaTrigger(migration: URL, name: string): { body: string; trigger: string } {
+  const sql = readFileSync(migration, 'utf8');
+  const body = sql.match(new RegExp(`CREATE OR REPLACE FUNCTION public\\.${name}\\(\\)[\\s\\S]*?\\$\\$([\\s\\S]*?)\\$\\$;`))?.[1];
+  const trigger = sql.match(new RegExp(`CREATE TRIGGER ${name}\\s[^;]*;`))?.[0];
+  assert.ok(body, `${name}() not found`);
+  assert.ok(trigger, `${name} trigger not found`);
+  return { body, trigger };
+}
+
+const frontendSource = (path: string) => readFileSync(new URL(`../src/${path}`, import.meta.url), 'utf8');
+
+test('migration 027 limits projects to the max_projects of the owner\'s tier', () => {
+  const { body, trigger } = readQuotaTrigger(MIGRATION, 'enforce_project_quota');
+
+  assert.match(trigger, /BEFORE INSERT ON public\.projects\s+FOR EACH ROW/);
+  assert.match(body, /SELECT max_projects INTO v_max_projects\s+FROM public\.get_user_tier_quotas\(NEW\.user_id\)/);
+  assert.match(body, /IF v_max_projects IS NULL THEN\s+RETURN NEW;/);
+  assert.match(body, /FROM public\.projects\s+WHERE user_id = NEW\.user_id;/);
+  assert.match(body, /IF v_project_count >= v_max_projects THEN\s+RAISE EXCEPTION 'PROJECT_QUOTA_EXCEEDED/);
+  assert.ok(frontendSource('components/NewProjectModal.jsx').includes('PROJECT_QUOTA_EXCEEDED'));
+});
+
+test('migration 042 limits private uploads to the private_documents_per_month of the tier', () => {
+  const { body, trigger } = readQuotaTrigger(PRIVATE_DOCUMENT_MIGRATION, 'enforce_private_document_quota');
+
+  assert.match(trigger, /BEFORE INSERT ON public\.private_document_uploads\s+FOR EACH ROW/);
+  assert.match(body, /SELECT private_documents_per_month INTO v_max_documents\s+FROM public\.get_user_tier_quotas\(NEW\.user_id\)/);
+  assert.match(body, /IF v_max_documents IS NULL THEN\s+RETURN NEW;/);
+  // Counted per calendar month, one upload at a time per user
+  assert.match(body, /pg_advisory_xact_lock\([^;]*NEW\.user_id/);
+  assert.match(body, /WHERE user_id = NEW\.user_id\s+AND created_at >= date_trunc\('month', NOW\(\)\);/);
+  assert.match(body, /IF v_upload_count >= v_max_documents THEN\s+RAISE EXCEPTION 'PRIVATE_DOCUMENT_QUOTA_EXCEEDED/);
+  assert.ok(frontendSource('components/PrivateDocumentUpload.jsx').includes('PRIVATE_DOCUMENT_QUOTA_EXCEEDED'));
+});